@@ -44,6 +44,62 @@ const CONFIG = {
     ITEMS_PER_PAGE: 20
 };
 
+// Call the backend API as the signed-in admin
+async function apiRequest(path, options = {}) {
+    const token = await auth.currentUser.getIdToken();
+
+    const response = await fetch(`${CONFIG.API_URL}/api${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+            ...(options.headers || {})
+        }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.message || 'Request failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    return data;
+}
+
+// POST a multipart form (file uploads) to the API
+async function postForm(path, form) {
+    const token = await auth.currentUser.getIdToken();
+
+    // No Content-Type header: the browser sets the multipart boundary
+    const response = await fetch(`${CONFIG.API_URL}/api${path}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+        body: form
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Upload failed');
+    }
+
+    return data;
+}
+
+// Upload an image through the media pipeline (POST /api/media).
+// Resolves to { media, image }; `media.src` is the URL to store.
+async function uploadMedia(file, purpose, alt = '') {
+    const form = new FormData();
+    form.append('file', file);
+    form.append('purpose', purpose);
+    if (alt) form.append('alt', alt);
+
+    return postForm('/media', form);
+}
+
 // ===========================
 // STATE MANAGEMENT
 // ===========================
@@ -55,11 +111,20 @@ const state = {
     categories: [],
     blogPosts: [],
     orders: [],
+    returns: [],
+    subscriptions: [],
+    subscriptionsCursor: null,
+    media: [],
+    mediaCursor: null,
+    editingVariants: [],
     selectedItem: null,
     filters: {
         products: { category: 'all', search: '' },
         blog: { status: 'all', search: '' },
-        orders: { status: 'all', search: '' }
+        orders: { status: 'all', search: '' },
+        returns: { status: 'all', search: '' },
+        subscriptions: { status: 'all', search: '' },
+        media: { purpose: 'all', search: '', unused: false }
     }
 };
 
@@ -183,6 +248,8 @@ function navigateTo(pageName) {
         blog: 'Blog Posts',
         categories: 'Categories',
         orders: 'Orders',
+        returns: 'Returns',
+        subscriptions: 'Subscriptions',
         users: 'User Management',
         segments: 'User Segments',
         media: 'Media Library',
@@ -218,6 +285,12 @@ async function loadPageData(pageName) {
             case 'orders':
                 await loadOrders();
                 break;
+            case 'returns':
+                await loadReturns();
+                break;
+            case 'subscriptions':
+                await loadSubscriptions();
+                break;
             case 'users':
                 if (typeof loadUsers === 'function') await loadUsers();
                 break;
@@ -310,27 +383,120 @@ async function loadDashboardData() {
 
         document.getElementById('recentOrders').innerHTML = recentOrdersHTML || '<p class="text-center text-muted">No orders yet</p>';
 
-        // Low stock alert (placeholder)
-        const lowStockProducts = productsSnap.docs.filter(doc => {
-            const data = doc.data();
-            return data.isActive && (data.stockQuantity || 0) < 5;
-        });
+        await loadStockAlerts();
 
-        const lowStockHTML = lowStockProducts.map(doc => {
-            const product = doc.data();
-            return `
+    } catch (error) {
+        console.error('Error loading dashboard:', error);
+        throw error;
+    }
+}
+
+// ===========================
+// STOCK ALERTS
+// ===========================
+
+const STOCK_ALERT_LABELS = {
+    low_stock: { label: 'Low stock', badge: 'warning' },
+    out_of_stock: { label: 'Out of stock', badge: 'cancelled' }
+};
+
+async function loadStockAlerts() {
+    const container = document.getElementById('lowStock');
+
+    try {
+        const { alerts } = await apiRequest('/alerts?status=open');
+
+        container.innerHTML = alerts.length === 0
+            ? '<p class="text-center text-muted">All products in stock</p>'
+            : alerts.map(alert => `
                 <div class="widget-item">
-                    <div>${product.name}</div>
-                    <span class="table-badge badge-warning">${product.stockQuantity} left</span>
+                    <div>
+                        ${alert.productName}
+                        <br>
+                        <small>${alert.stockQuantity} left (alert at ${alert.threshold})</small>
+                    </div>
+                    <div>
+                        <span class="table-badge badge-${STOCK_ALERT_LABELS[alert.type].badge}">${STOCK_ALERT_LABELS[alert.type].label}</span>
+                        <button class="btn btn-sm btn-secondary" onclick="window.adminApp.acknowledgeStockAlert('${alert.id}')">Dismiss</button>
+                    </div>
                 </div>
-            `;
-        }).join('');
+            `).join('');
+    } catch (error) {
+        console.error('Error loading stock alerts:', error);
+        container.innerHTML = '<p class="text-center text-muted">Stock alerts unavailable</p>';
+    }
+}
 
-        document.getElementById('lowStock').innerHTML = lowStockHTML || '<p class="text-center text-muted">All products in stock</p>';
+async function acknowledgeStockAlert(alertId) {
+    try {
+        await apiRequest(`/alerts/${alertId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status: 'acknowledged' })
+        });
+        await loadStockAlerts();
+    } catch (error) {
+        console.error('Error acknowledging alert:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function showStockAlertSettings() {
+    try {
+        const { settings } = await apiRequest('/alerts/settings');
+
+        showModal(`
+            <div class="modal-header">
+                <h2>Stock Alert Settings</h2>
+                <button class="modal-close" onclick="window.adminApp.closeModal()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label>Default low stock threshold</label>
+                    <input type="number" id="alertThreshold" class="form-input" min="0" value="${settings.lowStockThreshold}">
+                </div>
+                <div class="form-group">
+                    <label>When a product sells out</label>
+                    <select id="alertOutOfStockAction" class="form-select">
+                        <option value="none" ${settings.outOfStockAction === 'none' ? 'selected' : ''}>Alert only</option>
+                        <option value="hide" ${settings.outOfStockAction === 'hide' ? 'selected' : ''}>Alert and hide until restocked</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Alert email</label>
+                    <input type="email" id="alertEmail" class="form-input" value="${settings.alertEmail || ''}" placeholder="purchasing@example.com">
+                </div>
+                <div class="form-group">
+                    <label>Alert webhook URL</label>
+                    <input type="url" id="alertWebhookUrl" class="form-input" value="${settings.alertWebhookUrl || ''}" placeholder="https://hooks.example.com/...">
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="window.adminApp.closeModal()">Cancel</button>
+                <button class="btn btn-primary" onclick="window.adminApp.saveStockAlertSettings()">Save</button>
+            </div>
+        `);
+    } catch (error) {
+        console.error('Error loading alert settings:', error);
+        showNotification(error.message, 'error');
+    }
+}
 
+async function saveStockAlertSettings() {
+    try {
+        await apiRequest('/alerts/settings', {
+            method: 'PUT',
+            body: JSON.stringify({
+                lowStockThreshold: parseInt(document.getElementById('alertThreshold').value) || 0,
+                outOfStockAction: document.getElementById('alertOutOfStockAction').value,
+                alertEmail: document.getElementById('alertEmail').value.trim() || null,
+                alertWebhookUrl: document.getElementById('alertWebhookUrl').value.trim() || null
+            })
+        });
+        closeModal();
+        showNotification('Stock alert settings saved', 'success');
     } catch (error) {
-        console.error('Error loading dashboard:', error);
-        throw error;
+        console.error('Error saving alert settings:', error);
+        showNotification(error.message, 'error');
     }
 }
 
@@ -422,8 +588,8 @@ function renderProductsTable() {
                             <td>$${product.price?.toFixed(2)}</td>
                             <td>${product.stockQuantity || 0}</td>
                             <td>
-                                ${product.hasVariants && product.variants?.length > 0
-                                    ? `<span style="color: #8b5cf6;">${product.variants.length} variant${product.variants.length !== 1 ? 's' : ''}</span>`
+                                ${product.variantCount > 0
+                                    ? `<span style="color: #8b5cf6;">${product.variantCount} variant${product.variantCount !== 1 ? 's' : ''}</span>`
                                     : '<span style="color: #666;">—</span>'}
                             </td>
                             <td>
@@ -479,6 +645,18 @@ async function showProductForm(productId = null) {
 
     const product = productId ? state.products.find(p => p.id === productId) : null;
 
+    // Variants are managed through the API; remember what was loaded to diff on save
+    state.editingVariants = [];
+    if (product) {
+        try {
+            const data = await apiRequest(`/products/${product.id}/variants?includeInactive=true`);
+            state.editingVariants = data.variants;
+        } catch (error) {
+            console.error('Error loading variants:', error);
+        }
+    }
+    const variants = state.editingVariants;
+
     console.log('[DEBUG] About to create modal HTML, state.categories.length:', state.categories.length);
     console.log('[DEBUG showProductForm] Found product:', product);
     console.log('[DEBUG showProductForm] Product name:', product?.name);
@@ -521,11 +699,41 @@ async function showProductForm(productId = null) {
                     <input type="number" id="productComparePrice" step="0.01" value="${product?.compareAtPrice || ''}">
                 </div>
 
+                <div class="form-group">
+                    <label>Sale Price <small>(applies between the sale dates; blank = no sale)</small></label>
+                    <input type="number" id="productSalePrice" step="0.01" min="0" value="${product?.salePrice ?? ''}">
+                </div>
+
+                <div class="form-group">
+                    <label>Sale Starts <small>(blank = now)</small></label>
+                    <input type="datetime-local" id="productSaleStartsAt" value="${toDateTimeLocal(product?.saleStartsAt)}">
+                </div>
+
+                <div class="form-group">
+                    <label>Sale Ends <small>(blank = until removed)</small></label>
+                    <input type="datetime-local" id="productSaleEndsAt" value="${toDateTimeLocal(product?.saleEndsAt)}">
+                </div>
+
+                <div class="form-group">
+                    <label>Publish At <small>(blank = follow the Active box)</small></label>
+                    <input type="datetime-local" id="productPublishAt" value="${toDateTimeLocal(product?.publishAt)}">
+                </div>
+
+                <div class="form-group">
+                    <label>Unpublish At <small>(blank = never)</small></label>
+                    <input type="datetime-local" id="productUnpublishAt" value="${toDateTimeLocal(product?.unpublishAt)}">
+                </div>
+
                 <div class="form-group">
                     <label>Stock Quantity *</label>
                     <input type="number" id="productStock" value="${product?.stockQuantity || 0}" required>
                 </div>
 
+                <div class="form-group">
+                    <label>Low Stock Alert At <small>(blank = store default)</small></label>
+                    <input type="number" id="productLowStockThreshold" min="0" value="${product?.lowStockThreshold ?? ''}">
+                </div>
+
                 <div class="form-group">
                     <label>Slug</label>
                     <input type="text" id="productSlug" value="${product?.slug || ''}">
@@ -562,8 +770,8 @@ async function showProductForm(productId = null) {
                         <button type="button" class="btn btn-sm btn-secondary" onclick="window.adminApp.addVariant()">+ Add Variant</button>
                     </div>
                     <div id="variantsContainer" style="border: 1px solid #444; padding: 15px; border-radius: 4px; min-height: 60px;">
-                        ${product?.variants && product.variants.length > 0 ? product.variants.map((variant, index) => `
-                            <div class="variant-row" data-variant-index="${index}" style="background: #2a2a2a; padding: 15px; margin-bottom: 10px; border-radius: 4px; position: relative;">
+                        ${variants.length > 0 ? variants.map((variant, index) => `
+                            <div class="variant-row" data-variant-index="${index}" data-variant-id="${variant.id}" style="background: #2a2a2a; padding: 15px; margin-bottom: 10px; border-radius: 4px; position: relative;">
                                 <button type="button" class="btn btn-sm btn-danger" onclick="window.adminApp.removeVariant(${index})" style="position: absolute; top: 10px; right: 10px;">×</button>
 
                                 <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 10px; margin-bottom: 10px;">
@@ -585,7 +793,7 @@ async function showProductForm(productId = null) {
                                     <label style="font-size: 12px; color: #aaa;">Attributes (e.g., Color: Black, Size: 10mm)</label>
                                     <div class="variant-attributes" style="display: flex; gap: 10px; flex-wrap: wrap;">
                                         ${Object.entries(variant.attributes || {}).map(([key, value]) => `
-                                            <div class="attribute-tag" style="background: #444; padding: 5px 10px; border-radius: 4px; display: flex; align-items: center; gap: 5px;">
+                                            <div class="attribute-tag" data-key="${key}" data-value="${value}" style="background: #444; padding: 5px 10px; border-radius: 4px; display: flex; align-items: center; gap: 5px;">
                                                 <span style="font-size: 12px;">${key}: ${value}</span>
                                                 <button type="button" onclick="this.parentElement.remove()" style="background: none; border: none; color: #ff4444; cursor: pointer; font-size: 14px; padding: 0;">×</button>
                                             </div>
@@ -598,6 +806,54 @@ async function showProductForm(productId = null) {
                     </div>
                 </div>
 
+                <div class="form-group form-group-full">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                        <label>Bundle Contents <small>(Optional - sell other products together as a kit; stock comes from them)</small></label>
+                        <button type="button" class="btn btn-sm btn-secondary" onclick="window.adminApp.addBundleComponent()">+ Add Item</button>
+                    </div>
+                    <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                        <select id="bundlePricing" class="form-select" style="flex: 1;">
+                            <option value="fixed" ${product?.bundle?.pricing !== 'sum' ? 'selected' : ''}>Fixed price (the Price above)</option>
+                            <option value="sum" ${product?.bundle?.pricing === 'sum' ? 'selected' : ''}>Sum of item prices, less a discount</option>
+                        </select>
+                        <input type="number" id="bundleDiscount" class="form-input" min="0" max="99" step="0.1" placeholder="Discount %" value="${product?.bundle?.discountPercent || ''}" style="width: 120px;">
+                    </div>
+                    <div id="bundleComponents" data-bundle-id="${productId || ''}" style="border: 1px solid #444; padding: 15px; border-radius: 4px; min-height: 60px;">
+                        ${(product?.bundle?.components || []).map(component => bundleComponentRow(component, product.id)).join('')}
+                    </div>
+                </div>
+
+                <div class="form-group form-group-full">
+                    <label>Digital Download <small>(Optional - sell a file such as a PDF instead of a shipped item)</small></label>
+                    ${product?.digital ? `
+                        <p style="margin-bottom: 10px;">
+                            Current file: <strong>${product.digital.filename}</strong> (${formatBytes(product.digital.bytes)})
+                            <label style="display: inline; margin-left: 10px;">
+                                <input type="checkbox" id="digitalRemove"> Make this a physical product again
+                            </label>
+                        </p>
+                    ` : ''}
+                    <input type="file" id="digitalFile" class="form-input">
+                    <div style="display: flex; gap: 10px; margin-top: 10px;">
+                        <input type="number" id="digitalDownloadLimit" class="form-input" min="1" max="100" placeholder="Downloads per purchase (default 5)" value="${product?.digital?.downloadLimit || ''}">
+                        <input type="number" id="digitalLinkExpiry" class="form-input" min="1" max="365" placeholder="Link lifetime in days (default 30)" value="${product?.digital?.linkExpiryDays || ''}">
+                    </div>
+                </div>
+
+                <div class="form-group form-group-full">
+                    <label>Subscription <small>(Optional - let customers subscribe and save; renewals are ordered and charged automatically)</small></label>
+                    <div style="display: flex; gap: 10px;">
+                        <select id="subscriptionInterval" class="form-select" style="flex: 1;">
+                            <option value="">Not offered</option>
+                            <option value="week" ${product?.subscription?.interval === 'week' ? 'selected' : ''}>Weekly</option>
+                            <option value="month" ${product?.subscription?.interval === 'month' ? 'selected' : ''}>Monthly</option>
+                        </select>
+                        <input type="number" id="subscriptionIntervalCount" class="form-input" min="1" max="12" placeholder="Every N (default 1)" value="${product?.subscription?.intervalCount || ''}">
+                        <input type="number" id="subscriptionDiscount" class="form-input" min="0" max="99" step="0.1" placeholder="Discount %" value="${product?.subscription?.discountPercent || ''}">
+                        <input type="number" id="subscriptionBillingDay" class="form-input" min="1" max="28" placeholder="Billing day (monthly)" value="${product?.subscription?.billingDay || ''}">
+                    </div>
+                </div>
+
                 <div class="form-group form-group-full admin-only">
                     <label>📦 Base Products (Inventory Tracking) <em style="color: #888;">(Optional)</em></label>
                     <small>Link raw materials/components used to make this product. Leave empty if no inventory tracking is needed.</small>
@@ -677,6 +933,15 @@ async function showProductForm(productId = null) {
 
         initializeImageUpload('product', product?.images || []);
 
+        // Fill in the variant choices of bundle items whose product has variants
+        const bundleContainer = document.getElementById('bundleComponents');
+        bundleContainer.querySelectorAll('.bundle-component').forEach(row => loadBundleVariants(row));
+        bundleContainer.addEventListener('change', (e) => {
+            if (e.target.classList.contains('bundle-product')) {
+                loadBundleVariants(e.target.closest('.bundle-component'));
+            }
+        });
+
         // Attach delete handlers to existing product images
         document.querySelectorAll('#productImageGallery .gallery-item-remove').forEach(btn => {
             btn.addEventListener('click', function() {
@@ -728,10 +993,17 @@ async function saveProduct(productId) {
         const price = parseFloat(document.getElementById('productPrice')?.value || '0');
         const compareAtPrice = document.getElementById('productComparePrice')?.value || '';
         const stockQuantity = parseInt(document.getElementById('productStock')?.value || '0');
+        const lowStockThresholdValue = document.getElementById('productLowStockThreshold')?.value || '';
         const slug = document.getElementById('productSlug')?.value || generateSlug(name);
         const description = document.getElementById('productDescription')?.value || '';
-        const isActive = document.getElementById('productActive')?.checked || false;
+        let isActive = document.getElementById('productActive')?.checked || false;
         const isFeatured = document.getElementById('productFeatured')?.checked || false;
+        const salePriceValue = document.getElementById('productSalePrice')?.value || '';
+        const salePrice = salePriceValue === '' ? null : parseFloat(salePriceValue);
+        const saleStartsAt = fromDateTimeLocal(document.getElementById('productSaleStartsAt')?.value);
+        const saleEndsAt = fromDateTimeLocal(document.getElementById('productSaleEndsAt')?.value);
+        const publishAt = fromDateTimeLocal(document.getElementById('productPublishAt')?.value);
+        const unpublishAt = fromDateTimeLocal(document.getElementById('productUnpublishAt')?.value);
 
         console.log('[DEBUG saveProduct] Form values:', { name, categories, price, stockQuantity });
 
@@ -753,6 +1025,24 @@ async function saveProduct(productId) {
             showNotification('Please enter a valid stock quantity (0 or greater)', 'error');
             return;
         }
+        // Same rules as scheduleFields in functions/services/productSchedule.js
+        if (salePrice !== null && (isNaN(salePrice) || salePrice < 0 || salePrice >= price)) {
+            showNotification('Sale price must be below the price', 'error');
+            return;
+        }
+        if (saleStartsAt && saleEndsAt && saleEndsAt <= saleStartsAt) {
+            showNotification('Sale must end after it starts', 'error');
+            return;
+        }
+        if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+            showNotification('Unpublish time must be after the publish time', 'error');
+            return;
+        }
+
+        // A product scheduled to go live stays hidden until then
+        if (publishAt && publishAt > new Date()) {
+            isActive = false;
+        }
 
         // Get uploaded images
         const imageElements = document.querySelectorAll('#productImageGallery .gallery-item');
@@ -789,16 +1079,50 @@ async function saveProduct(productId) {
             });
 
             return {
-                id: `variant-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                id: row.dataset.variantId || null,
                 sku,
                 price: variantPrice,
                 stock: variantStock,
-                attributes,
-                images: [], // Can add variant-specific images later
-                isActive: true
+                attributes
             };
         });
 
+        // Collect bundle contents; clearing every row turns a bundle back into a plain product
+        const bundleRows = document.querySelectorAll('.bundle-component');
+        const existingProduct = productId ? state.products.find(p => p.id === productId) : null;
+        let bundle;
+        if (bundleRows.length > 0) {
+            bundle = {
+                pricing: document.getElementById('bundlePricing').value,
+                discountPercent: parseFloat(document.getElementById('bundleDiscount').value) || 0,
+                components: Array.from(bundleRows).map(row => ({
+                    productId: row.querySelector('.bundle-product').value,
+                    variantId: row.querySelector('.bundle-variant').value || null,
+                    quantity: parseInt(row.querySelector('.bundle-quantity').value) || 1
+                }))
+            };
+            if (bundle.components.some(component => !component.productId)) {
+                showNotification('Choose a product for every bundle item', 'error');
+                return;
+            }
+        } else if (existingProduct?.type === 'bundle') {
+            bundle = null;
+        }
+
+        // Subscription offer; choosing "Not offered" on an existing offer removes it
+        const subscriptionInterval = document.getElementById('subscriptionInterval').value;
+        let subscription;
+        if (subscriptionInterval) {
+            subscription = {
+                interval: subscriptionInterval,
+                intervalCount: parseInt(document.getElementById('subscriptionIntervalCount').value) || 1,
+                discountPercent: parseFloat(document.getElementById('subscriptionDiscount').value) || 0,
+                billingDay: parseInt(document.getElementById('subscriptionBillingDay').value) || null
+            };
+        } else if (existingProduct?.subscription) {
+            subscription = null;
+        }
+
         // Get base products data from the base products module
         let baseProducts = null;
         if (typeof window.getSelectedBaseProducts === 'function') {
@@ -812,25 +1136,50 @@ async function saveProduct(productId) {
             description,
             price,
             compareAtPrice: compareAtPrice ? parseFloat(compareAtPrice) : null,
+            salePrice,
+            saleStartsAt,
+            saleEndsAt,
+            publishAt,
+            unpublishAt,
             stockQuantity,
+            lowStockThreshold: lowStockThresholdValue === '' ? null : parseInt(lowStockThresholdValue),
             imageUrl,
             images,
             isActive,
             isFeatured,
-            hasVariants: variants.length > 0,
-            variants: variants,
             baseProducts: baseProducts, // null if no inventory tracking, array if tracking
             updatedAt: serverTimestamp()
         };
 
         if (productId) {
+            // Stock goes through the API so the change is recorded in the inventory ledger.
+            // Variant, bundle and digital products hold no stock of their own.
+            const existing = existingProduct;
+            const ownStock = variants.length === 0 && !bundle
+                && !(existing && (existing.hasVariants || existing.type === 'bundle' || existing.type === 'digital'));
+            delete productData.stockQuantity;
+            if (ownStock && (!existing || (existing.stockQuantity || 0) !== stockQuantity)) {
+                await apiRequest(`/products/${productId}/stock`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ stockQuantity, reason: 'Edited in admin' })
+                });
+            }
+
             // Update existing product
             await updateDoc(doc(db, 'products', productId), productData);
+            await syncVariants(productId, variants);
+            await saveBundle(productId, bundle);
+            await saveDigital(productId, Boolean(existingProduct?.digital));
+            await saveSubscriptionOffer(productId, subscription);
             showNotification('Product updated successfully', 'success');
         } else {
             // Create new product
             productData.createdAt = serverTimestamp();
-            await addDoc(collection(db, 'products'), productData);
+            const productRef = await addDoc(collection(db, 'products'), productData);
+            await syncVariants(productRef.id, variants);
+            await saveBundle(productRef.id, bundle);
+            await saveDigital(productRef.id, false);
+            await saveSubscriptionOffer(productRef.id, subscription);
             showNotification('Product created successfully', 'success');
         }
 
@@ -1376,7 +1725,9 @@ async function loadOrders() {
 
 function renderOrdersTable() {
     const filteredOrders = state.orders.filter(order => {
-        const matchesStatus = state.filters.orders.status === 'all' || order.status === state.filters.orders.status;
+        const matchesStatus = state.filters.orders.status === 'all' ||
+                             order.status === state.filters.orders.status ||
+                             (state.filters.orders.status === 'refund_required' && order.refundRequired);
         const matchesSearch = !state.filters.orders.search ||
                              order.orderNumber.toLowerCase().includes(state.filters.orders.search.toLowerCase()) ||
                              order.customerEmail.toLowerCase().includes(state.filters.orders.search.toLowerCase());
@@ -1395,6 +1746,7 @@ function renderOrdersTable() {
                         <option value="shipped">Shipped</option>
                         <option value="delivered">Delivered</option>
                         <option value="cancelled">Cancelled</option>
+                        <option value="refund_required">Needs Refund</option>
                     </select>
                 </div>
             </div>
@@ -1435,6 +1787,9 @@ function renderOrdersTable() {
                                 <span class="table-badge badge-${order.paymentStatus === 'paid' ? 'active' : 'pending'}">
                                     ${order.paymentStatus}
                                 </span>
+                                ${order.refundRequired ? `
+                                    <span class="table-badge badge-cancelled" title="${order.refundRequiredReason || ''}">needs refund</span>
+                                ` : ''}
                             </td>
                             <td class="table-actions-cell">
                                 <button class="btn btn-icon btn-secondary"
@@ -1464,6 +1819,22 @@ function renderOrdersTable() {
     });
 }
 
+// Mirrors ORDER_TRANSITIONS in functions/services/orderStatus.js
+const ORDER_TRANSITIONS = {
+    pending: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Mirrors DIGITAL_TRANSITIONS: digital-only orders have nothing to ship
+const DIGITAL_TRANSITIONS = {
+    pending: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: []
+};
+
 function viewOrder(orderId) {
     const order = state.orders.find(o => o.id === orderId);
     if (!order) return;
@@ -1488,11 +1859,9 @@ function viewOrder(orderId) {
                 <div class="form-group">
                     <label>Order Status</label>
                     <select id="orderStatus" class="w-full">
-                        <option value="pending" ${order.status === 'pending' ? 'selected' : ''}>Pending</option>
-                        <option value="processing" ${order.status === 'processing' ? 'selected' : ''}>Processing</option>
-                        <option value="shipped" ${order.status === 'shipped' ? 'selected' : ''}>Shipped</option>
-                        <option value="delivered" ${order.status === 'delivered' ? 'selected' : ''}>Delivered</option>
-                        <option value="cancelled" ${order.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
+                        ${[order.status, ...((order.digitalOnly ? DIGITAL_TRANSITIONS : ORDER_TRANSITIONS)[order.status] || [])].map(status => `
+                            <option value="${status}" ${order.status === status ? 'selected' : ''}>${capitalize(status)}</option>
+                        `).join('')}
                     </select>
                 </div>
 
@@ -1500,19 +1869,32 @@ function viewOrder(orderId) {
                     <label>Payment Status</label>
                     <select id="orderPaymentStatus" class="w-full">
                         <option value="pending" ${order.paymentStatus === 'pending' ? 'selected' : ''}>Pending</option>
+                        <option value="authorized" ${order.paymentStatus === 'authorized' ? 'selected' : ''}>Authorized</option>
                         <option value="paid" ${order.paymentStatus === 'paid' ? 'selected' : ''}>Paid</option>
                         <option value="failed" ${order.paymentStatus === 'failed' ? 'selected' : ''}>Failed</option>
+                        <option value="partially_refunded" ${order.paymentStatus === 'partially_refunded' ? 'selected' : ''}>Partially Refunded</option>
                         <option value="refunded" ${order.paymentStatus === 'refunded' ? 'selected' : ''}>Refunded</option>
                     </select>
                 </div>
 
+                ${order.refundRequired ? `
+                    <div class="form-group form-group-full">
+                        <label>Needs Refund</label>
+                        <p>${order.refundRequiredReason || 'Payment received for a cancelled order'}. No stock was taken; refund the payment.</p>
+                    </div>
+                ` : ''}
+
                 <div class="form-group form-group-full">
                     <label>Shipping Address</label>
-                    <p>
-                        ${order.shippingAddress?.street || ''}<br>
-                        ${order.shippingAddress?.city || ''}, ${order.shippingAddress?.state || ''} ${order.shippingAddress?.zip || ''}<br>
-                        ${order.shippingAddress?.country || ''}
-                    </p>
+                    ${order.digitalOnly ? `
+                        <p>Digital order - nothing to ship. Download links are issued once it is paid.</p>
+                    ` : `
+                        <p>
+                            ${order.shippingAddress?.street || ''}<br>
+                            ${order.shippingAddress?.city || ''}, ${order.shippingAddress?.state || ''} ${order.shippingAddress?.zip || ''}<br>
+                            ${order.shippingAddress?.country || ''}
+                        </p>
+                    `}
                 </div>
 
                 <div class="form-group form-group-full">
@@ -1553,14 +1935,34 @@ function viewOrder(orderId) {
                                 <td colspan="3"><strong>Total</strong></td>
                                 <td><strong>$${order.total?.toFixed(2)}</strong></td>
                             </tr>
+                            ${order.storeCreditApplied > 0 ? `
+                                <tr>
+                                    <td colspan="3">Paid with store credit${order.storeCreditReturned ? ' (returned)' : ''}</td>
+                                    <td>-$${order.storeCreditApplied.toFixed(2)}</td>
+                                </tr>
+                                <tr>
+                                    <td colspan="3">Charged to payment</td>
+                                    <td>$${order.amountDue?.toFixed(2)}</td>
+                                </tr>
+                            ` : ''}
                         </tfoot>
                     </table>
                 </div>
 
+                <div class="form-group form-group-full">
+                    <label>Status Change Note</label>
+                    <input type="text" id="orderStatusNote" placeholder="Optional, recorded in the timeline">
+                </div>
+
                 <div class="form-group form-group-full">
                     <label>Order Notes</label>
                     <textarea id="orderNotes" rows="3">${order.notes || ''}</textarea>
                 </div>
+
+                <div class="form-group form-group-full">
+                    <label>Status Timeline</label>
+                    ${renderStatusTimeline(order.statusHistory)}
+                </div>
             </div>
         </div>
         <div class="modal-footer">
@@ -1574,15 +1976,47 @@ function viewOrder(orderId) {
     showModal(modalHTML);
 }
 
+function renderStatusTimeline(history = []) {
+    if (history.length === 0) {
+        return '<p>No status changes recorded</p>';
+    }
+
+    const toDate = (value) => value?.toDate ? value.toDate() : new Date(value);
+
+    return `
+        <ul class="status-timeline">
+            ${[...history].sort((a, b) => toDate(a.at) - toDate(b.at)).map(entry => `
+                <li>
+                    <span class="table-badge badge-${entry.status}">${entry.status}</span>
+                    <small>${toDate(entry.at).toLocaleString()} · ${entry.actor}</small>
+                    ${entry.note ? `<div><small>${entry.note}</small></div>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
 async function updateOrder(orderId) {
     try {
+        const order = state.orders.find(o => o.id === orderId);
         const status = document.getElementById('orderStatus').value;
         const paymentStatus = document.getElementById('orderPaymentStatus').value;
+        const note = document.getElementById('orderStatusNote').value.trim();
         const notes = document.getElementById('orderNotes').value;
 
+        // Status changes go through the API so transitions, history and stock stay consistent
+        if (status !== order.status || paymentStatus !== order.paymentStatus) {
+            await apiRequest(`/orders/${orderId}/status`, {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    status,
+                    paymentStatus,
+                    ...(note && { note })
+                })
+            });
+        }
+
         await updateDoc(doc(db, 'orders', orderId), {
-            status,
-            paymentStatus,
             notes,
             updatedAt: serverTimestamp()
         });
@@ -1593,57 +2027,893 @@ async function updateOrder(orderId) {
 
     } catch (error) {
         console.error('Error updating order:', error);
-        showNotification('Failed to update order', 'error');
+        showNotification(`Failed to update order: ${error.message}`, 'error');
     }
 }
 
 // ===========================
-// MEDIA LIBRARY
+// RETURNS MANAGEMENT
 // ===========================
 
-async function loadMedia() {
-    // Placeholder - media library functionality
-    const mediaHTML = `
+const RETURN_BADGES = {
+    requested: 'pending',
+    approved: 'processing',
+    received: 'shipped',
+    inspected: 'processing',
+    completed: 'delivered',
+    rejected: 'cancelled',
+    cancelled: 'cancelled'
+};
+
+async function loadReturns() {
+    try {
+        const q = query(collection(db, 'returns'), orderBy('createdAt', 'desc'));
+        const snapshot = await getDocs(q);
+
+        state.returns = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        renderReturnsTable();
+    } catch (error) {
+        console.error('Error loading returns:', error);
+        throw error;
+    }
+}
+
+function renderReturnsTable() {
+    const search = state.filters.returns.search.toLowerCase();
+    const filteredReturns = state.returns.filter(ret => {
+        const matchesStatus = state.filters.returns.status === 'all' || ret.status === state.filters.returns.status;
+        const matchesSearch = !search ||
+                             ret.rmaNumber.toLowerCase().includes(search) ||
+                             ret.orderNumber?.toLowerCase().includes(search) ||
+                             ret.customerEmail?.toLowerCase().includes(search);
+        return matchesStatus && matchesSearch;
+    });
+
+    const tableHTML = `
         <div class="table-container">
             <div class="table-header">
-                <h3>Media Library</h3>
-                <div class="table-actions">
-                    <button class="btn btn-primary" onclick="alert('Upload media - Coming soon!')">
-                        Upload Images
-                    </button>
+                <div class="table-search">
+                    <input type="text" placeholder="Search returns..." id="returnSearch" value="${state.filters.returns.search}">
+                    <select id="returnStatusFilter">
+                        <option value="all">All Returns</option>
+                        ${Object.keys(RETURN_BADGES).map(status => `
+                            <option value="${status}" ${state.filters.returns.status === status ? 'selected' : ''}>${capitalize(status)}</option>
+                        `).join('')}
+                    </select>
                 </div>
             </div>
-            <div class="empty-state" style="padding: 4rem;">
-                <div class="empty-state-icon">🖼️</div>
-                <div class="empty-state-text">Media library coming soon</div>
-                <p style="color: var(--text-muted); margin-top: 1rem;">
-                    For now, upload images directly when creating products or blog posts.
-                </p>
-            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>RMA #</th>
+                        <th>Order #</th>
+                        <th>Customer</th>
+                        <th>Date</th>
+                        <th>Items</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${filteredReturns.length === 0 ? `
+                        <tr>
+                            <td colspan="7">
+                                <div class="empty-state">
+                                    <div class="empty-state-icon">↩️</div>
+                                    <div class="empty-state-text">No returns found</div>
+                                </div>
+                            </td>
+                        </tr>
+                    ` : filteredReturns.map(ret => `
+                        <tr>
+                            <td><strong>${ret.rmaNumber}</strong></td>
+                            <td>${ret.orderNumber}</td>
+                            <td>${ret.customerEmail}</td>
+                            <td>${new Date(ret.createdAt?.toDate()).toLocaleDateString()}</td>
+                            <td>${(ret.items || []).reduce((sum, item) => sum + item.quantity, 0)}</td>
+                            <td>
+                                <span class="table-badge badge-${RETURN_BADGES[ret.status] || 'pending'}">
+                                    ${ret.status}
+                                </span>
+                            </td>
+                            <td class="table-actions-cell">
+                                <button class="btn btn-icon btn-secondary"
+                                        onclick="window.adminApp.viewReturn('${ret.id}')"
+                                        title="View Details">
+                                    👁️
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         </div>
     `;
 
-    document.getElementById('mediaGrid').innerHTML = mediaHTML;
+    document.getElementById('returnsTable').innerHTML = tableHTML;
+
+    // Event listeners
+    document.getElementById('returnSearch')?.addEventListener('input', (e) => {
+        state.filters.returns.search = e.target.value;
+        renderReturnsTable();
+    });
+
+    document.getElementById('returnStatusFilter')?.addEventListener('change', (e) => {
+        state.filters.returns.status = e.target.value;
+        renderReturnsTable();
+    });
 }
 
-// ===========================
-// IMAGE UPLOAD UTILITIES
-// ===========================
+function viewReturn(returnId) {
+    const ret = state.returns.find(r => r.id === returnId);
+    if (!ret) return;
+
+    const actions = {
+        requested: `
+            <button class="btn btn-danger" onclick="window.adminApp.updateReturnStatus('${returnId}', 'rejected')">Reject</button>
+            <button class="btn btn-primary" onclick="window.adminApp.updateReturnStatus('${returnId}', 'approved')">Approve</button>
+        `,
+        approved: `
+            <button class="btn btn-info" onclick="window.adminApp.issueReturnLabel('${returnId}')">Save Label</button>
+            <button class="btn btn-primary" onclick="window.adminApp.updateReturnStatus('${returnId}', 'received')">Mark Received</button>
+        `,
+        received: `
+            <button class="btn btn-primary" onclick="window.adminApp.updateReturnStatus('${returnId}', 'inspected')">Save Inspection</button>
+        `,
+        inspected: `
+            <button class="btn btn-danger" onclick="window.adminApp.updateReturnStatus('${returnId}', 'rejected')">Reject</button>
+            <button class="btn btn-primary" onclick="window.adminApp.updateReturnStatus('${returnId}', 'completed')">Complete Return</button>
+        `
+    };
 
-function initializeImageUpload(type, existingImages = []) {
-    console.log(`[DEBUG] Initializing ${type} image upload...`);
+    const modalHTML = `
+        <div class="modal-header">
+            <h2>Return ${ret.rmaNumber}</h2>
+            <button class="modal-close" onclick="window.adminApp.closeModal()">&times;</button>
+        </div>
+        <div class="modal-body">
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Order</label>
+                    <p><strong>${ret.orderNumber}</strong><br>${ret.customerEmail}</p>
+                </div>
 
-    const uploadZone = document.getElementById(`${type}ImageUpload`);
-    const fileInput = document.getElementById(`${type}ImageInput`);
-    const gallery = document.getElementById(`${type}ImageGallery`);
-    const progressContainer = document.getElementById(`${type}UploadProgress`);
+                <div class="form-group">
+                    <label>Status</label>
+                    <p><span class="table-badge badge-${RETURN_BADGES[ret.status] || 'pending'}">${ret.status}</span></p>
+                </div>
 
-    console.log(`[DEBUG] Elements found:`, {
-        uploadZone: !!uploadZone,
-        fileInput: !!fileInput,
-        gallery: !!gallery,
-        progressContainer: !!progressContainer
-    });
+                <div class="form-group form-group-full">
+                    <label>Reason</label>
+                    <p>${ret.reason}${ret.notes ? `<br><small>${ret.notes}</small>` : ''}</p>
+                </div>
+
+                <div class="form-group form-group-full">
+                    <label>Items</label>
+                    <table class="w-full">
+                        <thead>
+                            <tr>
+                                <th>Product</th>
+                                <th>Qty</th>
+                                <th>Reason</th>
+                                <th>Condition</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${(ret.items || []).map((item, index) => `
+                                <tr>
+                                    <td>${item.productName || item.productId}</td>
+                                    <td>${item.quantity}</td>
+                                    <td>${item.reason || ''}</td>
+                                    <td>
+                                        ${ret.status === 'received' ? `
+                                            <select id="returnCondition${index}">
+                                                <option value="resellable">Resellable</option>
+                                                <option value="damaged">Damaged</option>
+                                                <option value="missing">Missing</option>
+                                            </select>
+                                        ` : (item.condition || '—')}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                ${ret.status === 'approved' ? `
+                    <div class="form-group">
+                        <label>Return Label Reference</label>
+                        <input type="text" id="returnLabelReference" value="${ret.labelReference || ''}">
+                    </div>
+                    <div class="form-group">
+                        <label>Carrier</label>
+                        <input type="text" id="returnCarrier" value="${ret.carrier || ''}">
+                    </div>
+                ` : ret.labelReference ? `
+                    <div class="form-group form-group-full">
+                        <label>Return Label</label>
+                        <p>${ret.labelReference}${ret.carrier ? ` (${ret.carrier})` : ''}</p>
+                    </div>
+                ` : ''}
+
+                ${ret.status === 'inspected' ? `
+                    <div class="form-group">
+                        <label>Resolution</label>
+                        <select id="returnResolution" class="w-full">
+                            <option value="refund">Refund to original payment</option>
+                            <option value="store_credit">Store credit</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="returnRestock" checked>
+                            Restock resellable items
+                        </label>
+                        <label>
+                            <input type="checkbox" id="returnRefundShipping">
+                            Refund shipping
+                        </label>
+                    </div>
+                ` : ''}
+
+                ${ret.resolution ? `
+                    <div class="form-group form-group-full">
+                        <label>Resolution</label>
+                        <p>${ret.resolution === 'store_credit' ? 'Store credit' : 'Refund'} of $${ret.refundAmount?.toFixed(2)}</p>
+                    </div>
+                ` : ''}
+
+                ${actions[ret.status] ? `
+                    <div class="form-group form-group-full">
+                        <label>Note</label>
+                        <textarea id="returnNote" rows="2"></textarea>
+                    </div>
+                ` : ''}
+
+                <div class="form-group form-group-full">
+                    <label>History</label>
+                    ${(ret.statusHistory || []).map(entry => `
+                        <p>
+                            <strong>${entry.status}</strong>
+                            — ${new Date(entry.at?.toDate ? entry.at.toDate() : entry.at).toLocaleString()}
+                            by ${entry.actor}${entry.note ? `<br><small>${entry.note}</small>` : ''}
+                        </p>
+                    `).join('')}
+                </div>
+            </div>
+        </div>
+        <div class="modal-footer">
+            <button class="btn btn-secondary" onclick="window.adminApp.closeModal()">Close</button>
+            ${actions[ret.status] || ''}
+        </div>
+    `;
+
+    showModal(modalHTML);
+}
+
+async function updateReturnStatus(returnId, status) {
+    const ret = state.returns.find(r => r.id === returnId);
+    if (!ret) return;
+
+    const payload = {
+        status,
+        note: document.getElementById('returnNote')?.value.trim() || undefined
+    };
+
+    if (status === 'inspected') {
+        payload.items = ret.items.map((item, index) => ({
+            productId: item.productId,
+            variantId: item.variantId,
+            condition: document.getElementById(`returnCondition${index}`).value
+        }));
+    }
+
+    if (status === 'completed') {
+        payload.resolution = document.getElementById('returnResolution').value;
+        payload.restock = document.getElementById('returnRestock').checked;
+        payload.refundShipping = document.getElementById('returnRefundShipping').checked;
+    }
+
+    try {
+        showLoading();
+        await apiRequest(`/returns/${returnId}/status`, {
+            method: 'PATCH',
+            body: JSON.stringify(payload)
+        });
+        hideLoading();
+
+        showNotification(`Return ${status}`, 'success');
+        closeModal();
+        await loadReturns();
+    } catch (error) {
+        hideLoading();
+        console.error('Error updating return:', error);
+        showNotification(`Failed to update return: ${error.message}`, 'error');
+    }
+}
+
+async function issueReturnLabel(returnId) {
+    const labelReference = document.getElementById('returnLabelReference').value.trim();
+    const carrier = document.getElementById('returnCarrier').value.trim();
+
+    if (!labelReference) {
+        showNotification('Enter a label reference', 'error');
+        return;
+    }
+
+    try {
+        await apiRequest(`/returns/${returnId}/label`, {
+            method: 'PATCH',
+            body: JSON.stringify({ labelReference, carrier })
+        });
+
+        showNotification('Return label saved', 'success');
+        await loadReturns();
+        viewReturn(returnId);
+    } catch (error) {
+        console.error('Error issuing return label:', error);
+        showNotification(`Failed to save label: ${error.message}`, 'error');
+    }
+}
+
+// ===========================
+// SUBSCRIPTIONS MANAGEMENT
+// ===========================
+
+const SUBSCRIPTION_BADGES = {
+    active: 'active',
+    paused: 'pending',
+    past_due: 'processing',
+    cancelled: 'cancelled'
+};
+
+async function loadSubscriptions(append = false) {
+    try {
+        const { status } = state.filters.subscriptions;
+        const params = new URLSearchParams({ limit: 50 });
+        if (status !== 'all') params.set('status', status);
+        if (append && state.subscriptionsCursor) params.set('cursor', state.subscriptionsCursor);
+
+        const { subscriptions, nextCursor } = await apiRequest(`/subscriptions/admin/all?${params}`);
+
+        state.subscriptions = append ? [...state.subscriptions, ...subscriptions] : subscriptions;
+        state.subscriptionsCursor = nextCursor;
+
+        renderSubscriptionsTable();
+    } catch (error) {
+        console.error('Error loading subscriptions:', error);
+        throw error;
+    }
+}
+
+async function loadMoreSubscriptions() {
+    try {
+        await loadSubscriptions(true);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function formatSchedule(subscription) {
+    const every = subscription.intervalCount > 1 ? `Every ${subscription.intervalCount} ${subscription.interval}s` : `${capitalize(subscription.interval)}ly`;
+    return subscription.billingDay ? `${every} on day ${subscription.billingDay}` : every;
+}
+
+function renderSubscriptionsTable() {
+    const search = state.filters.subscriptions.search.toLowerCase();
+    const filteredSubscriptions = state.subscriptions.filter(sub => !search ||
+        sub.customerEmail?.toLowerCase().includes(search) ||
+        sub.productName?.toLowerCase().includes(search));
+
+    const tableHTML = `
+        <div class="table-container">
+            <div class="table-header">
+                <div class="table-search">
+                    <input type="text" placeholder="Search by email or product..." id="subscriptionSearch" value="${state.filters.subscriptions.search}">
+                    <select id="subscriptionStatusFilter">
+                        <option value="all">All Subscriptions</option>
+                        ${Object.keys(SUBSCRIPTION_BADGES).map(status => `
+                            <option value="${status}" ${state.filters.subscriptions.status === status ? 'selected' : ''}>${capitalize(status.replace('_', ' '))}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Customer</th>
+                        <th>Product</th>
+                        <th>Schedule</th>
+                        <th>Next Renewal</th>
+                        <th>Renewals</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${filteredSubscriptions.length === 0 ? `
+                        <tr>
+                            <td colspan="7">
+                                <div class="empty-state">
+                                    <div class="empty-state-icon">🔁</div>
+                                    <div class="empty-state-text">No subscriptions found</div>
+                                </div>
+                            </td>
+                        </tr>
+                    ` : filteredSubscriptions.map(sub => `
+                        <tr>
+                            <td>${sub.customerName || ''}<br><small>${sub.customerEmail}</small></td>
+                            <td>${sub.productName} × ${sub.quantity}${sub.discountPercent ? `<br><small>${sub.discountPercent}% off</small>` : ''}</td>
+                            <td>${formatSchedule(sub)}</td>
+                            <td>${sub.nextChargeAt ? apiDate(sub.nextChargeAt).toLocaleDateString() : '—'}</td>
+                            <td>${sub.renewals || 0}</td>
+                            <td>
+                                <span class="table-badge badge-${SUBSCRIPTION_BADGES[sub.status] || 'pending'}">
+                                    ${sub.status.replace('_', ' ')}
+                                </span>
+                            </td>
+                            <td class="table-actions-cell">
+                                <button class="btn btn-icon btn-secondary"
+                                        onclick="window.adminApp.viewSubscription('${sub.id}')"
+                                        title="View Details">
+                                    👁️
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${state.subscriptionsCursor ? `
+                <div class="text-center" style="margin-top: 1.5rem;">
+                    <button class="btn btn-secondary" onclick="window.adminApp.loadMoreSubscriptions()">Load More</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+
+    document.getElementById('subscriptionsTable').innerHTML = tableHTML;
+
+    // Event listeners
+    document.getElementById('subscriptionSearch')?.addEventListener('input', (e) => {
+        state.filters.subscriptions.search = e.target.value;
+        renderSubscriptionsTable();
+    });
+
+    // Status filters on the server
+    document.getElementById('subscriptionStatusFilter')?.addEventListener('change', async (e) => {
+        state.filters.subscriptions.status = e.target.value;
+        try {
+            await loadSubscriptions();
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+}
+
+async function viewSubscription(subscriptionId) {
+    let details;
+    try {
+        showLoading();
+        details = await apiRequest(`/subscriptions/${subscriptionId}`);
+    } catch (error) {
+        showNotification(`Failed to load subscription: ${error.message}`, 'error');
+        return;
+    } finally {
+        hideLoading();
+    }
+
+    const { subscription: sub, orders } = details;
+    const address = sub.shippingAddress;
+    const open = sub.status !== 'cancelled';
+
+    const modalHTML = `
+        <div class="modal-header">
+            <h2>${sub.productName} subscription</h2>
+            <button class="modal-close" onclick="window.adminApp.closeModal()">&times;</button>
+        </div>
+        <div class="modal-body">
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Customer</label>
+                    <p><strong>${sub.customerName || ''}</strong><br>${sub.customerEmail}</p>
+                </div>
+
+                <div class="form-group">
+                    <label>Status</label>
+                    <p>
+                        <span class="table-badge badge-${SUBSCRIPTION_BADGES[sub.status] || 'pending'}">${sub.status.replace('_', ' ')}</span>
+                        ${sub.pausedUntil ? `<br><small>Until ${apiDate(sub.pausedUntil).toLocaleDateString()}</small>` : ''}
+                        ${sub.cancellationReason ? `<br><small>${sub.cancellationReason}</small>` : ''}
+                    </p>
+                </div>
+
+                <div class="form-group">
+                    <label>Plan</label>
+                    <p>${sub.productName} × ${sub.quantity}<br><small>${formatSchedule(sub)}${sub.discountPercent ? `, ${sub.discountPercent}% off` : ''}</small></p>
+                </div>
+
+                <div class="form-group">
+                    <label>Next Renewal</label>
+                    <p>
+                        ${sub.status === 'past_due' && sub.nextChargeAt
+                            ? `Retrying ${apiDate(sub.nextChargeAt).toLocaleDateString()}<br><small>Attempt ${sub.failedAttempts + 1}</small>`
+                            : sub.nextChargeAt ? apiDate(sub.nextRenewalAt).toLocaleDateString() : '—'}
+                    </p>
+                </div>
+
+                <div class="form-group">
+                    <label>Ship To</label>
+                    <p>${address ? `${address.line1 || address.street || ''}<br>${address.city || ''} ${address.state || ''} ${address.zip || address.postalCode || ''}<br>${address.country || ''}` : '<small>Nothing to ship</small>'}</p>
+                </div>
+
+                <div class="form-group">
+                    <label>Payment</label>
+                    <p>${sub.paymentMethod ? `${sub.paymentMethod.brand} ending ${sub.paymentMethod.last4}` : '—'}</p>
+                </div>
+
+                ${sub.lastFailure ? `
+                    <div class="form-group form-group-full">
+                        <label>Last Failure</label>
+                        <p>${sub.lastFailure.message}<br><small>${apiDate(sub.lastFailure.at).toLocaleString()}</small></p>
+                    </div>
+                ` : ''}
+
+                <div class="form-group form-group-full">
+                    <label>Orders</label>
+                    <table class="w-full">
+                        <thead>
+                            <tr>
+                                <th>Order #</th>
+                                <th>Date</th>
+                                <th>Total</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${orders.map(order => `
+                                <tr>
+                                    <td>${order.orderNumber}</td>
+                                    <td>${apiDate(order.createdAt).toLocaleDateString()}</td>
+                                    <td>$${order.total?.toFixed(2)}</td>
+                                    <td>${order.status} / ${order.paymentStatus}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="form-group form-group-full">
+                    <label>History</label>
+                    ${(sub.history || []).slice().reverse().map(entry => `
+                        <p>
+                            <strong>${entry.action.replace(/_/g, ' ')}</strong>
+                            — ${apiDate(entry.at).toLocaleString()}
+                            by ${entry.actor}${entry.note ? `<br><small>${entry.note}</small>` : ''}
+                        </p>
+                    `).join('')}
+                </div>
+            </div>
+        </div>
+        <div class="modal-footer">
+            <button class="btn btn-secondary" onclick="window.adminApp.closeModal()">Close</button>
+            ${open ? `
+                <button class="btn btn-danger" onclick="window.adminApp.updateSubscription('${sub.id}', 'cancel')">Cancel</button>
+                ${sub.status === 'active' ? `
+                    <button class="btn btn-secondary" onclick="window.adminApp.updateSubscription('${sub.id}', 'skip')">Skip Next</button>
+                    <button class="btn btn-secondary" onclick="window.adminApp.updateSubscription('${sub.id}', 'pause')">Pause</button>
+                ` : ''}
+                ${sub.status === 'paused' ? `
+                    <button class="btn btn-secondary" onclick="window.adminApp.updateSubscription('${sub.id}', 'resume')">Resume</button>
+                ` : ''}
+                <button class="btn btn-primary" onclick="window.adminApp.updateSubscription('${sub.id}', 'renew')">Renew Now</button>
+            ` : ''}
+        </div>
+    `;
+
+    showModal(modalHTML);
+}
+
+async function updateSubscription(subscriptionId, action) {
+    const body = {};
+
+    if (action === 'cancel') {
+        const reason = prompt('Reason for cancelling (sent to the history):');
+        if (reason === null) return;
+        body.reason = reason.trim() || 'Cancelled by the store';
+    }
+
+    if (action === 'renew' && !confirm('Place and charge a renewal order now?')) return;
+
+    try {
+        showLoading();
+        const result = await apiRequest(`/subscriptions/${subscriptionId}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        hideLoading();
+
+        showNotification(result.message, action === 'renew' && result.outcome !== 'renewed' ? 'error' : 'success');
+        await loadSubscriptions();
+        await viewSubscription(subscriptionId);
+    } catch (error) {
+        hideLoading();
+        console.error('Error updating subscription:', error);
+        showNotification(`Failed to update subscription: ${error.message}`, 'error');
+    }
+}
+
+// ===========================
+// MEDIA LIBRARY
+// ===========================
+
+const MEDIA_PURPOSE_LABELS = {
+    product: 'Products',
+    category: 'Categories',
+    blog: 'Blog',
+    review: 'Reviews'
+};
+
+async function loadMedia(append = false) {
+    try {
+        const { purpose, search, unused } = state.filters.media;
+        const params = new URLSearchParams({ limit: 60 });
+        if (purpose !== 'all') params.set('purpose', purpose);
+        if (search) params.set('q', search);
+        if (unused) params.set('unused', 'true');
+        if (append && state.mediaCursor) params.set('cursor', state.mediaCursor);
+
+        const [{ media, nextCursor }, { report }] = await Promise.all([
+            apiRequest(`/media?${params}`),
+            apiRequest('/media/orphans')
+        ]);
+
+        state.media = append ? [...state.media, ...media] : media;
+        state.mediaCursor = nextCursor;
+
+        renderMediaLibrary(report);
+    } catch (error) {
+        console.error('Error loading media:', error);
+        throw error;
+    }
+}
+
+function renderMediaLibrary(report) {
+    const filters = state.filters.media;
+
+    const mediaHTML = `
+        <div class="table-container">
+            <div class="table-header">
+                <div class="table-search">
+                    <input type="text" placeholder="Search filename, alt text or tags..." id="mediaSearch" value="${filters.search}">
+                    <select id="mediaPurposeFilter">
+                        <option value="all">All Images</option>
+                        ${Object.entries(MEDIA_PURPOSE_LABELS).map(([purpose, label]) => `
+                            <option value="${purpose}" ${filters.purpose === purpose ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                    <label class="media-unused-filter">
+                        <input type="checkbox" id="mediaUnusedFilter" ${filters.unused ? 'checked' : ''}> Unused only
+                    </label>
+                </div>
+                <div class="table-actions">
+                    <button class="btn btn-secondary" onclick="window.adminApp.scanOrphanedMedia()">Scan Storage</button>
+                    <button class="btn btn-primary" onclick="document.getElementById('mediaLibraryInput').click()">
+                        Upload Images
+                    </button>
+                    <input type="file" id="mediaLibraryInput" accept="image/jpeg,image/png,image/webp,image/gif" multiple hidden>
+                </div>
+            </div>
+            <p class="media-orphan-summary">
+                ${report
+                    ? `Last Storage scan ${new Date(report.scannedAt).toLocaleString()}:
+                       ${report.orphans} of ${report.files} files orphaned (${formatBytes(report.orphanBytes)})${report.purged ? ', deleted' : ''}`
+                    : 'Storage has not been scanned for orphaned files yet'}
+            </p>
+            ${state.media.length === 0 ? `
+                <div class="empty-state" style="padding: 4rem;">
+                    <div class="empty-state-icon">🖼️</div>
+                    <div class="empty-state-text">No images found</div>
+                </div>
+            ` : `
+                <div class="image-gallery media-library">
+                    ${state.media.map(item => `
+                        <div class="media-card">
+                            <div class="gallery-item">
+                                <img src="${item.variants.find(variant => variant.format === 'webp')?.url || item.src}" alt="${item.alt || ''}" loading="lazy">
+                                <span class="gallery-item-badge">${(item.usage || []).length > 0 ? `Used ${item.usage.length}×` : 'Unused'}</span>
+                            </div>
+                            <div class="media-card-info">
+                                <strong title="${item.filename || item.id}">${item.filename || item.id}</strong>
+                                <small>${item.width}×${item.height} · ${formatBytes(item.bytes)}</small>
+                                <small>${(item.tags || []).map(tag => `#${tag}`).join(' ')}</small>
+                            </div>
+                            <div class="table-actions-cell">
+                                <button class="btn btn-icon btn-secondary" onclick="window.adminApp.editMedia('${item.id}')" title="Edit">✏️</button>
+                                <button class="btn btn-icon btn-danger" onclick="window.adminApp.deleteMedia('${item.id}')" title="Delete">🗑️</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                ${state.mediaCursor ? `
+                    <div class="text-center" style="margin-top: 1.5rem;">
+                        <button class="btn btn-secondary" onclick="window.adminApp.loadMoreMedia()">Load More</button>
+                    </div>
+                ` : ''}
+            `}
+        </div>
+    `;
+
+    document.getElementById('mediaGrid').innerHTML = mediaHTML;
+
+    // Searches run on the server, so wait for Enter or blur rather than every keystroke
+    document.getElementById('mediaSearch')?.addEventListener('change', (e) => {
+        state.filters.media.search = e.target.value.trim();
+        loadMedia();
+    });
+
+    document.getElementById('mediaPurposeFilter')?.addEventListener('change', (e) => {
+        state.filters.media.purpose = e.target.value;
+        loadMedia();
+    });
+
+    document.getElementById('mediaUnusedFilter')?.addEventListener('change', (e) => {
+        state.filters.media.unused = e.target.checked;
+        loadMedia();
+    });
+
+    document.getElementById('mediaLibraryInput')?.addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files);
+        const purpose = state.filters.media.purpose === 'all' ? 'product' : state.filters.media.purpose;
+
+        try {
+            showLoading();
+            for (const file of files) {
+                await uploadMedia(file, purpose);
+            }
+            showNotification(`${files.length} image(s) uploaded`, 'success');
+            await loadMedia();
+        } catch (error) {
+            console.error('Media upload error:', error);
+            showNotification(error.message, 'error');
+        } finally {
+            hideLoading();
+        }
+    });
+}
+
+async function loadMoreMedia() {
+    try {
+        await loadMedia(true);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function editMedia(mediaId) {
+    const item = state.media.find(m => m.id === mediaId);
+    if (!item) return;
+
+    const usage = item.usage || [];
+
+    showModal(`
+        <div class="modal-header">
+            <h2>Edit Image</h2>
+            <button class="modal-close" onclick="window.adminApp.closeModal()">&times;</button>
+        </div>
+        <div class="modal-body">
+            <img src="${item.src}" alt="${item.alt || ''}" style="max-width: 100%; max-height: 300px; border-radius: 10px;">
+            <div class="form-group">
+                <label>Alt text</label>
+                <input type="text" id="mediaAlt" class="form-input" maxlength="250" value="${item.alt || ''}" placeholder="Describe the image">
+            </div>
+            <div class="form-group">
+                <label>Tags (comma separated)</label>
+                <input type="text" id="mediaTags" class="form-input" value="${(item.tags || []).join(', ')}" placeholder="summer, tees">
+            </div>
+            <div class="form-group">
+                <label>Used by</label>
+                <p class="text-muted">${usage.length === 0 ? 'Not used anywhere' : usage.map(({ type, id }) => `${type} ${id}`).join('<br>')}</p>
+            </div>
+        </div>
+        <div class="modal-footer">
+            <button class="btn btn-secondary" onclick="window.adminApp.closeModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="window.adminApp.saveMedia('${mediaId}')">Save</button>
+        </div>
+    `);
+}
+
+async function saveMedia(mediaId) {
+    try {
+        await apiRequest(`/media/${mediaId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                alt: document.getElementById('mediaAlt').value.trim(),
+                tags: document.getElementById('mediaTags').value.split(',').map(tag => tag.trim()).filter(Boolean)
+            })
+        });
+        closeModal();
+        showNotification('Image updated', 'success');
+        await loadMedia();
+    } catch (error) {
+        console.error('Error saving media:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function deleteMedia(mediaId) {
+    if (!confirm('Delete this image and all of its sizes?')) return;
+
+    try {
+        await apiRequest(`/media/${mediaId}`, { method: 'DELETE' });
+    } catch (error) {
+        if (error.status !== 409) {
+            console.error('Error deleting media:', error);
+            showNotification(error.message, 'error');
+            return;
+        }
+
+        // Still shown somewhere: say where and ask again
+        const usedBy = error.data.usage.map(({ type, id }) => `- ${type} ${id}`).join('\n');
+        if (!confirm(`This image is still used by:\n${usedBy}\n\nDelete it anyway? Those pages will show a broken image.`)) return;
+
+        try {
+            await apiRequest(`/media/${mediaId}?force=true`, { method: 'DELETE' });
+        } catch (forceError) {
+            console.error('Error deleting media:', forceError);
+            showNotification(forceError.message, 'error');
+            return;
+        }
+    }
+
+    showNotification('Image deleted', 'success');
+    await loadMedia();
+}
+
+async function scanOrphanedMedia() {
+    try {
+        showLoading();
+        const { report } = await apiRequest('/media/orphans/scan', { method: 'POST', body: '{}' });
+        hideLoading();
+
+        if (report.orphans > 0 && confirm(`${report.orphans} orphaned files (${formatBytes(report.orphanBytes)}) found in Storage. Delete them now?`)) {
+            showLoading();
+            await apiRequest('/media/orphans/scan', { method: 'POST', body: JSON.stringify({ purge: true }) });
+            hideLoading();
+            showNotification('Orphaned files deleted', 'success');
+        } else if (report.orphans === 0) {
+            showNotification('No orphaned files found', 'success');
+        }
+
+        await loadMedia();
+    } catch (error) {
+        hideLoading();
+        console.error('Error scanning media:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// ===========================
+// IMAGE UPLOAD UTILITIES
+// ===========================
+
+function initializeImageUpload(type, existingImages = []) {
+    console.log(`[DEBUG] Initializing ${type} image upload...`);
+
+    const uploadZone = document.getElementById(`${type}ImageUpload`);
+    const fileInput = document.getElementById(`${type}ImageInput`);
+    const gallery = document.getElementById(`${type}ImageGallery`);
+    const progressContainer = document.getElementById(`${type}UploadProgress`);
+
+    console.log(`[DEBUG] Elements found:`, {
+        uploadZone: !!uploadZone,
+        fileInput: !!fileInput,
+        gallery: !!gallery,
+        progressContainer: !!progressContainer
+    });
 
     if (!uploadZone || !fileInput) {
         console.error(`[ERROR] Missing required elements for ${type} upload`);
@@ -1687,7 +2957,7 @@ function initializeImageUpload(type, existingImages = []) {
 
 async function handleImageUpload(files, type, gallery, progressContainer) {
     try {
-        const category = type === 'blog' ? 'blog' : 'products';
+        const purpose = type === 'blog' ? 'blog' : 'product';
 
         for (const file of files) {
             // Validate file
@@ -1696,8 +2966,8 @@ async function handleImageUpload(files, type, gallery, progressContainer) {
                 continue;
             }
 
-            if (file.size > 5 * 1024 * 1024) {
-                showNotification(`${file.name} is too large (max 5MB)`, 'error');
+            if (file.size > 10 * 1024 * 1024) {
+                showNotification(`${file.name} is too large (max 10MB)`, 'error');
                 continue;
             }
 
@@ -1707,7 +2977,7 @@ async function handleImageUpload(files, type, gallery, progressContainer) {
                 <div class="progress-item" id="progress-${progressId}">
                     <div class="progress-info">
                         <span>${file.name}</span>
-                        <span>Compressing...</span>
+                        <span>Uploading...</span>
                     </div>
                     <div class="progress-bar-container">
                         <div class="progress-bar" style="width: 0%"></div>
@@ -1717,30 +2987,11 @@ async function handleImageUpload(files, type, gallery, progressContainer) {
             progressContainer.insertAdjacentHTML('beforeend', progressHTML);
 
             try {
-                // Client-side image compression
-                const compressionOptions = {
-                    maxSizeMB: 1,
-                    maxWidthOrHeight: 1920,
-                    useWebWorker: true,
-                    fileType: file.type
-                };
-
                 const progressItem = document.getElementById(`progress-${progressId}`);
-                const compressedFile = await imageCompression(file, compressionOptions);
 
-                // Update progress
-                if (progressItem) {
-                    progressItem.querySelector('.progress-bar').style.width = '50%';
-                    progressItem.querySelector('.progress-info span:last-child').textContent = 'Uploading...';
-                }
-
-                // Upload to Firebase Storage
-                const timestamp = Date.now();
-                const filename = `${category}/${timestamp}-${compressedFile.name}`;
-                const storageRef = ref(storage, filename);
-
-                await uploadBytes(storageRef, compressedFile);
-                const downloadURL = await getDownloadURL(storageRef);
+                // The server strips EXIF and stores resized JPEG/PNG and WebP copies
+                const { media } = await uploadMedia(file, purpose);
+                const downloadURL = media.src;
 
                 // Update progress to complete
                 if (progressItem) {
@@ -1753,15 +3004,14 @@ async function handleImageUpload(files, type, gallery, progressContainer) {
                 const galleryItem = document.createElement('div');
                 galleryItem.className = 'gallery-item';
                 galleryItem.dataset.url = downloadURL;
+                galleryItem.dataset.mediaId = media.id;
                 galleryItem.innerHTML = `
-                    <img src="${downloadURL}" alt="${file.name}">
+                    <img src="${downloadURL}" alt="${media.alt || file.name}">
                     <button type="button" class="gallery-item-remove" onclick="this.parentElement.remove()">×</button>
                 `;
                 gallery.appendChild(galleryItem);
 
-                // Show savings
-                const savings = ((file.size - compressedFile.size) / file.size * 100).toFixed(0);
-                showNotification(`Image uploaded successfully (${savings}% smaller)`, 'success');
+                showNotification(`Image uploaded (${media.variants.length} sizes)`, 'success');
 
             } catch (uploadError) {
                 const progressItem = document.getElementById(`progress-${progressId}`);
@@ -1877,6 +3127,24 @@ function generateSlug(text) {
         .replace(/(^-|-$)/g, '');
 }
 
+// Firestore timestamp (or date) to a datetime-local input value in local time
+function toDateTimeLocal(value) {
+    if (!value) return '';
+    const date = value.toDate ? value.toDate() : new Date(value);
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+function fromDateTimeLocal(value) {
+    return value ? new Date(value) : null;
+}
+
+// Dates from the API arrive as ISO strings or serialized Firestore timestamps
+function apiDate(value) {
+    if (value && value._seconds !== undefined) return new Date(value._seconds * 1000);
+    return value?.toDate ? value.toDate() : new Date(value);
+}
+
 function getCategoryName(categoryId) {
     const category = state.categories.find(c => c.id === categoryId);
     return category ? category.name : 'Uncategorized';
@@ -2019,33 +3287,8 @@ async function initializeAdmin() {
             console.log('[DEBUG] Starting image upload for:', file.name, file.type, file.size);
             showLoading();
 
-            // Check if imageCompression is available
-            if (typeof imageCompression === 'undefined') {
-                throw new Error('Image compression library not loaded');
-            }
-
-            // Client-side image compression
-            const compressionOptions = {
-                maxSizeMB: 1,
-                maxWidthOrHeight: 1920,
-                useWebWorker: true,
-                fileType: file.type
-            };
-
-            console.log('[DEBUG] Compressing image...');
-            const compressedFile = await imageCompression(file, compressionOptions);
-            console.log('[DEBUG] Image compressed:', compressedFile.size, 'bytes');
-
-            // Upload to Firebase Storage
-            const timestamp = Date.now();
-            const filename = `blog/${timestamp}-${compressedFile.name}`;
-            const storageRef = ref(storage, filename);
-
-            console.log('[DEBUG] Uploading to Firebase Storage:', filename);
-            const uploadResult = await uploadBytes(storageRef, compressedFile);
-            console.log('[DEBUG] Upload bytes complete');
-
-            const downloadURL = await getDownloadURL(storageRef);
+            const { media } = await uploadMedia(file, 'blog');
+            const downloadURL = media.src;
             console.log('[DEBUG] Upload successful:', downloadURL);
 
             // Show preview in gallery
@@ -2058,10 +3301,7 @@ async function initializeAdmin() {
             `;
 
             hideLoading();
-
-            // Show savings
-            const savings = ((file.size - compressedFile.size) / file.size * 100).toFixed(0);
-            showNotification(`Image uploaded successfully (${savings}% smaller)`, 'success');
+            showNotification('Image uploaded successfully', 'success');
 
         } catch (error) {
             hideLoading();
@@ -2175,6 +3415,25 @@ function addVariant() {
     container.insertAdjacentHTML('beforeend', variantHTML);
 }
 
+// Create, update and delete variants through the API so their stock changes are ledgered
+async function syncVariants(productId, variants) {
+    const keptIds = variants.filter(variant => variant.id).map(variant => variant.id);
+
+    // Deletes first so a removed variant's SKU can be reused
+    for (const existing of state.editingVariants) {
+        if (!keptIds.includes(existing.id)) {
+            await apiRequest(`/products/${productId}/variants/${existing.id}`, { method: 'DELETE' });
+        }
+    }
+
+    for (const { id, ...fields } of variants) {
+        await apiRequest(id ? `/products/${productId}/variants/${id}` : `/products/${productId}/variants`, {
+            method: id ? 'PATCH' : 'POST',
+            body: JSON.stringify(fields)
+        });
+    }
+}
+
 function removeVariant(index) {
     const variantRow = document.querySelector(`.variant-row[data-variant-index="${index}"]`);
     if (variantRow) {
@@ -2210,6 +3469,125 @@ function addAttribute(variantIndex) {
     addButton.insertAdjacentHTML('beforebegin', attributeTag);
 }
 
+// ===========================
+// BUNDLE CONTENTS
+// ===========================
+
+function bundleComponentRow(component = {}, bundleId = null) {
+    // Bundles can't contain themselves or other bundles
+    const choices = state.products.filter(p => p.id !== bundleId && p.type !== 'bundle');
+
+    return `
+        <div class="bundle-component" data-variant-id="${component.variantId || ''}" style="display: flex; gap: 10px; align-items: center; margin-bottom: 10px;">
+            <select class="form-select bundle-product" style="flex: 2;">
+                <option value="">Select a product...</option>
+                ${choices.map(p => `
+                    <option value="${p.id}" ${p.id === component.productId ? 'selected' : ''}>${p.name}</option>
+                `).join('')}
+            </select>
+            <select class="form-select bundle-variant" style="flex: 1;" disabled>
+                <option value="">No variants</option>
+            </select>
+            <input type="number" class="form-input bundle-quantity" min="1" value="${component.quantity || 1}" style="width: 80px;">
+            <button type="button" class="btn btn-sm btn-danger" onclick="this.parentElement.remove()">×</button>
+        </div>
+    `;
+}
+
+function addBundleComponent() {
+    const container = document.getElementById('bundleComponents');
+    container.insertAdjacentHTML('beforeend', bundleComponentRow({}, container.dataset.bundleId || null));
+}
+
+// Products with variants must be bundled as one specific variant
+async function loadBundleVariants(row) {
+    const productId = row.querySelector('.bundle-product').value;
+    const select = row.querySelector('.bundle-variant');
+    const product = state.products.find(p => p.id === productId);
+
+    select.innerHTML = '<option value="">No variants</option>';
+    select.disabled = true;
+    if (!product?.hasVariants) return;
+
+    try {
+        const { variants } = await apiRequest(`/products/${productId}/variants`);
+        select.innerHTML = variants.map(variant => `
+            <option value="${variant.id}" ${variant.id === row.dataset.variantId ? 'selected' : ''}>${variant.name || variant.sku}</option>
+        `).join('');
+        select.disabled = false;
+    } catch (error) {
+        console.error('Error loading bundle variants:', error);
+    }
+}
+
+// Bundle contents go through the API, which checks every item exists
+async function saveBundle(productId, bundle) {
+    if (bundle === undefined) return;
+
+    try {
+        await apiRequest(`/products/${productId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ bundle })
+        });
+    } catch (error) {
+        console.error('Error saving bundle:', error);
+        showNotification(`Product saved, but its bundle contents were not: ${error.message}`, 'error');
+    }
+}
+
+// ===========================
+// DIGITAL DOWNLOAD
+// ===========================
+
+// The file goes through the API, which keeps it private and makes the product digital
+async function saveDigital(productId, wasDigital) {
+    const file = document.getElementById('digitalFile').files[0];
+    const downloadLimit = document.getElementById('digitalDownloadLimit').value;
+    const linkExpiryDays = document.getElementById('digitalLinkExpiry').value;
+
+    try {
+        if (document.getElementById('digitalRemove')?.checked) {
+            await apiRequest(`/products/${productId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ digital: null })
+            });
+        } else if (file) {
+            const form = new FormData();
+            form.append('file', file);
+            form.append('downloadLimit', downloadLimit);
+            form.append('linkExpiryDays', linkExpiryDays);
+            await postForm(`/products/${productId}/file`, form);
+        } else if (wasDigital) {
+            await apiRequest(`/products/${productId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ digital: { downloadLimit, linkExpiryDays } })
+            });
+        }
+    } catch (error) {
+        console.error('Error saving digital file:', error);
+        showNotification(`Product saved, but its digital file was not: ${error.message}`, 'error');
+    }
+}
+
+// ===========================
+// SUBSCRIPTION OFFER
+// ===========================
+
+// The offer goes through the API, which checks the interval, discount and billing day
+async function saveSubscriptionOffer(productId, subscription) {
+    if (subscription === undefined) return;
+
+    try {
+        await apiRequest(`/products/${productId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ subscription })
+        });
+    } catch (error) {
+        console.error('Error saving subscription offer:', error);
+        showNotification(`Product saved, but its subscription offer was not: ${error.message}`, 'error');
+    }
+}
+
 // ===========================
 // SITE IDENTITY MANAGEMENT
 // ===========================
@@ -2480,6 +3858,13 @@ async function saveModules() {
 }
 
 // Helper function to capitalize first letter
+function formatBytes(bytes) {
+    if (!bytes) return '0 KB';
+    return bytes >= 1024 * 1024
+        ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+        : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
 function capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
@@ -2609,8 +3994,31 @@ window.adminApp = {
     viewOrder,
     updateOrder,
 
+    // Returns
+    viewReturn,
+    updateReturnStatus,
+    issueReturnLabel,
+
+    // Subscriptions
+    viewSubscription,
+    updateSubscription,
+    loadMoreSubscriptions,
+
+    // Media library
+    editMedia,
+    saveMedia,
+    deleteMedia,
+    loadMoreMedia,
+    scanOrphanedMedia,
+
+    // Stock alerts
+    acknowledgeStockAlert,
+    showStockAlertSettings,
+    saveStockAlertSettings,
+
     // Variants
     addVariant,
+    addBundleComponent,
     removeVariant,
     addAttribute,
 
@@ -1,4 +1,8 @@
 // Cart Management
+const API_URL = window.location.hostname === 'localhost'
+    ? 'http://localhost:5000/api'
+    : 'https://YOUR_DOMAIN.com/api';
+
 document.addEventListener('DOMContentLoaded', () => {
     initCart();
     initMobileNav();
@@ -51,6 +55,59 @@ function renderCart(cart) {
 
     // Attach event listeners
     attachCartEventListeners();
+
+    // Replace the local estimate with server-calculated totals
+    refreshQuote(cart);
+}
+
+// Get the address used for tax/shipping estimates
+function getEstimateAddress() {
+    return JSON.parse(localStorage.getItem('gronderful_estimate_address') || 'null');
+}
+
+// Fetch real totals for the cart from the order quote endpoint
+async function refreshQuote(cart) {
+    const address = getEstimateAddress();
+
+    try {
+        const response = await fetch(`${API_URL}/orders/quote`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                items: cart.map(item => ({
+                    productId: item.productId,
+                    variantId: item.variantId || null,
+                    quantity: item.quantity
+                })),
+                ...(address && { shippingAddress: address })
+            })
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to calculate totals');
+        }
+
+        const summary = document.querySelector('.cart-summary');
+        if (summary) {
+            summary.innerHTML = renderCartSummary(cart, data.quote);
+        }
+    } catch (error) {
+        console.error('Quote error:', error);
+    }
+}
+
+// Save the estimate address and refresh totals
+function updateEstimate() {
+    const country = document.getElementById('estimateCountry')?.value;
+    const state = document.getElementById('estimateState')?.value.trim();
+    const zip = document.getElementById('estimateZip')?.value.trim();
+
+    localStorage.setItem('gronderful_estimate_address', JSON.stringify({ country, state, zip }));
+    refreshQuote(getCart());
 }
 
 // Render single cart item
@@ -82,12 +139,16 @@ function renderCartItem(item, index) {
     `;
 }
 
-// Render cart summary
-function renderCartSummary(cart) {
-    const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const tax = subtotal * 0.1; // 10% tax
-    const shipping = subtotal > 50 ? 0 : 9.99; // Free shipping over $50
-    const total = subtotal + tax + shipping;
+// Render cart summary (uses the server quote when available)
+function renderCartSummary(cart, quote = null) {
+    const subtotal = quote ? quote.subtotal : cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const shipping = quote ? quote.shipping : (subtotal > 50 ? 0 : 9.99); // Free shipping over $50
+    const tax = quote ? quote.tax : 0;
+    const total = quote ? quote.total : subtotal + shipping;
+    const address = getEstimateAddress();
+    const taxLabel = quote?.taxJurisdiction
+        ? `Tax (${quote.taxJurisdiction.name || 'estimated'}${quote.pricesIncludeTax ? ', included' : ''})`
+        : 'Tax';
 
     return `
         <h2 class="summary-title">Order Summary</h2>
@@ -98,8 +159,8 @@ function renderCartSummary(cart) {
         </div>
 
         <div class="summary-row">
-            <span>Tax (10%)</span>
-            <span>$${tax.toFixed(2)}</span>
+            <span>${taxLabel}</span>
+            <span>${quote && address ? '$' + tax.toFixed(2) : 'Calculated at checkout'}</span>
         </div>
 
         <div class="summary-row">
@@ -113,6 +174,22 @@ function renderCartSummary(cart) {
             </div>
         ` : ''}
 
+        <div class="coupon-section">
+            <label style="color: #a78bfa; margin-bottom: 0.5rem; display: block; font-weight: 600;">
+                Estimate Tax For
+            </label>
+            <div class="coupon-input-group">
+                <select class="coupon-input" id="estimateCountry">
+                    ${['US', 'CA', 'UK', 'AU'].map(code => `
+                        <option value="${code}" ${address?.country === code ? 'selected' : ''}>${code}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="coupon-input" id="estimateState" placeholder="State" value="${address?.state || ''}">
+                <input type="text" class="coupon-input" id="estimateZip" placeholder="ZIP" value="${address?.zip || ''}">
+                <button class="apply-btn" onclick="updateEstimate()">Update</button>
+            </div>
+        </div>
+
         <div class="summary-row total">
             <span>Total</span>
             <span>$${total.toFixed(2)}</span>
@@ -213,66 +290,15 @@ function removeItem(index) {
     }
 }
 
-// Proceed to checkout
-async function proceedToCheckout() {
+// Proceed to checkout (address, shipping method and payment hand-off live in checkout.js)
+function proceedToCheckout() {
     const cart = getCart();
     if (cart.length === 0) {
         showToast('Your cart is empty');
         return;
     }
 
-    // Prompt for customer email
-    const email = prompt('Please enter your email address for order confirmation:');
-    if (!email) {
-        return; // User cancelled
-    }
-
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-        showToast('Please enter a valid email address', 'error');
-        return;
-    }
-
-    // Show loading state
-    const checkoutBtn = document.querySelector('.checkout-btn');
-    const originalBtnText = checkoutBtn.textContent;
-    checkoutBtn.textContent = 'Processing...';
-    checkoutBtn.disabled = true;
-
-    try {
-        // Call Square checkout API (works both locally and in production)
-        const apiUrl = window.location.hostname === 'localhost'
-            ? 'http://localhost:8081/api/checkout.php'
-            : '/api/checkout.php';
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                cart: cart,
-                customerEmail: email
-            })
-        });
-
-        const data = await response.json();
-
-        if (data.success && data.checkoutUrl) {
-            // Redirect to Square checkout page
-            window.location.href = data.checkoutUrl;
-        } else {
-            throw new Error(data.error || 'Failed to create checkout session');
-        }
-    } catch (error) {
-        console.error('Checkout error:', error);
-        showToast('Checkout failed: ' + error.message, 'error');
-
-        // Restore button state
-        checkoutBtn.textContent = originalBtnText;
-        checkoutBtn.disabled = false;
-    }
+    window.location.href = 'checkout.html';
 }
 
 // Continue shopping
@@ -354,3 +380,4 @@ function showToast(message, type = 'success') {
 window.proceedToCheckout = proceedToCheckout;
 window.continueShopping = continueShopping;
 window.applyCoupon = applyCoupon;
+window.updateEstimate = updateEstimate;
@@ -0,0 +1,393 @@
+// Checkout
+// Collects shipping details, prices the order through the API, creates it and
+// hands off to the payment provider's hosted checkout page.
+const API_URL = window.location.hostname === 'localhost'
+    ? 'http://localhost:5000/api'
+    : 'https://YOUR_DOMAIN.com/api';
+
+const checkoutState = {
+    customer: null,
+    shippingAddress: null,
+    // False for carts of nothing but downloads: no shipping step, and the
+    // address is sent as the billing address for tax
+    requiresShipping: true,
+    methods: [],
+    shippingMethodId: null,
+    quote: null,
+    // Signed-in customers' balance, from the quote
+    storeCreditBalance: 0,
+    useStoreCredit: false
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+
+    // Returning from the hosted payment page
+    if (params.get('status') === 'success') {
+        showConfirmation(params.get('order'));
+        return;
+    }
+
+    const cart = getCart();
+    if (cart.length === 0) {
+        window.location.href = 'cart.html';
+        return;
+    }
+
+    prefillShippingForm();
+    renderSummary(cart);
+    refreshQuote();
+
+    document.getElementById('shippingForm').addEventListener('submit', handleShippingSubmit);
+    document.getElementById('paymentForm').addEventListener('submit', handleMethodSubmit);
+    document.getElementById('placeOrderBtn').addEventListener('click', placeOrder);
+    document.getElementById('useStoreCredit').addEventListener('change', (e) => {
+        checkoutState.useStoreCredit = e.target.checked;
+        renderSummary(getCart(), checkoutState.quote);
+    });
+});
+
+// ===========================
+// CART & API HELPERS
+// ===========================
+
+function getCart() {
+    return JSON.parse(localStorage.getItem('gronderful_cart') || '[]');
+}
+
+function getCartItems() {
+    return getCart().map(item => ({
+        productId: item.productId,
+        ...(item.variantId && { variantId: item.variantId }),
+        quantity: item.quantity
+    }));
+}
+
+async function apiPost(path, payload) {
+    const token = localStorage.getItem('authToken');
+
+    const response = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'Authorization': `Bearer ${token}` })
+        },
+        body: JSON.stringify(payload)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.message || 'Request failed');
+    }
+
+    return data;
+}
+
+// ===========================
+// STEP 1: SHIPPING ADDRESS
+// ===========================
+
+function prefillShippingForm() {
+    const estimate = JSON.parse(localStorage.getItem('gronderful_estimate_address') || 'null');
+    if (!estimate) return;
+
+    if (estimate.country) document.getElementById('country').value = estimate.country;
+    if (estimate.state) document.getElementById('state').value = estimate.state;
+    if (estimate.zip) document.getElementById('zipCode').value = estimate.zip;
+}
+
+async function handleShippingSubmit(e) {
+    e.preventDefault();
+
+    const value = (id) => document.getElementById(id).value.trim();
+
+    checkoutState.customer = {
+        name: `${value('firstName')} ${value('lastName')}`,
+        email: value('email'),
+        phone: value('phone')
+    };
+
+    checkoutState.shippingAddress = {
+        name: checkoutState.customer.name,
+        street: value('address'),
+        street2: value('address2'),
+        city: value('city'),
+        state: value('state'),
+        zip: value('zipCode'),
+        country: document.getElementById('country').value,
+        phone: checkoutState.customer.phone
+    };
+
+    // Keep the cart estimate in sync with the real address
+    localStorage.setItem('gronderful_estimate_address', JSON.stringify({
+        country: checkoutState.shippingAddress.country,
+        state: checkoutState.shippingAddress.state,
+        zip: checkoutState.shippingAddress.zip
+    }));
+
+    try {
+        const data = await apiPost('/orders/shipping-methods', {
+            items: getCartItems(),
+            shippingAddress: checkoutState.shippingAddress
+        });
+
+        checkoutState.methods = data.methods;
+        checkoutState.requiresShipping = data.requiresShipping !== false;
+
+        if (!checkoutState.requiresShipping) {
+            checkoutState.shippingMethodId = null;
+            await refreshQuote();
+            renderReview();
+            goToStep(3);
+            return;
+        }
+
+        if (data.methods.length === 0) {
+            showToast('Sorry, we do not ship to this address', 'error');
+            return;
+        }
+
+        const stillAvailable = data.methods.some(m => m.id === checkoutState.shippingMethodId);
+        if (!stillAvailable) {
+            checkoutState.shippingMethodId = data.methods[0].id;
+        }
+
+        renderShippingMethods();
+        await refreshQuote();
+        goToStep(2);
+    } catch (error) {
+        console.error('Shipping methods error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// ===========================
+// STEP 2: SHIPPING METHOD
+// ===========================
+
+function renderShippingMethods() {
+    const container = document.getElementById('shippingMethods');
+
+    container.innerHTML = checkoutState.methods.map(method => `
+        <label class="shipping-method">
+            <input type="radio" name="shippingMethod" value="${method.id}"
+                ${method.id === checkoutState.shippingMethodId ? 'checked' : ''}>
+            <span class="method-name">${method.name}</span>
+            ${method.estimatedDays ? `<span class="method-eta">${method.estimatedDays} days</span>` : ''}
+            <span class="method-rate">${method.rate === 0 ? 'FREE' : '$' + method.rate.toFixed(2)}</span>
+        </label>
+    `).join('');
+
+    container.querySelectorAll('input[name="shippingMethod"]').forEach(input => {
+        input.addEventListener('change', (e) => {
+            checkoutState.shippingMethodId = e.target.value;
+            refreshQuote();
+        });
+    });
+}
+
+async function handleMethodSubmit(e) {
+    e.preventDefault();
+
+    if (!checkoutState.shippingMethodId) {
+        showToast('Please choose a shipping method', 'error');
+        return;
+    }
+
+    await refreshQuote();
+    renderReview();
+    goToStep(3);
+}
+
+// ===========================
+// STEP 3: REVIEW & PLACE ORDER
+// ===========================
+
+function renderReview() {
+    const address = checkoutState.shippingAddress;
+    const method = checkoutState.methods.find(m => m.id === checkoutState.shippingMethodId);
+
+    document.getElementById('reviewShipping').innerHTML = `
+        <p>${address.name}</p>
+        <p>${address.street}${address.street2 ? ', ' + address.street2 : ''}</p>
+        <p>${address.city}, ${address.state} ${address.zip}</p>
+        <p>${address.country}</p>
+        <p>${checkoutState.customer.email}</p>
+    `;
+
+    document.getElementById('reviewShippingMethod').innerHTML = method
+        ? `<p>${method.name} — ${method.rate === 0 ? 'FREE' : '$' + method.rate.toFixed(2)}</p>`
+        : '';
+
+    document.getElementById('reviewItems').innerHTML = getCart().map(item => `
+        <div class="review-item">
+            <span>${item.name}${item.variantName ? ` (${item.variantName})` : ''} × ${item.quantity}</span>
+            <span>$${(item.price * item.quantity).toFixed(2)}</span>
+        </div>
+    `).join('');
+
+    const balance = checkoutState.storeCreditBalance;
+    document.getElementById('storeCreditOption').style.display = balance > 0 ? 'block' : 'none';
+    document.getElementById('storeCreditLabel').textContent = `Use my store credit ($${balance.toFixed(2)} available)`;
+}
+
+async function placeOrder() {
+    if (!document.getElementById('termsAgree').checked) {
+        showToast('Please agree to the Terms & Conditions', 'error');
+        return;
+    }
+
+    const placeOrderBtn = document.getElementById('placeOrderBtn');
+    const overlay = document.getElementById('loadingOverlay');
+    placeOrderBtn.disabled = true;
+    overlay.style.display = 'flex';
+
+    try {
+        const { order } = await apiPost('/orders', {
+            items: getCartItems(),
+            customerEmail: checkoutState.customer.email,
+            customerName: checkoutState.customer.name,
+            ...addressFields(),
+            ...(checkoutState.useStoreCredit && { useStoreCredit: true })
+        });
+
+        // Store credit covered everything: nothing left to pay
+        if (order.paymentStatus === 'paid') {
+            showConfirmation(order.orderNumber);
+            return;
+        }
+
+        const session = await apiPost('/payments/checkout', {
+            orderId: order.id,
+            customerEmail: checkoutState.customer.email
+        });
+
+        window.location.href = session.checkoutUrl;
+    } catch (error) {
+        console.error('Place order error:', error);
+        showToast('Checkout failed: ' + error.message, 'error');
+        placeOrderBtn.disabled = false;
+        overlay.style.display = 'none';
+    }
+}
+
+function showConfirmation(orderNumber) {
+    localStorage.removeItem('gronderful_cart');
+
+    document.querySelector('.checkout-progress').style.display = 'none';
+    document.querySelector('.checkout-content').innerHTML = `
+        <div class="checkout-confirmation">
+            <div class="notice-icon">✨</div>
+            <h2>Thank you for your order!</h2>
+            ${orderNumber ? `<p>Your order number is <strong>${orderNumber}</strong>.</p>` : ''}
+            <p>We'll email you a confirmation as soon as your payment clears.</p>
+            <a href="index.html#shop" class="btn-primary">Continue Shopping</a>
+        </div>
+    `;
+}
+
+// The address (and shipping method) as the API expects them for this cart
+function addressFields() {
+    if (!checkoutState.requiresShipping) {
+        return { billingAddress: checkoutState.shippingAddress };
+    }
+
+    return {
+        shippingAddress: checkoutState.shippingAddress,
+        ...(checkoutState.shippingMethodId && { shippingMethodId: checkoutState.shippingMethodId })
+    };
+}
+
+// ===========================
+// ORDER SUMMARY
+// ===========================
+
+async function refreshQuote() {
+    try {
+        const data = await apiPost('/orders/quote', {
+            items: getCartItems(),
+            ...(checkoutState.shippingAddress && addressFields())
+        });
+
+        checkoutState.quote = data.quote;
+        checkoutState.storeCreditBalance = data.storeCreditBalance || 0;
+        renderSummary(getCart(), data.quote);
+    } catch (error) {
+        console.error('Quote error:', error);
+    }
+}
+
+function renderSummary(cart, quote = null) {
+    document.getElementById('summaryItems').innerHTML = cart.map(item => `
+        <div class="summary-item">
+            <span>${item.name} × ${item.quantity}</span>
+            <span>$${(item.price * item.quantity).toFixed(2)}</span>
+        </div>
+    `).join('');
+
+    const subtotal = quote ? quote.subtotal : cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const total = quote ? quote.total : subtotal;
+    const credit = quote && checkoutState.useStoreCredit
+        ? Math.min(checkoutState.storeCreditBalance, total)
+        : 0;
+
+    document.getElementById('summaryTotals').innerHTML = `
+        <div class="summary-row">
+            <span>Subtotal</span>
+            <span>$${subtotal.toFixed(2)}</span>
+        </div>
+        <div class="summary-row">
+            <span>Shipping</span>
+            <span>${quote?.digitalOnly ? 'Not needed' : quote && checkoutState.shippingAddress ? (quote.shipping === 0 ? 'FREE' : '$' + quote.shipping.toFixed(2)) : 'Calculated next'}</span>
+        </div>
+        <div class="summary-row">
+            <span>Tax${quote?.pricesIncludeTax ? ' (included)' : ''}</span>
+            <span>${quote && checkoutState.shippingAddress ? '$' + quote.tax.toFixed(2) : 'Calculated next'}</span>
+        </div>
+        ${credit > 0 ? `
+        <div class="summary-row">
+            <span>Store credit</span>
+            <span>-$${credit.toFixed(2)}</span>
+        </div>
+        ` : ''}
+        <div class="summary-row total">
+            <span>${credit > 0 ? 'To pay' : 'Total'}</span>
+            <span>$${(total - credit).toFixed(2)}</span>
+        </div>
+    `;
+}
+
+// ===========================
+// UI HELPERS
+// ===========================
+
+function goToStep(step) {
+    document.querySelectorAll('.checkout-step').forEach((el, index) => {
+        el.style.display = index + 1 === step ? 'block' : 'none';
+    });
+
+    document.querySelectorAll('.progress-step').forEach(el => {
+        el.classList.toggle('active', parseInt(el.dataset.step) <= step);
+    });
+
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function showToast(message, type = 'success') {
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+    toast.classList.add('show');
+    if (type === 'error') {
+        toast.style.background = 'rgba(239, 68, 68, 0.95)';
+    } else {
+        toast.style.background = 'rgba(167, 139, 250, 0.95)';
+    }
+
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
+
+// Make functions globally available
+window.goToStep = goToStep;
@@ -10,6 +10,13 @@ const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
 const auth = getAuth(app);
 
+const API_URL = window.location.hostname === 'localhost'
+    ? 'http://localhost:5000/api'
+    : 'https://YOUR_DOMAIN.com/api';
+
+// Rendered width of the main product image, for choosing a srcset candidate
+const MAIN_IMAGE_SIZES = '(max-width: 768px) 100vw, 50vw';
+
 // Global state
 let currentProduct = null;
 let currentUser = null;
@@ -38,24 +45,35 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
-// Load product from Firestore
+// Load product from the API, which applies schedules and sale prices
 async function loadProduct() {
     try {
-        const productsRef = collection(db, 'products');
-        const q = query(productsRef, where('slug', '==', productSlug), where('isActive', '==', true), limit(1));
-        const querySnapshot = await getDocs(q);
+        // Renamed products answer with a redirect, which fetch follows
+        const response = await fetch(`${API_URL}/products/${encodeURIComponent(productSlug)}`);
 
-        if (querySnapshot.empty) {
+        if (response.status === 404) {
             showError('Product not found');
             setTimeout(() => window.location.href = 'index.html#shop', 2000);
             return;
         }
+        if (!response.ok) {
+            throw new Error(`Product request failed with ${response.status}`);
+        }
 
-        const productDoc = querySnapshot.docs[0];
-        currentProduct = {
-            id: productDoc.id,
-            ...productDoc.data()
-        };
+        const data = await response.json();
+        currentProduct = data.product;
+
+        // Show the current slug in the address bar for old links
+        if (currentProduct.slug !== productSlug) {
+            urlParams.set('slug', currentProduct.slug);
+            history.replaceState(null, '', `${window.location.pathname}?${urlParams}`);
+        }
+
+        // Stock shown is what is not held by checkouts
+        currentProduct.variants = (currentProduct.variants || []).map(variant => ({
+            ...variant,
+            stock: variant.available
+        }));
 
         // Track recently viewed products
         trackRecentlyViewed(currentProduct);
@@ -91,10 +109,15 @@ async function renderProduct() {
     }
 
     // Build product HTML
-    const images = product.images && product.images.length > 0 ? product.images : [product.imageUrl || '/placeholder.jpg'];
+    // Images come from the API as { src, srcset, sources, alt, width, height }
+    const images = product.images && product.images.length > 0 ? product.images : [{ src: '/placeholder.jpg', sources: [] }];
 
-    const stockStatus = product.stockQuantity > 10 ? 'in-stock' : product.stockQuantity > 0 ? 'low-stock' : 'out-of-stock';
-    const stockText = product.stockQuantity > 10 ? `In Stock (${product.stockQuantity})` : product.stockQuantity > 0 ? `Low Stock (${product.stockQuantity} left)` : 'Out of Stock';
+    // Bundles are available as far as their components' stock goes; downloads never run out
+    const stock = productStock(product);
+    const stockStatus = stock > 10 ? 'in-stock' : stock > 0 ? 'low-stock' : 'out-of-stock';
+    const stockText = product.type === 'digital'
+        ? 'Instant Download'
+        : stock > 10 ? `In Stock (${stock})` : stock > 0 ? `Low Stock (${stock} left)` : 'Out of Stock';
 
     const compareAtPrice = product.compareAtPrice && product.compareAtPrice > product.price;
     const savings = compareAtPrice ? Math.round((1 - product.price / product.compareAtPrice) * 100) : 0;
@@ -104,7 +127,11 @@ async function renderProduct() {
             <!-- Image Gallery -->
             <div class="product-gallery">
                 <div class="main-image-container">
-                    <img src="${images[0]}" alt="${product.name}" class="main-image" id="mainImage">
+                    <picture>
+                        <source type="image/webp" id="mainImageWebp" srcset="${webpSrcset(images[0])}" sizes="${MAIN_IMAGE_SIZES}">
+                        <img src="${images[0].src}" srcset="${images[0].srcset || ''}" sizes="${MAIN_IMAGE_SIZES}"
+                             alt="${images[0].alt || product.name}" class="main-image" id="mainImage">
+                    </picture>
                     <button class="wishlist-btn" id="wishlistBtn" title="Add to Wishlist">
                         <span id="wishlistIcon">♡</span>
                     </button>
@@ -112,7 +139,7 @@ async function renderProduct() {
                 <div class="thumbnail-grid">
                     ${images.map((img, index) => `
                         <div class="thumbnail ${index === 0 ? 'active' : ''}" data-index="${index}">
-                            <img src="${img}" alt="${product.name}">
+                            <img src="${img.src}" srcset="${img.srcset || ''}" sizes="100px" alt="${img.alt || product.name}">
                         </div>
                     `).join('')}
                 </div>
@@ -135,12 +162,17 @@ async function renderProduct() {
                         <span class="compare-price">$${product.compareAtPrice.toFixed(2)}</span>
                         <span class="savings-badge">Save ${savings}%</span>
                     ` : ''}
+                    ${product.onSale && product.saleEndsAt ? `
+                        <span class="sale-ends">Sale ends ${new Date(product.saleEndsAt).toLocaleString()}</span>
+                    ` : ''}
                 </div>
 
                 <div class="product-description">
                     ${product.description || 'No description available.'}
                 </div>
 
+                ${product.type === 'bundle' && product.bundle ? renderBundleContents(product.bundle.components) : ''}
+
                 <div class="stock-status ${stockStatus}">
                     <span>●</span>
                     <span>${stockText}</span>
@@ -154,17 +186,17 @@ async function renderProduct() {
                     <label class="variant-label">Quantity</label>
                     <div class="quantity-controls">
                         <button class="quantity-btn" id="decreaseQty">-</button>
-                        <input type="number" class="quantity-input" id="quantityInput" value="1" min="1" max="${product.stockQuantity}">
+                        <input type="number" class="quantity-input" id="quantityInput" value="1" min="1" ${stock === Infinity ? '' : `max="${stock}"`}>
                         <button class="quantity-btn" id="increaseQty">+</button>
                     </div>
                 </div>
 
                 <!-- Actions -->
                 <div class="product-actions">
-                    <button class="btn btn-primary" id="addToCartBtn" ${product.stockQuantity === 0 ? 'disabled' : ''}>
-                        ${product.stockQuantity === 0 ? 'Out of Stock' : 'Add to Cart'}
+                    <button class="btn btn-primary" id="addToCartBtn" ${stock === 0 ? 'disabled' : ''}>
+                        ${stock === 0 ? 'Out of Stock' : 'Add to Cart'}
                     </button>
-                    <button class="btn btn-secondary" id="buyNowBtn" ${product.stockQuantity === 0 ? 'disabled' : ''}>
+                    <button class="btn btn-secondary" id="buyNowBtn" ${stock === 0 ? 'disabled' : ''}>
                         ⚡
                     </button>
                 </div>
@@ -196,6 +228,30 @@ async function renderProduct() {
     initVariantSelection();
 }
 
+// Units that can be added to the cart; the API reports downloads as unlimited (null)
+function productStock(product) {
+    return product.type === 'digital' ? Infinity : product.availableQuantity;
+}
+
+// Render what a bundle contains
+function renderBundleContents(components) {
+    return `
+        <div class="bundle-contents">
+            <span class="variant-label">Includes</span>
+            <ul>
+                ${components.map(component => `
+                    <li>
+                        ${component.quantity} × ${component.slug
+                            ? `<a href="product.html?slug=${component.slug}">${component.productName}</a>`
+                            : component.productName || 'Unavailable item'}
+                        ${component.variantName ? `<small>(${component.variantName})</small>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
 // Render product variants
 function renderVariants(variants) {
     console.log('renderVariants called with:', variants);
@@ -283,6 +339,11 @@ function renderVariants(variants) {
     return html;
 }
 
+function webpSrcset(image) {
+    const source = (image.sources || []).find(item => item.type === 'image/webp');
+    return source ? source.srcset : '';
+}
+
 // Initialize image gallery
 function initImageGallery(images) {
     const mainImage = document.getElementById('mainImage');
@@ -291,7 +352,10 @@ function initImageGallery(images) {
     thumbnails.forEach((thumbnail, index) => {
         thumbnail.addEventListener('click', () => {
             currentImageIndex = index;
-            mainImage.src = images[index];
+            mainImage.src = images[index].src;
+            mainImage.srcset = images[index].srcset || '';
+            mainImage.alt = images[index].alt || currentProduct.name;
+            document.getElementById('mainImageWebp').srcset = webpSrcset(images[index]);
 
             thumbnails.forEach(t => t.classList.remove('active'));
             thumbnail.classList.add('active');
@@ -302,7 +366,7 @@ function initImageGallery(images) {
     mainImage.addEventListener('click', () => {
         const modal = document.createElement('div');
         modal.className = 'image-zoom-modal show';
-        modal.innerHTML = `<img src="${images[currentImageIndex]}" alt="${currentProduct.name}">`;
+        modal.innerHTML = `<img src="${images[currentImageIndex].src}" alt="${currentProduct.name}">`;
         document.body.appendChild(modal);
 
         modal.addEventListener('click', () => {
@@ -325,14 +389,14 @@ function initQuantityControls() {
     });
 
     increaseBtn?.addEventListener('click', () => {
-        const maxStock = selectedVariant ? selectedVariant.stock : currentProduct.stockQuantity;
+        const maxStock = selectedVariant ? selectedVariant.stock : productStock(currentProduct);
         if (input.value < maxStock) {
             input.value = parseInt(input.value) + 1;
         }
     });
 
     input?.addEventListener('change', () => {
-        const maxStock = selectedVariant ? selectedVariant.stock : currentProduct.stockQuantity;
+        const maxStock = selectedVariant ? selectedVariant.stock : productStock(currentProduct);
         if (input.value < 1) input.value = 1;
         if (input.value > maxStock) input.value = maxStock;
     });
@@ -460,7 +524,7 @@ function addToCart(buyNow = false) {
         productId: currentProduct.id,
         name: currentProduct.name,
         price: selectedVariant ? selectedVariant.price : currentProduct.price,
-        image: currentProduct.images?.[0] || currentProduct.imageUrl,
+        image: currentProduct.images?.[0]?.src || currentProduct.imageUrl,
         quantity: quantity,
         variantId: selectedVariant?.id || null,
         variantSku: selectedVariant?.sku || null,
@@ -525,7 +589,7 @@ function initWishlist() {
                 productId: currentProduct.id,
                 name: currentProduct.name,
                 price: currentProduct.price,
-                image: currentProduct.images?.[0] || currentProduct.imageUrl
+                image: currentProduct.images?.[0]?.src || currentProduct.imageUrl
             });
             wishlistBtn.classList.add('active');
             wishlistIcon.textContent = '♥';
@@ -599,7 +663,7 @@ function trackRecentlyViewed(product) {
             slug: product.slug,
             price: product.price,
             categoryId: product.categoryId,
-            imageUrl: product.images?.[0] || product.imageUrl || '/placeholder.jpg',
+            imageUrl: product.images?.[0]?.src || product.imageUrl || '/placeholder.jpg',
             viewedAt: Date.now()
         };
 
@@ -60,40 +60,521 @@ document.querySelectorAll('a[href^="#"]').forEach(anchor => {
 });
 
 // ===========================
-// SHOP FILTERS
+// SHOP CATALOG & FILTERS
+// Products come from the API together with facet counts. The sidebar is
+// rebuilt from those counts after every change, so each number reflects
+// what the shopper would get by picking that value.
 // ===========================
 
-const filterButtons = document.querySelectorAll('.filter-btn');
-const productCards = document.querySelectorAll('.product-card');
+const API_URL = window.location.hostname === 'localhost'
+    ? 'http://localhost:5000/api'
+    : 'https://YOUR_DOMAIN.com/api';
+
+const shopGrid = document.getElementById('shopGrid');
+const shopFilters = document.getElementById('shopFilters');
+const shopSidebar = document.getElementById('shopSidebar');
+const shopResultCount = document.getElementById('shopResultCount');
+const shopSearchInput = document.getElementById('shopSearchInput');
+const clearSearchBtn = document.getElementById('clearSearchBtn');
+
+const shopState = {
+    category: null,
+    search: '',
+    priceRange: null,
+    minRating: null,
+    inStock: false,
+    tags: [],
+    options: {},
+    attributes: {}
+};
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === undefined || text === null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// A product image from the API as <picture>: WebP first, then JPEG/PNG, each at every stored width
+function pictureHtml(image, alt, sizes) {
+    if (!image) {
+        return `<img src="https://via.placeholder.com/300x300?text=No+Image" alt="${escapeHtml(alt)}" loading="lazy">`;
+    }
+
+    const sources = (image.sources || [])
+        .map(source => `<source type="${source.type}" srcset="${escapeHtml(source.srcset)}" sizes="${sizes}">`)
+        .join('');
+    const srcset = image.srcset ? ` srcset="${escapeHtml(image.srcset)}" sizes="${sizes}"` : '';
+    const dimensions = image.width ? ` width="${image.width}" height="${image.height}"` : '';
+
+    return `<picture>${sources}<img src="${escapeHtml(image.src)}"${srcset}${dimensions}
+                 alt="${escapeHtml(image.alt || alt)}" loading="lazy"></picture>`;
+}
+
+// Descriptions may hold HTML; DOMParser reads the text without running anything
+function descriptionSnippet(html, maxLength = 90) {
+    const text = new DOMParser().parseFromString(html || '', 'text/html').body.textContent.trim();
+    return text.length > maxLength ? `${text.slice(0, maxLength).trim()}…` : text;
+}
+
+function buildCatalogParams() {
+    const params = new URLSearchParams({ limit: '48', facets: 'true' });
+
+    if (shopState.category) params.set('category', shopState.category);
+    if (shopState.search) params.set('search', shopState.search);
+    if (shopState.priceRange) {
+        params.set('minPrice', shopState.priceRange.min);
+        if (shopState.priceRange.max !== null) params.set('maxPrice', shopState.priceRange.max);
+    }
+    if (shopState.minRating) params.set('minRating', shopState.minRating);
+    if (shopState.inStock) params.set('inStock', 'true');
+    if (shopState.tags.length > 0) params.set('tags', shopState.tags.join(','));
+
+    ['options', 'attributes'].forEach(group => {
+        Object.entries(shopState[group]).forEach(([name, values]) => {
+            if (values.length > 0) params.set(`${group}[${name}]`, values.join(','));
+        });
+    });
+
+    return params;
+}
+
+async function loadCatalog() {
+    if (!shopGrid) return;
+
+    try {
+        const response = await fetch(`${API_URL}/products?${buildCatalogParams()}`);
+        if (!response.ok) throw new Error(`Products request failed (${response.status})`);
+
+        const data = await response.json();
+
+        if (data.redirect) {
+            followSearchRedirect(data.redirect);
+            return;
+        }
+
+        renderProductGrid(data.products);
+        renderFacetSidebar(data.facets);
+        trackSearch(shopState.search, data.pagination.total);
+
+        if (shopResultCount) {
+            const total = data.pagination.total;
+            shopResultCount.textContent = `${total} product${total === 1 ? '' : 's'}`;
+        }
+    } catch (error) {
+        console.error('Error loading products:', error);
+        shopGrid.innerHTML = '<p class="shop-empty">Products could not be loaded. Please try again later.</p>';
+    }
+}
+
+// Admins can send a query straight to a category, product or page
+function followSearchRedirect(redirect) {
+    trackSearch(shopState.search, 1);
+
+    if (redirect.type === 'category') {
+        const button = shopFilters.querySelector(`.filter-btn[data-filter="${CSS.escape(redirect.target)}"]`);
+        shopSearchInput.value = '';
+        clearSearchBtn.style.display = 'none';
+        shopState.search = '';
+        shopState.category = redirect.target;
+        shopFilters.querySelectorAll('.filter-btn').forEach(btn => btn.classList.toggle('active', btn === button));
+        loadCatalog();
+    } else if (redirect.type === 'product') {
+        window.location.href = `product.html?slug=${encodeURIComponent(redirect.target)}`;
+    } else {
+        window.location.href = redirect.target;
+    }
+}
+
+function renderProductGrid(products) {
+    if (products.length === 0) {
+        shopGrid.innerHTML = '<p class="shop-empty">No products match these filters.</p>';
+        return;
+    }
+
+    shopGrid.innerHTML = products.map(product => `
+        <a class="product-card" href="product.html?slug=${encodeURIComponent(product.slug)}" data-slug="${escapeHtml(product.slug)}">
+            <div class="product-image">
+                ${pictureHtml(product.images && product.images[0], product.name, '(max-width: 600px) 50vw, 300px')}
+                ${product.availableQuantity > 0 ? '' : '<span class="product-badge">Sold out</span>'}
+            </div>
+            <div class="product-info">
+                <h3>${escapeHtml(product.name)}</h3>
+                <p class="product-description">${escapeHtml(descriptionSnippet(product.description))}</p>
+                <p class="product-price">$${Number(product.price || 0).toFixed(2)}</p>
+            </div>
+        </a>
+    `).join('');
+}
+
+function facetCheckbox(group, name, value, count, checked) {
+    return `
+        <label class="facet-option${count === 0 && !checked ? ' disabled' : ''}">
+            <input type="checkbox" data-group="${group}" data-name="${escapeHtml(name)}"
+                   value="${escapeHtml(value)}" ${checked ? 'checked' : ''} ${count === 0 && !checked ? 'disabled' : ''}>
+            <span>${escapeHtml(value)}</span>
+            <span class="facet-count">${count}</span>
+        </label>
+    `;
+}
+
+function renderFacetSidebar(facets) {
+    if (!shopSidebar || !facets) return;
+
+    const sections = [];
+    const priceLabel = (range) => range.max === null ? `$${range.min}+` : `$${range.min} – $${range.max}`;
+
+    sections.push(`
+        <div class="facet-group">
+            <h4>Price</h4>
+            ${facets.price.ranges.map((range, index) => {
+                const checked = shopState.priceRange && shopState.priceRange.min === range.min;
+                return `
+                    <label class="facet-option${range.count === 0 && !checked ? ' disabled' : ''}">
+                        <input type="radio" name="facetPrice" data-group="price" value="${index}"
+                               ${checked ? 'checked' : ''} ${range.count === 0 && !checked ? 'disabled' : ''}>
+                        <span>${priceLabel(range)}</span>
+                        <span class="facet-count">${range.count}</span>
+                    </label>
+                `;
+            }).join('')}
+        </div>
+    `);
+
+    sections.push(`
+        <div class="facet-group">
+            <h4>Rating</h4>
+            ${facets.rating.map(step => `
+                <label class="facet-option${step.count === 0 && shopState.minRating !== step.value ? ' disabled' : ''}">
+                    <input type="radio" name="facetRating" data-group="rating" value="${step.value}"
+                           ${shopState.minRating === step.value ? 'checked' : ''}>
+                    <span>${'★'.repeat(step.value)}${'☆'.repeat(5 - step.value)} &amp; up</span>
+                    <span class="facet-count">${step.count}</span>
+                </label>
+            `).join('')}
+        </div>
+    `);
+
+    sections.push(`
+        <div class="facet-group">
+            <h4>Availability</h4>
+            <label class="facet-option">
+                <input type="checkbox" data-group="inStock" ${shopState.inStock ? 'checked' : ''}>
+                <span>In stock only</span>
+                <span class="facet-count">${facets.availability.inStock}</span>
+            </label>
+        </div>
+    `);
+
+    if (facets.tags.length > 0) {
+        sections.push(`
+            <div class="facet-group">
+                <h4>Tags</h4>
+                ${facets.tags.map(tag => facetCheckbox('tags', 'tags', tag.value, tag.count, shopState.tags.includes(tag.value))).join('')}
+            </div>
+        `);
+    }
+
+    ['options', 'attributes'].forEach(group => {
+        Object.entries(facets[group]).forEach(([name, values]) => {
+            const selected = shopState[group][name] || [];
+            sections.push(`
+                <div class="facet-group">
+                    <h4>${escapeHtml(name)}</h4>
+                    ${values.map(item => facetCheckbox(group, name, item.value, item.count, selected.includes(item.value))).join('')}
+                </div>
+            `);
+        });
+    });
+
+    sections.push('<button type="button" class="btn btn-secondary facet-clear" id="clearFacetsBtn">Clear filters</button>');
+
+    shopSidebar.innerHTML = sections.join('');
+    shopSidebar.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => applyFacetInput(input, facets));
+    });
+    document.getElementById('clearFacetsBtn').addEventListener('click', clearFacets);
+}
+
+function applyFacetInput(input, facets) {
+    const { group, name } = input.dataset;
+
+    if (group === 'price') {
+        shopState.priceRange = facets.price.ranges[parseInt(input.value)];
+    } else if (group === 'rating') {
+        shopState.minRating = parseInt(input.value);
+    } else if (group === 'inStock') {
+        shopState.inStock = input.checked;
+    } else if (group === 'tags') {
+        shopState.tags = input.checked
+            ? [...shopState.tags, input.value]
+            : shopState.tags.filter(tag => tag !== input.value);
+    } else {
+        const current = shopState[group][name] || [];
+        shopState[group][name] = input.checked
+            ? [...current, input.value]
+            : current.filter(value => value !== input.value);
+    }
+
+    loadCatalog();
+}
+
+function clearFacets() {
+    Object.assign(shopState, {
+        priceRange: null,
+        minRating: null,
+        inStock: false,
+        tags: [],
+        options: {},
+        attributes: {}
+    });
+    loadCatalog();
+}
+
+async function loadCategoryFilters() {
+    if (!shopFilters) return;
+
+    try {
+        const response = await fetch(`${API_URL}/categories`);
+        if (!response.ok) return;
+
+        const { categories } = await response.json();
+        categories.forEach(category => {
+            const button = document.createElement('button');
+            button.className = 'filter-btn';
+            button.dataset.filter = category.slug;
+            button.textContent = category.name;
+            shopFilters.appendChild(button);
+        });
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+}
 
-filterButtons.forEach(button => {
-    button.addEventListener('click', () => {
-        // Remove active class from all buttons
-        filterButtons.forEach(btn => btn.classList.remove('active'));
+if (shopFilters) {
+    shopFilters.addEventListener('click', (e) => {
+        const button = e.target.closest('.filter-btn');
+        if (!button) return;
 
-        // Add active class to clicked button
+        shopFilters.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
         button.classList.add('active');
 
         const filter = button.getAttribute('data-filter');
+        shopState.category = filter === 'all' ? null : filter;
+        loadCatalog();
+    });
+}
+
+let searchDebounce = null;
+
+if (shopSearchInput) {
+    shopSearchInput.addEventListener('input', () => {
+        clearSearchBtn.style.display = shopSearchInput.value ? 'block' : 'none';
+
+        clearTimeout(searchDebounce);
+        searchDebounce = setTimeout(() => {
+            shopState.search = shopSearchInput.value.trim();
+            loadCatalog();
+        }, 300);
+    });
+
+    clearSearchBtn.addEventListener('click', () => {
+        shopSearchInput.value = '';
+        clearSearchBtn.style.display = 'none';
+        shopState.search = '';
+        loadCatalog();
+    });
+}
+
+// ===========================
+// SEARCH SUGGESTIONS & TRACKING
+// Searches and the results shoppers open from them are reported back so
+// the suggestions can favour queries that lead somewhere.
+// ===========================
+
+const searchSuggestions = document.getElementById('searchSuggestions');
+let suggestDebounce = null;
+let suggestRequest = 0;
+let activeSuggestion = -1;
+let lastTrackedSearch = '';
+
+function trackSearch(query, resultsCount) {
+    // Facet changes reload the same search; count each query once
+    if (!query || query === lastTrackedSearch) return;
+    lastTrackedSearch = query;
+
+    fetch(`${API_URL}/products/analytics/search`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, resultsCount })
+    }).catch(error => console.error('Error tracking search:', error));
+}
+
+function trackSearchClick(slug, searchQuery) {
+    fetch(`${API_URL}/products/analytics/track`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ slug, eventType: 'view', data: { searchQuery } }),
+        keepalive: true
+    }).catch(error => console.error('Error tracking search click:', error));
+}
+
+async function loadSuggestions(text) {
+    const requestId = ++suggestRequest;
 
-        // Filter products
-        productCards.forEach(card => {
-            if (filter === 'all') {
-                card.style.display = 'block';
-                // Fade in animation
-                card.style.animation = 'fadeInUp 0.5s ease-out';
+    try {
+        const response = await fetch(`${API_URL}/products/suggest?q=${encodeURIComponent(text)}`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+
+        // A newer keystroke has already asked again
+        if (requestId !== suggestRequest) return;
+
+        renderSuggestions(data);
+    } catch (error) {
+        console.error('Error loading suggestions:', error);
+    }
+}
+
+function renderSuggestions({ queries, categories, products }) {
+    const sections = [];
+
+    if (queries.length > 0) {
+        sections.push(`
+            <li class="suggestion-heading">Popular searches</li>
+            ${queries.map(item => `
+                <li class="suggestion" data-type="query" data-value="${escapeHtml(item.query)}">🔍 ${escapeHtml(item.query)}</li>
+            `).join('')}
+        `);
+    }
+
+    if (categories.length > 0) {
+        sections.push(`
+            <li class="suggestion-heading">Categories</li>
+            ${categories.map(category => `
+                <li class="suggestion" data-type="category" data-value="${escapeHtml(category.slug)}">${escapeHtml(category.name)}</li>
+            `).join('')}
+        `);
+    }
+
+    if (products.length > 0) {
+        // `highlight` comes back escaped, with matches wrapped in <mark>
+        sections.push(`
+            <li class="suggestion-heading">Products</li>
+            ${products.map(product => `
+                <li class="suggestion suggestion-product" data-type="product" data-value="${escapeHtml(product.slug)}">
+                    ${product.image ? `<img src="${escapeHtml(product.image)}" alt="">` : ''}
+                    <span>${product.highlight || escapeHtml(product.name)}</span>
+                    <span class="suggestion-price">$${Number(product.price || 0).toFixed(2)}</span>
+                </li>
+            `).join('')}
+        `);
+    }
+
+    activeSuggestion = -1;
+
+    if (sections.length === 0) {
+        closeSuggestions();
+        return;
+    }
+
+    searchSuggestions.innerHTML = sections.join('');
+    searchSuggestions.hidden = false;
+}
+
+function closeSuggestions() {
+    suggestRequest++;
+    activeSuggestion = -1;
+    searchSuggestions.hidden = true;
+    searchSuggestions.innerHTML = '';
+}
+
+function runSearch(query) {
+    clearTimeout(searchDebounce);
+    shopSearchInput.value = query;
+    clearSearchBtn.style.display = query ? 'block' : 'none';
+    shopState.search = query.trim();
+    closeSuggestions();
+    loadCatalog();
+}
+
+function chooseSuggestion(item) {
+    const { type, value } = item.dataset;
+
+    if (type === 'query') {
+        runSearch(value);
+    } else if (type === 'category') {
+        const button = shopFilters.querySelector(`.filter-btn[data-filter="${CSS.escape(value)}"]`);
+        runSearch('');
+        if (button) button.click();
+    } else if (type === 'product') {
+        trackSearchClick(value, shopSearchInput.value.trim());
+        window.location.href = `product.html?slug=${encodeURIComponent(value)}`;
+    }
+}
+
+if (shopSearchInput && searchSuggestions) {
+    shopSearchInput.setAttribute('autocomplete', 'off');
+
+    shopSearchInput.addEventListener('input', () => {
+        const text = shopSearchInput.value.trim();
+
+        clearTimeout(suggestDebounce);
+        if (text.length < 2) {
+            closeSuggestions();
+            return;
+        }
+
+        suggestDebounce = setTimeout(() => loadSuggestions(text), 150);
+    });
+
+    shopSearchInput.addEventListener('keydown', (e) => {
+        const items = [...searchSuggestions.querySelectorAll('.suggestion')];
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (searchSuggestions.hidden || items.length === 0) return;
+            e.preventDefault();
+
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeSuggestion = (activeSuggestion + step + items.length) % items.length;
+            items.forEach((item, index) => item.classList.toggle('active', index === activeSuggestion));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            clearTimeout(suggestDebounce);
+
+            if (activeSuggestion >= 0 && items[activeSuggestion]) {
+                chooseSuggestion(items[activeSuggestion]);
             } else {
-                const category = card.getAttribute('data-category');
-                if (category === filter) {
-                    card.style.display = 'block';
-                    card.style.animation = 'fadeInUp 0.5s ease-out';
-                } else {
-                    card.style.display = 'none';
-                }
+                runSearch(shopSearchInput.value);
             }
-        });
+        } else if (e.key === 'Escape') {
+            closeSuggestions();
+        }
     });
-});
+
+    // mousedown fires before the input loses focus
+    searchSuggestions.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.suggestion');
+        if (!item) return;
+
+        e.preventDefault();
+        chooseSuggestion(item);
+    });
+
+    shopSearchInput.addEventListener('blur', closeSuggestions);
+}
+
+if (shopGrid) {
+    shopGrid.addEventListener('click', (e) => {
+        const card = e.target.closest('a.product-card');
+        if (card && shopState.search) {
+            trackSearchClick(card.dataset.slug, shopState.search);
+        }
+    });
+}
+
+loadCategoryFilters();
+loadCatalog();
 
 // ===========================
 // NAVBAR BACKGROUND ON SCROLL
@@ -5,6 +5,115 @@
 
 const functions = require('firebase-functions');
 const app = require('./server');
+const { expireReservations, runProductSchedules, cleanUpMedia, renewSubscriptions } = require('./scheduled');
+const { handleStockMovement } = require('./services/stockAlerts');
+const { needsReindex, indexProduct } = require('./services/search');
+const { optionsChanged, refreshVariantOptions } = require('./services/variants');
+const { recordSlugChange } = require('./services/slugHistory');
+const { syncMediaUsage } = require('./services/media');
 
 // Export the Express app as a Cloud Function
 exports.api = functions.https.onRequest(app);
+
+// Release stock held by checkouts that were never paid
+exports.expireReservations = functions.pubsub
+    .schedule('every 5 minutes')
+    .onRun(() => expireReservations());
+
+// Publish/retire scheduled products and end sales that are over
+exports.runProductSchedules = functions.pubsub
+    .schedule('every 5 minutes')
+    .onRun(() => runProductSchedules());
+
+// Find (and optionally purge) Storage images nothing references
+exports.cleanUpMedia = functions.pubsub
+    .schedule('every 24 hours')
+    .onRun(() => cleanUpMedia());
+
+// Place and charge subscription renewals, with retries for failed payments
+exports.renewSubscriptions = functions.pubsub
+    .schedule('every 1 hours')
+    .onRun(() => renewSubscriptions());
+
+// Raise low/out-of-stock alerts as stock moves
+exports.onInventoryMovement = functions.firestore
+    .document('inventoryMovements/{movementId}')
+    .onCreate((snapshot) => handleStockMovement(snapshot.id, snapshot.data()));
+
+// Keep the product search index in step with product writes
+exports.indexProductForSearch = functions.firestore
+    .document('products/{productId}')
+    .onWrite((change, context) => {
+        const before = change.before.exists ? change.before.data() : null;
+        const after = change.after.exists ? change.after.data() : null;
+
+        if (before && after && !needsReindex(before, after)) return null;
+        return indexProduct(context.params.productId, after);
+    });
+
+// Remember old product and category slugs so links to them can redirect
+exports.trackProductSlugs = functions.firestore
+    .document('products/{productId}')
+    .onWrite((change, context) => recordSlugChange(
+        'product',
+        context.params.productId,
+        change.before.exists ? change.before.data() : null,
+        change.after.exists ? change.after.data() : null
+    ));
+
+exports.trackCategorySlugs = functions.firestore
+    .document('categories/{categoryId}')
+    .onWrite((change, context) => recordSlugChange(
+        'category',
+        context.params.categoryId,
+        change.before.exists ? change.before.data() : null,
+        change.after.exists ? change.after.data() : null
+    ));
+
+// Keep each product's `variantOptions` summary in step with its variants
+exports.syncVariantOptions = functions.firestore
+    .document('products/{productId}/variants/{variantId}')
+    .onWrite((change, context) => {
+        const before = change.before.exists ? change.before.data() : null;
+        const after = change.after.exists ? change.after.data() : null;
+
+        if (!optionsChanged(before, after)) return null;
+        return refreshVariantOptions(context.params.productId);
+    });
+
+// Keep each media document's `usage` in step with the documents showing it
+exports.trackProductMedia = functions.firestore
+    .document('products/{productId}')
+    .onWrite((change, context) => syncMediaUsage(
+        'product',
+        context.params.productId,
+        change.before.exists ? change.before.data() : null,
+        change.after.exists ? change.after.data() : null
+    ));
+
+exports.trackCategoryMedia = functions.firestore
+    .document('categories/{categoryId}')
+    .onWrite((change, context) => syncMediaUsage(
+        'category',
+        context.params.categoryId,
+        change.before.exists ? change.before.data() : null,
+        change.after.exists ? change.after.data() : null
+    ));
+
+exports.trackBlogMedia = functions.firestore
+    .document('blog/{postId}')
+    .onWrite((change, context) => syncMediaUsage(
+        'blog',
+        context.params.postId,
+        change.before.exists ? change.before.data() : null,
+        change.after.exists ? change.after.data() : null
+    ));
+
+exports.trackReviewMedia = functions.firestore
+    .document('reviews/{reviewId}')
+    .onWrite((change, context) => syncMediaUsage(
+        'review',
+        context.params.reviewId,
+        change.before.exists ? change.before.data() : null,
+        change.after.exists ? change.after.data() : null
+    ));
@@ -0,0 +1,81 @@
+const Busboy = require('busboy');
+
+// Single-file multipart/form-data uploads, held in memory.
+// Sets req.file = { fieldName, filename, mimeType, buffer }; the other form
+// fields replace req.body. Cloud Functions has already read the request into
+// req.rawBody, so it is parsed from there when present.
+const singleFileUpload = ({ field = 'file', maxBytes }) => (req, res, next) => {
+    let settled = false;
+    const reject = (status, error, message) => {
+        if (settled) return;
+        settled = true;
+        res.status(status).json({ success: false, error, message });
+    };
+
+    if (!req.is('multipart/form-data')) {
+        return reject(400, 'VALIDATION_ERROR', `Upload the file as multipart/form-data in the "${field}" field`);
+    }
+
+    let busboy;
+    try {
+        busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: maxBytes, fields: 20 } });
+    } catch (error) {
+        return reject(400, 'VALIDATION_ERROR', 'Malformed multipart request');
+    }
+
+    const fields = {};
+    let file = null;
+    let truncated = false;
+
+    busboy.on('field', (name, value) => {
+        fields[name] = value;
+    });
+
+    busboy.on('file', (name, stream, info) => {
+        if (name !== field) {
+            stream.resume();
+            return;
+        }
+
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.on('limit', () => {
+            truncated = true;
+        });
+        stream.on('end', () => {
+            file = {
+                fieldName: name,
+                filename: info.filename,
+                mimeType: info.mimeType,
+                buffer: Buffer.concat(chunks)
+            };
+        });
+    });
+
+    busboy.on('error', () => reject(400, 'VALIDATION_ERROR', 'Malformed multipart request'));
+
+    busboy.on('close', () => {
+        if (settled) return;
+        if (truncated) {
+            return reject(413, 'FILE_TOO_LARGE', `File is larger than ${maxBytes / 1024 / 1024} MB`);
+        }
+        if (!file) {
+            return reject(400, 'VALIDATION_ERROR', `No file in the "${field}" field`);
+        }
+
+        settled = true;
+        req.body = fields;
+        req.file = file;
+        next();
+    });
+
+    if (req.rawBody) {
+        busboy.end(req.rawBody);
+    } else {
+        req.pipe(busboy);
+    }
+};
+
+module.exports = {
+    singleFileUpload
+};
@@ -4,6 +4,7 @@ const { body, query, validationResult } = require('express-validator');
 const { db } = require('../config/firebase');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { requireRole, requirePermission } = require('../middleware/rbac');
+const { parsePagination, paginateQuery, paginateList } = require('../services/pagination');
 
 // All admin routes require authentication and admin role
 router.use(authenticateToken);
@@ -47,7 +48,8 @@ router.get('/users',
         query('emailOptIn').optional().isBoolean(),
         query('search').optional(),
         query('limit').optional().isInt({ min: 1, max: 100 }),
-        query('offset').optional().isInt({ min: 0 })
+        query('offset').optional().isInt({ min: 0 }),
+        query('cursor').optional().isString()
     ],
     async (req, res) => {
         try {
@@ -60,7 +62,8 @@ router.get('/users',
                 });
             }
 
-            const { role, tag, emailOptIn, search, limit = 50, offset = 0 } = req.query;
+            const { role, tag, emailOptIn, search } = req.query;
+            const pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 100 });
 
             let query = db.collection('users');
 
@@ -75,13 +78,11 @@ router.get('/users',
                 query = query.where('emailOptIn', '==', emailOptIn === 'true');
             }
 
-            // Get users
-            const snapshot = await query.get();
-            let users = [];
-
-            snapshot.forEach(doc => {
+            // Newest first; timestamps are serialized after paging so cursors keep real dates
+            const orderBy = [['createdAt', 'desc']];
+            const toUser = (doc) => {
                 const userData = doc.data();
-                users.push({
+                return {
                     id: doc.id,
                     email: userData.email,
                     firstName: userData.firstName,
@@ -93,46 +94,54 @@ router.get('/users',
                     lastLogin: serializeTimestamp(userData.lastLogin),
                     emailOptIn: userData.emailOptIn,
                     smsOptIn: userData.smsOptIn,
-                    createdAt: serializeTimestamp(userData.createdAt)
-                });
-            });
+                    createdAt: userData.createdAt
+                };
+            };
+
+            let users;
+            let total;
+            let page;
 
-            // Apply search filter (client-side for now)
             if (search) {
+                // Search is matched in memory, so page after filtering
                 const searchLower = search.toLowerCase();
-                users = users.filter(user =>
+                const snapshot = await query.get();
+                const matches = snapshot.docs.map(toUser).filter(user =>
                     user.email.toLowerCase().includes(searchLower) ||
-                    user.displayName.toLowerCase().includes(searchLower) ||
+                    (user.displayName && user.displayName.toLowerCase().includes(searchLower)) ||
                     (user.firstName && user.firstName.toLowerCase().includes(searchLower)) ||
                     (user.lastName && user.lastName.toLowerCase().includes(searchLower))
                 );
-            }
 
-            // Sort by created date (newest first)
-            users.sort((a, b) => {
-                const dateA = a.createdAt ? new Date(a.createdAt) : new Date(0);
-                const dateB = b.createdAt ? new Date(b.createdAt) : new Date(0);
-                return dateB - dateA;
-            });
-
-            // Apply pagination
-            const total = users.length;
-            const paginatedUsers = users.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+                total = matches.length;
+                page = paginateList(matches, orderBy, pagination);
+                users = page.items;
+            } else {
+                const [queryPage, countSnapshot] = await Promise.all([
+                    paginateQuery(query, orderBy, pagination),
+                    query.count().get()
+                ]);
+
+                total = countSnapshot.data().count;
+                page = queryPage;
+                users = page.docs.map(toUser);
+            }
 
             res.json({
-                users: paginatedUsers,
+                users: users.map(user => ({ ...user, createdAt: serializeTimestamp(user.createdAt) })),
                 pagination: {
                     total,
-                    limit: parseInt(limit),
-                    offset: parseInt(offset),
-                    hasMore: (parseInt(offset) + parseInt(limit)) < total
+                    limit: pagination.limit,
+                    offset: pagination.offset,
+                    hasMore: page.hasMore,
+                    nextCursor: page.nextCursor
                 }
             });
         } catch (error) {
             console.error('Get users error:', error);
-            res.status(500).json({
-                error: 'ServerError',
-                message: 'Failed to fetch users'
+            res.status(error.status || 500).json({
+                error: error.status ? 'ValidationError' : 'ServerError',
+                message: error.status ? error.message : 'Failed to fetch users'
             });
         }
     }
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { db } = require('../config/firebase');
+const { authenticateTokenOrApiKey, requireAdmin } = require('../middleware/auth');
+const {
+    ALERT_STATUSES,
+    OUT_OF_STOCK_ACTIONS,
+    settingsRef,
+    getAlertSettings
+} = require('../services/stockAlerts');
+
+// All alert routes are admin only
+router.use(authenticateTokenOrApiKey, requireAdmin);
+
+// ===========================
+// GET ALERT SETTINGS
+// ===========================
+router.get('/settings', async (req, res) => {
+    try {
+        const settings = await getAlertSettings();
+
+        res.json({
+            success: true,
+            settings
+        });
+    } catch (error) {
+        console.error('Get alert settings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch alert settings'
+        });
+    }
+});
+
+// ===========================
+// UPDATE ALERT SETTINGS
+// ===========================
+router.put('/settings',
+    [
+        body('lowStockThreshold').optional().isInt({ min: 0 }),
+        body('outOfStockAction').optional().isIn(OUT_OF_STOCK_ACTIONS),
+        body('alertEmail').optional({ nullable: true, checkFalsy: true }).isEmail(),
+        body('alertWebhookUrl').optional({ nullable: true, checkFalsy: true }).isURL()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const updates = {};
+            if (req.body.lowStockThreshold !== undefined) updates.lowStockThreshold = parseInt(req.body.lowStockThreshold);
+            if (req.body.outOfStockAction !== undefined) updates.outOfStockAction = req.body.outOfStockAction;
+            if (req.body.alertEmail !== undefined) updates.alertEmail = req.body.alertEmail || null;
+            if (req.body.alertWebhookUrl !== undefined) updates.alertWebhookUrl = req.body.alertWebhookUrl || null;
+
+            await settingsRef().set({
+                ...updates,
+                updatedBy: req.user.email || req.user.id,
+                updatedAt: new Date()
+            }, { merge: true });
+
+            res.json({
+                success: true,
+                message: 'Alert settings updated successfully',
+                settings: await getAlertSettings()
+            });
+        } catch (error) {
+            console.error('Update alert settings error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'SERVER_ERROR',
+                message: 'Failed to update alert settings'
+            });
+        }
+    }
+);
+
+// ===========================
+// LIST ALERTS
+// ===========================
+router.get('/', async (req, res) => {
+    try {
+        const { status, limit = 50 } = req.query;
+
+        let query = db.collection('adminAlerts');
+
+        if (status && status !== 'all') {
+            query = query.where('status', '==', status);
+        }
+
+        const snapshot = await query
+            .orderBy('createdAt', 'desc')
+            .limit(parseInt(limit))
+            .get();
+
+        const alerts = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        res.json({
+            success: true,
+            alerts
+        });
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch alerts'
+        });
+    }
+});
+
+// ===========================
+// ACKNOWLEDGE / RESOLVE ALERT
+// ===========================
+router.patch('/:id',
+    [
+        body('status').isIn(ALERT_STATUSES.filter(status => status !== 'open'))
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'status must be acknowledged or resolved',
+                    errors: errors.array()
+                });
+            }
+
+            const alertRef = db.collection('adminAlerts').doc(req.params.id);
+            const alertDoc = await alertRef.get();
+
+            if (!alertDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'NOT_FOUND',
+                    message: 'Alert not found'
+                });
+            }
+
+            const { status } = req.body;
+            const actor = req.user.email || req.user.id;
+
+            await alertRef.update({
+                status,
+                [`${status}By`]: actor,
+                [`${status}At`]: new Date()
+            });
+
+            res.json({
+                success: true,
+                message: `Alert ${status}`,
+                alert: { id: alertDoc.id, ...alertDoc.data(), status }
+            });
+        } catch (error) {
+            console.error('Update alert error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'SERVER_ERROR',
+                message: 'Failed to update alert'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { db, admin } = require('../config/firebase');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { resolveSlug, slugLocation } = require('../services/slugHistory');
 
 // ===========================
 // GET ALL CATEGORIES (Public)
@@ -144,6 +145,18 @@ router.get('/:slug', async (req, res) => {
             .get();
 
         if (snapshot.empty) {
+            // Links to a renamed category redirect to its current slug
+            const moved = await resolveSlug('category', slug);
+            if (moved && moved.data.isActive) {
+                const location = slugLocation(req, moved.slug);
+                return res.status(301).location(location).json({
+                    success: true,
+                    message: 'Category has moved',
+                    slug: moved.slug,
+                    location
+                });
+            }
+
             return res.status(404).json({
                 success: false,
                 error: 'NOT_FOUND',
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { db, admin } = require('../config/firebase');
 const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { parsePagination, paginateQuery } = require('../services/pagination');
 
 // ===========================
 // VALIDATE COUPON CODE (Public)
@@ -236,9 +237,9 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
         const {
             status = 'all',
             sort = 'createdAt',
-            order = 'desc',
-            limit = 50
+            order = 'desc'
         } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50 });
 
         let query = db.collection('coupons');
 
@@ -254,12 +255,10 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
         const sortField = validSortFields.includes(sort) ? sort : 'createdAt';
         const sortOrder = order === 'asc' ? 'asc' : 'desc';
 
-        query = query.orderBy(sortField, sortOrder).limit(parseInt(limit));
-
-        const snapshot = await query.get();
+        const page = await paginateQuery(query, [[sortField, sortOrder]], pagination);
         const coupons = [];
 
-        snapshot.docs.forEach(doc => {
+        page.docs.forEach(doc => {
             coupons.push({
                 id: doc.id,
                 ...doc.data()
@@ -269,14 +268,16 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
         res.json({
             success: true,
             coupons,
-            count: coupons.length
+            count: coupons.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Get coupons error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to fetch coupons'
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch coupons'
         });
     }
 });
@@ -661,17 +662,16 @@ router.get('/admin/analytics/overview', authenticateToken, requireAdmin, async (
 router.get('/admin/:id/usage', authenticateToken, requireAdmin, async (req, res) => {
     try {
         const { id } = req.params;
-        const { limit = 50, offset = 0 } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50 });
 
-        const usageSnapshot = await db.collection('couponUsage')
-            .where('couponId', '==', id)
-            .orderBy('appliedAt', 'desc')
-            .limit(parseInt(limit))
-            .offset(parseInt(offset))
-            .get();
+        const page = await paginateQuery(
+            db.collection('couponUsage').where('couponId', '==', id),
+            [['appliedAt', 'desc']],
+            pagination
+        );
 
         const usageHistory = [];
-        usageSnapshot.docs.forEach(doc => {
+        page.docs.forEach(doc => {
             usageHistory.push({
                 id: doc.id,
                 ...doc.data()
@@ -681,14 +681,16 @@ router.get('/admin/:id/usage', authenticateToken, requireAdmin, async (req, res)
         res.json({
             success: true,
             usage: usageHistory,
-            count: usageHistory.length
+            count: usageHistory.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Get usage history error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to fetch usage history'
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch usage history'
         });
     }
 });
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../config/firebase');
+const { authenticateTokenOrApiKey, requireAdmin } = require('../middleware/auth');
+const { parsePagination, paginateQuery } = require('../services/pagination');
+const { downloadSummary, startDownload } = require('../services/downloads');
+
+// ===========================
+// LIST DOWNLOAD GRANTS (Admin)
+// Filter by `orderId`, `productId` or `email`; links are included so support
+// can resend them
+// ===========================
+router.get('/', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const { orderId, productId, email } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+        let query = db.collection('downloads');
+        if (orderId) query = query.where('orderId', '==', orderId);
+        if (productId) query = query.where('productId', '==', productId);
+        if (email) query = query.where('customerEmail', '==', String(email).trim());
+
+        const page = await paginateQuery(query, [['createdAt', 'desc']], pagination);
+
+        const downloads = page.docs.map(doc => {
+            const grant = doc.data();
+            return {
+                ...downloadSummary(doc.id, grant),
+                orderId: grant.orderId,
+                orderNumber: grant.orderNumber,
+                customerEmail: grant.customerEmail,
+                downloadCount: grant.downloadCount,
+                lastDownloadedAt: grant.lastDownloadedAt,
+                createdAt: grant.createdAt
+            };
+        });
+
+        res.json({
+            success: true,
+            downloads,
+            count: downloads.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('List downloads error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch downloads'
+        });
+    }
+});
+
+// ===========================
+// DOWNLOAD LOG (Admin)
+// Every counted download of one grant, newest first
+// ===========================
+router.get('/:id/log', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+        const page = await paginateQuery(
+            db.collection('downloadLogs').where('downloadId', '==', req.params.id),
+            [['at', 'desc']],
+            pagination
+        );
+
+        const log = page.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        res.json({
+            success: true,
+            log,
+            count: log.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Get download log error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch download log'
+        });
+    }
+});
+
+// ===========================
+// DOWNLOAD FILE
+// The link from the customer's order. Counts the download and redirects to
+// a signed Storage URL; `?format=json` returns the URL instead.
+// ===========================
+router.get('/:id', async (req, res) => {
+    try {
+        const download = await startDownload(req.params.id, req.query.token, {
+            ip: req.ip || null,
+            userAgent: req.get('user-agent') || null
+        });
+
+        if (req.query.format === 'json') {
+            return res.json({
+                success: true,
+                ...download
+            });
+        }
+
+        res.redirect(302, download.url);
+    } catch (error) {
+        console.error('Download error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to start download'
+        });
+    }
+});
+
+module.exports = router;
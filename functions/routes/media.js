@@ -0,0 +1,296 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { db } = require('../config/firebase');
+const { authenticateTokenOrApiKey, requireAdmin } = require('../middleware/auth');
+const { singleFileUpload } = require('../middleware/upload');
+const { parsePagination, paginateQuery, paginateList } = require('../services/pagination');
+const {
+    MAX_UPLOAD_BYTES,
+    MEDIA_PURPOSES,
+    uploadImage,
+    imageObject,
+    normalizeTags,
+    updateMedia,
+    deleteMedia
+} = require('../services/media');
+const { findOrphanedMedia, getOrphanReport } = require('../services/mediaCleanup');
+
+// ===========================
+// LIST MEDIA (Admin)
+// Newest first. `q` searches filename, alt text and tags; `unused=true`
+// keeps only images nothing shows. Both filter after reading, so they scan
+// the whole (purpose/tag filtered) library.
+// ===========================
+router.get('/', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const { q, purpose, tag, unused } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+        const orderBy = [['createdAt', 'desc']];
+
+        let query = db.collection('media');
+        if (purpose) query = query.where('purpose', '==', purpose);
+        if (tag) query = query.where('tags', 'array-contains', String(tag).trim().toLowerCase());
+
+        let items;
+        let page;
+
+        if (q || unused === 'true') {
+            const search = String(q || '').trim().toLowerCase();
+            const snapshot = await query.get();
+            const matches = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(media => unused !== 'true' || (media.usage || []).length === 0)
+                .filter(media => !search || [media.filename, media.alt, ...(media.tags || [])]
+                    .some(value => String(value || '').toLowerCase().includes(search)));
+
+            page = paginateList(matches, orderBy, pagination);
+            items = page.items;
+        } else {
+            page = await paginateQuery(query, orderBy, pagination);
+            items = page.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        }
+
+        const media = items.map(item => ({ ...item, image: imageObject(item.src, item) }));
+
+        res.json({
+            success: true,
+            media,
+            count: media.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('List media error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch media'
+        });
+    }
+});
+
+// ===========================
+// ORPHANED FILES (Admin)
+// The report from the last scan, and a way to run one now
+// ===========================
+router.get('/orphans', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            report: await getOrphanReport()
+        });
+    } catch (error) {
+        console.error('Get orphan report error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch orphan report'
+        });
+    }
+});
+
+router.post('/orphans/scan', authenticateTokenOrApiKey, requireAdmin,
+    [
+        body('purge').optional().isBoolean()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const report = await findOrphanedMedia({ purge: req.body.purge === true || req.body.purge === 'true' });
+
+            res.json({
+                success: true,
+                message: report.purged ? `Deleted ${report.orphans} orphaned files` : `Found ${report.orphans} orphaned files`,
+                report
+            });
+        } catch (error) {
+            console.error('Scan orphaned media error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'SERVER_ERROR',
+                message: 'Failed to scan for orphaned media'
+            });
+        }
+    }
+);
+
+// ===========================
+// UPLOAD IMAGE
+// Admins upload images for any purpose; shoppers can upload review photos.
+// multipart/form-data with `file`, and optional `alt` and `purpose`
+// ===========================
+router.post('/', authenticateTokenOrApiKey, singleFileUpload({ maxBytes: MAX_UPLOAD_BYTES }), async (req, res) => {
+    try {
+        const { alt = '', purpose = 'product' } = req.body;
+        const isAdmin = req.user.role === 'GronderfulBlogs';
+
+        if (!MEDIA_PURPOSES.includes(purpose)) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: `purpose must be one of: ${MEDIA_PURPOSES.join(', ')}`
+            });
+        }
+
+        if (!isAdmin && purpose !== 'review') {
+            return res.status(403).json({
+                success: false,
+                error: 'FORBIDDEN',
+                message: 'Only review photos can be uploaded'
+            });
+        }
+
+        const { media, created } = await uploadImage(req.file, {
+            alt: String(alt).trim().slice(0, 250),
+            purpose,
+            user: req.user
+        });
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            media,
+            image: imageObject(media.src, media)
+        });
+    } catch (error) {
+        console.error('Upload media error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status === 413 ? 'FILE_TOO_LARGE' : error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to upload image'
+        });
+    }
+});
+
+// ===========================
+// GET MEDIA (Admin)
+// ===========================
+router.get('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const mediaDoc = await db.collection('media').doc(req.params.id).get();
+
+        if (!mediaDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Media not found'
+            });
+        }
+
+        const media = { id: mediaDoc.id, ...mediaDoc.data() };
+
+        res.json({
+            success: true,
+            media,
+            image: imageObject(media.src, media)
+        });
+    } catch (error) {
+        console.error('Get media error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch media'
+        });
+    }
+});
+
+// ===========================
+// UPDATE ALT TEXT AND TAGS (Admin)
+// ===========================
+router.patch('/:id', authenticateTokenOrApiKey, requireAdmin,
+    [
+        body('alt').optional({ nullable: true }).isString().isLength({ max: 250 }),
+        body('tags').optional().isArray()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { alt, tags } = req.body;
+            if (alt === undefined && tags === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Provide alt and/or tags'
+                });
+            }
+
+            const media = await updateMedia(req.params.id, {
+                alt,
+                tags: tags === undefined ? undefined : normalizeTags(tags)
+            });
+
+            res.json({
+                success: true,
+                message: 'Media updated successfully',
+                media,
+                image: imageObject(media.src, media)
+            });
+        } catch (error) {
+            console.error('Update media error:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: errorCode(error.status),
+                message: error.status ? error.message : 'Failed to update media'
+            });
+        }
+    }
+);
+
+// ===========================
+// DELETE MEDIA (Admin)
+// Images still in use are refused with 409 and the documents using them;
+// `?force=true` deletes anyway and returns those documents as warnings
+// ===========================
+router.delete('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const media = await deleteMedia(req.params.id, { force: req.query.force === 'true' });
+        const usage = media.usage || [];
+
+        res.json({
+            success: true,
+            message: 'Media deleted successfully',
+            ...(usage.length > 0 && {
+                warnings: usage.map(({ type, id }) => `${type} ${id} still links to the deleted image`)
+            }),
+            usage
+        });
+    } catch (error) {
+        console.error('Delete media error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: errorCode(error.status),
+            message: error.status ? error.message : 'Failed to delete media',
+            ...(error.usage && { usage: error.usage })
+        });
+    }
+});
+
+// ===========================
+// HELPER FUNCTIONS
+// ===========================
+
+function errorCode(status) {
+    if (status === 404) return 'NOT_FOUND';
+    if (status === 409) return 'MEDIA_IN_USE';
+    return status ? 'VALIDATION_ERROR' : 'SERVER_ERROR';
+}
+
+module.exports = router;
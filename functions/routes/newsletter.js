@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { db, admin } = require('../config/firebase');
 const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { parsePagination, paginateQuery, paginateList } = require('../services/pagination');
 const crypto = require('crypto');
 
 // ===========================
@@ -341,10 +342,9 @@ router.get('/admin/subscribers', authenticateToken, requireAdmin, async (req, re
         const {
             status = 'active',
             verified,
-            limit = 100,
-            offset = 0,
             search = ''
         } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 100 });
 
         let query = db.collection('newsletter');
 
@@ -360,25 +360,30 @@ router.get('/admin/subscribers', authenticateToken, requireAdmin, async (req, re
             query = query.where('isVerified', '==', verified === 'true');
         }
 
-        const snapshot = await query
-            .orderBy('subscribedAt', 'desc')
-            .limit(parseInt(limit))
-            .offset(parseInt(offset))
-            .get();
-
-        let subscribers = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        const orderBy = [['subscribedAt', 'desc']];
+        let subscribers;
+        let page;
 
-        // Apply search filter (client-side for now)
         if (search) {
+            // Search is matched in memory, so page after filtering
             const searchLower = search.toLowerCase();
-            subscribers = subscribers.filter(sub =>
-                sub.email.toLowerCase().includes(searchLower) ||
-                sub.firstName?.toLowerCase().includes(searchLower) ||
-                sub.lastName?.toLowerCase().includes(searchLower)
-            );
+            const snapshot = await query.get();
+            const matches = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(sub =>
+                    sub.email.toLowerCase().includes(searchLower) ||
+                    sub.firstName?.toLowerCase().includes(searchLower) ||
+                    sub.lastName?.toLowerCase().includes(searchLower)
+                );
+
+            page = paginateList(matches, orderBy, pagination);
+            subscribers = page.items;
+        } else {
+            page = await paginateQuery(query, orderBy, pagination);
+            subscribers = page.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
         }
 
         // Remove sensitive tokens from response
@@ -390,14 +395,16 @@ router.get('/admin/subscribers', authenticateToken, requireAdmin, async (req, re
         res.json({
             success: true,
             subscribers,
-            count: subscribers.length
+            count: subscribers.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Get subscribers error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to fetch subscribers'
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch subscribers'
         });
     }
 });
@@ -3,13 +3,16 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { db, admin } = require('../config/firebase');
 const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
-
-// Generate unique order number
-const generateOrderNumber = () => {
-    const timestamp = Date.now().toString(36).toUpperCase();
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    return `ORD-${timestamp}-${random}`;
-};
+const { getTaxRates, isTaxExempt, roundCurrency } = require('../services/tax');
+const { getShippingZones, getAvailableMethods } = require('../services/shipping');
+const { PAYMENT_STATUSES } = require('../services/payments');
+const { createRefund } = require('../services/refunds');
+const { ORDER_STATUSES, transitionOrder } = require('../services/orderStatus');
+const { convertReservation } = require('../services/reservations');
+const { needsShipping, withDownloads, issueDownloads } = require('../services/downloads');
+const { placeOrder, buildOrderItems, calculateOrderTotals } = require('../services/orders');
+const { getStoreCreditBalance } = require('../services/storeCredit');
+const { parsePagination, paginateQuery } = require('../services/pagination');
 
 // ===========================
 // CREATE ORDER
@@ -22,9 +25,13 @@ router.post('/', optionalAuth,
         body('items.*.variantId').optional().isString(),
         body('customerEmail').isEmail(),
         body('customerName').trim().notEmpty(),
-        body('shippingAddress').isObject(),
+        // Orders of nothing but downloads have nowhere to ship to
+        body('shippingAddress').optional().isObject(),
+        body('shippingMethodId').optional().isString(),
         body('billingAddress').optional().isObject(),
-        body('paymentToken').optional().isString()
+        body('paymentToken').optional().isString(),
+        // Spend the signed-in customer's store credit first
+        body('useStoreCredit').optional().isBoolean()
     ],
     async (req, res) => {
         try {
@@ -42,128 +49,153 @@ router.post('/', optionalAuth,
                 customerEmail,
                 customerName,
                 shippingAddress,
+                shippingMethodId,
                 billingAddress,
                 notes,
-                paymentToken
+                paymentToken,
+                useStoreCredit = false
             } = req.body;
 
-            // Use Firestore transaction
-            const orderData = await db.runTransaction(async (transaction) => {
-                // Calculate totals and validate products
-                let subtotal = 0;
-                const orderItems = [];
-
-                for (const item of items) {
-                    const productRef = db.collection('products').doc(item.productId);
-                    const productDoc = await transaction.get(productRef);
-
-                    if (!productDoc.exists) {
-                        throw new Error(`Product ${item.productId} not found`);
-                    }
+            const orderData = await placeOrder({
+                items,
+                customerEmail,
+                customerName,
+                shippingAddress,
+                shippingMethodId,
+                billingAddress,
+                notes,
+                paymentToken,
+                customer: req.user || null,
+                useStoreCredit: Boolean(useStoreCredit)
+            });
 
-                    const product = productDoc.data();
+            res.status(201).json({
+                message: 'Order created successfully',
+                order: orderData
+            });
+        } catch (error) {
+            console.error('Create order error:', error);
+            res.status(error.status || 500).json({
+                error: error.status === 400 ? 'ValidationError' : 'ServerError',
+                message: error.message || 'Failed to create order'
+            });
+        }
+    }
+);
 
-                    if (!product.isActive) {
-                        throw new Error(`Product ${product.name} is not available`);
-                    }
+// ===========================
+// QUOTE ORDER (Preview totals)
+// Runs the same pricing and tax calculation as order creation without writing
+// ===========================
+router.post('/quote', optionalAuth,
+    [
+        body('items').isArray({ min: 1 }),
+        body('items.*.productId').isString(),
+        body('items.*.quantity').isInt({ min: 1 }),
+        body('items.*.variantId').optional({ nullable: true }).isString(),
+        body('shippingAddress').optional().isObject(),
+        body('shippingMethodId').optional().isString(),
+        body('billingAddress').optional().isObject()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
 
-                    if (product.stockQuantity < item.quantity) {
-                        throw new Error(`Insufficient stock for product ${product.name}`);
-                    }
+            const { items, shippingAddress, shippingMethodId, billingAddress } = req.body;
 
-                    let itemPrice = product.price;
-                    let variantName = null;
-
-                    // Handle product variants
-                    if (item.variantId && product.variants && product.variants.length > 0) {
-                        const variant = product.variants.find(v => v.id === item.variantId);
-                        if (variant) {
-                            itemPrice = variant.price || product.price;
-                            variantName = variant.name;
-                            if (variant.stock < item.quantity) {
-                                throw new Error(`Insufficient stock for variant ${variantName}`);
-                            }
-                        }
-                    }
+            const { orderItems, subtotal } = await buildOrderItems(items, (ref) => ref.get());
+            const taxRates = await getTaxRates();
+            const shippingZones = await getShippingZones();
 
-                    const itemSubtotal = itemPrice * item.quantity;
-                    subtotal += itemSubtotal;
-
-                    orderItems.push({
-                        productId: item.productId,
-                        productName: product.name,
-                        productPrice: itemPrice,
-                        quantity: item.quantity,
-                        variantId: item.variantId || null,
-                        variantName: variantName,
-                        subtotal: itemSubtotal
-                    });
+            const quote = calculateOrderTotals({
+                orderItems,
+                subtotal,
+                shippingAddress,
+                billingAddress,
+                customerExempt: await isTaxExempt(req.user),
+                taxRates,
+                shippingZones,
+                shippingMethodId
+            });
 
-                    // Update stock
-                    transaction.update(productRef, {
-                        stockQuantity: admin.firestore.FieldValue.increment(-item.quantity),
-                        updatedAt: new Date()
-                    });
+            res.json({
+                success: true,
+                quote,
+                ...(req.user && { storeCreditBalance: await getStoreCreditBalance(req.user.id) }),
+                shippingMethods: quote.digitalOnly ? [] : getAvailableMethods({
+                    zones: shippingZones,
+                    address: shippingAddress,
+                    lines: orderItems
+                })
+            });
+        } catch (error) {
+            console.error('Quote order error:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.status === 400 ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+                message: error.status ? error.message : 'Failed to calculate quote'
+            });
+        }
+    }
+);
 
-                    // Update variant stock if applicable
-                    if (item.variantId && product.variants) {
-                        const variantIndex = product.variants.findIndex(v => v.id === item.variantId);
-                        if (variantIndex >= 0) {
-                            product.variants[variantIndex].stock -= item.quantity;
-                            transaction.update(productRef, {
-                                variants: product.variants
-                            });
-                        }
-                    }
-                }
+// ===========================
+// LIST SHIPPING METHODS FOR ADDRESS
+// ===========================
+router.post('/shipping-methods',
+    [
+        body('items').isArray({ min: 1 }),
+        body('items.*.productId').isString(),
+        body('items.*.quantity').isInt({ min: 1 }),
+        body('items.*.variantId').optional({ nullable: true }).isString(),
+        body('shippingAddress').isObject()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
 
-                // Calculate tax and shipping (simplified - use real logic in production)
-                const tax = subtotal * 0.1; // 10% tax
-                const shipping = subtotal > 50 ? 0 : 9.99; // Free shipping over $50
-                const total = subtotal + tax + shipping;
-
-                // Create order
-                const orderNumber = generateOrderNumber();
-                const userId = req.user ? req.user.id : null;
-
-                const order = {
-                    userId: userId,
-                    orderNumber,
-                    customerEmail,
-                    customerName,
-                    shippingAddress,
-                    billingAddress: billingAddress || shippingAddress,
-                    items: orderItems,
-                    subtotal,
-                    tax,
-                    shipping,
-                    total,
-                    status: 'pending',
-                    paymentStatus: paymentToken ? 'pending' : 'pending',
-                    paymentToken: paymentToken || null,
-                    notes: notes || '',
-                    createdAt: new Date(),
-                    updatedAt: new Date()
-                };
+            const { items, shippingAddress } = req.body;
 
-                const orderRef = db.collection('orders').doc();
-                transaction.set(orderRef, order);
+            const { orderItems } = await buildOrderItems(items, (ref) => ref.get());
+            const shippingZones = await getShippingZones();
 
-                return {
-                    id: orderRef.id,
-                    ...order
-                };
-            });
+            const requiresShipping = orderItems.some(needsShipping);
+            const methods = requiresShipping
+                ? getAvailableMethods({
+                    zones: shippingZones,
+                    address: shippingAddress,
+                    lines: orderItems
+                })
+                : [];
 
-            res.status(201).json({
-                message: 'Order created successfully',
-                order: orderData
+            res.json({
+                success: true,
+                requiresShipping,
+                methods,
+                count: methods.length
             });
         } catch (error) {
-            console.error('Create order error:', error);
-            res.status(500).json({
-                error: 'ServerError',
-                message: error.message || 'Failed to create order'
+            console.error('Get shipping methods error:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.status === 400 ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+                message: error.status ? error.message : 'Failed to fetch shipping methods'
             });
         }
     }
@@ -174,13 +206,15 @@ router.post('/', optionalAuth,
 // ===========================
 router.get('/my-orders', authenticateToken, async (req, res) => {
     try {
-        const snapshot = await db.collection('orders')
-            .where('userId', '==', req.user.id)
-            .orderBy('createdAt', 'desc')
-            .get();
+        const pagination = parsePagination(req.query, { defaultLimit: 100 });
+        const page = await paginateQuery(
+            db.collection('orders').where('userId', '==', req.user.id),
+            [['createdAt', 'desc']],
+            pagination
+        );
 
         const orders = [];
-        snapshot.forEach(doc => {
+        page.docs.forEach(doc => {
             const data = doc.data();
             orders.push({
                 id: doc.id,
@@ -189,12 +223,20 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
             });
         });
 
-        res.json({ orders });
+        res.json({
+            // Paid orders with downloads list their links
+            orders: await withDownloads(orders, req.user.id),
+            pagination: {
+                limit: pagination.limit,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
     } catch (error) {
         console.error('Get user orders error:', error);
-        res.status(500).json({
-            error: 'ServerError',
-            message: 'Failed to fetch orders'
+        res.status(error.status || 500).json({
+            error: error.status ? 'ValidationError' : 'ServerError',
+            message: error.status ? error.message : 'Failed to fetch orders'
         });
     }
 });
@@ -232,7 +274,9 @@ router.get('/:orderNumber', optionalAuth, async (req, res) => {
             });
         }
 
-        res.json({ order });
+        res.json({
+            order: order.userId ? (await withDownloads([order], order.userId))[0] : order
+        });
     } catch (error) {
         console.error('Get order error:', error);
         res.status(500).json({
@@ -247,22 +291,23 @@ router.get('/:orderNumber', optionalAuth, async (req, res) => {
 // ===========================
 router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        const { status, limit = 50, offset = 0 } = req.query;
+        const { status, refundRequired } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50 });
 
         let query = db.collection('orders');
 
         if (status) {
             query = query.where('status', '==', status);
         }
+        // Payments that arrived for cancelled orders and must be refunded
+        if (refundRequired === 'true') {
+            query = query.where('refundRequired', '==', true);
+        }
 
-        query = query.orderBy('createdAt', 'desc')
-            .limit(parseInt(limit))
-            .offset(parseInt(offset));
-
-        const snapshot = await query.get();
+        const page = await paginateQuery(query, [['createdAt', 'desc']], pagination);
 
         const orders = [];
-        snapshot.forEach(doc => {
+        page.docs.forEach(doc => {
             const data = doc.data();
             orders.push({
                 id: doc.id,
@@ -272,37 +317,37 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
         });
 
         // Get total count
-        let countQuery = db.collection('orders');
-        if (status) {
-            countQuery = countQuery.where('status', '==', status);
-        }
-        const countSnapshot = await countQuery.count().get();
+        const countSnapshot = await query.count().get();
         const total = countSnapshot.data().count;
 
         res.json({
             orders,
             pagination: {
                 total,
-                limit: parseInt(limit),
-                offset: parseInt(offset)
+                limit: pagination.limit,
+                offset: pagination.offset,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
             }
         });
     } catch (error) {
         console.error('Get all orders error:', error);
-        res.status(500).json({
-            error: 'ServerError',
-            message: 'Failed to fetch orders'
+        res.status(error.status || 500).json({
+            error: error.status ? 'ValidationError' : 'ServerError',
+            message: error.status ? error.message : 'Failed to fetch orders'
         });
     }
 });
 
 // ===========================
 // UPDATE ORDER STATUS (Admin only)
+// Moves must follow the transition graph in services/orderStatus.js
 // ===========================
 router.patch('/:id/status', authenticateToken, requireAdmin,
     [
-        body('status').isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled']),
-        body('paymentStatus').optional().isIn(['pending', 'paid', 'failed', 'refunded'])
+        body('status').isIn(ORDER_STATUSES),
+        body('paymentStatus').optional().isIn(PAYMENT_STATUSES),
+        body('note').optional().trim()
     ],
     async (req, res) => {
         try {
@@ -316,7 +361,7 @@ router.patch('/:id/status', authenticateToken, requireAdmin,
             }
 
             const { id } = req.params;
-            const { status, paymentStatus } = req.body;
+            const { status, paymentStatus, note } = req.body;
 
             const orderRef = db.collection('orders').doc(id);
             const orderDoc = await orderRef.get();
@@ -328,16 +373,37 @@ router.patch('/:id/status', authenticateToken, requireAdmin,
                 });
             }
 
-            const updates = {
-                status,
-                updatedAt: new Date()
-            };
+            const updates = paymentStatus ? { paymentStatus } : {};
 
-            if (paymentStatus) {
-                updates.paymentStatus = paymentStatus;
+            if (orderDoc.data().status === status) {
+                // Same status: only the payment status can change
+                if (!paymentStatus) {
+                    return res.status(400).json({
+                        error: 'ValidationError',
+                        message: `Order is already ${status}`
+                    });
+                }
+                await orderRef.update({
+                    ...updates,
+                    updatedAt: new Date()
+                });
+            } else {
+                await transitionOrder(id, {
+                    status,
+                    actor: req.user.email || req.user.id,
+                    note,
+                    updates
+                });
             }
 
-            await orderRef.update(updates);
+            // Manually confirmed payments turn the checkout hold into a sale
+            const reservationId = orderDoc.data().reservationId;
+            if (reservationId && ['authorized', 'paid'].includes(paymentStatus)) {
+                await convertReservation(reservationId, { actor: req.user.email || req.user.id });
+            }
+            if (paymentStatus === 'paid') {
+                await issueDownloads(id, { actor: req.user.email || req.user.id });
+            }
 
             const updated = await orderRef.get();
 
@@ -350,9 +416,9 @@ router.patch('/:id/status', authenticateToken, requireAdmin,
             });
         } catch (error) {
             console.error('Update order status error:', error);
-            res.status(500).json({
-                error: 'ServerError',
-                message: 'Failed to update order status'
+            res.status(error.status || 500).json({
+                error: error.status === 400 ? 'InvalidTransition' : 'ServerError',
+                message: error.status ? error.message : 'Failed to update order status'
             });
         }
     }
@@ -388,34 +454,15 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
             });
         }
 
-        // Check if order can be cancelled
-        if (!['pending', 'processing'].includes(order.status)) {
-            return res.status(400).json({
-                success: false,
-                error: 'INVALID_STATUS',
-                message: `Cannot cancel order with status: ${order.status}`
-            });
-        }
-
-        // Use transaction to refund stock and cancel order
-        await db.runTransaction(async (transaction) => {
-            // Refund stock for each item
-            for (const item of order.items) {
-                const productRef = db.collection('products').doc(item.productId);
-                transaction.update(productRef, {
-                    stockQuantity: admin.firestore.FieldValue.increment(item.quantity),
-                    updatedAt: new Date()
-                });
-            }
-
-            // Update order status
-            transaction.update(orderRef, {
-                status: 'cancelled',
-                cancelledAt: new Date(),
+        // Releases stock and records the change in statusHistory
+        await transitionOrder(id, {
+            status: 'cancelled',
+            actor: req.user.email || req.user.id,
+            note: reason || 'Cancelled by customer',
+            updates: {
                 cancellationReason: reason || 'Cancelled by customer',
-                cancelledBy: req.user.id,
-                updatedAt: new Date()
-            });
+                cancelledBy: req.user.id
+            }
         });
 
         const updated = await orderRef.get();
@@ -430,10 +477,10 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
         });
     } catch (error) {
         console.error('Cancel order error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to cancel order'
+            error: error.status === 400 ? 'INVALID_STATUS' : 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to cancel order'
         });
     }
 });
@@ -472,15 +519,25 @@ router.patch('/:id/tracking', authenticateToken, requireAdmin,
                 });
             }
 
-            const updates = {
+            const tracking = {
                 trackingNumber,
-                carrier: carrier || null,
-                status: 'shipped',
-                shippedAt: new Date(),
-                updatedAt: new Date()
+                carrier: carrier || null
             };
 
-            await orderRef.update(updates);
+            // Adding tracking ships the order; shipped orders just get the new number
+            if (orderDoc.data().status === 'shipped') {
+                await orderRef.update({
+                    ...tracking,
+                    updatedAt: new Date()
+                });
+            } else {
+                await transitionOrder(id, {
+                    status: 'shipped',
+                    actor: req.user.email || req.user.id,
+                    note: `Tracking ${trackingNumber}${carrier ? ` (${carrier})` : ''}`,
+                    updates: tracking
+                });
+            }
 
             const updated = await orderRef.get();
 
@@ -494,10 +551,10 @@ router.patch('/:id/tracking', authenticateToken, requireAdmin,
             });
         } catch (error) {
             console.error('Update tracking error:', error);
-            res.status(500).json({
+            res.status(error.status || 500).json({
                 success: false,
-                error: 'SERVER_ERROR',
-                message: 'Failed to update tracking number'
+                error: error.status === 400 ? 'INVALID_TRANSITION' : 'SERVER_ERROR',
+                message: error.status ? error.message : 'Failed to update tracking number'
             });
         }
     }
@@ -569,6 +626,110 @@ router.post('/:id/notes', authenticateToken, requireAdmin,
     }
 );
 
+// ===========================
+// CREATE REFUND (Admin only)
+// Full or partial refund by line item and shipping, optionally restocking
+// ===========================
+router.post('/:id/refunds', authenticateToken, requireAdmin,
+    [
+        body('items').optional().isArray(),
+        body('items.*.productId').isString(),
+        body('items.*.variantId').optional({ nullable: true }).isString(),
+        body('items.*.quantity').isInt({ min: 1 }),
+        body('shipping').optional().isFloat({ min: 0 }),
+        body('full').optional().isBoolean(),
+        body('restock').optional().isBoolean(),
+        body('method').optional().isIn(['original', 'store_credit']),
+        body('reason').optional().trim()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { items = [], shipping = 0, full = false, restock = false, method = 'original', reason = '' } = req.body;
+
+            if (!full && items.length === 0 && !(shipping > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Specify items, shipping or full: true'
+                });
+            }
+
+            const refund = await createRefund(req.params.id, {
+                items,
+                shipping,
+                full,
+                restock,
+                method,
+                reason,
+                actor: req.user.email || req.user.id
+            });
+
+            const updated = await db.collection('orders').doc(req.params.id).get();
+
+            res.status(201).json({
+                success: true,
+                message: 'Refund issued successfully',
+                refund,
+                order: {
+                    id: updated.id,
+                    ...updated.data()
+                }
+            });
+        } catch (error) {
+            console.error('Create refund error:', error);
+            const codes = { 400: 'VALIDATION_ERROR', 404: 'NOT_FOUND', 502: 'PAYMENT_PROVIDER_ERROR' };
+            res.status(error.status || 500).json({
+                success: false,
+                error: codes[error.status] || 'SERVER_ERROR',
+                message: error.status ? error.message : 'Failed to issue refund'
+            });
+        }
+    }
+);
+
+// ===========================
+// GET REFUND HISTORY (Admin only)
+// ===========================
+router.get('/:id/refunds', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const orderDoc = await db.collection('orders').doc(req.params.id).get();
+
+        if (!orderDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Order not found'
+            });
+        }
+
+        const order = orderDoc.data();
+
+        res.json({
+            success: true,
+            refunds: order.refunds || [],
+            refundedAmount: order.refundedAmount || 0,
+            refundableAmount: roundCurrency(order.total - (order.refundedAmount || 0))
+        });
+    } catch (error) {
+        console.error('Get refunds error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch refunds'
+        });
+    }
+});
+
 // ===========================
 // ORDER ANALYTICS (Admin only)
 // ===========================
@@ -588,6 +749,7 @@ router.get('/admin/analytics/dashboard', authenticateToken, requireAdmin, async
 
         let totalOrders = 0;
         let totalRevenue = 0;
+        let totalRefunded = 0;
         let totalItems = 0;
         const statusCounts = {
             pending: 0,
@@ -604,6 +766,7 @@ router.get('/admin/analytics/dashboard', authenticateToken, requireAdmin, async
 
             if (order.status !== 'cancelled') {
                 totalRevenue += order.total || 0;
+                totalRefunded += order.refundedAmount || 0;
                 totalItems += order.items?.length || 0;
 
                 // Track product sales
@@ -613,17 +776,29 @@ router.get('/admin/analytics/dashboard', authenticateToken, requireAdmin, async
                             productId: item.productId,
                             productName: item.productName,
                             quantitySold: 0,
+                            quantityRefunded: 0,
                             revenue: 0
                         };
                     }
+                    const refundedQuantity = item.refundedQuantity || 0;
                     productSales[item.productId].quantitySold += item.quantity;
-                    productSales[item.productId].revenue += item.subtotal;
+                    productSales[item.productId].quantityRefunded += refundedQuantity;
+                    productSales[item.productId].revenue += item.subtotal * (item.quantity - refundedQuantity) / item.quantity;
                 });
             }
 
             statusCounts[order.status] = (statusCounts[order.status] || 0) + 1;
         });
 
+        // Payments taken for orders that were already cancelled, whenever placed
+        const refundRequiredSnapshot = await db.collection('orders')
+            .where('refundRequired', '==', true)
+            .get();
+        const refundRequiredAmount = refundRequiredSnapshot.docs.reduce((sum, doc) => {
+            const order = doc.data();
+            return sum + (order.amountDue !== undefined ? order.amountDue : order.total || 0) - (order.refundedAmount || 0);
+        }, 0);
+
         // Get top selling products
         const topProducts = Object.values(productSales)
             .sort((a, b) => b.quantitySold - a.quantitySold)
@@ -638,9 +813,15 @@ router.get('/admin/analytics/dashboard', authenticateToken, requireAdmin, async
                 overview: {
                     totalOrders,
                     totalRevenue: Math.round(totalRevenue * 100) / 100,
+                    totalRefunded: Math.round(totalRefunded * 100) / 100,
+                    netRevenue: Math.round((totalRevenue - totalRefunded) * 100) / 100,
                     totalItems,
                     avgOrderValue: Math.round(avgOrderValue * 100) / 100
                 },
+                refundsRequired: {
+                    count: refundRequiredSnapshot.size,
+                    amount: Math.round(refundRequiredAmount * 100) / 100
+                },
                 statusBreakdown: statusCounts,
                 topProducts,
                 period: `${days} days`
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { db } = require('../config/firebase');
+const { optionalAuth } = require('../middleware/auth');
+const { getProvider, applyPaymentEvent } = require('../services/payments');
+
+// ===========================
+// CREATE CHECKOUT SESSION
+// Hands an existing order to the payment provider's hosted checkout page
+// ===========================
+router.post('/checkout', optionalAuth,
+    [
+        body('orderId').isString().notEmpty(),
+        body('customerEmail').optional().isEmail()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { orderId, customerEmail } = req.body;
+
+            const orderRef = db.collection('orders').doc(orderId);
+            const orderDoc = await orderRef.get();
+
+            if (!orderDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'NOT_FOUND',
+                    message: 'Order not found'
+                });
+            }
+
+            const order = orderDoc.data();
+
+            // Account orders need their owner; guest orders need the email they were placed with
+            const isAdmin = req.user && req.user.role === 'GronderfulBlogs';
+            const isOwner = order.userId
+                ? Boolean(req.user && req.user.id === order.userId)
+                : Boolean(customerEmail && customerEmail.toLowerCase() === order.customerEmail.toLowerCase());
+
+            if (!isAdmin && !isOwner) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'FORBIDDEN',
+                    message: 'Access denied'
+                });
+            }
+
+            if (!['pending', 'failed'].includes(order.paymentStatus || 'pending') || order.status === 'cancelled') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: `Order cannot be paid (payment ${order.paymentStatus}, status ${order.status})`
+                });
+            }
+
+            // Stock is only held for a limited time; expired orders must be placed again
+            if (order.reservationId && order.reservationStatus !== 'active') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'RESERVATION_EXPIRED',
+                    message: 'The stock hold for this order has expired. Please place your order again.'
+                });
+            }
+
+            const provider = getProvider();
+            const frontendUrl = process.env.FRONTEND_URL || req.headers.origin;
+
+            const session = await provider.createCheckoutSession(order, {
+                successUrl: `${frontendUrl}/checkout.html?status=success&order=${order.orderNumber}`,
+                cancelUrl: `${frontendUrl}/cart.html`
+            });
+
+            await orderRef.update({
+                payment: {
+                    provider: provider.name,
+                    sessionId: session.sessionId,
+                    providerOrderId: session.providerOrderId,
+                    checkoutUrl: session.checkoutUrl,
+                    status: order.paymentStatus || 'pending',
+                    createdAt: new Date()
+                },
+                updatedAt: new Date()
+            });
+
+            res.status(201).json({
+                success: true,
+                provider: provider.name,
+                sessionId: session.sessionId,
+                checkoutUrl: session.checkoutUrl
+            });
+        } catch (error) {
+            console.error('Create checkout session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'SERVER_ERROR',
+                message: 'Failed to create checkout session'
+            });
+        }
+    }
+);
+
+// ===========================
+// PAYMENT WEBHOOK
+// Signed provider notifications; duplicates and stale events are acknowledged without changes
+// ===========================
+router.post('/webhook', async (req, res) => {
+    try {
+        const provider = getProvider();
+
+        if (!provider.verifyWebhook(req)) {
+            return res.status(401).json({
+                success: false,
+                error: 'UNAUTHORIZED',
+                message: 'Invalid webhook signature'
+            });
+        }
+
+        const event = provider.parseWebhookEvent(req.body || {});
+        const result = await applyPaymentEvent(provider.name, event);
+
+        if (!result.applied) {
+            console.log(`Payment event ${event.eventId} not applied: ${result.reason}`);
+        }
+
+        // Always acknowledge verified events so the provider stops retrying
+        res.json({
+            success: true,
+            received: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to process webhook'
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,54 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { db } = require('../config/firebase');
 const { authenticateTokenOrApiKey, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { withAvailability, recordMovement, getMovements, rebuildStock } = require('../services/inventory');
+const { variantsCollection, getVariants, isSkuTaken, variantFields } = require('../services/variants');
+const { getAlertSettings, stockThreshold, stockLevel } = require('../services/stockAlerts');
+const { searchProducts, reindexAll } = require('../services/search');
+const { getSuggestions } = require('../services/search/suggest');
+const { recordSearch, recordSearchEvent, backfillQueryPrefixes } = require('../services/search/queries');
+const { parseFacetFilters, hasFacetFilters, matchesFilters, buildFacets } = require('../services/facets');
+const { parsePagination, paginateQuery, paginateList } = require('../services/pagination');
+const { csvEntries, jsonEntries, importProducts } = require('../services/productImport');
+const { EXPORT_FORMATS, createExport, streamExport } = require('../services/productExport');
+const { recordRevision, getRevisions, getRevision, diffRevisions, rollbackToRevision } = require('../services/revisions');
+const { isPublished, withActivePrice, scheduleFields } = require('../services/productSchedule');
+const { resolveSlug, slugLocation } = require('../services/slugHistory');
+const { resolveImageUrls, withImageObjects } = require('../services/media');
+const { isBundle, withBundles, bundleFields } = require('../services/bundles');
+const { MAX_DOWNLOAD_UPLOAD_BYTES, isDigital, attachDigitalFile, digitalFields } = require('../services/downloads');
+const { subscriptionFields } = require('../services/subscriptions');
+const { singleFileUpload } = require('../middleware/upload');
+
+// Rules for a new product; bulk imports check every row against them too
+const productValidators = () => [
+    body('name').trim().notEmpty(),
+    body('slug').trim().notEmpty().matches(/^[a-z0-9-]+$/),
+    body('description').optional().trim(),
+    body('price').isFloat({ min: 0 }),
+    body('compareAtPrice').optional().isFloat({ min: 0 }),
+    body('stockQuantity').optional().isInt({ min: 0 }),
+    body('categoryId').optional().isString(),
+    body('imageUrl').optional().isURL(),
+    body('isFeatured').optional().isBoolean(),
+    body('taxExempt').optional().isBoolean(),
+    body('weight').optional().isFloat({ min: 0 }),
+    body('lowStockThreshold').optional({ nullable: true }).isInt({ min: 0 }),
+    body('variants').optional().isArray()
+];
+
+// Import rows can also set images, tags, metadata and isActive
+const importRowValidators = () => [
+    ...productValidators(),
+    body('images').optional().isArray(),
+    body('images.*').isURL(),
+    body('tags').optional().isArray(),
+    body('isActive').optional().isBoolean(),
+    body('metadata').optional().isObject()
+];
+
+// Products per import request; bigger catalogs go in several files
+const MAX_IMPORT_ROWS = 5000;
 
 // ===========================
 // GET ALL PRODUCTS (Public)
@@ -14,9 +62,7 @@ router.get('/', optionalAuth, async (req, res) => {
             featured,
             search,
             sort = 'createdAt',
-            order = 'desc',
-            limit = 20,
-            offset = 0
+            order = 'desc'
         } = req.query;
 
         // Start with base query
@@ -29,8 +75,11 @@ router.get('/', optionalAuth, async (req, res) => {
                 .limit(1)
                 .get();
 
-            if (!categoryDoc.empty) {
-                const categoryId = categoryDoc.docs[0].id;
+            // Old category slugs still filter by the category that used them
+            const moved = categoryDoc.empty ? await resolveSlug('category', category) : null;
+            const categoryId = moved ? moved.id : !categoryDoc.empty && categoryDoc.docs[0].id;
+
+            if (categoryId) {
                 query = query.where('categoryId', '==', categoryId);
             }
         }
@@ -44,36 +93,68 @@ router.get('/', optionalAuth, async (req, res) => {
         const validSortFields = ['createdAt', 'name', 'price', 'stockQuantity'];
         const sortField = validSortFields.includes(sort) ? sort : 'createdAt';
         const sortOrder = order.toLowerCase() === 'asc' ? 'asc' : 'desc';
-        query = query.orderBy(sortField, sortOrder);
 
-        // Execute query
-        const snapshot = await query.get();
-        let products = [];
+        const pagination = parsePagination(req.query, { defaultLimit: 20 });
+        const filters = parseFacetFilters(req.query);
+        const includeFacets = req.query.facets === 'true';
+
+        let products;
+        let total;
+        let page;
+        let facets = null;
+        let redirect = null;
+
+        if (!search && !includeFacets && !hasFacetFilters(filters)) {
+            // Plain listings are paged by Firestore and only read one page.
+            // Products the schedule has retired (or not yet released) since its
+            // last run are skipped and left out of the total.
+            const now = new Date();
+            const [queryPage, publishedCount] = await Promise.all([
+                paginateQuery(query, [[sortField, sortOrder]], pagination, {
+                    filter: doc => isPublished(doc.data(), now)
+                }),
+                countPublished(query, now)
+            ]);
+
+            page = queryPage;
+            total = publishedCount;
+            products = (await withBundles(page.docs.map(doc => withAvailability({ id: doc.id, ...doc.data() }))))
+                .map(product => withActivePrice(product));
+        } else {
+            // Search and facets work over every matching product
+            const snapshot = await query.get();
+            let matches = (await withBundles(snapshot.docs.map(doc => withAvailability({ id: doc.id, ...doc.data() }))))
+                .map(product => withActivePrice(product))
+                .filter(product => isPublished(product));
+            let orderBy = [[sortField, sortOrder]];
+
+            // Filter through the search index; without an explicit sort,
+            // matches come back in relevance order
+            if (search) {
+                const searchResult = await searchProducts(search, { limit: matches.length });
+                const scores = new Map(searchResult.results.map(result => [result.id, result.score]));
+                redirect = searchResult.redirect;
+
+                matches = matches
+                    .filter(p => scores.has(p.id))
+                    .map(p => ({ ...p, searchScore: scores.get(p.id) }));
+
+                if (!req.query.sort) {
+                    orderBy = [['searchScore', 'desc']];
+                }
+            }
 
-        snapshot.forEach(doc => {
-            products.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
+            // Count facets against the same result set, then apply them
+            if (includeFacets) {
+                facets = buildFacets(matches, filters);
+            }
+            matches = matches.filter(p => matchesFilters(p, filters));
 
-        // Apply search filter (client-side since Firestore doesn't support full-text search)
-        if (search) {
-            const searchLower = search.toLowerCase();
-            products = products.filter(p =>
-                p.name.toLowerCase().includes(searchLower) ||
-                (p.description && p.description.toLowerCase().includes(searchLower))
-            );
+            total = matches.length;
+            page = paginateList(matches, orderBy, pagination);
+            products = page.items;
         }
 
-        // Get total before pagination
-        const total = products.length;
-
-        // Apply pagination
-        const startIndex = parseInt(offset);
-        const endIndex = startIndex + parseInt(limit);
-        products = products.slice(startIndex, endIndex);
-
         // Fetch category names for products
         for (let product of products) {
             if (product.categoryId) {
@@ -87,19 +168,131 @@ router.get('/', optionalAuth, async (req, res) => {
         }
 
         res.json({
-            products,
+            products: await withImageObjects(products),
+            facets,
+            redirect,
             pagination: {
                 total,
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                hasMore: parseInt(offset) + parseInt(limit) < total
+                limit: pagination.limit,
+                offset: pagination.offset,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
             }
         });
     } catch (error) {
         console.error('Get products error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? 'ValidationError' : 'ServerError',
+            message: error.status ? error.message : 'Failed to fetch products'
+        });
+    }
+});
+
+// ===========================
+// SEARCH PRODUCTS (Public)
+// Relevance-ranked full-text search with highlighted matches
+// ===========================
+router.get('/search', async (req, res) => {
+    try {
+        const { q = '', category } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+        if (!q.trim()) {
+            return res.status(400).json({
+                error: 'ValidationError',
+                message: 'Search query (q) is required'
+            });
+        }
+
+        let categoryId = null;
+        if (category) {
+            const categoryDoc = await db.collection('categories')
+                .where('slug', '==', category)
+                .limit(1)
+                .get();
+
+            const moved = categoryDoc.empty ? await resolveSlug('category', category) : null;
+            categoryId = moved ? moved.id : !categoryDoc.empty && categoryDoc.docs[0].id;
+
+            if (!categoryId) {
+                return res.json({
+                    products: [],
+                    pagination: { total: 0, limit: pagination.limit, offset: pagination.offset, hasMore: false, nextCursor: null }
+                });
+            }
+        }
+
+        const { results, total, expandedQueries, redirect } = await searchProducts(q, {
+            categoryId,
+            limit: Number.MAX_SAFE_INTEGER
+        });
+        const page = paginateList(results, [['score', 'desc']], pagination);
+
+        // Load the current product documents for this page of results
+        const productDocs = page.items.length > 0
+            ? await db.getAll(...page.items.map(result => db.collection('products').doc(result.id)))
+            : [];
+
+        const products = [];
+        productDocs.forEach((doc, position) => {
+            // The index can briefly lag behind deletes and deactivations
+            if (!doc.exists || !isPublished(doc.data())) return;
+
+            products.push({
+                ...withAvailability({ id: doc.id, ...doc.data() }),
+                score: page.items[position].score,
+                highlights: page.items[position].highlights
+            });
+        });
+        const priced = (await withBundles(products)).map(product => withActivePrice(product));
+
+        res.json({
+            query: q,
+            expandedQueries,
+            redirect,
+            products: await withImageObjects(priced),
+            pagination: {
+                total,
+                limit: pagination.limit,
+                offset: pagination.offset,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (error) {
+        console.error('Search products error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? 'ValidationError' : 'ServerError',
+            message: error.status ? error.message : 'Failed to search products'
+        });
+    }
+});
+
+// ===========================
+// SEARCH SUGGESTIONS (Public)
+// Autocomplete for the search box: products, categories and popular queries
+// ===========================
+router.get('/suggest', async (req, res) => {
+    try {
+        const { q = '', limit = 5 } = req.query;
+
+        if (!q.trim()) {
+            return res.json({ query: q, queries: [], products: [], categories: [] });
+        }
+
+        const suggestions = await getSuggestions(q, {
+            limit: Math.min(parseInt(limit) || 5, 10)
+        });
+
+        res.json({
+            query: q,
+            ...suggestions
+        });
+    } catch (error) {
+        console.error('Search suggestions error:', error);
         res.status(500).json({
             error: 'ServerError',
-            message: 'Failed to fetch products'
+            message: 'Failed to fetch suggestions'
         });
     }
 });
@@ -111,13 +304,27 @@ router.get('/:slug', async (req, res) => {
     try {
         const { slug } = req.params;
 
+        // Visibility is checked here rather than in the query so products
+        // whose publish time has just passed show before the schedule runs
         const snapshot = await db.collection('products')
             .where('slug', '==', slug)
-            .where('isActive', '==', true)
             .limit(1)
             .get();
 
         if (snapshot.empty) {
+            // Links to a renamed product redirect to its current slug
+            const moved = await resolveSlug('product', slug);
+            if (moved && isPublished(moved.data)) {
+                const location = slugLocation(req, moved.slug);
+                return res.status(301).location(location).json({
+                    message: 'Product has moved',
+                    slug: moved.slug,
+                    location
+                });
+            }
+        }
+
+        if (snapshot.empty || !isPublished(snapshot.docs[0].data())) {
             return res.status(404).json({
                 error: 'NotFound',
                 message: 'Product not found'
@@ -125,10 +332,11 @@ router.get('/:slug', async (req, res) => {
         }
 
         const productDoc = snapshot.docs[0];
-        const product = {
+        const variants = await getVariants(productDoc.id, { activeOnly: true });
+        const [product] = (await withBundles([withAvailability({
             id: productDoc.id,
             ...productDoc.data()
-        };
+        }, variants)])).map(item => withActivePrice(item));
 
         // Fetch category info
         if (product.categoryId) {
@@ -140,7 +348,7 @@ router.get('/:slug', async (req, res) => {
             }
         }
 
-        res.json({ product });
+        res.json({ product: (await withImageObjects([product]))[0] });
     } catch (error) {
         console.error('Get product error:', error);
         res.status(500).json({
@@ -154,17 +362,7 @@ router.get('/:slug', async (req, res) => {
 // CREATE PRODUCT (Admin only)
 // ===========================
 router.post('/', authenticateTokenOrApiKey, requireAdmin,
-    [
-        body('name').trim().notEmpty(),
-        body('slug').trim().notEmpty().matches(/^[a-z0-9-]+$/),
-        body('description').optional().trim(),
-        body('price').isFloat({ min: 0 }),
-        body('compareAtPrice').optional().isFloat({ min: 0 }),
-        body('stockQuantity').optional().isInt({ min: 0 }),
-        body('categoryId').optional().isString(),
-        body('imageUrl').optional().isURL(),
-        body('isFeatured').optional().isBoolean()
-    ],
+    productValidators(),
     async (req, res) => {
         try {
             const errors = validationResult(req);
@@ -187,6 +385,9 @@ router.post('/', authenticateTokenOrApiKey, requireAdmin,
                 imageUrl,
                 images = [],
                 isFeatured = false,
+                taxExempt = false,
+                weight = null,
+                lowStockThreshold = null,
                 metadata = {},
                 variants = []
             } = req.body;
@@ -204,6 +405,23 @@ router.post('/', authenticateTokenOrApiKey, requireAdmin,
                 });
             }
 
+            // Variant SKUs must be unique within the request and across the store
+            const skus = variants.map(variant => String(variant.sku || '').trim());
+            if (skus.some(sku => !sku) || new Set(skus).size !== skus.length) {
+                return res.status(400).json({
+                    error: 'ValidationError',
+                    message: 'Every variant needs a unique sku'
+                });
+            }
+            for (const sku of skus) {
+                if (await isSkuTaken(sku)) {
+                    return res.status(409).json({
+                        error: 'ConflictError',
+                        message: `SKU ${sku} is already in use`
+                    });
+                }
+            }
+
             // Create product
             const productData = {
                 name,
@@ -211,32 +429,90 @@ router.post('/', authenticateTokenOrApiKey, requireAdmin,
                 description: description || '',
                 price: parseFloat(price),
                 compareAtPrice: compareAtPrice ? parseFloat(compareAtPrice) : null,
-                stockQuantity: parseInt(stockQuantity),
+                // With variants, product stock is the total across them
+                stockQuantity: variants.length > 0
+                    ? variants.reduce((sum, variant) => sum + (parseInt(variant.stock) || 0), 0)
+                    : parseInt(stockQuantity),
                 categoryId: categoryId || null,
                 imageUrl: imageUrl || null,
                 images: images,
                 isFeatured,
                 isActive: true,
+                taxExempt: Boolean(taxExempt),
+                weight: weight !== null ? parseFloat(weight) : null,
+                lowStockThreshold: lowStockThreshold !== null ? parseInt(lowStockThreshold) : null,
                 metadata,
-                variants,
+                hasVariants: variants.length > 0,
+                variantCount: variants.length,
                 createdAt: new Date(),
                 updatedAt: new Date()
             };
+            Object.assign(productData, scheduleFields(req.body, productData));
+            Object.assign(productData, await bundleFields(req.body, productData));
+            Object.assign(productData, await digitalFields(req.body, productData));
+            Object.assign(productData, subscriptionFields(req.body));
+
+            // Bundles sell their components' stock, never their own; downloads have none
+            if (isBundle(productData) || isDigital(productData)) {
+                productData.stockQuantity = 0;
+            }
 
-            const docRef = await db.collection('products').add(productData);
+            const docRef = db.collection('products').doc();
+            const batch = db.batch();
+            const revisionFields = recordRevision(batch, docRef.id, null, productData, {
+                user: req.user,
+                source: revisionSource(req)
+            });
+            batch.set(docRef, { ...productData, ...revisionFields });
+
+            const createdVariants = variants.map(variant => {
+                const variantDocRef = variantsCollection(docRef.id).doc();
+                const variantData = {
+                    name: '',
+                    attributes: {},
+                    images: [],
+                    weight: null,
+                    isActive: true,
+                    ...variantFields(variant),
+                    stock: parseInt(variant.stock) || 0,
+                    reserved: 0,
+                    createdAt: new Date(),
+                    updatedAt: new Date()
+                };
+                batch.set(variantDocRef, variantData);
+                return { id: variantDocRef.id, ...variantData };
+            });
+
+            if (createdVariants.length > 0) {
+                const lines = createdVariants
+                    .filter(variant => variant.stock)
+                    .map(variant => ({ variantId: variant.id, quantity: variant.stock }));
+                if (lines.length > 0) {
+                    recordMovement(batch, docRef.id, {}, lines, {
+                        type: 'adjustment',
+                        actor: req.user.email || req.user.id,
+                        reason: 'Initial stock'
+                    }, createdVariants.map(variant => ({ id: variant.id, stock: 0 })));
+                }
+            } else {
+                recordStockEdit(batch, docRef.id, {}, productData.stockQuantity, req.user, 'Initial stock');
+            }
+
+            await batch.commit();
 
             res.status(201).json({
                 message: 'Product created successfully',
                 product: {
                     id: docRef.id,
-                    ...productData
+                    ...productData,
+                    variants: createdVariants
                 }
             });
         } catch (error) {
             console.error('Create product error:', error);
-            res.status(500).json({
-                error: 'ServerError',
-                message: 'Failed to create product'
+            res.status(error.status || 500).json({
+                error: errorName(error.status),
+                message: error.status ? error.message : 'Failed to create product'
             });
         }
     }
@@ -264,7 +540,7 @@ router.put('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) =>
         const allowedFields = [
             'name', 'slug', 'description', 'price', 'compareAtPrice',
             'stockQuantity', 'categoryId', 'imageUrl', 'images',
-            'isActive', 'isFeatured', 'metadata', 'variants'
+            'isActive', 'isFeatured', 'metadata', 'taxExempt', 'weight', 'lowStockThreshold'
         ];
 
         const updates = {};
@@ -273,6 +549,10 @@ router.put('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) =>
                 updates[key] = req.body[key];
             }
         });
+        Object.assign(updates, scheduleFields(req.body, { ...productDoc.data(), ...updates }));
+        Object.assign(updates, await bundleFields(req.body, { id, ...productDoc.data() }));
+        Object.assign(updates, await digitalFields(req.body, { id, ...productDoc.data() }));
+        Object.assign(updates, subscriptionFields(req.body));
 
         if (Object.keys(updates).length === 0) {
             return res.status(400).json({
@@ -283,8 +563,13 @@ router.put('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) =>
 
         updates.updatedAt = new Date();
 
-        // Update product
-        await productRef.update(updates);
+        if (updates.stockQuantity !== undefined) {
+            assertOwnStock({ ...productDoc.data(), ...updates });
+            updates.stockQuantity = parseInt(updates.stockQuantity);
+        }
+
+        // Update product, logging any stock change to the ledger
+        await commitProductEdit(productDoc, updates, req);
 
         const updated = await productRef.get();
 
@@ -297,9 +582,9 @@ router.put('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) =>
         });
     } catch (error) {
         console.error('Update product error:', error);
-        res.status(500).json({
-            error: 'ServerError',
-            message: 'Failed to update product'
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to update product'
         });
     }
 });
@@ -325,7 +610,7 @@ router.patch('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) =
         const allowedFields = [
             'name', 'slug', 'description', 'price', 'compareAtPrice',
             'stockQuantity', 'categoryId', 'imageUrl', 'images',
-            'isActive', 'isFeatured', 'metadata', 'variants',
+            'isActive', 'isFeatured', 'metadata', 'taxExempt', 'lowStockThreshold',
             'sku', 'weight', 'dimensions', 'tags', 'seoTitle', 'seoDescription'
         ];
 
@@ -335,6 +620,10 @@ router.patch('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) =
                 updates[key] = req.body[key];
             }
         });
+        Object.assign(updates, scheduleFields(req.body, { ...productDoc.data(), ...updates }));
+        Object.assign(updates, await bundleFields(req.body, { id, ...productDoc.data() }));
+        Object.assign(updates, await digitalFields(req.body, { id, ...productDoc.data() }));
+        Object.assign(updates, subscriptionFields(req.body));
 
         if (Object.keys(updates).length === 0) {
             return res.status(400).json({
@@ -345,7 +634,12 @@ router.patch('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) =
 
         updates.updatedAt = new Date();
 
-        await productRef.update(updates);
+        if (updates.stockQuantity !== undefined) {
+            assertOwnStock({ ...productDoc.data(), ...updates });
+            updates.stockQuantity = parseInt(updates.stockQuantity);
+        }
+
+        await commitProductEdit(productDoc, updates, req);
 
         const updated = await productRef.get();
 
@@ -358,9 +652,9 @@ router.patch('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res) =
         });
     } catch (error) {
         console.error('Patch product error:', error);
-        res.status(500).json({
-            error: 'ServerError',
-            message: 'Failed to update product'
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to update product'
         });
     }
 });
@@ -390,10 +684,10 @@ router.patch('/:id/title', authenticateTokenOrApiKey, requireAdmin, async (req,
             });
         }
 
-        await productRef.update({
+        await commitProductEdit(productDoc, {
             name: name.trim(),
             updatedAt: new Date()
-        });
+        }, req);
 
         res.json({
             message: 'Product title updated successfully',
@@ -433,10 +727,10 @@ router.patch('/:id/description', authenticateTokenOrApiKey, requireAdmin, async
             });
         }
 
-        await productRef.update({
+        await commitProductEdit(productDoc, {
             description: description.trim(),
             updatedAt: new Date()
-        });
+        }, req);
 
         res.json({
             message: 'Product description updated successfully',
@@ -485,7 +779,7 @@ router.patch('/:id/price', authenticateTokenOrApiKey, requireAdmin, async (req,
             updates.compareAtPrice = compareAtPrice ? parseFloat(compareAtPrice) : null;
         }
 
-        await productRef.update(updates);
+        await commitProductEdit(productDoc, updates, req);
 
         res.json({
             message: 'Product price updated successfully',
@@ -502,12 +796,12 @@ router.patch('/:id/price', authenticateTokenOrApiKey, requireAdmin, async (req,
 });
 
 // ===========================
-// UPDATE PRODUCT STOCK (Admin only)
+// UPDATE PRODUCT SCHEDULE (Admin only)
+// Publishing window and sale price window; null clears a field
 // ===========================
-router.patch('/:id/stock', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+router.patch('/:id/schedule', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
     try {
         const { id } = req.params;
-        const { stockQuantity, adjustment } = req.body;
 
         const productRef = db.collection('products').doc(id);
         const productDoc = await productRef.get();
@@ -519,38 +813,478 @@ router.patch('/:id/stock', authenticateTokenOrApiKey, requireAdmin, async (req,
             });
         }
 
-        let newStock;
+        const updates = scheduleFields(req.body, productDoc.data());
 
-        if (adjustment !== undefined) {
-            // Relative adjustment (+5 or -3)
-            const currentStock = productDoc.data().stockQuantity || 0;
-            newStock = currentStock + parseInt(adjustment);
-            if (newStock < 0) newStock = 0;
-        } else if (stockQuantity !== undefined) {
-            // Absolute value
-            newStock = parseInt(stockQuantity);
-            if (newStock < 0) newStock = 0;
-        } else {
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                error: 'ValidationError',
+                message: 'No schedule fields to update'
+            });
+        }
+
+        updates.updatedAt = new Date();
+        await commitProductEdit(productDoc, updates, req);
+
+        const updated = await productRef.get();
+
+        res.json({
+            message: 'Product schedule updated successfully',
+            product: withActivePrice({
+                id: updated.id,
+                ...updated.data()
+            })
+        });
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to update product schedule'
+        });
+    }
+});
+
+// ===========================
+// UPDATE PRODUCT STOCK (Admin only)
+// Every change is written to the inventory ledger
+// ===========================
+router.patch('/:id/stock', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { stockQuantity, adjustment, reason, referenceId, type = 'adjustment' } = req.body;
+
+        if (adjustment === undefined && stockQuantity === undefined) {
             return res.status(400).json({
                 error: 'ValidationError',
                 message: 'Either stockQuantity or adjustment is required'
             });
         }
 
-        await productRef.update({
-            stockQuantity: newStock,
-            updatedAt: new Date()
+        // Manual counts and external inventory syncs are the only hand-entered movements
+        if (!['adjustment', 'sync'].includes(type)) {
+            return res.status(400).json({
+                error: 'ValidationError',
+                message: 'type must be adjustment or sync'
+            });
+        }
+
+        const productRef = db.collection('products').doc(id);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const productDoc = await transaction.get(productRef);
+            if (!productDoc.exists) return null;
+
+            assertOwnStock(productDoc.data());
+
+            const currentStock = productDoc.data().stockQuantity || 0;
+            let newStock;
+
+            if (adjustment !== undefined) {
+                // Relative adjustment (+5 or -3)
+                newStock = currentStock + parseInt(adjustment);
+            } else {
+                // Absolute value
+                newStock = parseInt(stockQuantity);
+            }
+            if (newStock < 0) newStock = 0;
+
+            const revisionFields = recordRevision(transaction, id, productDoc.data(), {
+                ...productDoc.data(),
+                stockQuantity: newStock
+            }, { user: req.user, source: revisionSource(req) });
+
+            transaction.update(productRef, {
+                stockQuantity: newStock,
+                ...revisionFields,
+                updatedAt: new Date()
+            });
+
+            const movementId = newStock !== currentStock
+                ? recordMovement(transaction, id, productDoc.data(), [{ quantity: newStock - currentStock }], {
+                    type,
+                    actor: req.user.email || req.user.id,
+                    reason,
+                    referenceId
+                })
+                : null;
+
+            return { previousStock: currentStock, stockQuantity: newStock, movementId };
         });
 
+        if (!result) {
+            return res.status(404).json({
+                error: 'NotFound',
+                message: 'Product not found'
+            });
+        }
+
         res.json({
             message: 'Product stock updated successfully',
-            stockQuantity: newStock
+            ...result
         });
     } catch (error) {
         console.error('Update stock error:', error);
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to update product stock'
+        });
+    }
+});
+
+// ===========================
+// LOW STOCK REPORT (Admin only)
+// Products (and variants) at or below their threshold, least available first
+// ===========================
+router.get('/admin/low-stock', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const settings = await getAlertSettings();
+        if (req.query.threshold !== undefined) {
+            settings.lowStockThreshold = parseInt(req.query.threshold) || 0;
+        }
+
+        const [productsSnapshot, variantsSnapshot] = await Promise.all([
+            db.collection('products').get(),
+            db.collectionGroup('variants').get()
+        ]);
+
+        // Group variants under their product
+        const variantsByProduct = {};
+        variantsSnapshot.docs.forEach(doc => {
+            const productId = doc.ref.parent.parent.id;
+            if (!variantsByProduct[productId]) variantsByProduct[productId] = [];
+            variantsByProduct[productId].push({ id: doc.id, ...doc.data() });
+        });
+
+        const products = [];
+
+        productsSnapshot.docs.forEach(doc => {
+            const product = withAvailability({ id: doc.id, ...doc.data() }, variantsByProduct[doc.id] || []);
+
+            // Deactivated products are not reordered, unless the stock job hid them.
+            // Bundles have no stock of their own; their components are listed instead
+            if ((!product.isActive && !product.autoHidden) || isBundle(product)) return;
+
+            const threshold = stockThreshold(product, settings);
+            const lowVariants = product.variants
+                .filter(variant => variant.isActive !== false && variant.available <= threshold)
+                .map(variant => ({
+                    id: variant.id,
+                    sku: variant.sku,
+                    name: variant.name,
+                    stock: variant.stock || 0,
+                    reserved: variant.reserved || 0,
+                    available: variant.available
+                }));
+
+            if (product.availableQuantity > threshold && lowVariants.length === 0) return;
+
+            products.push({
+                id: product.id,
+                name: product.name,
+                sku: product.sku || null,
+                slug: product.slug,
+                stockQuantity: product.stockQuantity || 0,
+                reservedQuantity: product.reservedQuantity || 0,
+                availableQuantity: product.availableQuantity,
+                threshold,
+                stockStatus: stockLevel(product.availableQuantity, threshold),
+                isActive: product.isActive,
+                variants: lowVariants
+            });
+        });
+
+        products.sort((a, b) => a.availableQuantity - b.availableQuantity);
+
+        res.json({
+            products,
+            total: products.length,
+            defaultThreshold: settings.lowStockThreshold
+        });
+    } catch (error) {
+        console.error('Low stock report error:', error);
         res.status(500).json({
             error: 'ServerError',
-            message: 'Failed to update product stock'
+            message: 'Failed to build low stock report'
+        });
+    }
+});
+
+// ===========================
+// EXPORT CATALOG (Admin only)
+// Streams every product as csv, json, merchant-xml or merchant-tsv. Works with
+// an X-API-Key so feed schedulers can pull it directly.
+// ===========================
+router.get('/admin/export', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+            error: 'ValidationError',
+            message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+        });
+    }
+
+    try {
+        const exporter = await createExport(format, {
+            storeUrl: (process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, ''),
+            currency: process.env.SQUARE_CURRENCY || 'USD',
+            title: 'GronderfulShops'
+        });
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Type', exporter.contentType);
+        res.set('Content-Disposition', `attachment; filename="products-${date}.${exporter.extension}"`);
+
+        await streamExport(exporter, res, { activeOnly: req.query.activeOnly === 'true' });
+    } catch (error) {
+        console.error('Export products error:', error);
+
+        // Once rows have gone out the only way to signal failure is to cut the response short
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            error: 'ServerError',
+            message: 'Failed to export products'
+        });
+    }
+});
+
+// ===========================
+// REBUILD SEARCH INDEX (Admin only)
+// Product writes keep the index current; this is for first deploys and repairs
+// ===========================
+router.post('/admin/search/reindex', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const result = await reindexAll();
+        const queries = await backfillQueryPrefixes();
+
+        res.json({
+            message: 'Search index rebuilt',
+            ...result,
+            queries
+        });
+    } catch (error) {
+        console.error('Reindex search error:', error);
+        res.status(500).json({
+            error: 'ServerError',
+            message: 'Failed to rebuild search index'
+        });
+    }
+});
+
+// ===========================
+// BULK IMPORT PRODUCTS (Admin only)
+// A text/csv body, or JSON with `csv` text or a `rows` array. Products are
+// created or updated by slug/SKU; `dryRun=true` reports without writing.
+// ===========================
+router.post('/admin/import', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const options = typeof req.body === 'string' ? {} : (req.body || {});
+        const csv = typeof req.body === 'string' ? req.body : options.csv;
+        const dryRun = String(options.dryRun !== undefined ? options.dryRun : req.query.dryRun) === 'true';
+
+        let entries;
+        if (typeof csv === 'string') {
+            entries = csvEntries(csv);
+        } else if (Array.isArray(options.rows)) {
+            entries = jsonEntries(options.rows);
+        } else {
+            return res.status(400).json({
+                error: 'ValidationError',
+                message: 'Send CSV text or a rows array'
+            });
+        }
+
+        if (entries.length === 0) {
+            return res.status(400).json({
+                error: 'ValidationError',
+                message: 'No rows to import'
+            });
+        }
+
+        if (entries.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                error: 'ValidationError',
+                message: `Imports are limited to ${MAX_IMPORT_ROWS} products; split the file`
+            });
+        }
+
+        const validators = importRowValidators();
+        const { summary, rows } = await importProducts(entries, {
+            dryRun,
+            user: req.user,
+            source: revisionSource(req),
+            validate: (input) => validateImportRow(validators, input)
+        });
+
+        res.json({
+            message: dryRun
+                ? 'Dry run complete; nothing was written'
+                : `${summary.created} products created, ${summary.updated} updated`,
+            dryRun,
+            summary,
+            rows
+        });
+    } catch (error) {
+        console.error('Import products error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? 'ValidationError' : 'ServerError',
+            message: error.status ? error.message : 'Failed to import products'
+        });
+    }
+});
+
+// ===========================
+// LIST INVENTORY MOVEMENTS (Admin only)
+// ===========================
+router.get('/:id/movements', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, { defaultLimit: 50 });
+
+        const { movements, total, hasMore, nextCursor } = await getMovements(req.params.id, {
+            type: req.query.type,
+            pagination
+        });
+
+        res.json({
+            movements,
+            pagination: {
+                total,
+                limit: pagination.limit,
+                offset: pagination.offset,
+                hasMore,
+                nextCursor
+            }
+        });
+    } catch (error) {
+        console.error('Get inventory movements error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? 'ValidationError' : 'ServerError',
+            message: error.status ? error.message : 'Failed to fetch inventory movements'
+        });
+    }
+});
+
+// ===========================
+// REBUILD STOCK FROM LEDGER (Admin only)
+// Reports drift between stored stock and the ledger; `apply: true` corrects it
+// ===========================
+router.post('/:id/stock/rebuild', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const result = await rebuildStock(req.params.id, {
+            apply: req.body.apply === true,
+            actor: req.user.email || req.user.id
+        });
+
+        res.json(result);
+    } catch (error) {
+        console.error('Rebuild stock error:', error);
+        res.status(error.status || 500).json({
+            error: error.status === 404 ? 'NotFound' : 'ServerError',
+            message: error.status ? error.message : 'Failed to rebuild stock'
+        });
+    }
+});
+
+// ===========================
+// LIST PRODUCT REVISIONS (Admin only)
+// Newest first; fetch a single revision for its full snapshot
+// ===========================
+router.get('/:id/revisions', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+        const { revisions, total, hasMore, nextCursor } = await getRevisions(req.params.id, { pagination });
+
+        res.json({
+            revisions,
+            pagination: {
+                total,
+                limit: pagination.limit,
+                offset: pagination.offset,
+                hasMore,
+                nextCursor
+            }
+        });
+    } catch (error) {
+        console.error('Get revisions error:', error);
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to fetch revisions'
+        });
+    }
+});
+
+// ===========================
+// DIFF PRODUCT REVISIONS (Admin only)
+// ?from=<revisionId>&to=<revisionId>; without `to`, compares with the product as it is now
+// ===========================
+router.get('/:id/revisions/diff', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!from) {
+            return res.status(400).json({
+                error: 'ValidationError',
+                message: 'from is required'
+            });
+        }
+
+        res.json(await diffRevisions(req.params.id, from, to || null));
+    } catch (error) {
+        console.error('Diff revisions error:', error);
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to diff revisions'
+        });
+    }
+});
+
+// ===========================
+// GET PRODUCT REVISION (Admin only)
+// ===========================
+router.get('/:id/revisions/:revisionId', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            revision: await getRevision(req.params.id, req.params.revisionId)
+        });
+    } catch (error) {
+        console.error('Get revision error:', error);
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to fetch revision'
+        });
+    }
+});
+
+// ===========================
+// ROLL BACK PRODUCT (Admin only)
+// Restores the product to a revision's snapshot (stock excepted) and records
+// the rollback as a new revision
+// ===========================
+router.post('/:id/revisions/:revisionId/rollback', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const { changes } = await rollbackToRevision(req.params.id, req.params.revisionId, {
+            user: req.user,
+            source: revisionSource(req)
+        });
+
+        const updated = await db.collection('products').doc(req.params.id).get();
+
+        res.json({
+            message: changes.length > 0
+                ? 'Product rolled back successfully'
+                : 'Product already matches this revision',
+            changes,
+            product: {
+                id: updated.id,
+                ...updated.data()
+            }
+        });
+    } catch (error) {
+        console.error('Rollback product error:', error);
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to roll back product'
         });
     }
 });
@@ -575,21 +1309,22 @@ router.patch('/:id/images', authenticateTokenOrApiKey, requireAdmin, async (req,
 
         const updates = { updatedAt: new Date() };
 
+        // Either may be given as media ids from POST /api/media; they are stored as URLs
         if (imageUrl !== undefined) {
-            updates.imageUrl = imageUrl;
+            updates.imageUrl = imageUrl ? (await resolveImageUrls([imageUrl]))[0] : null;
         }
 
         if (images !== undefined) {
-            if (!Array.isArray(images)) {
+            if (!Array.isArray(images) || images.some(image => typeof image !== 'string')) {
                 return res.status(400).json({
                     error: 'ValidationError',
-                    message: 'Images must be an array'
+                    message: 'Images must be an array of URLs or media ids'
                 });
             }
-            updates.images = images;
+            updates.images = await resolveImageUrls(images);
         }
 
-        await productRef.update(updates);
+        await commitProductEdit(productDoc, updates, req);
 
         res.json({
             message: 'Product images updated successfully',
@@ -598,13 +1333,53 @@ router.patch('/:id/images', authenticateTokenOrApiKey, requireAdmin, async (req,
         });
     } catch (error) {
         console.error('Update images error:', error);
-        res.status(500).json({
-            error: 'ServerError',
-            message: 'Failed to update product images'
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to update product images'
         });
     }
 });
 
+// ===========================
+// UPLOAD DIGITAL FILE (Admin only)
+// multipart/form-data with `file`, and optional `downloadLimit` and
+// `linkExpiryDays`. Makes the product a download; the file stays private.
+// ===========================
+router.post('/:id/file', authenticateTokenOrApiKey, requireAdmin,
+    singleFileUpload({ maxBytes: MAX_DOWNLOAD_UPLOAD_BYTES }),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const productDoc = await db.collection('products').doc(id).get();
+
+            if (!productDoc.exists) {
+                return res.status(404).json({
+                    error: 'NotFound',
+                    message: 'Product not found'
+                });
+            }
+
+            const updates = {
+                ...(await attachDigitalFile({ id, ...productDoc.data() }, req.file, req.body, { user: req.user })),
+                updatedAt: new Date()
+            };
+
+            await commitProductEdit(productDoc, updates, req);
+
+            res.status(201).json({
+                message: 'Digital file uploaded successfully',
+                digital: updates.digital
+            });
+        } catch (error) {
+            console.error('Upload digital file error:', error);
+            res.status(error.status || 500).json({
+                error: errorName(error.status),
+                message: error.status ? error.message : 'Failed to upload digital file'
+            });
+        }
+    }
+);
+
 // ===========================
 // UPDATE PRODUCT CATEGORY (Admin only)
 // ===========================
@@ -634,10 +1409,10 @@ router.patch('/:id/category', authenticateTokenOrApiKey, requireAdmin, async (re
             }
         }
 
-        await productRef.update({
+        await commitProductEdit(productDoc, {
             categoryId: categoryId || null,
             updatedAt: new Date()
-        });
+        }, req);
 
         res.json({
             message: 'Product category updated successfully',
@@ -680,7 +1455,7 @@ router.patch('/:id/status', authenticateTokenOrApiKey, requireAdmin, async (req,
             updates.isFeatured = Boolean(isFeatured);
         }
 
-        await productRef.update(updates);
+        await commitProductEdit(productDoc, updates, req);
 
         res.json({
             message: 'Product status updated successfully',
@@ -747,7 +1522,7 @@ router.patch('/:id/seo', authenticateTokenOrApiKey, requireAdmin, async (req, re
             updates.seoDescription = seoDescription;
         }
 
-        await productRef.update(updates);
+        await commitProductEdit(productDoc, updates, req);
 
         res.json({
             message: 'Product SEO updated successfully',
@@ -782,10 +1557,10 @@ router.delete('/:id', authenticateTokenOrApiKey, requireAdmin, async (req, res)
         }
 
         // Soft delete (set isActive to false)
-        await productRef.update({
+        await commitProductEdit(productDoc, {
             isActive: false,
             updatedAt: new Date()
-        });
+        }, req);
 
         res.json({
             message: 'Product deleted successfully'
@@ -815,11 +1590,17 @@ router.post('/bulk/delete', authenticateTokenOrApiKey, requireAdmin, async (req,
 
         const batch = db.batch();
         const updatedAt = new Date();
-
-        for (const id of productIds) {
-            const productRef = db.collection('products').doc(id);
-            batch.update(productRef, { isActive: false, updatedAt });
-        }
+        const productDocs = await db.getAll(...productIds.map(id => db.collection('products').doc(id)));
+
+        productDocs.forEach(productDoc => {
+            const revisionFields = productDoc.exists
+                ? recordRevision(batch, productDoc.id, productDoc.data(), { ...productDoc.data(), isActive: false }, {
+                    user: req.user,
+                    source: revisionSource(req)
+                })
+                : {};
+            batch.update(productDoc.ref, { isActive: false, ...revisionFields, updatedAt });
+        });
 
         await batch.commit();
 
@@ -856,24 +1637,40 @@ router.post('/bulk/update', authenticateTokenOrApiKey, requireAdmin, async (req,
             });
         }
 
-        const batch = db.batch();
         updates.updatedAt = new Date();
 
-        for (const id of productIds) {
-            const productRef = db.collection('products').doc(id);
-            batch.update(productRef, updates);
+        if (updates.stockQuantity !== undefined) {
+            updates.stockQuantity = parseInt(updates.stockQuantity);
         }
 
-        await batch.commit();
+        const productDocs = await db.getAll(...productIds.map(id => db.collection('products').doc(id)));
+
+        const missing = productDocs.filter(productDoc => !productDoc.exists).map(productDoc => productDoc.id);
+        if (missing.length > 0) {
+            return res.status(404).json({
+                error: 'NotFound',
+                message: `Products not found: ${missing.join(', ')}`
+            });
+        }
+
+        if (updates.stockQuantity !== undefined) {
+            productDocs.forEach(productDoc => assertOwnStock({ ...productDoc.data(), ...updates }));
+        }
+
+        // One transaction per product, so each stock level is set against
+        // current stock rather than the value read above
+        for (const productDoc of productDocs) {
+            await commitProductEdit(productDoc, updates, req, 'Bulk update');
+        }
 
         res.json({
             message: `${productIds.length} products updated successfully`
         });
     } catch (error) {
         console.error('Bulk update error:', error);
-        res.status(500).json({
-            error: 'ServerError',
-            message: 'Failed to update products'
+        res.status(error.status || 500).json({
+            error: errorName(error.status),
+            message: error.status ? error.message : 'Failed to update products'
         });
     }
 });
@@ -939,6 +1736,11 @@ router.post('/analytics/track', async (req, res) => {
 
         await db.collection('productAnalytics').add(analyticsData);
 
+        // Credit the search that led here, for ranking suggestions
+        if (data && data.searchQuery && ['view', 'addToCart', 'purchase'].includes(eventType)) {
+            await recordSearchEvent(data.searchQuery, eventType);
+        }
+
         // Update product-level aggregated stats
         const updates = {};
 
@@ -997,7 +1799,10 @@ router.post('/analytics/search', async (req, res) => {
             referrer: req.headers['referer'] || req.headers['referrer'] || ''
         };
 
-        await db.collection('productSearchAnalytics').add(searchData);
+        await Promise.all([
+            db.collection('productSearchAnalytics').add(searchData),
+            recordSearch(query, searchData.resultsCount)
+        ]);
 
         res.json({
             success: true,
@@ -1327,4 +2132,87 @@ router.get('/analytics/product/:id', authenticateTokenOrApiKey, requireAdmin, as
     }
 });
 
+// ===========================
+// HELPER FUNCTIONS
+// ===========================
+
+// Active products in `query` that isPublished would show at `now`: listings
+// query on isActive, which the schedule job only flips every few minutes.
+// A product can't be both not yet published and already retired.
+async function countPublished(query, now) {
+    const [active, retired, upcoming] = await Promise.all([
+        query.count().get(),
+        query.where('unpublishAt', '<=', now).count().get(),
+        query.where('publishAt', '>', now).count().get()
+    ]);
+
+    return active.data().count - retired.data().count - upcoming.data().count;
+}
+
+// Ledger entry for a stock level set directly on a product
+function recordStockEdit(writer, productId, product, newStock, user, reason) {
+    const before = product.stockQuantity || 0;
+    if (newStock === undefined || isNaN(newStock) || newStock === before) return;
+
+    recordMovement(writer, productId, product, [{ quantity: newStock - before }], {
+        type: 'adjustment',
+        actor: user.email || user.id,
+        reason
+    });
+}
+
+// Variant products total their variants' stock, bundles sell their components'
+// and downloads have none, so none of them take a stock level of their own
+function assertOwnStock(product) {
+    let reason = null;
+    if (product.hasVariants) reason = 'stock is set per variant';
+    else if (isBundle(product)) reason = 'bundles sell their components\' stock';
+    else if (isDigital(product)) reason = 'digital products hold no stock';
+
+    if (reason) {
+        const error = new Error(`Stock cannot be set directly on ${product.name || 'this product'}: ${reason}`);
+        error.status = 400;
+        throw error;
+    }
+}
+
+// Apply an admin edit in one transaction with its revision and any stock
+// ledger entry. The product is read again inside the transaction so a stock
+// level is logged against the current stock, not the one read before.
+async function commitProductEdit(productDoc, updates, req, reason = 'Product edited') {
+    await db.runTransaction(async (transaction) => {
+        const currentDoc = await transaction.get(productDoc.ref);
+        const product = currentDoc.data();
+
+        const revisionFields = recordRevision(transaction, productDoc.id, product, { ...product, ...updates }, {
+            user: req.user,
+            source: revisionSource(req)
+        });
+
+        transaction.update(productDoc.ref, { ...updates, ...revisionFields });
+        recordStockEdit(transaction, productDoc.id, product, updates.stockQuantity, req.user, reason);
+    });
+}
+
+// Error name for a service error's status
+function errorName(status) {
+    return { 400: 'ValidationError', 404: 'NotFound', 409: 'ConflictError' }[status] || 'ServerError';
+}
+
+// The route that made a change, e.g. "PATCH /api/products/:id/price"
+function revisionSource(req) {
+    return `${req.method} ${req.baseUrl}${req.route.path}`;
+}
+
+// Run the import row rules against one row; sanitizers update `input` in place
+async function validateImportRow(validators, input) {
+    const row = { body: input };
+    await Promise.all(validators.map(validator => validator.run(row)));
+
+    return validationResult(row).array().map(error => ({
+        field: error.path,
+        message: error.msg
+    }));
+}
+
 module.exports = router;
@@ -0,0 +1,617 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { db } = require('../config/firebase');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { createRefund } = require('../services/refunds');
+const { restockLines } = require('../services/inventory');
+const { stockLines } = require('../services/bundles');
+const { restockableLines } = require('../services/orderStatus');
+
+// Return (RMA) status machine
+const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected', 'cancelled'],
+    approved: ['received', 'cancelled'],
+    received: ['inspected'],
+    inspected: ['completed', 'rejected'],
+    completed: [],
+    rejected: [],
+    cancelled: []
+};
+
+// Returns still holding quantities from their order
+const OPEN_STATUSES = ['requested', 'approved', 'received', 'inspected'];
+
+const ITEM_CONDITIONS = ['resellable', 'damaged', 'missing'];
+
+// Generate unique return number
+const generateRmaNumber = () => {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    return `RMA-${timestamp}-${random}`;
+};
+
+// ===========================
+// REQUEST RETURN
+// ===========================
+router.post('/', authenticateToken,
+    [
+        body('orderId').isString().notEmpty(),
+        body('items').isArray({ min: 1 }),
+        body('items.*.productId').isString(),
+        body('items.*.variantId').optional({ nullable: true }).isString(),
+        body('items.*.quantity').isInt({ min: 1 }),
+        body('items.*.reason').optional().trim(),
+        body('reason').trim().notEmpty(),
+        body('notes').optional().trim()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { orderId, items, reason, notes } = req.body;
+
+            const orderDoc = await db.collection('orders').doc(orderId).get();
+
+            if (!orderDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'NOT_FOUND',
+                    message: 'Order not found'
+                });
+            }
+
+            const order = orderDoc.data();
+
+            if (order.userId !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'FORBIDDEN',
+                    message: 'Access denied'
+                });
+            }
+
+            if (order.status !== 'delivered') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_STATUS',
+                    message: `Returns can only be requested for delivered orders (status: ${order.status})`
+                });
+            }
+
+            const openReturns = await db.collection('returns')
+                .where('orderId', '==', orderId)
+                .where('status', 'in', OPEN_STATUSES)
+                .get();
+
+            const itemError = validateReturnItems(order, items, openReturns.docs.map(doc => doc.data()));
+            if (itemError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: itemError
+                });
+            }
+
+            const returnData = {
+                rmaNumber: generateRmaNumber(),
+                orderId,
+                orderNumber: order.orderNumber,
+                userId: req.user.id,
+                customerEmail: order.customerEmail,
+                items: items.map(item => {
+                    const orderItem = findOrderItem(order, item);
+                    return {
+                        productId: item.productId,
+                        variantId: item.variantId || null,
+                        productName: orderItem.productName || null,
+                        // Bundles go back on the shelf as their components
+                        components: orderItem.components || null,
+                        quantity: item.quantity,
+                        reason: item.reason || reason,
+                        condition: null
+                    };
+                }),
+                reason,
+                notes: notes || '',
+                status: 'requested',
+                labelReference: null,
+                carrier: null,
+                resolution: null,
+                refundId: null,
+                refundAmount: null,
+                statusHistory: [{
+                    status: 'requested',
+                    actor: req.user.email || req.user.id,
+                    note: reason,
+                    at: new Date()
+                }],
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+
+            const docRef = await db.collection('returns').add(returnData);
+
+            res.status(201).json({
+                success: true,
+                message: 'Return requested successfully',
+                return: {
+                    id: docRef.id,
+                    ...returnData
+                }
+            });
+        } catch (error) {
+            console.error('Request return error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'SERVER_ERROR',
+                message: 'Failed to request return'
+            });
+        }
+    }
+);
+
+// ===========================
+// GET USER RETURNS
+// ===========================
+router.get('/my-returns', authenticateToken, async (req, res) => {
+    try {
+        const snapshot = await db.collection('returns')
+            .where('userId', '==', req.user.id)
+            .orderBy('createdAt', 'desc')
+            .get();
+
+        const returns = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        res.json({
+            success: true,
+            returns,
+            count: returns.length
+        });
+    } catch (error) {
+        console.error('Get user returns error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch returns'
+        });
+    }
+});
+
+// ===========================
+// GET ALL RETURNS (Admin only)
+// ===========================
+router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { status, limit = 50, offset = 0 } = req.query;
+
+        let query = db.collection('returns');
+
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+
+        query = query.orderBy('createdAt', 'desc');
+
+        const snapshot = await query.get();
+        const total = snapshot.size;
+
+        const returns = snapshot.docs
+            .slice(parseInt(offset), parseInt(offset) + parseInt(limit))
+            .map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+
+        res.json({
+            success: true,
+            returns,
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + parseInt(limit) < total
+            }
+        });
+    } catch (error) {
+        console.error('Get all returns error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch returns'
+        });
+    }
+});
+
+// ===========================
+// GET SINGLE RETURN
+// ===========================
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const returnDoc = await db.collection('returns').doc(req.params.id).get();
+
+        if (!returnDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Return not found'
+            });
+        }
+
+        const returnData = returnDoc.data();
+
+        if (req.user.role !== 'GronderfulBlogs' && returnData.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'FORBIDDEN',
+                message: 'Access denied'
+            });
+        }
+
+        res.json({
+            success: true,
+            return: {
+                id: returnDoc.id,
+                ...returnData
+            }
+        });
+    } catch (error) {
+        console.error('Get return error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch return'
+        });
+    }
+});
+
+// ===========================
+// CANCEL RETURN (Customer)
+// ===========================
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+    try {
+        const returnRef = db.collection('returns').doc(req.params.id);
+        const returnDoc = await returnRef.get();
+
+        if (!returnDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Return not found'
+            });
+        }
+
+        const returnData = returnDoc.data();
+
+        if (req.user.role !== 'GronderfulBlogs' && returnData.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'FORBIDDEN',
+                message: 'Access denied'
+            });
+        }
+
+        if (!RETURN_TRANSITIONS[returnData.status].includes('cancelled')) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_STATUS',
+                message: `Cannot cancel return with status: ${returnData.status}`
+            });
+        }
+
+        await returnRef.update(statusUpdate(returnData, 'cancelled', req.user, req.body.reason));
+
+        const updated = await returnRef.get();
+
+        res.json({
+            success: true,
+            message: 'Return cancelled successfully',
+            return: {
+                id: updated.id,
+                ...updated.data()
+            }
+        });
+    } catch (error) {
+        console.error('Cancel return error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to cancel return'
+        });
+    }
+});
+
+// ===========================
+// ISSUE RETURN LABEL (Admin only)
+// ===========================
+router.patch('/:id/label', authenticateToken, requireAdmin,
+    [
+        body('labelReference').trim().notEmpty(),
+        body('carrier').optional().trim()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const returnRef = db.collection('returns').doc(req.params.id);
+            const returnDoc = await returnRef.get();
+
+            if (!returnDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'NOT_FOUND',
+                    message: 'Return not found'
+                });
+            }
+
+            if (returnDoc.data().status !== 'approved') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_STATUS',
+                    message: 'Labels can only be issued for approved returns'
+                });
+            }
+
+            await returnRef.update({
+                labelReference: req.body.labelReference,
+                carrier: req.body.carrier || null,
+                labelIssuedAt: new Date(),
+                updatedAt: new Date()
+            });
+
+            const updated = await returnRef.get();
+
+            res.json({
+                success: true,
+                message: 'Return label issued successfully',
+                return: {
+                    id: updated.id,
+                    ...updated.data()
+                }
+            });
+        } catch (error) {
+            console.error('Issue return label error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'SERVER_ERROR',
+                message: 'Failed to issue return label'
+            });
+        }
+    }
+);
+
+// ===========================
+// UPDATE RETURN STATUS (Admin only)
+// Completing a return refunds it to the original payment or as store credit
+// ===========================
+router.patch('/:id/status', authenticateToken, requireAdmin,
+    [
+        body('status').isIn(Object.keys(RETURN_TRANSITIONS)),
+        body('note').optional().trim(),
+        body('items').optional().isArray(),
+        body('items.*.productId').optional().isString(),
+        body('items.*.condition').optional().isIn(ITEM_CONDITIONS),
+        body('resolution').optional().isIn(['refund', 'store_credit']),
+        body('refundShipping').optional().isBoolean(),
+        body('restock').optional().isBoolean()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { status, note, items, resolution, refundShipping = false, restock = true } = req.body;
+
+            const returnRef = db.collection('returns').doc(req.params.id);
+            const returnDoc = await returnRef.get();
+
+            if (!returnDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'NOT_FOUND',
+                    message: 'Return not found'
+                });
+            }
+
+            const returnData = returnDoc.data();
+
+            if (!RETURN_TRANSITIONS[returnData.status].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_TRANSITION',
+                    message: `Cannot move return from ${returnData.status} to ${status}`
+                });
+            }
+
+            const updates = statusUpdate(returnData, status, req.user, note);
+
+            if (status === 'inspected') {
+                if (!Array.isArray(items) || items.some(item => !item.condition)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'VALIDATION_ERROR',
+                        message: 'Inspection needs a condition for each returned item'
+                    });
+                }
+                updates.items = applyInspection(returnData.items, items);
+                updates.inspectedAt = new Date();
+            }
+
+            if (status === 'received') {
+                updates.receivedAt = new Date();
+            }
+
+            if (status === 'completed') {
+                if (!resolution) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'VALIDATION_ERROR',
+                        message: 'resolution (refund or store_credit) is required to complete a return'
+                    });
+                }
+
+                const refundItems = returnData.items.filter(item => item.condition !== 'missing');
+                const refund = await createRefund(returnData.orderId, {
+                    items: refundItems.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity })),
+                    shipping: refundShipping ? await getRefundableShipping(returnData.orderId) : 0,
+                    method: resolution === 'store_credit' ? 'store_credit' : 'original',
+                    reason: `Return ${returnData.rmaNumber}`,
+                    actor: req.user.email || req.user.id
+                });
+
+                // Only items that passed inspection go back on the shelf, and
+                // only units the order has not already restocked
+                const resellable = returnData.items.filter(item => item.condition === 'resellable');
+                let restocked = [];
+                if (restock && resellable.length > 0) {
+                    restocked = await db.runTransaction(async (transaction) => {
+                        const orderRef = db.collection('orders').doc(returnData.orderId);
+                        const orderDoc = await transaction.get(orderRef);
+                        const { lines, items: orderItems } = restockableLines(orderDoc.data(), resellable.map(
+                            ({ productId, variantId, quantity }) => ({ productId, variantId, quantity })
+                        ));
+
+                        if (lines.length > 0) {
+                            await restockLines(transaction, stockLines(lines), {
+                                type: 'return',
+                                actor: req.user.email || req.user.id,
+                                reason: `Return ${returnData.rmaNumber}`,
+                                referenceId: returnRef.id
+                            });
+                            transaction.update(orderRef, { items: orderItems, updatedAt: new Date() });
+                        }
+
+                        return lines;
+                    });
+                }
+
+                updates.resolution = resolution;
+                updates.refundId = refund.id;
+                updates.refundAmount = refund.amount;
+                updates.restocked = restocked.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity }));
+                updates.completedAt = new Date();
+            }
+
+            await returnRef.update(updates);
+
+            const updated = await returnRef.get();
+
+            res.json({
+                success: true,
+                message: `Return ${status}`,
+                return: {
+                    id: updated.id,
+                    ...updated.data()
+                }
+            });
+        } catch (error) {
+            console.error('Update return status error:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? 'REFUND_ERROR' : 'SERVER_ERROR',
+                message: error.status ? error.message : 'Failed to update return'
+            });
+        }
+    }
+);
+
+// ===========================
+// HELPER FUNCTIONS
+// ===========================
+
+function findOrderItem(order, item) {
+    return (order.items || []).find(orderItem =>
+        orderItem.productId === item.productId &&
+        (orderItem.variantId || null) === (item.variantId || null)
+    );
+}
+
+// Requested quantities must fit within what was bought, minus refunds and other open returns
+function validateReturnItems(order, items, openReturns) {
+    for (const item of items) {
+        const matching = (order.items || []).filter(orderItem =>
+            orderItem.productId === item.productId &&
+            (orderItem.variantId || null) === (item.variantId || null)
+        );
+
+        if (matching.length === 0) {
+            return `Item ${item.productId} is not part of this order`;
+        }
+
+        if (matching.every(orderItem => orderItem.digital)) {
+            return `${matching[0].productName || item.productId} is a download and cannot be returned`;
+        }
+
+        const purchased = matching.reduce((sum, orderItem) =>
+            sum + orderItem.quantity - (orderItem.refundedQuantity || 0), 0);
+        const pending = openReturns.reduce((sum, ret) => sum + ret.items
+            .filter(r => r.productId === item.productId && (r.variantId || null) === (item.variantId || null))
+            .reduce((s, r) => s + r.quantity, 0), 0);
+
+        if (item.quantity > purchased - pending) {
+            return `Only ${Math.max(purchased - pending, 0)} of ${item.productId} can be returned`;
+        }
+    }
+
+    return null;
+}
+
+function statusUpdate(returnData, status, user, note) {
+    return {
+        status,
+        statusHistory: [
+            ...(returnData.statusHistory || []),
+            {
+                status,
+                actor: user.email || user.id,
+                note: note || null,
+                at: new Date()
+            }
+        ],
+        updatedAt: new Date()
+    };
+}
+
+function applyInspection(returnItems, inspected) {
+    return returnItems.map(item => {
+        const result = inspected.find(i =>
+            i.productId === item.productId &&
+            (i.variantId || null) === (item.variantId || null)
+        );
+        return result ? { ...item, condition: result.condition } : item;
+    });
+}
+
+async function getRefundableShipping(orderId) {
+    const orderDoc = await db.collection('orders').doc(orderId).get();
+    const order = orderDoc.data();
+    return Math.max((order.shipping || 0) - (order.refundedShipping || 0), 0);
+}
+
+module.exports = router;
@@ -3,6 +3,19 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { db, admin } = require('../config/firebase');
 const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { parsePagination, paginateQuery } = require('../services/pagination');
+const { MEDIA_ID, getMedia, imageObject } = require('../services/media');
+
+const MAX_REVIEW_PHOTOS = 5;
+
+// Sort options for product reviews → Firestore order
+const REVIEW_SORTS = {
+    newest: [['createdAt', 'desc']],
+    oldest: [['createdAt', 'asc']],
+    highest: [['rating', 'desc']],
+    lowest: [['rating', 'asc']],
+    helpful: [['helpfulCount', 'desc']]
+};
 
 // ===========================
 // GET PRODUCT REVIEWS (Public)
@@ -11,11 +24,10 @@ router.get('/product/:productId', async (req, res) => {
     try {
         const { productId } = req.params;
         const {
-            limit = 20,
-            offset = 0,
             sort = 'newest',
             rating
         } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 20 });
 
         let query = db.collection('reviews')
             .where('productId', '==', productId)
@@ -26,46 +38,29 @@ router.get('/product/:productId', async (req, res) => {
             query = query.where('rating', '==', parseInt(rating));
         }
 
-        // Sort
-        if (sort === 'newest') {
-            query = query.orderBy('createdAt', 'desc');
-        } else if (sort === 'oldest') {
-            query = query.orderBy('createdAt', 'asc');
-        } else if (sort === 'highest') {
-            query = query.orderBy('rating', 'desc');
-        } else if (sort === 'lowest') {
-            query = query.orderBy('rating', 'asc');
-        } else if (sort === 'helpful') {
-            query = query.orderBy('helpfulCount', 'desc');
-        }
-
-        const snapshot = await query.get();
-        const reviews = [];
-
-        snapshot.docs.forEach(doc => {
-            reviews.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
+        const [page, countSnapshot] = await Promise.all([
+            paginateQuery(query, REVIEW_SORTS[sort] || REVIEW_SORTS.newest, pagination),
+            query.count().get()
+        ]);
 
-        // Pagination
-        const startIndex = parseInt(offset);
-        const endIndex = startIndex + parseInt(limit);
-        const paginatedReviews = reviews.slice(startIndex, endIndex);
+        const reviews = page.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
 
         res.json({
             success: true,
-            reviews: paginatedReviews,
-            total: reviews.length,
-            hasMore: endIndex < reviews.length
+            reviews,
+            total: countSnapshot.data().count,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Get reviews error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to fetch reviews'
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch reviews'
         });
     }
 });
@@ -141,8 +136,9 @@ router.post('/', authenticateToken,
         body('rating').isInt({ min: 1, max: 5 }),
         body('title').trim().notEmpty().isLength({ max: 100 }),
         body('comment').trim().notEmpty().isLength({ max: 2000 }),
-        body('photos').optional().isArray(),
-        body('photos.*').optional().isURL()
+        // Media ids from POST /api/media
+        body('photos').optional().isArray({ max: MAX_REVIEW_PHOTOS }),
+        body('photos.*').optional().isString().matches(MEDIA_ID).withMessage('Photos must be media ids')
     ],
     async (req, res) => {
         try {
@@ -213,7 +209,7 @@ router.post('/', authenticateToken,
                 rating,
                 title,
                 comment,
-                photos,
+                photos: await photoImages(photos),
                 verifiedPurchase,
                 helpfulCount: 0,
                 unhelpfulCount: 0,
@@ -234,10 +230,10 @@ router.post('/', authenticateToken,
             });
         } catch (error) {
             console.error('Create review error:', error);
-            res.status(500).json({
+            res.status(error.status || 500).json({
                 success: false,
-                error: 'SERVER_ERROR',
-                message: 'Failed to create review'
+                error: error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+                message: error.status ? error.message : 'Failed to create review'
             });
         }
     }
@@ -277,7 +273,16 @@ router.put('/:id', authenticateToken, async (req, res) => {
         if (rating !== undefined) updates.rating = rating;
         if (title !== undefined) updates.title = title;
         if (comment !== undefined) updates.comment = comment;
-        if (photos !== undefined) updates.photos = photos;
+        if (photos !== undefined) {
+            if (!Array.isArray(photos) || photos.length > MAX_REVIEW_PHOTOS || photos.some(photo => !MEDIA_ID.test(photo))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: `Photos must be a list of up to ${MAX_REVIEW_PHOTOS} media ids`
+                });
+            }
+            updates.photos = await photoImages(photos);
+        }
 
         if (Object.keys(updates).length === 0) {
             return res.status(400).json({
@@ -304,10 +309,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
         });
     } catch (error) {
         console.error('Update review error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to update review'
+            error: error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to update review'
         });
     }
 });
@@ -410,16 +415,16 @@ router.post('/:id/helpful', optionalAuth, async (req, res) => {
 // ===========================
 router.get('/admin/pending', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        const { limit = 50 } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50 });
 
-        const snapshot = await db.collection('reviews')
-            .where('isApproved', '==', false)
-            .orderBy('createdAt', 'desc')
-            .limit(parseInt(limit))
-            .get();
+        const page = await paginateQuery(
+            db.collection('reviews').where('isApproved', '==', false),
+            [['createdAt', 'desc']],
+            pagination
+        );
 
         const reviews = [];
-        snapshot.docs.forEach(doc => {
+        page.docs.forEach(doc => {
             reviews.push({
                 id: doc.id,
                 ...doc.data()
@@ -429,14 +434,16 @@ router.get('/admin/pending', authenticateToken, requireAdmin, async (req, res) =
         res.json({
             success: true,
             reviews,
-            count: reviews.length
+            count: reviews.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Get pending reviews error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to fetch pending reviews'
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch pending reviews'
         });
     }
 });
@@ -518,10 +525,9 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
     try {
         const {
             productId,
-            approved,
-            limit = 50,
-            offset = 0
+            approved
         } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50 });
 
         let query = db.collection('reviews');
 
@@ -533,14 +539,10 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
             query = query.where('isApproved', '==', approved === 'true');
         }
 
-        query = query.orderBy('createdAt', 'desc')
-            .limit(parseInt(limit))
-            .offset(parseInt(offset));
-
-        const snapshot = await query.get();
+        const page = await paginateQuery(query, [['createdAt', 'desc']], pagination);
         const reviews = [];
 
-        snapshot.docs.forEach(doc => {
+        page.docs.forEach(doc => {
             reviews.push({
                 id: doc.id,
                 ...doc.data()
@@ -550,14 +552,16 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
         res.json({
             success: true,
             reviews,
-            count: reviews.length
+            count: reviews.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Get all reviews error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to fetch reviews'
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch reviews'
         });
     }
 });
@@ -593,4 +597,10 @@ async function updateProductRating(productId) {
     }
 }
 
+// Review photos are stored as image objects so they render without extra reads
+async function photoImages(mediaIds) {
+    const media = await getMedia(mediaIds);
+    return mediaIds.map(mediaId => imageObject(media.get(mediaId).src, media.get(mediaId)));
+}
+
 module.exports = router;
@@ -0,0 +1,475 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { admin, db } = require('../config/firebase');
+const { authenticateTokenOrApiKey, requireAdmin } = require('../middleware/auth');
+const { tokenize } = require('../services/search/text');
+const {
+    REDIRECT_TARGETS,
+    normalizePhrase,
+    getSearchRules,
+    clearSearchRulesCache,
+    expandSynonyms,
+    findRedirect
+} = require('../services/search/rules');
+
+// All search management routes are admin only
+router.use(authenticateTokenOrApiKey, requireAdmin);
+
+// ===========================
+// SEARCH QUALITY REPORT
+// Top zero-result and low-result queries over a period
+// ===========================
+router.get('/report', async (req, res) => {
+    try {
+        const days = parseInt(req.query.period) || 30;
+        const lowResultThreshold = parseInt(req.query.lowResultThreshold) || 3;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const [snapshot, rules] = await Promise.all([
+            db.collection('productSearchAnalytics')
+                .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(startDate))
+                .get(),
+            getSearchRules()
+        ]);
+
+        const byQuery = {};
+        let zeroResultSearches = 0;
+
+        snapshot.docs.forEach(doc => {
+            const { query, resultsCount = 0, timestamp } = doc.data();
+            if (!query) return;
+
+            if (!byQuery[query]) {
+                byQuery[query] = { query, searches: 0, zeroResults: 0, totalResults: 0, lastSearchedAt: null };
+            }
+
+            const stats = byQuery[query];
+            stats.searches += 1;
+            stats.totalResults += resultsCount;
+            if (resultsCount === 0) {
+                stats.zeroResults += 1;
+                zeroResultSearches += 1;
+            }
+
+            const searchedAt = timestamp && timestamp.toDate ? timestamp.toDate() : null;
+            if (searchedAt && (!stats.lastSearchedAt || searchedAt > stats.lastSearchedAt)) {
+                stats.lastSearchedAt = searchedAt;
+            }
+        });
+
+        // Show whether a rule already covers each query, so fixed ones stand out
+        const withRules = (stats) => ({
+            query: stats.query,
+            searches: stats.searches,
+            zeroResults: stats.zeroResults,
+            averageResults: Math.round((stats.totalResults / stats.searches) * 10) / 10,
+            lastSearchedAt: stats.lastSearchedAt,
+            hasSynonym: expandSynonyms(tokenize(stats.query), rules.synonyms).length > 1,
+            redirect: findRedirect(stats.query, rules.redirects)
+        });
+
+        const queries = Object.values(byQuery);
+
+        const zeroResults = queries
+            .filter(stats => stats.zeroResults > 0)
+            .sort((a, b) => b.zeroResults - a.zeroResults)
+            .slice(0, limit)
+            .map(withRules);
+
+        const lowResults = queries
+            .filter(stats => stats.zeroResults < stats.searches &&
+                stats.totalResults / stats.searches <= lowResultThreshold)
+            .sort((a, b) => b.searches - a.searches)
+            .slice(0, limit)
+            .map(withRules);
+
+        res.json({
+            success: true,
+            report: {
+                period: { days, from: startDate, to: new Date() },
+                totalSearches: snapshot.size,
+                zeroResultSearches,
+                zeroResultRate: snapshot.size > 0
+                    ? Math.round((zeroResultSearches / snapshot.size) * 1000) / 10
+                    : 0,
+                lowResultThreshold,
+                zeroResults,
+                lowResults
+            }
+        });
+    } catch (error) {
+        console.error('Search report error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to build search report'
+        });
+    }
+});
+
+// ===========================
+// LIST SYNONYMS
+// ===========================
+router.get('/synonyms', async (req, res) => {
+    try {
+        const snapshot = await db.collection('searchSynonyms').orderBy('phrase').get();
+
+        res.json({
+            success: true,
+            synonyms: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+        });
+    } catch (error) {
+        console.error('Get synonyms error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch synonyms'
+        });
+    }
+});
+
+// ===========================
+// CREATE / UPDATE SYNONYM
+// ===========================
+const synonymValidation = [
+    body('phrase').trim().notEmpty(),
+    body('synonyms').isArray({ min: 1 }),
+    body('synonyms.*').isString().trim().notEmpty(),
+    body('twoWay').optional().isBoolean()
+];
+
+router.post('/synonyms', synonymValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'phrase and a non-empty synonyms array are required',
+                errors: errors.array()
+            });
+        }
+
+        const synonym = {
+            ...synonymFields(req.body),
+            createdBy: req.user.email || req.user.id,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const synonymRef = await db.collection('searchSynonyms').add(synonym);
+        clearSearchRulesCache();
+
+        res.status(201).json({
+            success: true,
+            message: 'Synonym created successfully',
+            synonym: { id: synonymRef.id, ...synonym }
+        });
+    } catch (error) {
+        console.error('Create synonym error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to create synonym'
+        });
+    }
+});
+
+router.put('/synonyms/:id', synonymValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'phrase and a non-empty synonyms array are required',
+                errors: errors.array()
+            });
+        }
+
+        const synonymRef = db.collection('searchSynonyms').doc(req.params.id);
+        const synonymDoc = await synonymRef.get();
+
+        if (!synonymDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Synonym not found'
+            });
+        }
+
+        const updates = {
+            ...synonymFields(req.body),
+            updatedBy: req.user.email || req.user.id,
+            updatedAt: new Date()
+        };
+
+        await synonymRef.update(updates);
+        clearSearchRulesCache();
+
+        res.json({
+            success: true,
+            message: 'Synonym updated successfully',
+            synonym: { id: synonymDoc.id, ...synonymDoc.data(), ...updates }
+        });
+    } catch (error) {
+        console.error('Update synonym error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to update synonym'
+        });
+    }
+});
+
+// ===========================
+// DELETE SYNONYM
+// ===========================
+router.delete('/synonyms/:id', async (req, res) => {
+    try {
+        const synonymRef = db.collection('searchSynonyms').doc(req.params.id);
+        const synonymDoc = await synonymRef.get();
+
+        if (!synonymDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Synonym not found'
+            });
+        }
+
+        await synonymRef.delete();
+        clearSearchRulesCache();
+
+        res.json({
+            success: true,
+            message: 'Synonym deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete synonym error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to delete synonym'
+        });
+    }
+});
+
+// ===========================
+// LIST REDIRECTS
+// ===========================
+router.get('/redirects', async (req, res) => {
+    try {
+        const snapshot = await db.collection('searchRedirects').orderBy('query').get();
+
+        res.json({
+            success: true,
+            redirects: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+        });
+    } catch (error) {
+        console.error('Get redirects error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch redirects'
+        });
+    }
+});
+
+// ===========================
+// CREATE / UPDATE REDIRECT
+// ===========================
+const redirectValidation = [
+    body('query').trim().notEmpty(),
+    body('targetType').isIn(REDIRECT_TARGETS),
+    body('target').trim().notEmpty()
+];
+
+router.post('/redirects', redirectValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: `query, target and a targetType of ${REDIRECT_TARGETS.join(', ')} are required`,
+                errors: errors.array()
+            });
+        }
+
+        const redirect = {
+            query: normalizePhrase(req.body.query),
+            targetType: req.body.targetType,
+            target: req.body.target
+        };
+
+        await validateRedirect(redirect);
+
+        const fullRedirect = {
+            ...redirect,
+            createdBy: req.user.email || req.user.id,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const redirectRef = await db.collection('searchRedirects').add(fullRedirect);
+        clearSearchRulesCache();
+
+        res.status(201).json({
+            success: true,
+            message: 'Redirect created successfully',
+            redirect: { id: redirectRef.id, ...fullRedirect }
+        });
+    } catch (error) {
+        console.error('Create redirect error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to create redirect'
+        });
+    }
+});
+
+router.put('/redirects/:id', redirectValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: `query, target and a targetType of ${REDIRECT_TARGETS.join(', ')} are required`,
+                errors: errors.array()
+            });
+        }
+
+        const redirectRef = db.collection('searchRedirects').doc(req.params.id);
+        const redirectDoc = await redirectRef.get();
+
+        if (!redirectDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Redirect not found'
+            });
+        }
+
+        const redirect = {
+            query: normalizePhrase(req.body.query),
+            targetType: req.body.targetType,
+            target: req.body.target
+        };
+
+        await validateRedirect(redirect, redirectDoc.id);
+
+        const updates = {
+            ...redirect,
+            updatedBy: req.user.email || req.user.id,
+            updatedAt: new Date()
+        };
+
+        await redirectRef.update(updates);
+        clearSearchRulesCache();
+
+        res.json({
+            success: true,
+            message: 'Redirect updated successfully',
+            redirect: { id: redirectDoc.id, ...redirectDoc.data(), ...updates }
+        });
+    } catch (error) {
+        console.error('Update redirect error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to update redirect'
+        });
+    }
+});
+
+// ===========================
+// DELETE REDIRECT
+// ===========================
+router.delete('/redirects/:id', async (req, res) => {
+    try {
+        const redirectRef = db.collection('searchRedirects').doc(req.params.id);
+        const redirectDoc = await redirectRef.get();
+
+        if (!redirectDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Redirect not found'
+            });
+        }
+
+        await redirectRef.delete();
+        clearSearchRulesCache();
+
+        res.json({
+            success: true,
+            message: 'Redirect deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete redirect error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to delete redirect'
+        });
+    }
+});
+
+// ===========================
+// HELPER FUNCTIONS
+// ===========================
+
+function synonymFields(input) {
+    const phrase = normalizePhrase(input.phrase);
+    const synonyms = [...new Set(input.synonyms.map(normalizePhrase))]
+        .filter(synonym => synonym && synonym !== phrase);
+
+    return {
+        phrase,
+        synonyms,
+        twoWay: input.twoWay === true
+    };
+}
+
+function redirectError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+// One redirect per query, pointing at something that exists
+async function validateRedirect(redirect, redirectId = null) {
+    const existing = await db.collection('searchRedirects')
+        .where('query', '==', redirect.query)
+        .limit(2)
+        .get();
+
+    if (existing.docs.some(doc => doc.id !== redirectId)) {
+        throw redirectError(409, 'CONFLICT', `A redirect for "${redirect.query}" already exists`);
+    }
+
+    if (redirect.targetType === 'url') {
+        if (!/^(https?:\/\/|\/)/.test(redirect.target)) {
+            throw redirectError(400, 'VALIDATION_ERROR', 'URL targets must be absolute or start with /');
+        }
+        return;
+    }
+
+    const collection = redirect.targetType === 'category' ? 'categories' : 'products';
+    const target = await db.collection(collection)
+        .where('slug', '==', redirect.target)
+        .limit(1)
+        .get();
+
+    if (target.empty) {
+        throw redirectError(400, 'VALIDATION_ERROR', `No ${redirect.targetType} with slug "${redirect.target}"`);
+    }
+}
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { authenticateTokenOrApiKey, requireAdmin } = require('../middleware/auth');
+const { validateMethods } = require('../services/shipping');
+
+// All shipping configuration routes are admin only
+router.use(authenticateTokenOrApiKey);
+router.use(requireAdmin);
+
+// Normalize zone methods, assigning ids to new ones
+const normalizeMethods = (methods) => methods.map(method => ({
+    id: method.id || uuidv4(),
+    name: method.name,
+    type: method.type || 'standard',
+    rateType: method.rateType || 'flat',
+    rate: method.rate !== undefined ? parseFloat(method.rate) : null,
+    tiers: (method.tiers || []).map(tier => ({
+        min: tier.min !== undefined ? parseFloat(tier.min) : 0,
+        max: tier.max !== undefined && tier.max !== null ? parseFloat(tier.max) : null,
+        rate: parseFloat(tier.rate)
+    })),
+    freeAbove: method.freeAbove !== undefined && method.freeAbove !== null ? parseFloat(method.freeAbove) : null,
+    estimatedDays: method.estimatedDays || null,
+    isActive: method.isActive !== false
+}));
+
+const upper = (values = []) => values.map(value => value.toString().trim().toUpperCase());
+
+// ===========================
+// GET SHIPPING ZONES
+// ===========================
+router.get('/zones', async (req, res) => {
+    try {
+        const snapshot = await db.collection('shippingZones').get();
+        const zones = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        res.json({
+            success: true,
+            zones,
+            count: zones.length
+        });
+    } catch (error) {
+        console.error('Get shipping zones error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch shipping zones'
+        });
+    }
+});
+
+// ===========================
+// CREATE SHIPPING ZONE
+// ===========================
+router.post('/zones',
+    [
+        body('name').trim().notEmpty(),
+        body('countries').isArray({ min: 1 }),
+        body('regions').optional().isArray(),
+        body('postalPrefixes').optional().isArray(),
+        body('methods').optional().isArray(),
+        body('isActive').optional().isBoolean()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const {
+                name,
+                countries,
+                regions = [],
+                postalPrefixes = [],
+                methods = [],
+                isActive = true
+            } = req.body;
+
+            const methodError = validateMethods(methods);
+            if (methodError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: methodError
+                });
+            }
+
+            const zoneData = {
+                name,
+                countries: upper(countries),
+                regions: upper(regions),
+                postalPrefixes: upper(postalPrefixes),
+                methods: normalizeMethods(methods),
+                isActive: Boolean(isActive),
+                createdBy: req.user.email,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+
+            const docRef = await db.collection('shippingZones').add(zoneData);
+
+            res.status(201).json({
+                success: true,
+                message: 'Shipping zone created successfully',
+                zone: {
+                    id: docRef.id,
+                    ...zoneData
+                }
+            });
+        } catch (error) {
+            console.error('Create shipping zone error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'SERVER_ERROR',
+                message: 'Failed to create shipping zone'
+            });
+        }
+    }
+);
+
+// ===========================
+// UPDATE SHIPPING ZONE
+// ===========================
+router.put('/zones/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const zoneRef = db.collection('shippingZones').doc(id);
+        const zoneDoc = await zoneRef.get();
+
+        if (!zoneDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Shipping zone not found'
+            });
+        }
+
+        const allowedFields = ['name', 'countries', 'regions', 'postalPrefixes', 'methods', 'isActive'];
+
+        const updates = {};
+        Object.keys(req.body).forEach(key => {
+            if (allowedFields.includes(key)) {
+                updates[key] = req.body[key];
+            }
+        });
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'No valid fields to update'
+            });
+        }
+
+        if (updates.methods !== undefined) {
+            const methodError = validateMethods(updates.methods);
+            if (methodError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: methodError
+                });
+            }
+            updates.methods = normalizeMethods(updates.methods);
+        }
+
+        for (const key of ['countries', 'regions', 'postalPrefixes']) {
+            if (updates[key] !== undefined) {
+                if (!Array.isArray(updates[key])) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'VALIDATION_ERROR',
+                        message: `${key} must be an array`
+                    });
+                }
+                updates[key] = upper(updates[key]);
+            }
+        }
+
+        updates.updatedAt = new Date();
+        updates.updatedBy = req.user.email;
+
+        await zoneRef.update(updates);
+
+        const updated = await zoneRef.get();
+
+        res.json({
+            success: true,
+            message: 'Shipping zone updated successfully',
+            zone: {
+                id: updated.id,
+                ...updated.data()
+            }
+        });
+    } catch (error) {
+        console.error('Update shipping zone error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to update shipping zone'
+        });
+    }
+});
+
+// ===========================
+// DELETE SHIPPING ZONE
+// ===========================
+router.delete('/zones/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const zoneRef = db.collection('shippingZones').doc(id);
+        const zoneDoc = await zoneRef.get();
+
+        if (!zoneDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Shipping zone not found'
+            });
+        }
+
+        await zoneRef.delete();
+
+        res.json({
+            success: true,
+            message: 'Shipping zone deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete shipping zone error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to delete shipping zone'
+        });
+    }
+});
+
+module.exports = router;
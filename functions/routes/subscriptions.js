@@ -0,0 +1,472 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { db } = require('../config/firebase');
+const { authenticateToken, authenticateTokenOrApiKey, requireAdmin } = require('../middleware/auth');
+const { parsePagination, paginateQuery } = require('../services/pagination');
+const {
+    SUBSCRIPTION_STATUSES,
+    publicSubscription,
+    createSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    skipRenewal,
+    swapProduct,
+    changeAddress,
+    updatePaymentMethod,
+    cancelSubscription,
+    renewSubscription
+} = require('../services/subscriptions');
+
+// ===========================
+// LIST SUBSCRIPTIONS (Admin)
+// Filter by `status`, `productId` or `email`; newest first
+// ===========================
+router.get('/admin/all', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const { status, productId, email } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+        if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: `status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`
+            });
+        }
+
+        let query = db.collection('subscriptions');
+        if (status) query = query.where('status', '==', status);
+        if (productId) query = query.where('productId', '==', productId);
+        if (email) query = query.where('customerEmail', '==', String(email).trim());
+
+        const page = await paginateQuery(query, [['createdAt', 'desc']], pagination);
+        const subscriptions = page.docs.map(doc => publicSubscription(doc.id, doc.data()));
+
+        res.json({
+            success: true,
+            subscriptions,
+            count: subscriptions.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('List subscriptions error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch subscriptions'
+        });
+    }
+});
+
+// ===========================
+// GET USER SUBSCRIPTIONS
+// ===========================
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const snapshot = await db.collection('subscriptions')
+            .where('userId', '==', req.user.id)
+            .orderBy('createdAt', 'desc')
+            .get();
+
+        const subscriptions = snapshot.docs.map(doc => publicSubscription(doc.id, doc.data()));
+
+        res.json({
+            success: true,
+            subscriptions,
+            count: subscriptions.length
+        });
+    } catch (error) {
+        console.error('Get user subscriptions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch subscriptions'
+        });
+    }
+});
+
+// ===========================
+// SUBSCRIBE
+// Places and charges the first order straight away; `paymentToken` is a card
+// token from the payment provider's card form, saved for the renewals
+// ===========================
+router.post('/', authenticateToken,
+    [
+        body('productId').isString().notEmpty(),
+        body('variantId').optional({ nullable: true }).isString(),
+        body('quantity').optional().isInt({ min: 1 }),
+        body('customerName').optional().trim().notEmpty(),
+        body('shippingAddress').optional().isObject(),
+        body('shippingMethodId').optional().isString(),
+        body('billingAddress').optional().isObject(),
+        body('paymentToken').isString().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { productId, variantId, quantity, customerName, shippingAddress, shippingMethodId, billingAddress, paymentToken } = req.body;
+
+            const { subscription, order } = await createSubscription({
+                user: req.user,
+                productId,
+                variantId: variantId || null,
+                quantity: parseInt(quantity) || 1,
+                customerName: customerName || req.user.displayName || req.user.email,
+                shippingAddress: shippingAddress || null,
+                shippingMethodId: shippingMethodId || null,
+                billingAddress: billingAddress || null,
+                paymentToken
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Subscription started',
+                subscription,
+                order
+            });
+        } catch (error) {
+            console.error('Create subscription error:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.code || (error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR'),
+                message: error.status ? error.message : 'Failed to start subscription'
+            });
+        }
+    }
+);
+
+// ===========================
+// GET SINGLE SUBSCRIPTION
+// With its most recent orders
+// ===========================
+router.get('/:id', authenticateToken, loadSubscription, async (req, res) => {
+    try {
+        const ordersSnapshot = await db.collection('orders')
+            .where('subscriptionId', '==', req.params.id)
+            .orderBy('createdAt', 'desc')
+            .limit(12)
+            .get();
+
+        res.json({
+            success: true,
+            subscription: publicSubscription(req.params.id, req.subscription),
+            orders: ordersSnapshot.docs.map(doc => {
+                const order = doc.data();
+                return {
+                    id: doc.id,
+                    orderNumber: order.orderNumber,
+                    status: order.status,
+                    paymentStatus: order.paymentStatus,
+                    total: order.total,
+                    createdAt: order.createdAt
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Get subscription error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch subscription'
+        });
+    }
+});
+
+// ===========================
+// PAUSE / RESUME
+// Pausing with `until` resumes at the first renewal after that date;
+// without it the subscription stays paused until resumed
+// ===========================
+router.post('/:id/pause', authenticateToken, loadSubscription,
+    [
+        body('until').optional({ nullable: true }).isISO8601()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const subscription = await pauseSubscription(req.params.id, {
+                until: req.body.until ? new Date(req.body.until) : null,
+                actor: actorOf(req)
+            });
+
+            res.json({
+                success: true,
+                message: 'Subscription paused',
+                subscription
+            });
+        } catch (error) {
+            sendError(res, error, 'Pause subscription error:', 'Failed to pause subscription');
+        }
+    }
+);
+
+router.post('/:id/resume', authenticateToken, loadSubscription, async (req, res) => {
+    try {
+        const subscription = await resumeSubscription(req.params.id, { actor: actorOf(req) });
+
+        res.json({
+            success: true,
+            message: 'Subscription resumed',
+            subscription
+        });
+    } catch (error) {
+        sendError(res, error, 'Resume subscription error:', 'Failed to resume subscription');
+    }
+});
+
+// ===========================
+// SKIP NEXT RENEWAL
+// ===========================
+router.post('/:id/skip', authenticateToken, loadSubscription, async (req, res) => {
+    try {
+        const subscription = await skipRenewal(req.params.id, { actor: actorOf(req) });
+
+        res.json({
+            success: true,
+            message: 'Next renewal skipped',
+            subscription
+        });
+    } catch (error) {
+        sendError(res, error, 'Skip renewal error:', 'Failed to skip renewal');
+    }
+});
+
+// ===========================
+// SWAP PRODUCT
+// Takes effect from the next renewal; the product must offer a subscription
+// ===========================
+router.post('/:id/swap', authenticateToken, loadSubscription,
+    [
+        body('productId').isString().notEmpty(),
+        body('variantId').optional({ nullable: true }).isString(),
+        body('quantity').optional().isInt({ min: 1 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const subscription = await swapProduct(req.params.id, {
+                productId: req.body.productId,
+                variantId: req.body.variantId || null,
+                quantity: req.body.quantity ? parseInt(req.body.quantity) : null,
+                actor: actorOf(req)
+            });
+
+            res.json({
+                success: true,
+                message: 'Subscription updated',
+                subscription
+            });
+        } catch (error) {
+            sendError(res, error, 'Swap subscription product error:', 'Failed to swap product');
+        }
+    }
+);
+
+// ===========================
+// CHANGE ADDRESS
+// ===========================
+router.put('/:id/address', authenticateToken, loadSubscription,
+    [
+        body('shippingAddress').optional({ nullable: true }).isObject(),
+        body('shippingMethodId').optional({ nullable: true }).isString(),
+        body('billingAddress').optional({ nullable: true }).isObject()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { shippingAddress, shippingMethodId, billingAddress } = req.body;
+            if (shippingAddress === undefined && billingAddress === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Provide shippingAddress and/or billingAddress'
+                });
+            }
+
+            const subscription = await changeAddress(req.params.id, {
+                shippingAddress,
+                shippingMethodId: shippingMethodId || null,
+                billingAddress,
+                actor: actorOf(req)
+            });
+
+            res.json({
+                success: true,
+                message: 'Address updated',
+                subscription
+            });
+        } catch (error) {
+            sendError(res, error, 'Change subscription address error:', 'Failed to update address');
+        }
+    }
+);
+
+// ===========================
+// UPDATE PAYMENT METHOD
+// A subscription behind on payment is retried with the new card right away
+// ===========================
+router.put('/:id/payment-method', authenticateToken, loadSubscription,
+    [
+        body('paymentToken').isString().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const subscription = await updatePaymentMethod(req.params.id, {
+                paymentToken: req.body.paymentToken,
+                user: req.user,
+                actor: actorOf(req)
+            });
+
+            res.json({
+                success: true,
+                message: 'Payment method updated',
+                subscription
+            });
+        } catch (error) {
+            sendError(res, error, 'Update subscription payment method error:', 'Failed to update payment method');
+        }
+    }
+);
+
+// ===========================
+// CANCEL SUBSCRIPTION
+// ===========================
+router.post('/:id/cancel', authenticateToken, loadSubscription, async (req, res) => {
+    try {
+        const subscription = await cancelSubscription(req.params.id, {
+            reason: req.body.reason ? String(req.body.reason).trim().slice(0, 500) : null,
+            actor: actorOf(req)
+        });
+
+        res.json({
+            success: true,
+            message: 'Subscription cancelled',
+            subscription
+        });
+    } catch (error) {
+        sendError(res, error, 'Cancel subscription error:', 'Failed to cancel subscription');
+    }
+});
+
+// ===========================
+// RENEW NOW (Admin)
+// Runs the renewal straight away, e.g. to retry a failed payment early.
+// A paused subscription is resumed by it.
+// ===========================
+router.post('/:id/renew', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const result = await renewSubscription(req.params.id, { actor: actorOf(req) });
+        const updated = await db.collection('subscriptions').doc(req.params.id).get();
+
+        res.json({
+            success: true,
+            message: result.outcome === 'renewed' ? 'Subscription renewed' : 'Renewal failed',
+            ...result,
+            subscription: publicSubscription(updated.id, updated.data())
+        });
+    } catch (error) {
+        sendError(res, error, 'Renew subscription error:', 'Failed to renew subscription');
+    }
+});
+
+// ===========================
+// HELPER FUNCTIONS
+// ===========================
+
+// Load :id into req.subscription for its owner or an admin
+async function loadSubscription(req, res, next) {
+    try {
+        const subscriptionDoc = await db.collection('subscriptions').doc(req.params.id).get();
+
+        if (!subscriptionDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Subscription not found'
+            });
+        }
+
+        const subscription = subscriptionDoc.data();
+
+        if (req.user.role !== 'GronderfulBlogs' && subscription.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'FORBIDDEN',
+                message: 'Access denied'
+            });
+        }
+
+        req.subscription = subscription;
+        next();
+    } catch (error) {
+        console.error('Load subscription error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch subscription'
+        });
+    }
+}
+
+function actorOf(req) {
+    return req.user.email || req.user.id;
+}
+
+function sendError(res, error, label, fallback) {
+    console.error(label, error);
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.code || (error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR'),
+        message: error.status ? error.message : fallback
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,360 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { db } = require('../config/firebase');
+const { authenticateTokenOrApiKey, requireAdmin } = require('../middleware/auth');
+
+// All tax configuration routes are admin only
+router.use(authenticateTokenOrApiKey);
+router.use(requireAdmin);
+
+const rateValidators = [
+    body('name').trim().notEmpty(),
+    body('country').trim().isLength({ min: 2, max: 2 }),
+    body('region').optional({ nullable: true }).trim(),
+    body('postalPrefix').optional({ nullable: true }).trim(),
+    body('rate').isFloat({ min: 0, max: 1 }).withMessage('Rate must be a decimal between 0 and 1'),
+    body('taxShipping').optional().isBoolean(),
+    body('pricesIncludeTax').optional().isBoolean(),
+    body('isActive').optional().isBoolean()
+];
+
+// ===========================
+// GET TAX RATES
+// ===========================
+router.get('/rates', async (req, res) => {
+    try {
+        const { country } = req.query;
+
+        let query = db.collection('taxRates');
+
+        if (country) {
+            query = query.where('country', '==', country.toUpperCase());
+        }
+
+        const snapshot = await query.get();
+        const rates = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        res.json({
+            success: true,
+            rates,
+            count: rates.length
+        });
+    } catch (error) {
+        console.error('Get tax rates error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch tax rates'
+        });
+    }
+});
+
+// ===========================
+// CREATE TAX RATE
+// ===========================
+router.post('/rates', rateValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'Invalid input',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            name,
+            country,
+            region = null,
+            postalPrefix = null,
+            rate,
+            taxShipping = false,
+            pricesIncludeTax = false,
+            isActive = true
+        } = req.body;
+
+        const rateData = {
+            name,
+            country: country.toUpperCase(),
+            region: region ? region.toUpperCase() : null,
+            postalPrefix: postalPrefix ? postalPrefix.toUpperCase() : null,
+            rate: parseFloat(rate),
+            taxShipping: Boolean(taxShipping),
+            pricesIncludeTax: Boolean(pricesIncludeTax),
+            isActive: Boolean(isActive),
+            createdBy: req.user.email,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const docRef = await db.collection('taxRates').add(rateData);
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax rate created successfully',
+            rate: {
+                id: docRef.id,
+                ...rateData
+            }
+        });
+    } catch (error) {
+        console.error('Create tax rate error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to create tax rate'
+        });
+    }
+});
+
+// ===========================
+// UPDATE TAX RATE
+// ===========================
+router.put('/rates/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const rateRef = db.collection('taxRates').doc(id);
+        const rateDoc = await rateRef.get();
+
+        if (!rateDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Tax rate not found'
+            });
+        }
+
+        const allowedFields = [
+            'name', 'country', 'region', 'postalPrefix', 'rate',
+            'taxShipping', 'pricesIncludeTax', 'isActive'
+        ];
+
+        const updates = {};
+        Object.keys(req.body).forEach(key => {
+            if (allowedFields.includes(key)) {
+                updates[key] = req.body[key];
+            }
+        });
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'No valid fields to update'
+            });
+        }
+
+        if (updates.rate !== undefined) {
+            const rate = parseFloat(updates.rate);
+            if (isNaN(rate) || rate < 0 || rate > 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Rate must be a decimal between 0 and 1'
+                });
+            }
+            updates.rate = rate;
+        }
+
+        ['country', 'region', 'postalPrefix'].forEach(key => {
+            if (updates[key]) {
+                updates[key] = updates[key].toString().toUpperCase();
+            }
+        });
+
+        updates.updatedAt = new Date();
+        updates.updatedBy = req.user.email;
+
+        await rateRef.update(updates);
+
+        const updated = await rateRef.get();
+
+        res.json({
+            success: true,
+            message: 'Tax rate updated successfully',
+            rate: {
+                id: updated.id,
+                ...updated.data()
+            }
+        });
+    } catch (error) {
+        console.error('Update tax rate error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to update tax rate'
+        });
+    }
+});
+
+// ===========================
+// DELETE TAX RATE
+// ===========================
+router.delete('/rates/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const rateRef = db.collection('taxRates').doc(id);
+        const rateDoc = await rateRef.get();
+
+        if (!rateDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Tax rate not found'
+            });
+        }
+
+        await rateRef.delete();
+
+        res.json({
+            success: true,
+            message: 'Tax rate deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete tax rate error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to delete tax rate'
+        });
+    }
+});
+
+// ===========================
+// GET TAX EXEMPTIONS
+// Exemptions live apart from user profiles, which customers can edit
+// ===========================
+router.get('/exemptions', async (req, res) => {
+    try {
+        const snapshot = await db.collection('taxExemptions')
+            .orderBy('createdAt', 'desc')
+            .get();
+
+        const exemptions = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+
+        res.json({
+            success: true,
+            exemptions,
+            count: exemptions.length
+        });
+    } catch (error) {
+        console.error('Get tax exemptions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch tax exemptions'
+        });
+    }
+});
+
+// ===========================
+// GRANT TAX EXEMPTION
+// ===========================
+router.put('/exemptions/:userId',
+    [
+        body('reason').optional({ nullable: true }).trim(),
+        body('certificateNumber').optional({ nullable: true }).trim()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'VALIDATION_ERROR',
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { userId } = req.params;
+            const { reason = null, certificateNumber = null } = req.body;
+
+            const userDoc = await db.collection('users').doc(userId).get();
+
+            if (!userDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'NOT_FOUND',
+                    message: 'User not found'
+                });
+            }
+
+            const exemptionRef = db.collection('taxExemptions').doc(userId);
+            const existing = await exemptionRef.get();
+
+            const exemption = {
+                userId,
+                email: userDoc.data().email || null,
+                reason: reason || null,
+                certificateNumber: certificateNumber || null,
+                grantedBy: req.user.email,
+                createdAt: existing.exists ? existing.data().createdAt : new Date(),
+                updatedAt: new Date()
+            };
+
+            await exemptionRef.set(exemption);
+
+            res.json({
+                success: true,
+                message: 'Tax exemption granted',
+                exemption: {
+                    id: userId,
+                    ...exemption
+                }
+            });
+        } catch (error) {
+            console.error('Grant tax exemption error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'SERVER_ERROR',
+                message: 'Failed to grant tax exemption'
+            });
+        }
+    }
+);
+
+// ===========================
+// REVOKE TAX EXEMPTION
+// ===========================
+router.delete('/exemptions/:userId', async (req, res) => {
+    try {
+        const exemptionRef = db.collection('taxExemptions').doc(req.params.userId);
+        const exemptionDoc = await exemptionRef.get();
+
+        if (!exemptionDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Tax exemption not found'
+            });
+        }
+
+        await exemptionRef.delete();
+
+        res.json({
+            success: true,
+            message: 'Tax exemption revoked'
+        });
+    } catch (error) {
+        console.error('Revoke tax exemption error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to revoke tax exemption'
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { db } = require('../config/firebase');
 const { authenticateToken } = require('../middleware/auth');
+const { getStoreCredit } = require('../services/storeCredit');
 
 // ===========================
 // GET USER PREFERENCES
@@ -56,6 +57,28 @@ router.get('/me/preferences', authenticateToken, async (req, res) => {
     }
 });
 
+// ===========================
+// GET STORE CREDIT
+// Balance and recent credit transactions; spent at checkout with useStoreCredit
+// ===========================
+router.get('/me/store-credit', authenticateToken, async (req, res) => {
+    try {
+        const storeCredit = await getStoreCredit(req.user.id);
+
+        res.json({
+            success: true,
+            ...storeCredit
+        });
+    } catch (error) {
+        console.error('Get store credit error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch store credit'
+        });
+    }
+});
+
 // ===========================
 // UPDATE USER PREFERENCES
 // ===========================
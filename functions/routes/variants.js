@@ -0,0 +1,361 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const { admin, db } = require('../config/firebase');
+const { authenticateTokenOrApiKey, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { variantsCollection, variantRef, getVariants, isSkuTaken, variantFields } = require('../services/variants');
+const { availableQuantity, recordMovement } = require('../services/inventory');
+const { isBundle } = require('../services/bundles');
+const { isDigital } = require('../services/downloads');
+
+// Mounted at /api/products/:productId/variants
+
+const variantValidators = (required) => [
+    (required ? body('sku') : body('sku').optional()).isString().trim().notEmpty(),
+    (required ? body('price') : body('price').optional()).isFloat({ min: 0 }),
+    body('salePrice').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('stock').optional().isInt({ min: 0 }),
+    body('name').optional().isString().trim(),
+    body('attributes').optional().isObject(),
+    body('images').optional().isArray(),
+    body('weight').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('isActive').optional().isBoolean(),
+    body('reason').optional().isString().trim()
+];
+
+// ===========================
+// LIST VARIANTS (Public)
+// Admins can pass includeInactive=true
+// ===========================
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const { productId } = req.params;
+        const productDoc = await db.collection('products').doc(productId).get();
+
+        if (!productDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Product not found'
+            });
+        }
+
+        const isAdmin = req.user && req.user.role === 'GronderfulBlogs';
+        const variants = await getVariants(productId, {
+            activeOnly: !(isAdmin && req.query.includeInactive === 'true')
+        });
+
+        res.json({
+            success: true,
+            variants: variants.map(variant => withVariantAvailability(productDoc.data(), variant))
+        });
+    } catch (error) {
+        console.error('Get variants error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch variants'
+        });
+    }
+});
+
+// ===========================
+// GET VARIANT (Public)
+// ===========================
+router.get('/:variantId', optionalAuth, async (req, res) => {
+    try {
+        const { productId, variantId } = req.params;
+        const [productDoc, variantDoc] = await Promise.all([
+            db.collection('products').doc(productId).get(),
+            variantRef(productId, variantId).get()
+        ]);
+
+        const isAdmin = req.user && req.user.role === 'GronderfulBlogs';
+        if (!productDoc.exists || !variantDoc.exists || (variantDoc.data().isActive === false && !isAdmin)) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Variant not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            variant: withVariantAvailability(productDoc.data(), { id: variantDoc.id, ...variantDoc.data() })
+        });
+    } catch (error) {
+        console.error('Get variant error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to fetch variant'
+        });
+    }
+});
+
+// ===========================
+// CREATE VARIANT (Admin only)
+// Opening stock is added to the product total and logged in the inventory ledger
+// ===========================
+router.post('/', authenticateTokenOrApiKey, requireAdmin, variantValidators(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'Invalid input',
+                errors: errors.array()
+            });
+        }
+
+        const { productId } = req.params;
+        const fields = variantFields(req.body);
+        const stock = parseInt(req.body.stock) || 0;
+
+        if (await isSkuTaken(fields.sku)) {
+            return res.status(409).json({
+                success: false,
+                error: 'CONFLICT',
+                message: `SKU ${fields.sku} is already in use`
+            });
+        }
+
+        const productRef = db.collection('products').doc(productId);
+        const newVariantRef = variantsCollection(productId).doc();
+
+        const variant = await db.runTransaction(async (transaction) => {
+            const productDoc = await transaction.get(productRef);
+            if (!productDoc.exists) return null;
+
+            // A bundle's options come from its components; a download is one file
+            if (isBundle(productDoc.data()) || isDigital(productDoc.data())) {
+                const error = new Error(isBundle(productDoc.data())
+                    ? 'Bundles cannot have variants'
+                    : 'Digital products cannot have variants');
+                error.status = 400;
+                throw error;
+            }
+
+            const variantData = {
+                name: '',
+                attributes: {},
+                images: [],
+                weight: null,
+                isActive: true,
+                ...fields,
+                stock,
+                reserved: 0,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+
+            transaction.set(newVariantRef, variantData);
+            transaction.update(productRef, {
+                hasVariants: true,
+                variantCount: admin.firestore.FieldValue.increment(1),
+                ...(stock && { stockQuantity: admin.firestore.FieldValue.increment(stock) }),
+                updatedAt: new Date()
+            });
+
+            if (stock) {
+                recordMovement(transaction, productId, productDoc.data(), [{ variantId: newVariantRef.id, quantity: stock }], {
+                    type: 'adjustment',
+                    actor: req.user.email || req.user.id,
+                    reason: req.body.reason || 'Variant created'
+                }, [{ id: newVariantRef.id, stock: 0 }]);
+            }
+
+            return { id: newVariantRef.id, ...variantData };
+        });
+
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Product not found'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Variant created successfully',
+            variant
+        });
+    } catch (error) {
+        console.error('Create variant error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? 'VALIDATION_ERROR' : 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to create variant'
+        });
+    }
+});
+
+// ===========================
+// UPDATE VARIANT (Admin only)
+// `stock` sets on-hand stock; the difference is applied as an increment and logged
+// ===========================
+router.patch('/:variantId', authenticateTokenOrApiKey, requireAdmin, variantValidators(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_ERROR',
+                message: 'Invalid input',
+                errors: errors.array()
+            });
+        }
+
+        const { productId, variantId } = req.params;
+        const fields = variantFields(req.body);
+
+        if (fields.sku && await isSkuTaken(fields.sku, { variantId })) {
+            return res.status(409).json({
+                success: false,
+                error: 'CONFLICT',
+                message: `SKU ${fields.sku} is already in use`
+            });
+        }
+
+        const productRef = db.collection('products').doc(productId);
+        const ref = variantRef(productId, variantId);
+
+        const found = await db.runTransaction(async (transaction) => {
+            const [productDoc, variantDoc] = await Promise.all([
+                transaction.get(productRef),
+                transaction.get(ref)
+            ]);
+            if (!productDoc.exists || !variantDoc.exists) return false;
+
+            const updates = { ...fields, updatedAt: new Date() };
+            const currentStock = variantDoc.data().stock || 0;
+            const delta = req.body.stock !== undefined ? parseInt(req.body.stock) - currentStock : 0;
+
+            if (delta) {
+                updates.stock = admin.firestore.FieldValue.increment(delta);
+                transaction.update(productRef, {
+                    stockQuantity: admin.firestore.FieldValue.increment(delta),
+                    updatedAt: new Date()
+                });
+                recordMovement(transaction, productId, productDoc.data(), [{ variantId, quantity: delta }], {
+                    type: 'adjustment',
+                    actor: req.user.email || req.user.id,
+                    reason: req.body.reason || 'Variant stock edited'
+                }, [{ id: variantId, ...variantDoc.data() }]);
+            }
+
+            transaction.update(ref, updates);
+            return true;
+        });
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Variant not found'
+            });
+        }
+
+        const updated = await ref.get();
+
+        res.json({
+            success: true,
+            message: 'Variant updated successfully',
+            variant: { id: updated.id, ...updated.data() }
+        });
+    } catch (error) {
+        console.error('Update variant error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to update variant'
+        });
+    }
+});
+
+// ===========================
+// DELETE VARIANT (Admin only)
+// Variants held by unpaid checkouts cannot be deleted; deactivate them instead
+// ===========================
+router.delete('/:variantId', authenticateTokenOrApiKey, requireAdmin, async (req, res) => {
+    try {
+        const { productId, variantId } = req.params;
+        const productRef = db.collection('products').doc(productId);
+        const ref = variantRef(productId, variantId);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const [productDoc, variantDoc] = await Promise.all([
+                transaction.get(productRef),
+                transaction.get(ref)
+            ]);
+            if (!productDoc.exists || !variantDoc.exists) return { status: 404 };
+
+            const variant = variantDoc.data();
+            if ((variant.reserved || 0) > 0) return { status: 409 };
+
+            const stock = variant.stock || 0;
+            const remaining = (productDoc.data().variantCount || 1) - 1;
+
+            transaction.delete(ref);
+            transaction.update(productRef, {
+                hasVariants: remaining > 0,
+                variantCount: Math.max(remaining, 0),
+                ...(stock && { stockQuantity: admin.firestore.FieldValue.increment(-stock) }),
+                updatedAt: new Date()
+            });
+
+            if (stock) {
+                recordMovement(transaction, productId, productDoc.data(), [{ variantId, quantity: -stock }], {
+                    type: 'adjustment',
+                    actor: req.user.email || req.user.id,
+                    reason: 'Variant deleted'
+                }, [{ id: variantId, ...variant }]);
+            }
+
+            return { status: 200 };
+        });
+
+        if (result.status === 404) {
+            return res.status(404).json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: 'Variant not found'
+            });
+        }
+
+        if (result.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: 'CONFLICT',
+                message: 'Variant has stock reserved by open checkouts; deactivate it instead'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Variant deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete variant error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: 'Failed to delete variant'
+        });
+    }
+});
+
+// ===========================
+// HELPER FUNCTIONS
+// ===========================
+
+function withVariantAvailability(product, variant) {
+    return {
+        ...variant,
+        available: Math.max(availableQuantity(product, variant), 0)
+    };
+}
+
+module.exports = router;
@@ -3,28 +3,26 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { db, admin } = require('../config/firebase');
 const { authenticateToken } = require('../middleware/auth');
+const { parsePagination, paginateQuery } = require('../services/pagination');
+const { activePrice } = require('../services/productSchedule');
 
 // ===========================
 // GET USER'S WISHLIST
 // ===========================
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const {
-            limit = 50,
-            offset = 0,
-            includeProductDetails = 'true'
-        } = req.query;
+        const { includeProductDetails = 'true' } = req.query;
+        const pagination = parsePagination(req.query, { defaultLimit: 50 });
 
-        const snapshot = await db.collection('wishlist')
-            .where('userId', '==', req.user.id)
-            .orderBy('addedAt', 'desc')
-            .limit(parseInt(limit))
-            .offset(parseInt(offset))
-            .get();
+        const page = await paginateQuery(
+            db.collection('wishlist').where('userId', '==', req.user.id),
+            [['addedAt', 'desc']],
+            pagination
+        );
 
         const wishlistItems = [];
 
-        for (const doc of snapshot.docs) {
+        for (const doc of page.docs) {
             const item = {
                 id: doc.id,
                 ...doc.data()
@@ -51,14 +49,16 @@ router.get('/', authenticateToken, async (req, res) => {
         res.json({
             success: true,
             wishlist: wishlistItems,
-            count: wishlistItems.length
+            count: wishlistItems.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Get wishlist error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'SERVER_ERROR',
-            message: 'Failed to fetch wishlist'
+            error: error.code || 'SERVER_ERROR',
+            message: error.status ? error.message : 'Failed to fetch wishlist'
         });
     }
 });
@@ -170,7 +170,7 @@ router.post('/', authenticateToken,
                 userEmail: req.user.email,
                 productId,
                 productName: product.name,
-                productPrice: product.price,
+                productPrice: activePrice(product).price,
                 productImage: product.images && product.images.length > 0 ? product.images[0] : null,
                 notes,
                 addedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -0,0 +1,117 @@
+/**
+ * Scheduled jobs
+ * Plain async functions wired to Cloud Scheduler in index.js
+ */
+
+const { db } = require('./config/firebase');
+const { findExpiredReservations, releaseReservation, convertReservation } = require('./services/reservations');
+const { transitionOrder } = require('./services/orderStatus');
+const { applyProductSchedules } = require('./services/productSchedule');
+const { findOrphanedMedia } = require('./services/mediaCleanup');
+const { findDueSubscriptions, renewSubscription } = require('./services/subscriptions');
+
+// ===========================
+// EXPIRE INVENTORY RESERVATIONS
+// Unpaid orders past their hold are cancelled and their stock released
+// ===========================
+async function expireReservations() {
+    const expired = await findExpiredReservations();
+    let released = 0;
+    let converted = 0;
+
+    for (const reservation of expired) {
+        try {
+            const orderDoc = await db.collection('orders').doc(reservation.orderId).get();
+            const order = orderDoc.exists ? orderDoc.data() : null;
+
+            // Payment landed but conversion didn't run; finish it instead of releasing
+            if (order && ['authorized', 'paid'].includes(order.paymentStatus)) {
+                await convertReservation(reservation.id);
+                converted += 1;
+                continue;
+            }
+
+            await db.runTransaction(async (transaction) => {
+                const previous = await releaseReservation(transaction, reservation.id, 'expired');
+                if (previous === 'active' && order) {
+                    transaction.update(orderDoc.ref, {
+                        reservationStatus: 'expired',
+                        updatedAt: new Date()
+                    });
+                }
+            });
+
+            if (order && order.status === 'pending') {
+                await transitionOrder(reservation.orderId, {
+                    status: 'cancelled',
+                    actor: 'system',
+                    note: 'Payment not received before the stock hold expired',
+                    updates: {
+                        cancellationReason: 'Reservation expired'
+                    }
+                });
+            }
+
+            released += 1;
+        } catch (error) {
+            console.error(`Expire reservation ${reservation.id} error:`, error);
+        }
+    }
+
+    console.log(`Expired reservations: ${released} released, ${converted} converted`);
+    return { released, converted };
+}
+
+// ===========================
+// PRODUCT SCHEDULES
+// Publish and retire products on time and end sale prices
+// ===========================
+async function runProductSchedules() {
+    const { published, unpublished, salesEnded } = await applyProductSchedules();
+
+    console.log(`Product schedules: ${published} published, ${unpublished} unpublished, ${salesEnded} sales ended`);
+    return { published, unpublished, salesEnded };
+}
+
+// ===========================
+// ORPHANED MEDIA
+// Report images nothing references; delete them when MEDIA_PURGE_ORPHANS=true
+// ===========================
+async function cleanUpMedia() {
+    const purge = process.env.MEDIA_PURGE_ORPHANS === 'true';
+    const report = await findOrphanedMedia({ purge });
+
+    console.log(`Media cleanup: ${report.orphans} of ${report.files} files orphaned (${report.orphanBytes} bytes)` +
+        `${report.purged ? ', purged' : ''}, ${report.usageRepaired} usage lists repaired`);
+    return report;
+}
+
+// ===========================
+// SUBSCRIPTION RENEWALS
+// Renew subscriptions that are due, retry failed renewals and resume ended pauses
+// ===========================
+async function renewSubscriptions() {
+    const due = await findDueSubscriptions();
+    const counts = { renewed: 0, retrying: 0, cancelled: 0, paused: 0, errors: 0 };
+
+    for (const subscription of due) {
+        try {
+            const { outcome } = await renewSubscription(subscription.id);
+            counts[outcome] += 1;
+        } catch (error) {
+            console.error(`Renew subscription ${subscription.id} error:`, error);
+            counts.errors += 1;
+        }
+    }
+
+    console.log(`Subscription renewals: ${counts.renewed} renewed, ${counts.retrying} retrying, ` +
+        `${counts.cancelled} cancelled, ${counts.paused} paused, ${counts.errors} errors`);
+    return counts;
+}
+
+module.exports = {
+    expireReservations,
+    runProductSchedules,
+    cleanUpMedia,
+    renewSubscriptions
+};
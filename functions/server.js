@@ -17,6 +17,16 @@ const newsletterRoutes = require('./routes/newsletter');
 const recommendationRoutes = require('./routes/recommendations');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const taxRoutes = require('./routes/tax');
+const shippingRoutes = require('./routes/shipping');
+const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
+const variantRoutes = require('./routes/variants');
+const alertRoutes = require('./routes/alerts');
+const searchRoutes = require('./routes/search');
+const mediaRoutes = require('./routes/media');
+const downloadRoutes = require('./routes/downloads');
+const subscriptionRoutes = require('./routes/subscriptions');
 
 // Import Firebase
 const { admin, db } = require('./config/firebase');
@@ -68,8 +78,19 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Body parsing
-app.use(express.json());
+// Bulk product imports carry whole catalog files, as JSON or CSV text
+app.use('/api/products/admin/import',
+    express.json({ limit: '10mb' }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' })
+);
+
+// Body parsing (Cloud Functions already provides req.rawBody; keep it for local runs
+// so payment webhook signatures can be verified)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (!req.rawBody) req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
@@ -98,6 +119,7 @@ if (process.env.NODE_ENV === 'development') {
 // ===========================
 
 app.use('/api/auth', authRoutes);
+app.use('/api/products/:productId/variants', variantRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
@@ -108,6 +130,15 @@ app.use('/api/newsletter', newsletterRoutes);
 app.use('/api/recommendations', recommendationRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/downloads', downloadRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -130,6 +161,11 @@ app.get('/api', (req, res) => {
             categories: '/api/categories',
             orders: '/api/orders',
             users: '/api/users',
+            payments: '/api/payments',
+            returns: '/api/returns',
+            subscriptions: '/api/subscriptions',
+            alerts: '/api/alerts',
+            search: '/api/search',
             admin: '/api/admin'
         }
     });
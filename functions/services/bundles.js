@@ -0,0 +1,231 @@
+const { db } = require('../config/firebase');
+const { availableQuantity } = require('./inventory');
+const { variantRef } = require('./variants');
+const { activePrice } = require('./productSchedule');
+const { roundCurrency } = require('./tax');
+
+// ===========================
+// PRODUCT BUNDLES
+// A bundle (`type: 'bundle'`) sells other products together as one item:
+// bundle: { components: [{ productId, variantId, quantity }], pricing, discountPercent }
+// `pricing` is 'fixed' (the bundle's own price) or 'sum' (the components'
+// current prices added up, less `discountPercent`).
+// Bundles hold no stock of their own. Availability is the number of complete
+// sets the components' stock makes up, and orders reserve, sell and restock
+// the components. Order lines for a bundle carry their `components`
+// (quantities per bundle) so stock goes back correctly even after the bundle
+// is changed.
+// ===========================
+
+const BUNDLE_PRICING = ['fixed', 'sum'];
+const MAX_BUNDLE_COMPONENTS = 20;
+
+function bundleError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+const isBundle = (product) => Boolean(product && product.type === 'bundle' && product.bundle);
+
+/**
+ * Work out a bundle from its components as they are now.
+ * `lookup(productId, variantId)` returns { product, variant } for a
+ * component (`variant` null for whole products), or null when it is gone.
+ * Returns { available, price, compareAtPrice, weight, components }, where
+ * `components` are the bundle's components with names and availability.
+ */
+function resolveBundle(product, lookup, now = new Date()) {
+    const { pricing = 'fixed', discountPercent = 0 } = product.bundle;
+    let available = Infinity;
+    let fullPrice = 0;
+    let componentWeight = 0;
+
+    const components = product.bundle.components.map(component => {
+        const found = lookup(component.productId, component.variantId || null);
+        const usable = found && found.product && (!component.variantId || (found.variant && found.variant.isActive !== false));
+
+        if (!usable) {
+            available = 0;
+            return { ...component, variantId: component.variantId || null, productName: null, variantName: null, slug: null, available: 0 };
+        }
+
+        const componentAvailable = Math.max(availableQuantity(found.product, found.variant), 0);
+        available = Math.min(available, Math.floor(componentAvailable / component.quantity));
+        fullPrice += activePrice(found.product, found.variant, now).price * component.quantity;
+        componentWeight += (Number((found.variant && found.variant.weight) || found.product.weight) || 0) * component.quantity;
+
+        return {
+            productId: component.productId,
+            variantId: component.variantId || null,
+            quantity: component.quantity,
+            productName: found.product.name,
+            variantName: found.variant ? found.variant.name || found.variant.sku : null,
+            slug: found.product.slug || null,
+            available: componentAvailable
+        };
+    });
+
+    const summed = pricing === 'sum';
+
+    return {
+        available: available === Infinity ? 0 : available,
+        price: summed ? roundCurrency(fullPrice * (1 - discountPercent / 100)) : product.price,
+        // A discounted set shows what the items would cost separately
+        compareAtPrice: summed && discountPercent > 0 ? roundCurrency(fullPrice) : product.compareAtPrice || null,
+        weight: Number(product.weight) || componentWeight,
+        components
+    };
+}
+
+/**
+ * A bundle product with its price, weight and availability worked out from
+ * its components, for API responses and orders.
+ */
+function applyBundle(product, resolved) {
+    return {
+        ...product,
+        price: resolved.price,
+        compareAtPrice: resolved.compareAtPrice,
+        weight: resolved.weight,
+        availableQuantity: resolved.available,
+        bundle: { ...product.bundle, components: resolved.components }
+    };
+}
+
+/**
+ * Products for listings, with every bundle among them resolved. Reads all
+ * the components in one round trip; other products are returned unchanged.
+ */
+async function withBundles(products, now = new Date()) {
+    const components = products.filter(isBundle).flatMap(product => product.bundle.components);
+    if (components.length === 0) return products;
+
+    const paths = new Map();
+    components.forEach(({ productId, variantId }) => {
+        const productDoc = db.collection('products').doc(productId);
+        paths.set(productDoc.path, productDoc);
+        if (variantId) {
+            const variantDoc = variantRef(productId, variantId);
+            paths.set(variantDoc.path, variantDoc);
+        }
+    });
+
+    const docs = await db.getAll(...paths.values());
+    const data = new Map(docs.filter(doc => doc.exists).map(doc => [doc.ref.path, doc.data()]));
+    const lookup = (productId, variantId) => {
+        const product = data.get(`products/${productId}`);
+        if (!product) return null;
+        return {
+            product,
+            variant: variantId ? data.get(`products/${productId}/variants/${variantId}`) || null : null
+        };
+    };
+
+    return products.map(product => (isBundle(product)
+        ? applyBundle(product, resolveBundle(product, lookup, now))
+        : product));
+}
+
+/**
+ * Pick and check the bundle definition from a request body. `bundle: null`
+ * turns a bundle back into a plain product. `product` is the product being
+ * written (with its `id` once it exists); products with variants can't be
+ * bundles. Components must exist, can't be bundles themselves, and must name
+ * a variant when their product has variants.
+ * Throws a 400 error for an invalid definition.
+ */
+async function bundleFields(input, product = {}) {
+    if (input.bundle === undefined) return {};
+    if (input.bundle === null) return { type: 'simple', bundle: null };
+
+    if (product.hasVariants) {
+        throw bundleError('Products with variants cannot be bundles');
+    }
+    if (product.type === 'digital') {
+        throw bundleError('Digital products cannot be bundles');
+    }
+
+    const { components, pricing = 'fixed', discountPercent = 0 } = input.bundle;
+
+    if (!Array.isArray(components) || components.length === 0 || components.length > MAX_BUNDLE_COMPONENTS) {
+        throw bundleError(`A bundle needs between 1 and ${MAX_BUNDLE_COMPONENTS} components`);
+    }
+    if (!BUNDLE_PRICING.includes(pricing)) {
+        throw bundleError(`bundle.pricing must be one of: ${BUNDLE_PRICING.join(', ')}`);
+    }
+
+    const discount = Number(discountPercent) || 0;
+    if (discount < 0 || discount >= 100) {
+        throw bundleError('bundle.discountPercent must be from 0 to below 100');
+    }
+
+    const normalized = [];
+    for (const component of components) {
+        const quantity = parseInt(component && component.quantity);
+        const variantId = (component && component.variantId) || null;
+
+        if (!component || typeof component.productId !== 'string' || !(quantity >= 1)) {
+            throw bundleError('Each component needs a productId and a quantity of at least 1');
+        }
+        if (component.productId === product.id) {
+            throw bundleError('A bundle cannot contain itself');
+        }
+        if (normalized.some(c => c.productId === component.productId && c.variantId === variantId)) {
+            throw bundleError(`Component ${component.productId} is listed twice`);
+        }
+
+        const productDoc = await db.collection('products').doc(component.productId).get();
+        if (!productDoc.exists) {
+            throw bundleError(`Component product ${component.productId} not found`);
+        }
+        if (isBundle(productDoc.data())) {
+            throw bundleError(`${productDoc.data().name} is a bundle; bundles cannot be nested`);
+        }
+        if (productDoc.data().type === 'digital') {
+            throw bundleError(`${productDoc.data().name} is a download; digital products cannot be bundled`);
+        }
+
+        if (variantId) {
+            const variantDoc = await variantRef(component.productId, variantId).get();
+            if (!variantDoc.exists) {
+                throw bundleError(`Variant ${variantId} of ${productDoc.data().name} not found`);
+            }
+        } else if (productDoc.data().hasVariants) {
+            throw bundleError(`${productDoc.data().name} has variants; choose one for the bundle`);
+        }
+
+        normalized.push({ productId: component.productId, variantId, quantity });
+    }
+
+    return {
+        type: 'bundle',
+        bundle: { components: normalized, pricing, discountPercent: discount }
+    };
+}
+
+/**
+ * The stock lines behind order lines: bundle lines become one line per
+ * component, digital lines (which hold no stock) are dropped and everything
+ * else is kept as is. Lines need `productId`, `quantity`, and optionally
+ * `variantId`, `components` and `digital`.
+ */
+function stockLines(lines) {
+    return lines.filter(line => !line.digital).flatMap(line => (Array.isArray(line.components) && line.components.length > 0
+        ? line.components.map(component => ({
+            productId: component.productId,
+            variantId: component.variantId || null,
+            quantity: component.quantity * line.quantity
+        }))
+        : [{ productId: line.productId, variantId: line.variantId || null, quantity: line.quantity }]));
+}
+
+module.exports = {
+    BUNDLE_PRICING,
+    isBundle,
+    resolveBundle,
+    applyBundle,
+    withBundles,
+    bundleFields,
+    stockLines
+};
@@ -0,0 +1,102 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveBundle, withBundles, bundleFields, stockLines } = require('./bundles');
+const { placeOrder } = require('./orders');
+
+const giftSet = (bundle = {}) => ({
+    name: 'Gift set',
+    type: 'bundle',
+    price: 30,
+    isActive: true,
+    bundle: {
+        components: [
+            { productId: 'candle', variantId: null, quantity: 2 },
+            { productId: 'tee', variantId: 'm', quantity: 1 }
+        ],
+        pricing: 'fixed',
+        ...bundle
+    }
+});
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({
+        'products/candle': { name: 'Candle', price: 12, weight: 0.5, stockQuantity: 7, reservedQuantity: 1, isActive: true },
+        'products/tee': { name: 'Tee', price: 20, hasVariants: true, stockQuantity: 9, isActive: true },
+        'products/tee/variants/m': { name: 'M', stock: 5, reserved: 0, weight: 0.2 },
+        'products/set': giftSet()
+    });
+});
+
+test('a bundle is available as many times as its scarcest component allows', async () => {
+    const [set] = await withBundles([{ id: 'set', ...fake.read('products/set') }]);
+
+    assert.equal(set.availableQuantity, 3);
+    assert.equal(set.price, 30);
+    assert.equal(set.weight, 1.2);
+    assert.deepEqual(set.bundle.components.map(c => [c.productName, c.variantName, c.available]), [['Candle', null, 6], ['Tee', 'M', 5]]);
+});
+
+test('a summed bundle costs its components less the discount', () => {
+    const candle = fake.read('products/candle');
+    const tee = fake.read('products/tee');
+    const variant = fake.read('products/tee/variants/m');
+    const lookup = (productId) => (productId === 'candle' ? { product: candle, variant: null } : { product: tee, variant });
+
+    const resolved = resolveBundle(giftSet({ pricing: 'sum', discountPercent: 10 }), lookup);
+
+    assert.equal(resolved.price, 39.6);
+    assert.equal(resolved.compareAtPrice, 44);
+});
+
+test('a bundle with a missing component is unavailable', () => {
+    const resolved = resolveBundle(giftSet(), () => null);
+    assert.equal(resolved.available, 0);
+});
+
+test('bundle lines break down into component stock lines; downloads hold none', () => {
+    assert.deepEqual(stockLines([
+        { productId: 'set', quantity: 2, components: [{ productId: 'candle', quantity: 2 }, { productId: 'tee', variantId: 'm', quantity: 1 }] },
+        { productId: 'ebook', quantity: 1, digital: { path: 'x' } },
+        { productId: 'soap', variantId: null, quantity: 3 }
+    ]), [
+        { productId: 'candle', variantId: null, quantity: 4 },
+        { productId: 'tee', variantId: 'm', quantity: 2 },
+        { productId: 'soap', variantId: null, quantity: 3 }
+    ]);
+});
+
+test('ordering a bundle reserves its components', async () => {
+    const order = await placeOrder({
+        items: [{ productId: 'set', quantity: 2 }],
+        customerEmail: 'ada@example.com',
+        customerName: 'Ada',
+        shippingAddress: { line1: '1 Main St', city: 'Springfield', state: 'IL', zip: '62701', country: 'US' }
+    });
+
+    assert.deepEqual(order.items[0].components.map(c => [c.productId, c.variantId, c.quantity]), [['candle', null, 2], ['tee', 'm', 1]]);
+    assert.equal(fake.read('products/candle').reservedQuantity, 5);
+    assert.equal(fake.read('products/tee/variants/m').reserved, 2);
+    assert.equal(fake.read('products/set').reservedQuantity, undefined);
+
+    await assert.rejects(placeOrder({
+        items: [{ productId: 'set', quantity: 2 }],
+        customerEmail: 'ada@example.com',
+        customerName: 'Ada',
+        shippingAddress: { line1: '1 Main St', city: 'Springfield', state: 'IL', zip: '62701', country: 'US' }
+    }), { status: 400, message: 'Insufficient stock for product Candle' });
+});
+
+test('bundle definitions are checked against the catalogue', async () => {
+    const components = (list) => ({ bundle: { components: list } });
+
+    assert.deepEqual(await bundleFields(components([{ productId: 'candle', quantity: '2' }]), { id: 'new' }), {
+        type: 'bundle',
+        bundle: { components: [{ productId: 'candle', variantId: null, quantity: 2 }], pricing: 'fixed', discountPercent: 0 }
+    });
+    await assert.rejects(bundleFields(components([{ productId: 'set', quantity: 1 }]), { id: 'new' }), { message: 'Gift set is a bundle; bundles cannot be nested' });
+    await assert.rejects(bundleFields(components([{ productId: 'tee', quantity: 1 }]), { id: 'new' }), { message: 'Tee has variants; choose one for the bundle' });
+    await assert.rejects(bundleFields(components([{ productId: 'new', quantity: 1 }]), { id: 'new' }), { message: 'A bundle cannot contain itself' });
+    assert.deepEqual(await bundleFields({ bundle: null }), { type: 'simple', bundle: null });
+});
@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { admin, db, bucket } = require('../config/firebase');
+const { transitionOrder } = require('./orderStatus');
+const { isBundle } = require('./bundles');
+
+// ===========================
+// DIGITAL DOWNLOADS
+// A digital product (`type: 'digital'`) sells a file kept in private Storage
+// under `downloads/{productId}/`:
+// digital: { path, filename, contentType, bytes, downloadLimit, linkExpiryDays }
+// Digital products hold no stock and are never shipped. Order lines for them
+// carry a copy of `digital`, so a later file swap doesn't change what was sold.
+// Once an order is paid, every digital line gets a grant in
+// `downloads/{orderId}_{lineIndex}`:
+// { orderId, orderNumber, lineIndex, userId, customerEmail, productId,
+//   productName, path, filename, contentType, bytes, token, downloadLimit,
+//   downloadCount, expiresAt, lastDownloadedAt, createdAt }
+// Its link (`/api/downloads/{id}?token=...`) is emailed to the customer and
+// listed on their orders. Each use counts a download, is logged in
+// `downloadLogs` and redirects to a signed Storage URL that lasts a few minutes.
+// ===========================
+
+// Files go through the API, which Cloud Functions caps at 32 MB per request;
+// bigger files can be put in Storage directly and linked by `digital.path`
+const MAX_DOWNLOAD_UPLOAD_BYTES = (parseInt(process.env.DOWNLOAD_MAX_UPLOAD_MB) || 30) * 1024 * 1024;
+
+const DOWNLOAD_PREFIX = 'downloads/';
+const DEFAULT_DOWNLOAD_LIMIT = parseInt(process.env.DOWNLOAD_LIMIT) || 5;
+const DEFAULT_LINK_EXPIRY_DAYS = parseInt(process.env.DOWNLOAD_EXPIRY_DAYS) || 30;
+
+// How long the Storage URL behind a counted download stays valid
+const SIGNED_URL_MINUTES = 5;
+
+function downloadError(message, status = 400, code = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+// Firestore hands dates back as Timestamps
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value);
+
+const isDigital = (product) => Boolean(product && product.type === 'digital' && product.digital);
+
+// Lines that need a shipping method: everything but downloads
+const needsShipping = (line) => !line.digital;
+
+function assertCanBeDigital(product) {
+    if (product.hasVariants) {
+        throw downloadError('Products with variants cannot be digital');
+    }
+    if (isBundle(product)) {
+        throw downloadError('Bundles cannot be digital');
+    }
+}
+
+function optionalInt(value, name, max) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const number = parseInt(value);
+    if (!(number >= 1 && number <= max)) {
+        throw downloadError(`digital.${name} must be from 1 to ${max}`);
+    }
+    return number;
+}
+
+// Per-product overrides of the store's download limit and link lifetime;
+// settings left out keep their current value
+function downloadSettings(input, current = {}) {
+    return {
+        downloadLimit: 'downloadLimit' in input
+            ? optionalInt(input.downloadLimit, 'downloadLimit', 100)
+            : current.downloadLimit || null,
+        linkExpiryDays: 'linkExpiryDays' in input
+            ? optionalInt(input.linkExpiryDays, 'linkExpiryDays', 365)
+            : current.linkExpiryDays || null
+    };
+}
+
+/**
+ * Store an uploaded file as a product's download, making it digital.
+ * `settings` may carry `downloadLimit` and `linkExpiryDays`. Everything is
+ * checked before the file is stored. Returns the product fields to write.
+ */
+async function attachDigitalFile(product, file, settings = {}, { user } = {}) {
+    assertCanBeDigital(product);
+    const limits = downloadSettings(settings, product.digital || {});
+
+    if (!file.buffer.length) {
+        throw downloadError('The file is empty');
+    }
+
+    const filename = path.basename(file.filename || 'download').replace(/[^\w.\- ]+/g, '_') || 'download';
+    const filePath = `${DOWNLOAD_PREFIX}${product.id}/${uuidv4()}/${filename}`;
+    const contentType = file.mimeType || 'application/octet-stream';
+
+    // Private: no download token, so the file is only reachable through grants
+    await bucket.file(filePath).save(file.buffer, {
+        resumable: false,
+        metadata: {
+            contentType,
+            metadata: {
+                uploadedBy: (user && (user.email || user.id)) || 'system'
+            }
+        }
+    });
+
+    return {
+        type: 'digital',
+        digital: {
+            path: filePath,
+            filename,
+            contentType,
+            bytes: file.buffer.length,
+            ...limits
+        }
+    };
+}
+
+/**
+ * Pick and check the digital file settings from a request body.
+ * `digital: null` turns a digital product back into a physical one.
+ * `product` is the product being written; products with variants and
+ * bundles can't be digital. A new `digital.path` must already be in Storage
+ * under downloads/. Throws a 400 error for invalid settings.
+ */
+async function digitalFields(input, product = {}) {
+    if (input.digital === undefined) return {};
+    if (input.digital === null) {
+        return isDigital(product) ? { type: 'simple', digital: null } : {};
+    }
+    if (typeof input.digital !== 'object' || Array.isArray(input.digital)) {
+        throw downloadError('digital must be an object or null');
+    }
+
+    assertCanBeDigital(product);
+
+    const current = product.digital || {};
+    const { path: filePath = current.path } = input.digital;
+
+    if (!filePath) {
+        throw downloadError('Upload the file first (POST /api/products/:id/file) or set digital.path');
+    }
+
+    let file = current;
+    if (filePath !== current.path) {
+        if (typeof filePath !== 'string' || !filePath.startsWith(DOWNLOAD_PREFIX)) {
+            throw downloadError(`digital.path must be a Storage path under ${DOWNLOAD_PREFIX}`);
+        }
+
+        const [exists] = await bucket.file(filePath).exists();
+        if (!exists) {
+            throw downloadError(`File ${filePath} not found in Storage`);
+        }
+
+        const [metadata] = await bucket.file(filePath).getMetadata();
+        file = {
+            filename: path.basename(filePath),
+            contentType: metadata.contentType || 'application/octet-stream',
+            bytes: parseInt(metadata.size) || 0
+        };
+    }
+
+    return {
+        type: 'digital',
+        digital: {
+            path: filePath,
+            filename: file.filename,
+            contentType: file.contentType,
+            bytes: file.bytes,
+            ...downloadSettings(input.digital, current)
+        }
+    };
+}
+
+function grantRef(downloadId) {
+    return db.collection('downloads').doc(downloadId);
+}
+
+/**
+ * Give a paid order its download grants, one per digital line, and email the
+ * links to the customer. Idempotent: lines that already have one are left
+ * alone. Digital-only orders are delivered once their grants exist.
+ * Returns the number of grants created.
+ */
+async function issueDownloads(orderId, { actor } = {}) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    const { created, order } = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) return { created: [], order: null };
+
+        const data = orderDoc.data();
+        const lines = (data.items || [])
+            .map((item, lineIndex) => ({ item, lineIndex }))
+            .filter(({ item }) => item.digital);
+
+        if (data.status === 'cancelled' || lines.length === 0) {
+            return { created: [], order: data };
+        }
+
+        const grantDocs = await Promise.all(lines.map(({ lineIndex }) =>
+            transaction.get(grantRef(`${orderId}_${lineIndex}`))
+        ));
+
+        const now = new Date();
+        const grants = [];
+
+        grantDocs.forEach((grantDoc, i) => {
+            if (grantDoc.exists) return;
+
+            const { item, lineIndex } = lines[i];
+            const expiryDays = item.digital.linkExpiryDays || DEFAULT_LINK_EXPIRY_DAYS;
+            const grant = {
+                orderId,
+                orderNumber: data.orderNumber,
+                lineIndex,
+                userId: data.userId || null,
+                customerEmail: data.customerEmail,
+                productId: item.productId,
+                productName: item.productName,
+                path: item.digital.path,
+                filename: item.digital.filename,
+                contentType: item.digital.contentType || null,
+                bytes: item.digital.bytes || 0,
+                token: crypto.randomBytes(24).toString('hex'),
+                downloadLimit: item.digital.downloadLimit || DEFAULT_DOWNLOAD_LIMIT,
+                downloadCount: 0,
+                expiresAt: new Date(now.getTime() + expiryDays * 24 * 60 * 60 * 1000),
+                lastDownloadedAt: null,
+                createdAt: now
+            };
+
+            transaction.set(grantDoc.ref, grant);
+            grants.push(downloadSummary(grantDoc.ref.id, grant));
+        });
+
+        return { created: grants, order: data };
+    });
+
+    if (created.length > 0) {
+        await emailDownloads(order, created);
+    }
+
+    // Nothing left to fulfil once the files are available
+    if (order && order.digitalOnly && order.status === 'pending') {
+        await transitionOrder(orderId, {
+            status: 'delivered',
+            actor,
+            note: 'Download links issued'
+        });
+    }
+
+    return created.length;
+}
+
+/**
+ * Queue the download links for the customer in the `mail` collection (Firebase
+ * Trigger Email extension). Guests have no account page, so this is how they
+ * get their files. Failures are logged; the links are also on the order.
+ */
+async function emailDownloads(order, downloads) {
+    const siteUrl = (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+    const lines = downloads.map(download =>
+        `${download.productName}: ${siteUrl}${download.url}\n` +
+        `  ${download.downloadLimit} downloads, until ${download.expiresAt.toDateString()}`
+    );
+
+    try {
+        await db.collection('mail').add({
+            to: order.customerEmail,
+            message: {
+                subject: `Your downloads for order ${order.orderNumber}`,
+                text: `Thank you for your order. Your files are ready:\n\n${lines.join('\n\n')}`
+            },
+            createdAt: new Date()
+        });
+    } catch (error) {
+        console.error('Queue download email error:', error);
+    }
+}
+
+// A grant as the customer sees it, with the link that downloads the file
+function downloadSummary(id, grant) {
+    const expiresAt = toDate(grant.expiresAt);
+
+    return {
+        id,
+        productId: grant.productId,
+        productName: grant.productName,
+        filename: grant.filename,
+        bytes: grant.bytes,
+        downloadLimit: grant.downloadLimit,
+        downloadsRemaining: Math.max(grant.downloadLimit - grant.downloadCount, 0),
+        expiresAt,
+        expired: expiresAt <= new Date(),
+        url: `/api/downloads/${id}?token=${grant.token}`
+    };
+}
+
+/**
+ * Orders with their download links added as `downloads`. Reads every grant
+ * of the given customer in one query.
+ */
+async function withDownloads(orders, userId) {
+    if (!orders.some(order => (order.items || []).some(item => item.digital))) return orders;
+
+    const snapshot = await db.collection('downloads').where('userId', '==', userId).get();
+    const byOrder = {};
+    snapshot.docs.forEach(doc => {
+        const grant = doc.data();
+        if (!byOrder[grant.orderId]) byOrder[grant.orderId] = [];
+        byOrder[grant.orderId].push({ lineIndex: grant.lineIndex, ...downloadSummary(doc.id, grant) });
+    });
+
+    return orders.map(order => ({
+        ...order,
+        downloads: (byOrder[order.id] || [])
+            .sort((a, b) => a.lineIndex - b.lineIndex)
+            .map(({ lineIndex, ...download }) => download)
+    }));
+}
+
+// Why an order no longer gives access to one of its downloads, if it doesn't
+function revokedReason(order, lineIndex) {
+    if (!order || !['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        return 'This order has been refunded';
+    }
+
+    const item = (order.items || [])[lineIndex];
+    if (!item || (item.refundedQuantity || 0) >= item.quantity) {
+        return 'This item has been refunded';
+    }
+
+    return null;
+}
+
+// Compare bytes, not characters: timingSafeEqual throws on buffers of different sizes
+function tokenMatches(token, expected) {
+    if (typeof token !== 'string') return false;
+
+    const a = Buffer.from(token);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Count a download against its grant and log it, then return a short-lived
+ * signed URL for the file. Unknown ids and wrong tokens are both a 404.
+ */
+async function startDownload(downloadId, token, { ip = null, userAgent = null } = {}) {
+    const ref = grantRef(downloadId);
+
+    const grant = await db.runTransaction(async (transaction) => {
+        const grantDoc = await transaction.get(ref);
+        const data = grantDoc.exists ? grantDoc.data() : null;
+
+        if (!data || !tokenMatches(token, data.token)) {
+            throw downloadError('Download not found', 404, 'NOT_FOUND');
+        }
+
+        const orderDoc = await transaction.get(db.collection('orders').doc(data.orderId));
+        const revoked = revokedReason(orderDoc.exists ? orderDoc.data() : null, data.lineIndex);
+        if (revoked) {
+            throw downloadError(revoked, 403, 'DOWNLOAD_REVOKED');
+        }
+        if (toDate(data.expiresAt) <= new Date()) {
+            throw downloadError('This download link has expired', 410, 'DOWNLOAD_EXPIRED');
+        }
+        if (data.downloadCount >= data.downloadLimit) {
+            throw downloadError(`This file has already been downloaded ${data.downloadLimit} times`, 410, 'DOWNLOAD_LIMIT_REACHED');
+        }
+
+        transaction.update(ref, {
+            downloadCount: admin.firestore.FieldValue.increment(1),
+            lastDownloadedAt: new Date()
+        });
+        transaction.set(db.collection('downloadLogs').doc(), {
+            downloadId,
+            orderId: data.orderId,
+            productId: data.productId,
+            userId: data.userId,
+            customerEmail: data.customerEmail,
+            ip,
+            userAgent,
+            at: new Date()
+        });
+
+        return data;
+    });
+
+    const expiresAt = new Date(Date.now() + SIGNED_URL_MINUTES * 60 * 1000);
+
+    try {
+        const [url] = await bucket.file(grant.path).getSignedUrl({
+            version: 'v4',
+            action: 'read',
+            expires: expiresAt,
+            responseDisposition: `attachment; filename="${grant.filename.replace(/"/g, '')}"`
+        });
+
+        return {
+            url,
+            expiresAt,
+            downloadsRemaining: Math.max(grant.downloadLimit - grant.downloadCount - 1, 0)
+        };
+    } catch (error) {
+        // Don't charge the customer a download they never got
+        await ref.update({ downloadCount: admin.firestore.FieldValue.increment(-1) });
+        throw error;
+    }
+}
+
+module.exports = {
+    MAX_DOWNLOAD_UPLOAD_BYTES,
+    isDigital,
+    needsShipping,
+    attachDigitalFile,
+    digitalFields,
+    issueDownloads,
+    downloadSummary,
+    withDownloads,
+    startDownload
+};
@@ -0,0 +1,79 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { issueDownloads, startDownload } = require('./downloads');
+
+const ebook = { path: 'downloads/ebook/guide.pdf', filename: 'guide.pdf', contentType: 'application/pdf', bytes: 1000, downloadLimit: 2 };
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({
+        'orders/o1': {
+            orderNumber: 'ORD-1',
+            userId: 'u1',
+            customerEmail: 'ada@example.com',
+            status: 'pending',
+            paymentStatus: 'paid',
+            digitalOnly: true,
+            items: [{ productId: 'ebook', productName: 'Guide', quantity: 1, digital: ebook }]
+        }
+    });
+});
+
+async function issued() {
+    await issueDownloads('o1', { actor: 'fake' });
+    return fake.read('downloads/o1_0');
+}
+
+test('a paid digital order gets one grant per line, emailed and delivered', async () => {
+    assert.equal(await issueDownloads('o1', { actor: 'fake' }), 1);
+    assert.equal(await issueDownloads('o1', { actor: 'fake' }), 0);
+
+    const grant = fake.read('downloads/o1_0');
+    assert.equal(grant.downloadLimit, 2);
+    assert.match(grant.token, /^[0-9a-f]{48}$/);
+    assert.equal(fake.list('mail').length, 1);
+    assert.match(fake.list('mail')[0].message.text, new RegExp(`/api/downloads/o1_0\\?token=${grant.token}`));
+    assert.equal(fake.read('orders/o1').status, 'delivered');
+});
+
+test('a cancelled order gets no downloads', async () => {
+    fake.seed({ 'orders/o1': { ...fake.read('orders/o1'), status: 'cancelled' } });
+
+    assert.equal(await issueDownloads('o1'), 0);
+    assert.equal(fake.read('downloads/o1_0'), undefined);
+});
+
+test('each download is counted, logged and capped at the limit', async () => {
+    const { token } = await issued();
+
+    const first = await startDownload('o1_0', token, { ip: '127.0.0.1' });
+    assert.match(first.url, /^https:\/\/storage\.test\/downloads\/ebook\/guide\.pdf/);
+    assert.equal(first.downloadsRemaining, 1);
+    await startDownload('o1_0', token);
+
+    await assert.rejects(startDownload('o1_0', token), { status: 410, code: 'DOWNLOAD_LIMIT_REACHED' });
+    assert.equal(fake.read('downloads/o1_0').downloadCount, 2);
+    assert.equal(fake.list('downloadLogs').length, 2);
+});
+
+test('a wrong token is a 404, whatever its length or characters', async () => {
+    const { token } = await issued();
+
+    await assert.rejects(startDownload('o1_0', 'x'.repeat(token.length)), { status: 404 });
+    await assert.rejects(startDownload('o1_0', 'short'), { status: 404 });
+    // Same number of characters as the real token, more bytes
+    await assert.rejects(startDownload('o1_0', 'é'.repeat(token.length)), { status: 404 });
+    await assert.rejects(startDownload('o1_0', undefined), { status: 404 });
+    await assert.rejects(startDownload('missing', token), { status: 404 });
+});
+
+test('refunds and expiry stop the link working', async () => {
+    const { token } = await issued();
+
+    fake.seed({ 'downloads/o1_0': { ...fake.read('downloads/o1_0'), expiresAt: new Date(Date.now() - 1000) } });
+    await assert.rejects(startDownload('o1_0', token), { status: 410, code: 'DOWNLOAD_EXPIRED' });
+
+    fake.seed({ 'orders/o1': { ...fake.read('orders/o1'), paymentStatus: 'refunded' } });
+    await assert.rejects(startDownload('o1_0', token), { status: 403, message: 'This order has been refunded' });
+});
@@ -0,0 +1,209 @@
+// ===========================
+// PRODUCT FACETS
+// Filters for the product listing beyond what Firestore can query, and the
+// counts shown next to each filter value. Counts for a facet are taken with
+// every *other* active filter applied, so picking "Red" still shows how many
+// products are "Blue" rather than zero.
+// ===========================
+
+const PRICE_RANGES = [
+    { min: 0, max: 25 },
+    { min: 25, max: 50 },
+    { min: 50, max: 100 },
+    { min: 100, max: 200 },
+    { min: 200, max: null }
+];
+
+const RATING_STEPS = [4, 3, 2, 1];
+
+// Most values listed per facet, most common first
+const MAX_FACET_VALUES = 30;
+
+// `a,b` or repeated `?tags=a&tags=b` → ['a', 'b']
+function listParam(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+// `options[size]=M,L` arrives from the query parser as { size: 'M,L' }
+function mapParam(value) {
+    const map = {};
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return map;
+
+    Object.entries(value).forEach(([name, values]) => {
+        const list = listParam(values);
+        if (list.length > 0) map[name.toLowerCase()] = list;
+    });
+
+    return map;
+}
+
+function numberParam(value) {
+    if (value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Read facet filters from a listing query string:
+ * minPrice, maxPrice, minRating, inStock=true, tags=a,b,
+ * options[size]=M,L (variant attributes), attributes[material]=oak (metadata)
+ */
+function parseFacetFilters(query) {
+    return {
+        minPrice: numberParam(query.minPrice),
+        maxPrice: numberParam(query.maxPrice),
+        minRating: numberParam(query.minRating),
+        inStock: query.inStock === 'true',
+        tags: listParam(query.tags).map(tag => tag.toLowerCase()),
+        options: mapParam(query.options),
+        attributes: mapParam(query.attributes)
+    };
+}
+
+function hasFacetFilters(filters) {
+    return filters.minPrice !== null || filters.maxPrice !== null ||
+        filters.minRating !== null || filters.inStock ||
+        filters.tags.length > 0 ||
+        Object.keys(filters.options).length > 0 ||
+        Object.keys(filters.attributes).length > 0;
+}
+
+// Scalar metadata values (or lists of them) as strings, keyed by lowercased name
+function productAttributes(product) {
+    const attributes = {};
+
+    Object.entries(product.metadata || {}).forEach(([name, value]) => {
+        const values = (Array.isArray(value) ? value : [value])
+            .filter(item => ['string', 'number', 'boolean'].includes(typeof item) && item !== '')
+            .map(String);
+
+        if (values.length > 0) attributes[name.toLowerCase()] = values;
+    });
+
+    return attributes;
+}
+
+function productOptions(product) {
+    const options = {};
+    Object.entries(product.variantOptions || {}).forEach(([name, values]) => {
+        options[name.toLowerCase()] = (values || []).map(String);
+    });
+    return options;
+}
+
+const productTags = (product) => (product.tags || []).map(tag => String(tag).toLowerCase());
+
+// Every selected name must match at least one of its selected values
+function matchesValues(selected, available) {
+    return Object.entries(selected).every(([name, values]) =>
+        (available[name] || []).some(value => values.includes(value))
+    );
+}
+
+/**
+ * Does `product` pass `filters`? `skip` leaves one facet out, for counting it:
+ * 'price', 'rating', 'inStock', 'tags', 'options:<name>' or 'attributes:<name>'.
+ */
+function matchesFilters(product, filters, skip = null) {
+    const price = product.price || 0;
+
+    if (skip !== 'price') {
+        if (filters.minPrice !== null && price < filters.minPrice) return false;
+        if (filters.maxPrice !== null && price > filters.maxPrice) return false;
+    }
+
+    if (skip !== 'rating' && filters.minRating !== null && (product.averageRating || 0) < filters.minRating) {
+        return false;
+    }
+
+    if (skip !== 'inStock' && filters.inStock && !(product.availableQuantity > 0)) {
+        return false;
+    }
+
+    if (skip !== 'tags' && filters.tags.length > 0 &&
+        !productTags(product).some(tag => filters.tags.includes(tag))) {
+        return false;
+    }
+
+    const without = (map, prefix) => {
+        const rest = { ...map };
+        if (skip && skip.startsWith(`${prefix}:`)) delete rest[skip.slice(prefix.length + 1)];
+        return rest;
+    };
+
+    return matchesValues(without(filters.options, 'options'), productOptions(product)) &&
+        matchesValues(without(filters.attributes, 'attributes'), productAttributes(product));
+}
+
+function countValues(products, valuesOf) {
+    const counts = {};
+
+    products.forEach(product => {
+        new Set(valuesOf(product)).forEach(value => {
+            counts[value] = (counts[value] || 0) + 1;
+        });
+    });
+
+    return Object.entries(counts)
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, MAX_FACET_VALUES);
+}
+
+function groupFacets(products, filters, group, valuesOf) {
+    const names = new Set(Object.keys(filters[group]));
+    products.forEach(product => Object.keys(valuesOf(product)).forEach(name => names.add(name)));
+
+    const facets = {};
+    [...names].sort().forEach(name => {
+        const pool = products.filter(product => matchesFilters(product, filters, `${group}:${name}`));
+        const values = countValues(pool, product => valuesOf(product)[name] || []);
+        if (values.length > 0) facets[name] = values;
+    });
+
+    return facets;
+}
+
+/**
+ * Facet counts for the products left after Firestore filters and search.
+ * `products` must already carry `availableQuantity` (see withAvailability).
+ */
+function buildFacets(products, filters) {
+    const forPrice = products.filter(product => matchesFilters(product, filters, 'price'));
+    const forRating = products.filter(product => matchesFilters(product, filters, 'rating'));
+    const forStock = products.filter(product => matchesFilters(product, filters, 'inStock'));
+    const forTags = products.filter(product => matchesFilters(product, filters, 'tags'));
+    const prices = forPrice.map(product => product.price || 0);
+
+    return {
+        price: {
+            min: prices.length > 0 ? Math.min(...prices) : null,
+            max: prices.length > 0 ? Math.max(...prices) : null,
+            ranges: PRICE_RANGES.map(range => ({
+                ...range,
+                count: prices.filter(price => price >= range.min && (range.max === null || price < range.max)).length
+            }))
+        },
+        rating: RATING_STEPS.map(value => ({
+            value,
+            count: forRating.filter(product => (product.averageRating || 0) >= value).length
+        })),
+        availability: {
+            inStock: forStock.filter(product => product.availableQuantity > 0).length,
+            outOfStock: forStock.filter(product => !(product.availableQuantity > 0)).length
+        },
+        tags: countValues(forTags, productTags),
+        options: groupFacets(products, filters, 'options', productOptions),
+        attributes: groupFacets(products, filters, 'attributes', productAttributes)
+    };
+}
+
+module.exports = {
+    PRICE_RANGES,
+    parseFacetFilters,
+    hasFacetFilters,
+    matchesFilters,
+    buildFacets
+};
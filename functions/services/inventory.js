@@ -0,0 +1,322 @@
+const { admin, db } = require('../config/firebase');
+const { variantRef } = require('./variants');
+const { paginateQuery } = require('./pagination');
+
+// ===========================
+// INVENTORY HELPERS
+// On-hand stock is `stockQuantity` on the product and `stock` on each variant
+// document. Units held by unpaid checkouts are tracked in `reservedQuantity`
+// (and `reserved` per variant). A variant sale moves both the variant and the
+// product totals.
+//
+// Every change to on-hand stock is appended to the `inventoryMovements` ledger:
+// { productId, type, quantity, before, after, variants: [{ id, quantity, before, after }],
+//   actor, reason, referenceId, createdAt }
+// ===========================
+
+const MOVEMENT_TYPES = ['sale', 'cancellation', 'adjustment', 'return', 'import', 'sync'];
+
+/**
+ * Units that can still be sold: on-hand minus active reservations.
+ * Pass a variant to get that variant's availability instead of the product's.
+ * Digital products never run out (Infinity, which is null in JSON).
+ */
+function availableQuantity(product, variant = null) {
+    if (product && product.type === 'digital') {
+        return Infinity;
+    }
+
+    if (variant) {
+        return (variant.stock || 0) - (variant.reserved || 0);
+    }
+
+    return (product.stockQuantity || 0) - (product.reservedQuantity || 0);
+}
+
+/**
+ * Add computed availability to a product (and its loaded variants) for API responses.
+ */
+function withAvailability(product, variants = null) {
+    return {
+        ...product,
+        availableQuantity: Math.max(availableQuantity(product), 0),
+        ...(variants && {
+            variants: variants.map(variant => ({
+                ...variant,
+                available: Math.max(availableQuantity(product, variant), 0)
+            }))
+        })
+    };
+}
+
+// Group lines by product so each product document is written once
+function groupByProduct(lines) {
+    const byProduct = {};
+    lines.forEach(line => {
+        if (!line.quantity) return;
+        if (!byProduct[line.productId]) byProduct[line.productId] = [];
+        byProduct[line.productId].push(line);
+    });
+    return byProduct;
+}
+
+/**
+ * Read the product and variant documents touched by grouped lines inside a
+ * transaction. Missing variants (deleted since the order) are left out.
+ */
+async function readLineStock(transaction, byProduct) {
+    const productIds = Object.keys(byProduct);
+    const productDocs = await Promise.all(productIds.map(id =>
+        transaction.get(db.collection('products').doc(id))
+    ));
+
+    const variantDocs = {};
+    await Promise.all(productIds.map(async (productId) => {
+        const variantIds = [...new Set(byProduct[productId]
+            .filter(line => line.variantId)
+            .map(line => line.variantId))];
+
+        const docs = await Promise.all(variantIds.map(id =>
+            transaction.get(variantRef(productId, id))
+        ));
+        variantDocs[productId] = docs.filter(doc => doc.exists);
+    }));
+
+    return { productDocs, variantDocs };
+}
+
+/**
+ * Increment stock and/or reserved counts for grouped lines (direction -1, 0 or 1
+ * per field) on products and their variant documents. Stock changes are
+ * recorded in the ledger as `movement`.
+ */
+function applyStockDeltas(transaction, { productDocs, variantDocs }, byProduct, deltas, movement) {
+    const { increment } = admin.firestore.FieldValue;
+
+    productDocs.forEach(doc => {
+        // Deleted products have nothing to adjust
+        if (!doc.exists) return;
+
+        const lines = byProduct[doc.id];
+        const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+        const updates = { updatedAt: new Date() };
+
+        if (deltas.stock) updates.stockQuantity = increment(deltas.stock * quantity);
+        if (deltas.reserved) updates.reservedQuantity = increment(deltas.reserved * quantity);
+
+        transaction.update(doc.ref, updates);
+
+        const variants = variantDocs[doc.id] || [];
+        variants.forEach(variantDoc => {
+            const variantQuantity = lines
+                .filter(line => line.variantId === variantDoc.id)
+                .reduce((sum, line) => sum + line.quantity, 0);
+            const variantUpdates = { updatedAt: new Date() };
+
+            if (deltas.stock) variantUpdates.stock = increment(deltas.stock * variantQuantity);
+            if (deltas.reserved) variantUpdates.reserved = increment(deltas.reserved * variantQuantity);
+
+            transaction.update(variantDoc.ref, variantUpdates);
+        });
+
+        if (deltas.stock && movement) {
+            recordMovement(transaction, doc.id, doc.data(), lines.map(line => ({
+                variantId: line.variantId,
+                quantity: deltas.stock * line.quantity
+            })), movement, variants.map(variantDoc => ({ id: variantDoc.id, ...variantDoc.data() })));
+        }
+    });
+}
+
+/**
+ * Append one ledger entry for a stock change to a single product.
+ * `product` and `variants` are the product and variant data before the change
+ * and `lines` the signed per-line deltas (`quantity`, optional `variantId`).
+ * `writer` is the transaction or batch making the stock change.
+ */
+function recordMovement(writer, productId, product, lines, { type, actor, reason, referenceId }, variants = []) {
+    const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const before = product.stockQuantity || 0;
+
+    const variantMovements = [];
+    variants.forEach(variant => {
+        const variantQuantity = lines
+            .filter(line => line.variantId === variant.id)
+            .reduce((sum, line) => sum + line.quantity, 0);
+
+        if (variantQuantity) {
+            variantMovements.push({
+                id: variant.id,
+                quantity: variantQuantity,
+                before: variant.stock || 0,
+                after: (variant.stock || 0) + variantQuantity
+            });
+        }
+    });
+
+    const movementRef = db.collection('inventoryMovements').doc();
+    writer.set(movementRef, {
+        productId,
+        type,
+        quantity,
+        before,
+        after: before + quantity,
+        variants: variantMovements,
+        actor: actor || 'system',
+        reason: reason || null,
+        referenceId: referenceId || null,
+        createdAt: new Date()
+    });
+
+    return movementRef.id;
+}
+
+/**
+ * Put order lines back into stock inside a transaction.
+ * Lines need `productId`, `quantity` and optionally `variantId`.
+ * `movement` ({ type, actor, reason, referenceId }) describes the ledger entry.
+ * Performs its reads before its writes, so call it after the caller's own
+ * reads and before the caller's own writes.
+ */
+async function restockLines(transaction, lines, movement) {
+    const byProduct = groupByProduct(lines);
+    const stock = await readLineStock(transaction, byProduct);
+
+    applyStockDeltas(transaction, stock, byProduct, { stock: 1 }, movement);
+}
+
+/**
+ * List a product's ledger entries, newest first.
+ */
+async function getMovements(productId, { type, pagination }) {
+    let query = db.collection('inventoryMovements').where('productId', '==', productId);
+
+    if (type) {
+        query = query.where('type', '==', type);
+    }
+
+    const [page, countSnapshot] = await Promise.all([
+        paginateQuery(query, [['createdAt', 'desc']], pagination),
+        query.count().get()
+    ]);
+
+    return {
+        movements: page.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        })),
+        total: countSnapshot.data().count,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+    };
+}
+
+/**
+ * Replay a product's ledger to work out what its stock should be.
+ * Replays start from the first entry's `before`, so products that existed
+ * before the ledger did reconcile against their first recorded movement.
+ * With `apply`, drifted stock is overwritten with the ledger value and a
+ * `sync` entry (quantity 0) records the correction.
+ */
+async function rebuildStock(productId, { apply = false, actor } = {}) {
+    const productRef = db.collection('products').doc(productId);
+    const movementsQuery = db.collection('inventoryMovements')
+        .where('productId', '==', productId)
+        .orderBy('createdAt', 'asc');
+
+    return db.runTransaction(async (transaction) => {
+        const productDoc = await transaction.get(productRef);
+        if (!productDoc.exists) {
+            const error = new Error('Product not found');
+            error.status = 404;
+            throw error;
+        }
+
+        const snapshot = await transaction.get(movementsQuery);
+        const product = productDoc.data();
+        const currentStock = product.stockQuantity || 0;
+
+        let ledgerStock = currentStock;
+        const variantStock = {};
+
+        snapshot.docs.forEach((doc, index) => {
+            const movement = doc.data();
+            ledgerStock = index === 0 ? movement.before + movement.quantity : ledgerStock + movement.quantity;
+
+            (movement.variants || []).forEach(variant => {
+                variantStock[variant.id] = variant.id in variantStock
+                    ? variantStock[variant.id] + variant.quantity
+                    : variant.before + variant.quantity;
+            });
+        });
+
+        const variantDocs = await Promise.all(Object.keys(variantStock).map(id =>
+            transaction.get(variantRef(productId, id))
+        ));
+
+        const variants = variantDocs
+            .filter(doc => doc.exists)
+            .map(doc => ({
+                id: doc.id,
+                ref: doc.ref,
+                currentStock: doc.data().stock || 0,
+                ledgerStock: variantStock[doc.id],
+                difference: variantStock[doc.id] - (doc.data().stock || 0)
+            }));
+
+        const inSync = ledgerStock === currentStock && variants.every(variant => variant.difference === 0);
+
+        if (apply && !inSync) {
+            transaction.update(productRef, {
+                stockQuantity: ledgerStock,
+                updatedAt: new Date()
+            });
+            variants
+                .filter(variant => variant.difference !== 0)
+                .forEach(variant => transaction.update(variant.ref, {
+                    stock: variant.ledgerStock,
+                    updatedAt: new Date()
+                }));
+
+            // Quantity 0: the ledger already accounts for this stock
+            transaction.set(db.collection('inventoryMovements').doc(), {
+                productId,
+                type: 'sync',
+                quantity: 0,
+                before: currentStock,
+                after: ledgerStock,
+                variants: variants
+                    .filter(variant => variant.difference !== 0)
+                    .map(variant => ({ id: variant.id, quantity: 0, before: variant.currentStock, after: variant.ledgerStock })),
+                actor: actor || 'system',
+                reason: 'Rebuilt from ledger',
+                referenceId: null,
+                createdAt: new Date()
+            });
+        }
+
+        return {
+            productId,
+            movements: snapshot.size,
+            currentStock,
+            ledgerStock,
+            difference: ledgerStock - currentStock,
+            variants: variants.map(({ ref, ...variant }) => variant),
+            inSync,
+            applied: apply && !inSync
+        };
+    });
+}
+
+module.exports = {
+    MOVEMENT_TYPES,
+    availableQuantity,
+    withAvailability,
+    groupByProduct,
+    readLineStock,
+    applyStockDeltas,
+    recordMovement,
+    restockLines,
+    getMovements,
+    rebuildStock
+};
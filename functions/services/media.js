@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { admin, db, bucket } = require('../config/firebase');
+
+// ===========================
+// MEDIA PIPELINE
+// Uploaded images are re-encoded before they are stored. EXIF and other
+// metadata are stripped (after the EXIF rotation is applied), and each image
+// is saved at several widths as WebP plus JPEG, or PNG when it has
+// transparency. Files live at `media/{mediaId}/{width}.{ext}`, where
+// `mediaId` is a hash of the upload, so the same file is only stored once.
+// Each upload has a document in `media/{mediaId}`:
+// { filename, contentType, bytes, width, height, alt, purpose, src,
+//   variants: [{ width, height, format, path, url, bytes }],
+//   tags, usage: [{ type, id }], uploadedBy, createdAt, updatedAt }
+// `src` is the largest JPEG/PNG. `usage` lists the documents showing the image
+// and is kept up to date by triggers (see syncMediaUsage); images in use
+// can't be deleted without `force`.
+// ===========================
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MEDIA_MAX_UPLOAD_MB) || 10) * 1024 * 1024;
+
+// Refuse decompression bombs before they are decoded
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const IMAGE_WIDTHS = [320, 640, 1024, 1600];
+const MEDIA_PURPOSES = ['product', 'category', 'blog', 'review'];
+
+const ENCODERS = {
+    webp: (image) => image.webp({ quality: 80 }),
+    jpeg: (image) => image.jpeg({ quality: 82, mozjpeg: true }),
+    png: (image) => image.png({ compressionLevel: 9 })
+};
+const EXTENSIONS = { webp: 'webp', jpeg: 'jpg', png: 'png' };
+
+const MEDIA_ID = /^[a-f0-9]{24}$/;
+const MEDIA_PATH = /(?:^|\/)media\/([a-f0-9]{24})\//;
+
+const MAX_TAGS = 20;
+
+// `src` of every <img> in a blog post body
+const IMG_SRC = /<img\b[^>]*?\ssrc=["']([^"']+)["']/gi;
+
+// Image URLs each kind of document shows, for the usage index
+const MEDIA_FIELDS = {
+    product: (product) => [product.imageUrl, ...(product.images || [])],
+    category: (category) => [category.imageUrl],
+    blog: (post) => [
+        post.featuredImage,
+        post.ogImage,
+        ...[...String(post.content || '').matchAll(IMG_SRC)].map(match => match[1].replace(/&amp;/g, '&'))
+    ],
+    review: (review) => (review.photos || []).map(photo => (typeof photo === 'string' ? photo : photo && photo.src))
+};
+
+// Where each kind of document in the usage index is stored
+const MEDIA_COLLECTIONS = {
+    product: 'products',
+    category: 'categories',
+    blog: 'blog',
+    review: 'reviews'
+};
+
+function mediaError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function mediaRef(mediaId) {
+    return db.collection('media').doc(mediaId);
+}
+
+/**
+ * The media id inside a pipeline image URL, or null for any other URL.
+ */
+function mediaIdFromUrl(url) {
+    if (typeof url !== 'string') return null;
+
+    try {
+        const match = decodeURIComponent(url).match(MEDIA_PATH);
+        return match ? match[1] : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function downloadUrl(path, token) {
+    return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+}
+
+/**
+ * Decode an upload and encode every size and format it is stored in.
+ * Images are never enlarged; the largest size is the smaller of the
+ * original width and the largest of IMAGE_WIDTHS.
+ */
+async function renderImage(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        throw mediaError('File is not a readable image, or is too large to process');
+    }
+
+    if (!['jpeg', 'png', 'webp', 'gif'].includes(metadata.format)) {
+        throw mediaError(`Unsupported image format: ${metadata.format}`);
+    }
+
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const width = metadata.orientation >= 5 ? metadata.height : metadata.width;
+    const largest = Math.min(width, IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]);
+    const widths = [...IMAGE_WIDTHS.filter(size => size < largest), largest];
+    const formats = ['webp', metadata.hasAlpha ? 'png' : 'jpeg'];
+
+    const renditions = [];
+    // One at a time keeps memory flat on small function instances
+    for (const size of widths) {
+        for (const format of formats) {
+            const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate()
+                .resize({ width: size, withoutEnlargement: true });
+            const { data, info } = await ENCODERS[format](image).toBuffer({ resolveWithObject: true });
+
+            renditions.push({ width: info.width, height: info.height, format, data });
+        }
+    }
+
+    return renditions;
+}
+
+async function storeRendition(mediaId, { width, height, format, data }) {
+    const path = `media/${mediaId}/${width}.${EXTENSIONS[format]}`;
+    const token = uuidv4();
+
+    await bucket.file(path).save(data, {
+        resumable: false,
+        contentType: `image/${format}`,
+        metadata: {
+            // Paths are content-addressed, so a file never changes
+            cacheControl: 'public, max-age=31536000, immutable',
+            metadata: { firebaseStorageDownloadTokens: token }
+        }
+    });
+
+    return { width, height, format, path, url: downloadUrl(path, token), bytes: data.length };
+}
+
+/**
+ * Run an uploaded file through the pipeline and record its media document.
+ * `file` is { buffer, filename, mimeType } as parsed by the upload middleware.
+ * Returns { media, created }; `created` is false when the same file had been
+ * uploaded before, in which case the existing media is returned unchanged.
+ */
+async function uploadImage(file, { alt = '', purpose, user }) {
+    if (!ACCEPTED_TYPES.includes(file.mimeType)) {
+        throw mediaError(`Unsupported file type ${file.mimeType}; upload ${ACCEPTED_TYPES.join(', ')}`);
+    }
+    if (file.buffer.length === 0) {
+        throw mediaError('Uploaded file is empty');
+    }
+    if (file.buffer.length > MAX_UPLOAD_BYTES) {
+        throw mediaError(`File is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, 413);
+    }
+
+    const mediaId = crypto.createHash('sha256').update(file.buffer).digest('hex').slice(0, 24);
+    const existing = await mediaRef(mediaId).get();
+    if (existing.exists) {
+        return { media: { id: mediaId, ...existing.data() }, created: false };
+    }
+
+    const variants = [];
+    for (const rendition of await renderImage(file.buffer)) {
+        variants.push(await storeRendition(mediaId, rendition));
+    }
+
+    const original = variants.filter(variant => variant.format !== 'webp').pop();
+    const media = {
+        filename: file.filename || null,
+        contentType: file.mimeType,
+        bytes: file.buffer.length,
+        width: original.width,
+        height: original.height,
+        alt,
+        purpose,
+        src: original.url,
+        variants,
+        tags: [],
+        usage: [],
+        uploadedBy: user.id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+
+    await mediaRef(mediaId).set(media);
+    return { media: { id: mediaId, ...media }, created: true };
+}
+
+/**
+ * Load media documents by id. Throws a 400 error naming any that don't exist.
+ */
+async function getMedia(mediaIds) {
+    const ids = [...new Set(mediaIds)];
+    const docs = ids.length > 0 ? await db.getAll(...ids.map(mediaRef)) : [];
+
+    const missing = docs.filter(doc => !doc.exists).map(doc => doc.id);
+    if (missing.length > 0) {
+        throw mediaError(`Unknown media: ${missing.join(', ')}`);
+    }
+
+    return new Map(docs.map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+}
+
+/**
+ * Swap media ids in a list of images for their URLs; URLs are kept as given.
+ */
+async function resolveImageUrls(items) {
+    const media = await getMedia(items.filter(item => MEDIA_ID.test(item)));
+    return items.map(item => (MEDIA_ID.test(item) ? media.get(item).src : item));
+}
+
+/**
+ * A srcset-ready image for a URL:
+ * { mediaId, src, width, height, alt, srcset, sources: [{ type, srcset }] }
+ * URLs from outside the pipeline come back with just `src` and `alt`.
+ */
+function imageObject(url, media = null, alt = '') {
+    if (!media) {
+        return { mediaId: null, src: url, width: null, height: null, alt, srcset: null, sources: [] };
+    }
+
+    const srcset = (formats) => media.variants
+        .filter(variant => formats.includes(variant.format))
+        .sort((a, b) => a.width - b.width)
+        .map(variant => `${variant.url} ${variant.width}w`)
+        .join(', ');
+
+    return {
+        mediaId: media.id,
+        src: media.src,
+        width: media.width,
+        height: media.height,
+        alt: media.alt || alt,
+        srcset: srcset(['jpeg', 'png']),
+        sources: [{ type: 'image/webp', srcset: srcset(['webp']) }]
+    };
+}
+
+/**
+ * Products for API responses, with `images` as image objects (falling back
+ * to `imageUrl` when the product has no gallery). Reads every media
+ * document the products use in one round trip.
+ */
+async function withImageObjects(products) {
+    const urlsOf = (product) => (product.images && product.images.length > 0
+        ? product.images
+        : [product.imageUrl].filter(Boolean));
+
+    const mediaIds = products.flatMap(product => urlsOf(product).map(mediaIdFromUrl)).filter(Boolean);
+    const docs = mediaIds.length > 0 ? await db.getAll(...[...new Set(mediaIds)].map(mediaRef)) : [];
+    const media = new Map(docs.filter(doc => doc.exists).map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+
+    return products.map(product => ({
+        ...product,
+        images: urlsOf(product).map(url => imageObject(url, media.get(mediaIdFromUrl(url)), product.name))
+    }));
+}
+
+/**
+ * Update the `usage` of the media a document shows after it is written.
+ * `before` and `after` are its data, null when it was created or deleted.
+ */
+async function syncMediaUsage(type, id, before, after) {
+    const idsOf = (data) => new Set(data ? MEDIA_FIELDS[type](data).map(mediaIdFromUrl).filter(Boolean) : []);
+    const previous = idsOf(before);
+    const current = idsOf(after);
+
+    const added = [...current].filter(mediaId => !previous.has(mediaId));
+    const removed = [...previous].filter(mediaId => !current.has(mediaId));
+    if (added.length === 0 && removed.length === 0) return null;
+
+    // Images deleted from the library are skipped
+    const docs = await db.getAll(...[...added, ...removed].map(mediaRef));
+    const batch = db.batch();
+    const reference = { type, id };
+
+    docs.filter(doc => doc.exists).forEach(doc => {
+        batch.update(doc.ref, {
+            usage: added.includes(doc.id)
+                ? admin.firestore.FieldValue.arrayUnion(reference)
+                : admin.firestore.FieldValue.arrayRemove(reference)
+        });
+    });
+
+    return batch.commit();
+}
+
+/**
+ * Tags as stored: trimmed, lower case, unique, at most MAX_TAGS of 40
+ * characters each. Throws a 400 error for anything but a list of strings.
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw mediaError('tags must be a list of strings');
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase().slice(0, 40)).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) {
+        throw mediaError(`An image can have at most ${MAX_TAGS} tags`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Change the alt text and tags of an image. Image objects are built from the
+ * media document, so products pick up new alt text straight away.
+ */
+async function updateMedia(mediaId, { alt, tags }) {
+    const ref = mediaRef(mediaId);
+    const doc = await ref.get();
+    if (!doc.exists) throw mediaError('Media not found', 404);
+
+    const updates = { updatedAt: new Date() };
+    if (alt !== undefined) updates.alt = String(alt || '').trim().slice(0, 250);
+    if (tags !== undefined) updates.tags = normalizeTags(tags);
+
+    await ref.update(updates);
+    return { id: mediaId, ...doc.data(), ...updates };
+}
+
+/**
+ * Delete an image and every stored size of it. An image that is still shown
+ * somewhere is refused with a 409 error carrying its `usage`, unless `force`
+ * is set. Returns the deleted media, whose `usage` lists what now points at a
+ * missing image.
+ */
+async function deleteMedia(mediaId, { force = false } = {}) {
+    const ref = mediaRef(mediaId);
+    const doc = await ref.get();
+    if (!doc.exists) throw mediaError('Media not found', 404);
+
+    const media = { id: mediaId, ...doc.data() };
+    const usage = media.usage || [];
+    if (usage.length > 0 && !force) {
+        const error = mediaError(`Image is used by ${usage.length} document(s)`, 409);
+        error.usage = usage;
+        throw error;
+    }
+
+    // The document goes first so no listing shows an image whose files are gone
+    await ref.delete();
+    await bucket.deleteFiles({ prefix: `media/${mediaId}/` });
+
+    return media;
+}
+
+module.exports = {
+    MEDIA_ID,
+    MAX_UPLOAD_BYTES,
+    MEDIA_PURPOSES,
+    MEDIA_FIELDS,
+    MEDIA_COLLECTIONS,
+    mediaIdFromUrl,
+    uploadImage,
+    getMedia,
+    resolveImageUrls,
+    imageObject,
+    withImageObjects,
+    syncMediaUsage,
+    normalizeTags,
+    updateMedia,
+    deleteMedia
+};
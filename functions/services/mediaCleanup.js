@@ -0,0 +1,193 @@
+const { db, bucket } = require('../config/firebase');
+const { MEDIA_FIELDS, MEDIA_COLLECTIONS, mediaIdFromUrl } = require('./media');
+
+// ===========================
+// MEDIA CLEANUP
+// Finds Storage objects that nothing points at: pipeline files whose media
+// document is gone, and files from older direct uploads that no product,
+// category, blog post, review or site setting links to. Every string in
+// those documents is searched for download URLs, so images pasted into
+// descriptions or variant galleries count as well. The scan also rewrites
+// any media `usage` the triggers got wrong (or that predates them).
+// The latest findings are kept in `mediaReports/orphans`:
+// { scannedAt, files, orphans, orphanBytes, purged, usageRepaired,
+//   sample: [{ path, bytes, updatedAt }] }
+// ===========================
+
+// Storage folders images have been uploaded to
+const MEDIA_PREFIXES = ['media/', 'products/', 'blog/', 'branding/'];
+
+// Files younger than this may belong to a form that hasn't been saved yet
+const ORPHAN_GRACE_HOURS = 24;
+
+// Orphans listed in the stored report; the totals cover all of them
+const REPORT_SAMPLE_SIZE = 200;
+
+const WRITE_BATCH_SIZE = 400;
+
+function reportRef() {
+    return db.collection('mediaReports').doc('orphans');
+}
+
+// Storage paths in our bucket that a piece of text links to
+function storagePathsIn(text) {
+    const name = bucket.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = [
+        new RegExp(`firebasestorage\\.googleapis\\.com/v0/b/${name}/o/([^?"'\\s)<>]+)`, 'g'),
+        new RegExp(`storage\\.googleapis\\.com/${name}/([^?"'\\s)<>]+)`, 'g')
+    ];
+
+    return patterns.flatMap(pattern => [...text.matchAll(pattern)].map(match => {
+        try {
+            return decodeURIComponent(match[1]);
+        } catch (error) {
+            return match[1];
+        }
+    }));
+}
+
+function collectStoragePaths(value, paths) {
+    if (typeof value === 'string') {
+        storagePathsIn(value).forEach(path => paths.add(path));
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectStoragePaths(item, paths));
+    } else if (value && typeof value === 'object' && !(value instanceof Date) && typeof value.toDate !== 'function') {
+        Object.values(value).forEach(item => collectStoragePaths(item, paths));
+    }
+}
+
+/**
+ * Read every document that can show an image. Returns the Storage paths
+ * they link to and, per media id, the documents using it.
+ */
+async function collectReferences() {
+    const paths = new Set();
+    const usage = new Map();
+
+    for (const [type, collection] of Object.entries(MEDIA_COLLECTIONS)) {
+        const snapshot = await db.collection(collection).get();
+
+        snapshot.docs.forEach(doc => {
+            const data = doc.data();
+            collectStoragePaths(data, paths);
+
+            new Set(MEDIA_FIELDS[type](data).map(mediaIdFromUrl).filter(Boolean)).forEach(mediaId => {
+                if (!usage.has(mediaId)) usage.set(mediaId, []);
+                usage.get(mediaId).push({ type, id: doc.id });
+            });
+        });
+    }
+
+    // Variant galleries and branding link to images too, but aren't tracked as usage
+    const [variants, settings] = await Promise.all([
+        db.collectionGroup('variants').get(),
+        db.collection('siteSettings').get()
+    ]);
+    [...variants.docs, ...settings.docs].forEach(doc => collectStoragePaths(doc.data(), paths));
+
+    return { paths, usage };
+}
+
+const usageKey = (usage) => (usage || []).map(({ type, id }) => `${type}:${id}`).sort().join(',');
+
+/**
+ * Set `usage` on every media document whose stored list differs from the
+ * scan. Returns the media documents (as a Map of id to data) and the number
+ * repaired.
+ */
+async function repairUsage(usage) {
+    // A trigger landing mid-scan can be overwritten here; the next scan puts it back
+    const snapshot = await db.collection('media').get();
+    const stale = snapshot.docs.filter(doc => usageKey(doc.data().usage) !== usageKey(usage.get(doc.id)));
+
+    for (let i = 0; i < stale.length; i += WRITE_BATCH_SIZE) {
+        const batch = db.batch();
+        stale.slice(i, i + WRITE_BATCH_SIZE).forEach(doc => {
+            batch.update(doc.ref, { usage: usage.get(doc.id) || [] });
+        });
+        await batch.commit();
+    }
+
+    return {
+        media: new Map(snapshot.docs.map(doc => [doc.id, doc.data()])),
+        repaired: stale.length
+    };
+}
+
+function isOrphan(file, media, paths) {
+    const mediaId = mediaIdFromUrl(file.name);
+    if (mediaId) {
+        const doc = media.get(mediaId);
+        return !doc || !(doc.variants || []).some(variant => variant.path === file.name);
+    }
+
+    return !paths.has(file.name);
+}
+
+/**
+ * Scan Storage for images nothing references and store a report. With
+ * `purge` the orphans are deleted as well.
+ */
+async function findOrphanedMedia({ purge = false, now = new Date() } = {}) {
+    const { paths, usage } = await collectReferences();
+    const { media, repaired } = await repairUsage(usage);
+    const cutoff = new Date(now.getTime() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000);
+
+    let scanned = 0;
+    const orphans = [];
+
+    for (const prefix of MEDIA_PREFIXES) {
+        const [files] = await bucket.getFiles({ prefix });
+
+        files.forEach(file => {
+            if (file.name.endsWith('/')) return;
+            scanned += 1;
+
+            const updatedAt = new Date(file.metadata.updated || file.metadata.timeCreated);
+            if (updatedAt > cutoff || !isOrphan(file, media, paths)) return;
+
+            orphans.push({ file, path: file.name, bytes: parseInt(file.metadata.size) || 0, updatedAt });
+        });
+    }
+
+    if (purge) {
+        // A few at a time; Storage deletes are one request each
+        for (let i = 0; i < orphans.length; i += 20) {
+            await Promise.all(orphans.slice(i, i + 20).map(({ file }) => file.delete({ ignoreNotFound: true })));
+        }
+    }
+
+    const report = {
+        scannedAt: now,
+        files: scanned,
+        orphans: orphans.length,
+        orphanBytes: orphans.reduce((sum, orphan) => sum + orphan.bytes, 0),
+        purged: purge && orphans.length > 0,
+        usageRepaired: repaired,
+        sample: orphans.slice(0, REPORT_SAMPLE_SIZE).map(({ path, bytes, updatedAt }) => ({ path, bytes, updatedAt }))
+    };
+
+    await reportRef().set(report);
+
+    return report;
+}
+
+/**
+ * The last stored orphan report, or null before the first scan.
+ */
+async function getOrphanReport() {
+    const doc = await reportRef().get();
+    if (!doc.exists) return null;
+
+    const report = doc.data();
+    return {
+        ...report,
+        scannedAt: report.scannedAt.toDate(),
+        sample: report.sample.map(orphan => ({ ...orphan, updatedAt: orphan.updatedAt.toDate() }))
+    };
+}
+
+module.exports = {
+    findOrphanedMedia,
+    getOrphanReport
+};
@@ -0,0 +1,222 @@
+const { admin, db } = require('../config/firebase');
+const { restockLines } = require('./inventory');
+const { releaseReservation } = require('./reservations');
+const { stockLines } = require('./bundles');
+const { adjustStoreCredit } = require('./storeCredit');
+
+// ===========================
+// ORDER STATUS STATE MACHINE
+// Every change is appended to the order's `statusHistory`:
+// { from, status, actor, note, at }
+// ===========================
+
+const ORDER_TRANSITIONS = {
+    pending: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Digital-only orders have nothing to ship: they are delivered as soon as
+// their download links are issued
+const DIGITAL_TRANSITIONS = {
+    pending: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: []
+};
+
+// Error surfaced to the client with its status and code
+const statusError = (message, status, code) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+function transitionsFor(order) {
+    return order && order.digitalOnly ? DIGITAL_TRANSITIONS : ORDER_TRANSITIONS;
+}
+
+function canTransition(from, to, order = null) {
+    return (transitionsFor(order)[from] || []).includes(to);
+}
+
+function historyEntry(from, status, actor, note) {
+    return {
+        from,
+        status,
+        actor: actor || 'system',
+        note: note || null,
+        at: new Date()
+    };
+}
+
+// Units of each order line already back in stock. Recorded on the line as
+// `restockedQuantity`; older orders work it out from their restocking refunds.
+function restockedQuantities(order) {
+    const fromRefunds = {};
+    (order.refunds || [])
+        .filter(refund => refund.status === 'completed' && refund.restock)
+        .forEach(refund => refund.items.forEach(line => {
+            const quantity = line.restockedQuantity !== undefined ? line.restockedQuantity : line.quantity;
+            fromRefunds[line.lineIndex] = (fromRefunds[line.lineIndex] || 0) + quantity;
+        }));
+
+    return (order.items || []).map((item, index) => (
+        item.restockedQuantity !== undefined ? item.restockedQuantity : fromRefunds[index] || 0
+    ));
+}
+
+// Units still out of stock for an order: ordered minus anything already
+// restocked, with bundles broken down into their components and downloads left out
+function releasableLines(order) {
+    const restocked = restockedQuantities(order);
+
+    return stockLines((order.items || []).map((item, index) => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        components: item.components || null,
+        digital: Boolean(item.digital),
+        quantity: item.quantity - restocked[index]
+    })).filter(line => line.quantity > 0));
+}
+
+/**
+ * Work out how much of a restock request can still go back into stock.
+ * Each request line names a `lineIndex`, or a productId/variantId spread over
+ * the matching order lines. Units already restocked are left out, as is
+ * everything on a cancelled order (cancelling returned its stock, or it was
+ * never taken). Returns the `lines` to restock (one per order line, with the
+ * fields stockLines needs) and the order `items` with `restockedQuantity`
+ * updated to match.
+ */
+function restockableLines(order, requested) {
+    const orderItems = order.items || [];
+    const restocked = restockedQuantities(order);
+    const taken = orderItems.map(() => 0);
+
+    if (order.status !== 'cancelled') {
+        requested.forEach(request => {
+            let quantity = request.quantity;
+
+            orderItems.forEach((item, index) => {
+                if (quantity <= 0) return;
+                if (request.lineIndex !== undefined
+                    ? request.lineIndex !== index
+                    : item.productId !== request.productId || (item.variantId || null) !== (request.variantId || null)) {
+                    return;
+                }
+
+                const take = Math.min(quantity, item.quantity - restocked[index] - taken[index]);
+                if (take <= 0) return;
+
+                taken[index] += take;
+                quantity -= take;
+            });
+        });
+    }
+
+    return {
+        lines: orderItems.map((item, index) => ({
+            lineIndex: index,
+            productId: item.productId,
+            variantId: item.variantId || null,
+            components: item.components || null,
+            digital: Boolean(item.digital),
+            quantity: taken[index]
+        })).filter(line => line.quantity > 0),
+        items: orderItems.map((item, index) => ({
+            ...item,
+            restockedQuantity: restocked[index] + taken[index]
+        }))
+    };
+}
+
+/**
+ * Move an order to a new status, enforcing the transition graph.
+ * Cancelling releases the order's reservation or stock in the same transaction.
+ * `updates` are extra fields written alongside the status change.
+ */
+async function transitionOrder(orderId, { status, actor, note, updates = {} }) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+            throw statusError('Order not found', 404, 'NOT_FOUND');
+        }
+
+        const order = orderDoc.data();
+        const current = order.status || 'pending';
+
+        if (!canTransition(current, status, order)) {
+            const allowed = transitionsFor(order)[current] || [];
+            throw statusError(
+                `Cannot change order status from ${current} to ${status}` +
+                (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` (${current} is final)`),
+                400,
+                'INVALID_TRANSITION'
+            );
+        }
+
+        const changes = {
+            ...updates,
+            status,
+            statusHistory: admin.firestore.FieldValue.arrayUnion(historyEntry(current, status, actor, note)),
+            [`${status}At`]: new Date(),
+            updatedAt: new Date()
+        };
+
+        if (status === 'cancelled') {
+            // Unpaid orders only hold a reservation; paid ones were decremented
+            const previous = order.reservationId
+                ? await releaseReservation(transaction, order.reservationId)
+                : 'converted';
+
+            if (previous === 'active') {
+                changes.reservationStatus = 'released';
+            } else if (previous === 'converted') {
+                await restockLines(transaction, releasableLines(order), {
+                    type: 'cancellation',
+                    actor,
+                    reason: note || 'Order cancelled',
+                    referenceId: orderId
+                });
+                changes.items = (order.items || []).map(item => ({
+                    ...item,
+                    restockedQuantity: item.quantity
+                }));
+            }
+
+            // Store credit spent on an order that was never paid goes back;
+            // paid orders give it back through a refund
+            const unpaid = !['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus);
+            if (unpaid && order.storeCreditApplied > 0 && !order.storeCreditReturned) {
+                adjustStoreCredit(transaction, order.userId, order.storeCreditApplied, {
+                    type: 'reversal',
+                    orderId,
+                    reason: note || 'Order cancelled',
+                    actor
+                });
+                changes.storeCreditReturned = true;
+            }
+        }
+
+        transaction.update(orderRef, changes);
+
+        return { from: current, status };
+    });
+}
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    DIGITAL_TRANSITIONS,
+    ORDER_STATUSES,
+    canTransition,
+    historyEntry,
+    restockableLines,
+    transitionOrder
+};
@@ -0,0 +1,125 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { canTransition, restockableLines, transitionOrder } = require('./orderStatus');
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({
+        'products/candle': { name: 'Candle', price: 12, stockQuantity: 8, reservedQuantity: 0 },
+        'products/soap': { name: 'Soap', price: 5, stockQuantity: 4, reservedQuantity: 2 }
+    });
+});
+
+test('physical orders move pending → processing → shipped → delivered', () => {
+    assert.equal(canTransition('pending', 'processing'), true);
+    assert.equal(canTransition('processing', 'shipped'), true);
+    assert.equal(canTransition('shipped', 'delivered'), true);
+    assert.equal(canTransition('pending', 'shipped'), false);
+    assert.equal(canTransition('shipped', 'cancelled'), false);
+    assert.equal(canTransition('cancelled', 'pending'), false);
+});
+
+test('digital-only orders go straight from pending to delivered', () => {
+    const order = { digitalOnly: true };
+    assert.equal(canTransition('pending', 'delivered', order), true);
+    assert.equal(canTransition('pending', 'processing', order), false);
+});
+
+test('a transition is recorded in the status history', async () => {
+    fake.seed({ 'orders/o1': { status: 'pending', statusHistory: [], items: [] } });
+
+    await transitionOrder('o1', { status: 'processing', actor: 'admin@example.com', note: 'Packing' });
+
+    const order = fake.read('orders/o1');
+    assert.equal(order.status, 'processing');
+    assert.ok(order.processingAt instanceof Date);
+    assert.deepEqual(
+        order.statusHistory.map(({ from, status, actor, note }) => ({ from, status, actor, note })),
+        [{ from: 'pending', status: 'processing', actor: 'admin@example.com', note: 'Packing' }]
+    );
+});
+
+test('an invalid transition is refused with the allowed ones', async () => {
+    fake.seed({ 'orders/o1': { status: 'delivered', items: [] } });
+
+    await assert.rejects(transitionOrder('o1', { status: 'cancelled' }), {
+        status: 400,
+        code: 'INVALID_TRANSITION',
+        message: 'Cannot change order status from delivered to cancelled (delivered is final)'
+    });
+    await assert.rejects(transitionOrder('missing', { status: 'cancelled' }), { status: 404 });
+});
+
+test('cancelling an unpaid order releases its hold', async () => {
+    fake.seed({
+        'orders/o1': { status: 'pending', reservationId: 'r1', items: [{ productId: 'soap', quantity: 2 }] },
+        'reservations/r1': { orderId: 'o1', status: 'active', items: [{ productId: 'soap', variantId: null, quantity: 2 }] }
+    });
+
+    await transitionOrder('o1', { status: 'cancelled' });
+
+    assert.equal(fake.read('reservations/r1').status, 'released');
+    assert.equal(fake.read('orders/o1').reservationStatus, 'released');
+    assert.equal(fake.read('products/soap').reservedQuantity, 0);
+    assert.equal(fake.read('products/soap').stockQuantity, 4);
+});
+
+test('cancelling a paid order restocks what has not already gone back', async () => {
+    fake.seed({
+        'orders/o1': {
+            status: 'processing',
+            paymentStatus: 'paid',
+            reservationId: 'r1',
+            items: [{ productId: 'candle', quantity: 3, restockedQuantity: 1 }]
+        },
+        'reservations/r1': { orderId: 'o1', status: 'converted', items: [{ productId: 'candle', quantity: 3 }] }
+    });
+
+    await transitionOrder('o1', { status: 'cancelled', actor: 'admin' });
+
+    assert.equal(fake.read('products/candle').stockQuantity, 10);
+    assert.equal(fake.read('orders/o1').items[0].restockedQuantity, 3);
+    const [movement] = fake.list('inventoryMovements');
+    assert.equal(movement.type, 'cancellation');
+    assert.equal(movement.quantity, 2);
+});
+
+test('cancelling an unpaid order gives back the store credit spent on it', async () => {
+    fake.seed({
+        'orders/o1': { status: 'pending', userId: 'u1', paymentStatus: 'pending', storeCreditApplied: 7.5, items: [] },
+        'storeCredit/u1': { userId: 'u1', balance: 1 }
+    });
+
+    await transitionOrder('o1', { status: 'cancelled' });
+    await assert.rejects(transitionOrder('o1', { status: 'cancelled' }), { code: 'INVALID_TRANSITION' });
+
+    assert.equal(fake.read('storeCredit/u1').balance, 8.5);
+    assert.equal(fake.read('orders/o1').storeCreditReturned, true);
+});
+
+test('restockableLines caps each line at what is still out of stock', () => {
+    const order = {
+        status: 'delivered',
+        items: [
+            { productId: 'candle', quantity: 2, restockedQuantity: 1 },
+            { productId: 'soap', quantity: 3 }
+        ]
+    };
+
+    const { lines, items } = restockableLines(order, [
+        { productId: 'candle', quantity: 5 },
+        { lineIndex: 1, quantity: 2 }
+    ]);
+
+    assert.deepEqual(lines.map(line => [line.lineIndex, line.quantity]), [[0, 1], [1, 2]]);
+    assert.deepEqual(items.map(item => item.restockedQuantity), [2, 2]);
+});
+
+test('restockableLines returns nothing for a cancelled order', () => {
+    const { lines } = restockableLines(
+        { status: 'cancelled', items: [{ productId: 'candle', quantity: 2 }] },
+        [{ lineIndex: 0, quantity: 2 }]
+    );
+    assert.deepEqual(lines, []);
+});
@@ -0,0 +1,392 @@
+const { db } = require('../config/firebase');
+const { getTaxRates, isTaxExempt, calculateTax, roundCurrency } = require('./tax');
+const { getShippingZones, getAvailableMethods } = require('./shipping');
+const { historyEntry } = require('./orderStatus');
+const { availableQuantity } = require('./inventory');
+const { reserveLines } = require('./reservations');
+const { variantRef } = require('./variants');
+const { isPublished, activePrice } = require('./productSchedule');
+const { isBundle, resolveBundle, applyBundle, stockLines } = require('./bundles');
+const { isDigital, needsShipping } = require('./downloads');
+const { getStoreCreditBalance, adjustStoreCredit } = require('./storeCredit');
+const { applyPaymentEvent } = require('./payments');
+
+// ===========================
+// ORDER CREATION
+// Pricing, shipping, tax and stock holds for new orders. Checkout and
+// subscription renewals both place orders through placeOrder.
+// ===========================
+
+// Generate unique order number
+const generateOrderNumber = () => {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    return `ORD-${timestamp}-${random}`;
+};
+
+// Validation error surfaced to the client with a 400
+const orderError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+/**
+ * Create a pending order and hold its stock, all in one transaction.
+ * `customer` is the signed-in user (null for guests). Orders for a
+ * subscription pass `subscription: { id, discountPercent }`; the discount is
+ * taken off every line and the order is linked back to the subscription.
+ * With `useStoreCredit`, a signed-in customer's store credit pays as much of
+ * the total as it covers; `amountDue` is what is left for the payment
+ * provider. Orders with nothing left to pay (covered by credit, or free
+ * after discounts) are paid straight away.
+ * Returns the order with its id. Throws a 400 error for anything the
+ * customer can fix.
+ */
+async function placeOrder({
+    items,
+    customerEmail,
+    customerName,
+    shippingAddress,
+    shippingMethodId,
+    billingAddress,
+    notes,
+    paymentToken,
+    customer = null,
+    subscription = null,
+    useStoreCredit = false,
+    note = 'Order placed'
+}) {
+    const taxRates = await getTaxRates();
+    const shippingZones = await getShippingZones();
+    const customerExempt = await isTaxExempt(customer);
+
+    const placed = await db.runTransaction(async (transaction) => {
+        // Read and validate every product before any writes
+        const { orderItems, subtotal } = await buildOrderItems(
+            items,
+            (ref) => transaction.get(ref),
+            { discountPercent: subscription ? subscription.discountPercent : 0 }
+        );
+
+        const totals = calculateOrderTotals({
+            orderItems,
+            subtotal,
+            shippingAddress,
+            billingAddress,
+            customerExempt,
+            taxRates,
+            shippingZones,
+            shippingMethodId,
+            requireMethod: true
+        });
+
+        const creditBalance = useStoreCredit && customer
+            ? await getStoreCreditBalance(customer.id, (ref) => transaction.get(ref))
+            : 0;
+        const storeCreditApplied = roundCurrency(Math.min(creditBalance, totals.total));
+        const amountDue = roundCurrency(totals.total - storeCreditApplied);
+
+        // Create order
+        const orderNumber = generateOrderNumber();
+        const orderRef = db.collection('orders').doc();
+
+        // Hold the stock until payment succeeds or the hold expires;
+        // bundles hold their components and downloads hold nothing
+        const reservation = reserveLines(transaction, stockLines(orderItems), {
+            orderId: orderRef.id
+        });
+
+        const order = {
+            userId: customer ? customer.id : null,
+            orderNumber,
+            customerEmail,
+            customerName,
+            shippingAddress: totals.digitalOnly ? null : shippingAddress,
+            billingAddress: billingAddress || shippingAddress || null,
+            ...totals,
+            ...(subscription && {
+                subscriptionId: subscription.id,
+                subscriptionDiscountPercent: subscription.discountPercent
+            }),
+            status: 'pending',
+            statusHistory: [historyEntry(null, 'pending', customerEmail, note)],
+            storeCreditApplied,
+            amountDue,
+            paymentStatus: 'pending',
+            paymentToken: paymentToken || null,
+            // Nothing for a provider to collect; settled below like a payment event
+            ...(amountDue === 0 && {
+                payment: {
+                    provider: storeCreditApplied > 0 ? 'store_credit' : 'no_charge',
+                    providerOrderId: orderRef.id,
+                    status: 'pending',
+                    createdAt: new Date()
+                }
+            }),
+            reservationId: reservation.id,
+            reservationStatus: 'active',
+            reservationExpiresAt: reservation.expiresAt,
+            notes: notes || '',
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        transaction.set(orderRef, order);
+
+        if (storeCreditApplied > 0) {
+            adjustStoreCredit(transaction, customer.id, -storeCreditApplied, {
+                type: 'redemption',
+                orderId: orderRef.id,
+                reason: `Order ${orderNumber}`,
+                actor: customerEmail
+            });
+        }
+
+        return {
+            id: orderRef.id,
+            ...order
+        };
+    });
+
+    if (placed.amountDue === 0) {
+        const { provider } = placed.payment;
+
+        await applyPaymentEvent(provider, {
+            eventId: `${provider === 'store_credit' ? 'credit' : 'free'}_${placed.id}`,
+            type: provider === 'store_credit' ? 'store_credit.redemption' : 'no_charge.order',
+            status: 'paid',
+            providerOrderId: placed.id,
+            amount: 0
+        });
+
+        const paidDoc = await db.collection('orders').doc(placed.id).get();
+        return {
+            id: placed.id,
+            ...paidDoc.data()
+        };
+    }
+
+    return placed;
+}
+
+/**
+ * Load and validate the products for an order and price each line.
+ * `getDoc` lets order creation read through its transaction while quotes read
+ * directly. `discountPercent` comes off every line (subscription renewals).
+ */
+async function buildOrderItems(items, getDoc, { discountPercent = 0 } = {}) {
+    const productsById = {};
+    const variantsByKey = {};
+    const orderItems = [];
+    let subtotal = 0;
+
+    const loadProduct = async (productId) => {
+        if (!(productId in productsById)) {
+            const productDoc = await getDoc(db.collection('products').doc(productId));
+            productsById[productId] = productDoc.exists ? productDoc.data() : null;
+        }
+        return productsById[productId];
+    };
+
+    const loadVariant = async (productId, variantId) => {
+        const variantKey = `${productId}/${variantId}`;
+        if (!(variantKey in variantsByKey)) {
+            const variantDoc = await getDoc(variantRef(productId, variantId));
+            variantsByKey[variantKey] = variantDoc.exists ? variantDoc.data() : null;
+        }
+        return variantsByKey[variantKey];
+    };
+
+    for (const item of items) {
+        const product = await loadProduct(item.productId);
+
+        if (!product) {
+            throw orderError(`Product ${item.productId} not found`);
+        }
+
+        if (!isPublished(product)) {
+            throw orderError(`Product ${product.name} is not available`);
+        }
+
+        // Sale prices apply while the product's sale window is open
+        let itemPrice = activePrice(product).price;
+        let variantName = null;
+        let weight = Number(product.weight || (product.metadata && product.metadata.weight)) || 0;
+        let components = null;
+        let digital = null;
+
+        if (isDigital(product)) {
+            // Keep the file as sold; download links are issued from it once paid
+            digital = { ...product.digital };
+            weight = 0;
+        } else if (isBundle(product)) {
+            // Read every component so its stock is checked below
+            for (const component of product.bundle.components) {
+                await loadProduct(component.productId);
+                if (component.variantId) await loadVariant(component.productId, component.variantId);
+            }
+
+            const resolved = resolveBundle(product, (productId, variantId) => (productsById[productId]
+                ? { product: productsById[productId], variant: variantId ? variantsByKey[`${productId}/${variantId}`] : null }
+                : null));
+
+            if (resolved.components.some(component => !component.productName)) {
+                throw orderError(`Bundle ${product.name} is not available`);
+            }
+
+            itemPrice = activePrice(applyBundle(product, resolved)).price;
+            weight = resolved.weight;
+            components = resolved.components.map(component => ({
+                productId: component.productId,
+                variantId: component.variantId,
+                productName: component.productName,
+                variantName: component.variantName,
+                quantity: component.quantity
+            }));
+        } else if (item.variantId) {
+            // Handle product variants
+            const variant = await loadVariant(item.productId, item.variantId);
+            if (!variant || variant.isActive === false) {
+                throw orderError(`Variant ${item.variantId} of ${product.name} is not available`);
+            }
+
+            itemPrice = activePrice(product, variant).price;
+            variantName = variant.name || variant.sku;
+            weight = Number(variant.weight) || weight;
+        }
+
+        if (discountPercent > 0) {
+            itemPrice = roundCurrency(itemPrice * (1 - discountPercent / 100));
+        }
+
+        const itemSubtotal = roundCurrency(itemPrice * item.quantity);
+        subtotal += itemSubtotal;
+
+        orderItems.push({
+            productId: item.productId,
+            productName: product.name,
+            productPrice: itemPrice,
+            quantity: item.quantity,
+            variantId: components ? null : item.variantId || null,
+            variantName: variantName,
+            ...(components && { components }),
+            ...(digital && { digital }),
+            subtotal: itemSubtotal,
+            weight,
+            taxExempt: Boolean(product.taxExempt)
+        });
+    }
+
+    // Count every line for the same product/variant against what is available,
+    // including the components of any bundles
+    const requestedProducts = {};
+    const requestedVariants = {};
+    stockLines(orderItems).forEach(line => {
+        requestedProducts[line.productId] = (requestedProducts[line.productId] || 0) + line.quantity;
+        if (line.variantId) {
+            const variantKey = `${line.productId}/${line.variantId}`;
+            requestedVariants[variantKey] = (requestedVariants[variantKey] || 0) + line.quantity;
+        }
+    });
+
+    Object.keys(requestedProducts).forEach(productId => {
+        if (availableQuantity(productsById[productId]) < requestedProducts[productId]) {
+            throw orderError(`Insufficient stock for product ${productsById[productId].name}`);
+        }
+    });
+
+    Object.keys(requestedVariants).forEach(variantKey => {
+        const [productId] = variantKey.split('/');
+        const variant = variantsByKey[variantKey];
+        if (availableQuantity(productsById[productId], variant) < requestedVariants[variantKey]) {
+            throw orderError(`Insufficient stock for variant ${variant.name || variant.sku}`);
+        }
+    });
+
+    return {
+        orderItems,
+        subtotal: roundCurrency(subtotal)
+    };
+}
+
+/**
+ * Apply shipping and tax to priced order lines.
+ * Quotes preview the cheapest method; order creation must name one unless only one applies.
+ * Orders of nothing but downloads skip shipping and are taxed at the billing address.
+ */
+function calculateOrderTotals({
+    orderItems,
+    subtotal,
+    shippingAddress,
+    billingAddress,
+    customerExempt = false,
+    taxRates,
+    shippingZones,
+    shippingMethodId,
+    requireMethod = false
+}) {
+    const digitalOnly = !orderItems.some(needsShipping);
+    let shippingMethod = null;
+
+    if (!digitalOnly) {
+        if (requireMethod && !shippingAddress) {
+            throw orderError('A shipping address is required');
+        }
+
+        const methods = getAvailableMethods({
+            zones: shippingZones,
+            address: shippingAddress,
+            lines: orderItems
+        });
+
+        if (methods.length === 0) {
+            throw orderError('No shipping methods are available for this address');
+        }
+
+        shippingMethod = methods[0];
+
+        if (shippingMethodId) {
+            shippingMethod = methods.find(m => m.id === shippingMethodId);
+            if (!shippingMethod) {
+                throw orderError(`Shipping method ${shippingMethodId} is not available for this address`);
+            }
+        } else if (requireMethod && methods.length > 1) {
+            throw orderError('A shipping method must be selected');
+        }
+    }
+
+    const shipping = shippingMethod ? shippingMethod.rate : 0;
+
+    const taxResult = calculateTax({
+        lines: orderItems,
+        shipping,
+        shippingAddress: digitalOnly ? billingAddress || shippingAddress : shippingAddress,
+        customerExempt,
+        rates: taxRates
+    });
+
+    // Tax-inclusive prices already carry their tax in the subtotal
+    const total = subtotal + shipping + (taxResult.pricesIncludeTax ? 0 : taxResult.tax);
+
+    return {
+        items: taxResult.lines,
+        subtotal,
+        tax: taxResult.tax,
+        shippingTax: taxResult.shippingTax,
+        shipping,
+        shippingMethod,
+        digitalOnly,
+        total: roundCurrency(total),
+        pricesIncludeTax: taxResult.pricesIncludeTax,
+        taxExempt: taxResult.taxExempt,
+        taxJurisdiction: taxResult.jurisdiction
+    };
+}
+
+module.exports = {
+    orderError,
+    placeOrder,
+    buildOrderItems,
+    calculateOrderTotals
+};
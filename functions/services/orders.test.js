@@ -0,0 +1,88 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { placeOrder } = require('./orders');
+const { getStoreCreditBalance } = require('./storeCredit');
+
+const address = { line1: '1 Main St', city: 'Springfield', state: 'IL', zip: '62701', country: 'US' };
+
+const orderFor = (overrides = {}) => ({
+    items: [{ productId: 'candle', quantity: 2 }],
+    customerEmail: 'ada@example.com',
+    customerName: 'Ada',
+    shippingAddress: address,
+    ...overrides
+});
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({
+        'products/candle': { name: 'Candle', price: 12, stockQuantity: 10, reservedQuantity: 0, isActive: true }
+    });
+});
+
+test('an order holds its stock until it is paid', async () => {
+    const order = await placeOrder(orderFor());
+
+    assert.equal(order.status, 'pending');
+    assert.equal(order.paymentStatus, 'pending');
+    assert.equal(order.total, 33.99);
+    assert.equal(order.amountDue, 33.99);
+    assert.equal(fake.read('products/candle').reservedQuantity, 2);
+    assert.equal(fake.read('products/candle').stockQuantity, 10);
+    assert.equal(fake.read(`reservations/${order.reservationId}`).status, 'active');
+});
+
+test('an order for more than is available is refused', async () => {
+    fake.seed({ 'products/candle': { name: 'Candle', price: 12, stockQuantity: 3, reservedQuantity: 2, isActive: true } });
+
+    await assert.rejects(placeOrder(orderFor()), { status: 400, message: 'Insufficient stock for product Candle' });
+    assert.equal(fake.list('orders').length, 0);
+});
+
+test('an unpublished product cannot be ordered', async () => {
+    fake.seed({ 'products/candle': { name: 'Candle', price: 12, stockQuantity: 10, isActive: false } });
+
+    await assert.rejects(placeOrder(orderFor()), { status: 400, message: 'Product Candle is not available' });
+});
+
+test('an order that discounts come to $0 is paid when it is placed', async () => {
+    fake.seed({
+        'shippingZones/us': { isActive: true, countries: ['US'], methods: [{ id: 'free', name: 'Free', rate: 0 }] }
+    });
+
+    const order = await placeOrder(orderFor({ subscription: { id: 'sub1', discountPercent: 100 } }));
+
+    assert.equal(order.total, 0);
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.payment.provider, 'no_charge');
+    assert.equal(fake.read(`paymentEvents/no_charge_free_${order.id}`).applied, true);
+    // Paid, so the hold became a sale
+    assert.equal(fake.read(`reservations/${order.reservationId}`).status, 'converted');
+    assert.equal(fake.read('products/candle').stockQuantity, 8);
+    assert.equal(fake.read('products/candle').reservedQuantity, 0);
+});
+
+test('store credit that covers the whole total pays for the order', async () => {
+    fake.seed({ 'storeCredit/u1': { userId: 'u1', balance: 50 } });
+
+    const order = await placeOrder(orderFor({ customer: { id: 'u1' }, useStoreCredit: true }));
+
+    assert.equal(order.storeCreditApplied, 33.99);
+    assert.equal(order.amountDue, 0);
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.payment.provider, 'store_credit');
+    assert.equal(await getStoreCreditBalance('u1'), 16.01);
+});
+
+test('store credit that covers part of the total leaves the rest due', async () => {
+    fake.seed({ 'storeCredit/u1': { userId: 'u1', balance: 10 } });
+
+    const order = await placeOrder(orderFor({ customer: { id: 'u1' }, useStoreCredit: true }));
+
+    assert.equal(order.storeCreditApplied, 10);
+    assert.equal(order.amountDue, 23.99);
+    assert.equal(order.paymentStatus, 'pending');
+    assert.equal(order.payment, undefined);
+    assert.equal(await getStoreCreditBalance('u1'), 0);
+});
@@ -0,0 +1,181 @@
+const { admin } = require('../config/firebase');
+
+// ===========================
+// CURSOR PAGINATION
+// List endpoints return `nextCursor`; passing it back as `cursor` continues
+// after the last item returned. A cursor holds that item's sort values and
+// id, so pages don't shift when documents are added or removed in between.
+// `offset` still works for older clients, but Firestore bills every skipped
+// document, so new callers should follow cursors.
+// ===========================
+
+const DEFAULT_MAX_LIMIT = 500;
+
+function paginationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = 'INVALID_CURSOR';
+    return error;
+}
+
+// Dates and Timestamps travel as { t: millis } and come back as Dates
+function encodeValue(value) {
+    if (value && typeof value.toMillis === 'function') return { t: value.toMillis() };
+    if (value instanceof Date) return { t: value.getTime() };
+    return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+    return value && typeof value === 'object' && 't' in value ? new Date(value.t) : value;
+}
+
+function encodeCursor(sort, values) {
+    return Buffer.from(JSON.stringify({ s: sort, v: values.map(encodeValue) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { s, v } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof s !== 'string' || !Array.isArray(v)) throw new Error('Malformed cursor');
+        return { sort: s, values: v.map(decodeValue) };
+    } catch (error) {
+        throw paginationError('Invalid pagination cursor');
+    }
+}
+
+// [['createdAt', 'desc']] → 'createdAt:desc'; a cursor only fits the sort it came from
+const sortSignature = (orderBy) => orderBy.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+/**
+ * Read limit, cursor and offset from a query string. A cursor wins over offset.
+ * Throws a 400 error for a cursor that can't be decoded.
+ */
+function parsePagination(query, { defaultLimit = 20, maxLimit = DEFAULT_MAX_LIMIT } = {}) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    const offset = cursor ? 0 : Math.max(parseInt(query.offset) || 0, 0);
+
+    return { limit, cursor, offset };
+}
+
+function checkCursor(cursor, orderBy) {
+    if (cursor && (cursor.sort !== sortSignature(orderBy) || cursor.values.length !== orderBy.length + 1)) {
+        throw paginationError('Cursor does not match this sort order');
+    }
+}
+
+/**
+ * Fetch one page of a Firestore query sorted by `orderBy` ([field, direction] pairs).
+ * The document id is the final sort key so equal values never swap between pages.
+ * With `filter`, documents it rejects are skipped and more are read until the
+ * page is full; `offset` then counts matching documents.
+ * Returns { docs, hasMore, nextCursor }.
+ */
+async function paginateQuery(query, orderBy, { limit, cursor, offset = 0 }, { filter = null } = {}) {
+    checkCursor(cursor, orderBy);
+
+    const lastDirection = orderBy.length > 0 ? orderBy[orderBy.length - 1][1] : 'asc';
+    let ordered = query;
+    orderBy.forEach(([field, direction]) => {
+        ordered = ordered.orderBy(field, direction);
+    });
+    ordered = ordered.orderBy(admin.firestore.FieldPath.documentId(), lastDirection);
+
+    const sortValues = (doc) => [...orderBy.map(([field]) => doc.get(field)), doc.id];
+
+    let matches;
+    if (!filter) {
+        if (cursor) {
+            ordered = ordered.startAfter(...cursor.values);
+        } else if (offset > 0) {
+            ordered = ordered.offset(offset);
+        }
+
+        // One extra document tells us whether another page exists
+        matches = (await ordered.limit(limit + 1).get()).docs;
+    } else {
+        const wanted = offset + limit + 1;
+        let after = cursor ? cursor.values : null;
+        matches = [];
+
+        while (matches.length < wanted) {
+            const requested = wanted - matches.length;
+            const batch = after ? ordered.startAfter(...after) : ordered;
+            const snapshot = await batch.limit(requested).get();
+
+            matches.push(...snapshot.docs.filter(doc => filter(doc)));
+            if (snapshot.docs.length < requested) break;
+            after = sortValues(snapshot.docs[snapshot.docs.length - 1]);
+        }
+        matches = matches.slice(offset);
+    }
+
+    const docs = matches.slice(0, limit);
+    const hasMore = matches.length > limit;
+    const last = docs[docs.length - 1];
+
+    return {
+        docs,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(sortSignature(orderBy), sortValues(last)) : null
+    };
+}
+
+function comparable(value) {
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+function compareValues(a, b) {
+    const left = comparable(a);
+    const right = comparable(b);
+
+    if (left === right) return 0;
+    if (left === null || left === undefined) return -1;
+    if (right === null || right === undefined) return 1;
+    return left < right ? -1 : 1;
+}
+
+/**
+ * Sort and page an in-memory list, for endpoints that have to filter or rank
+ * after reading from Firestore. `orderBy` pairs name item properties.
+ * Returns { items, hasMore, nextCursor }.
+ */
+function paginateList(list, orderBy, { limit, cursor, offset = 0 }) {
+    checkCursor(cursor, orderBy);
+
+    const keyOf = (item) => [...orderBy.map(([field]) => item[field]), item.id];
+    const directions = [...orderBy.map(([, direction]) => direction), orderBy.length > 0 ? orderBy[orderBy.length - 1][1] : 'asc'];
+
+    const compareKeys = (a, b) => {
+        for (let i = 0; i < a.length; i++) {
+            const result = compareValues(a[i], b[i]);
+            if (result !== 0) return directions[i] === 'desc' ? -result : result;
+        }
+        return 0;
+    };
+
+    const sorted = [...list].sort((a, b) => compareKeys(keyOf(a), keyOf(b)));
+
+    let start = offset;
+    if (cursor) {
+        start = sorted.findIndex(item => compareKeys(keyOf(item), cursor.values) > 0);
+        if (start === -1) start = sorted.length;
+    }
+
+    const items = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+
+    return {
+        items,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(sortSignature(orderBy), keyOf(items[items.length - 1])) : null
+    };
+}
+
+module.exports = {
+    parsePagination,
+    paginateQuery,
+    paginateList
+};
@@ -0,0 +1,98 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePagination, paginateQuery, paginateList } = require('./pagination');
+
+const { db } = fake;
+
+beforeEach(() => {
+    fake.reset();
+    for (let i = 1; i <= 7; i++) {
+        fake.seed({ [`items/i${i}`]: { rank: i % 3, visible: i % 2 === 1, name: `Item ${i}` } });
+    }
+});
+
+async function readAll(query, orderBy, limit, options) {
+    const ids = [];
+    let cursor;
+    for (;;) {
+        const page = await paginateQuery(query, orderBy, parsePagination({ limit, cursor }), options);
+        ids.push(...page.docs.map(doc => doc.id));
+        assert.equal(page.hasMore, page.nextCursor !== null);
+        if (!page.nextCursor) return ids;
+        assert.ok(page.docs.length > 0, 'a page with a next cursor is never empty');
+        cursor = page.nextCursor;
+    }
+}
+
+test('parsePagination clamps the limit and prefers a cursor over offset', () => {
+    assert.deepEqual(parsePagination({}), { limit: 20, cursor: null, offset: 0 });
+    assert.equal(parsePagination({ limit: '9999' }).limit, 500);
+    assert.equal(parsePagination({ limit: '-3' }).limit, 1);
+    assert.equal(parsePagination({ offset: '5' }).offset, 5);
+});
+
+test('parsePagination rejects an undecodable cursor with a 400', () => {
+    assert.throws(() => parsePagination({ cursor: 'not-a-cursor' }), { status: 400, code: 'INVALID_CURSOR' });
+});
+
+test('following cursors visits every document once, ties broken by id', async () => {
+    const ids = await readAll(db.collection('items'), [['rank', 'asc']], 2);
+    assert.deepEqual(ids, ['i3', 'i6', 'i1', 'i4', 'i7', 'i2', 'i5']);
+});
+
+test('a cursor from one sort order is refused by another', async () => {
+    const page = await paginateQuery(db.collection('items'), [['rank', 'asc']], parsePagination({ limit: 2 }));
+    await assert.rejects(
+        paginateQuery(db.collection('items'), [['name', 'asc']], parsePagination({ limit: 2, cursor: page.nextCursor })),
+        { status: 400, code: 'INVALID_CURSOR' }
+    );
+});
+
+test('pages stay put when a document is added before the cursor', async () => {
+    const first = await paginateQuery(db.collection('items'), [['name', 'asc']], parsePagination({ limit: 3 }));
+    fake.seed({ 'items/i0': { rank: 0, name: 'Item 0' } });
+    const second = await paginateQuery(db.collection('items'), [['name', 'asc']], parsePagination({ limit: 3, cursor: first.nextCursor }));
+
+    assert.deepEqual(first.docs.map(doc => doc.id), ['i1', 'i2', 'i3']);
+    assert.deepEqual(second.docs.map(doc => doc.id), ['i4', 'i5', 'i6']);
+});
+
+test('a filter fills each page with matching documents', async () => {
+    const filter = doc => doc.get('visible');
+    const first = await paginateQuery(db.collection('items'), [['name', 'asc']], parsePagination({ limit: 2 }), { filter });
+
+    assert.deepEqual(first.docs.map(doc => doc.id), ['i1', 'i3']);
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(await readAll(db.collection('items'), [['name', 'asc']], 2, { filter }), ['i1', 'i3', 'i5', 'i7']);
+});
+
+test('a filter that matches nothing past the cursor ends without a next cursor', async () => {
+    const filter = doc => doc.id === 'i1';
+    const page = await paginateQuery(db.collection('items'), [['name', 'asc']], parsePagination({ limit: 1 }), { filter });
+
+    assert.deepEqual(page.docs.map(doc => doc.id), ['i1']);
+    assert.equal(page.nextCursor, null);
+});
+
+test('offset counts matching documents when filtering', async () => {
+    const page = await paginateQuery(db.collection('items'), [['name', 'asc']], parsePagination({ limit: 2, offset: '1' }), {
+        filter: doc => doc.get('visible')
+    });
+    assert.deepEqual(page.docs.map(doc => doc.id), ['i3', 'i5']);
+});
+
+test('paginateList pages an in-memory list with the same cursors', () => {
+    const list = [
+        { id: 'a', score: 2 },
+        { id: 'b', score: 5 },
+        { id: 'c', score: 5 },
+        { id: 'd', score: 1 }
+    ];
+    const first = paginateList(list, [['score', 'desc']], parsePagination({ limit: 2 }));
+    const second = paginateList(list, [['score', 'desc']], parsePagination({ limit: 2, cursor: first.nextCursor }));
+
+    assert.deepEqual(first.items.map(item => item.id), ['c', 'b']);
+    assert.deepEqual(second.items.map(item => item.id), ['a', 'd']);
+    assert.equal(second.nextCursor, null);
+});
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// ===========================
+// FAKE PAYMENT PROVIDER
+// For local development and emulator runs. Checkout "completes" instantly and
+// webhooks are signed with FAKE_PAYMENTS_SECRET so the full flow can be exercised.
+// Saved cards charge instantly too, except cards saved from a token containing
+// "decline", which are always declined.
+// Anyone holding the secret can mark orders paid, so there is no default and
+// the provider refuses to load in production.
+// ===========================
+
+const isProduction = process.env.NODE_ENV === 'production'
+    || Boolean(process.env.K_SERVICE && !process.env.FUNCTIONS_EMULATOR);
+
+if (isProduction) {
+    throw new Error('The fake payment provider cannot be used in production');
+}
+
+if (!process.env.FAKE_PAYMENTS_SECRET) {
+    throw new Error('FAKE_PAYMENTS_SECRET must be set to use the fake payment provider');
+}
+
+const secret = () => process.env.FAKE_PAYMENTS_SECRET;
+
+// Fake event types mapped onto order paymentStatus values
+const EVENT_STATUS_MAP = {
+    'payment.authorized': 'authorized',
+    'payment.paid': 'paid',
+    'payment.failed': 'failed',
+    'payment.refunded': 'refunded'
+};
+
+/**
+ * Sign a webhook body the same way verifyWebhook checks it. Handy for
+ * sending test events with curl.
+ */
+function sign(rawBody) {
+    return crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+}
+
+module.exports = {
+    name: 'fake',
+
+    sign,
+
+    async createCheckoutSession(order, { successUrl }) {
+        const sessionId = `fake_${uuidv4()}`;
+        const separator = successUrl.includes('?') ? '&' : '?';
+
+        return {
+            sessionId,
+            checkoutUrl: `${successUrl}${separator}session=${sessionId}`,
+            providerOrderId: sessionId
+        };
+    },
+
+    async saveCard({ token, customerId }) {
+        return {
+            customerId: customerId || `fake_customer_${uuidv4()}`,
+            cardId: `fake_card_${token.includes('decline') ? 'declined_' : ''}${uuidv4()}`,
+            brand: 'VISA',
+            last4: '4242',
+            expMonth: 12,
+            expYear: new Date().getFullYear() + 3
+        };
+    },
+
+    async chargeCard(order, { cardId }) {
+        if (cardId.includes('declined')) {
+            return {
+                paymentId: null,
+                providerOrderId: null,
+                status: 'failed',
+                declineReason: 'CARD_DECLINED'
+            };
+        }
+
+        const paymentId = `fake_payment_${uuidv4()}`;
+        return {
+            paymentId,
+            providerOrderId: paymentId,
+            status: 'paid'
+        };
+    },
+
+    async refund(order, { amount }) {
+        return {
+            refundId: `fake_refund_${uuidv4()}`,
+            status: 'COMPLETED'
+        };
+    },
+
+    verifyWebhook(req) {
+        const signature = req.headers['x-fake-signature'];
+
+        if (!signature || !req.rawBody) return false;
+
+        const a = Buffer.from(signature);
+        const b = Buffer.from(sign(req.rawBody));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    },
+
+    parseWebhookEvent(body) {
+        const data = body.data || {};
+
+        return {
+            eventId: body.id,
+            type: body.type,
+            status: EVENT_STATUS_MAP[body.type] || null,
+            providerOrderId: data.sessionId,
+            referenceId: data.referenceId || null,
+            paymentId: data.paymentId || null,
+            refundId: data.refundId || null,
+            amount: data.amount !== undefined ? Number(data.amount) : null
+        };
+    }
+};
@@ -0,0 +1,257 @@
+const { admin, db } = require('../../config/firebase');
+const { roundCurrency } = require('../tax');
+const { convertReservation } = require('../reservations');
+const { issueDownloads } = require('../downloads');
+
+// ===========================
+// PAYMENT PROVIDERS
+// Every provider exposes the same interface:
+//   name
+//   createCheckoutSession(order, { successUrl, cancelUrl }) -> { sessionId, checkoutUrl, providerOrderId }
+//   verifyWebhook(req) -> boolean (req.rawBody holds the unparsed body)
+//   parseWebhookEvent(body) -> { eventId, type, status, providerOrderId, referenceId, paymentId, refundId, amount }
+//   refund(order, { amount, reason, idempotencyKey }) -> { refundId, status }
+//   saveCard({ token, customer, customerId }) -> { customerId, cardId, brand, last4, expMonth, expYear }
+//   chargeCard(order, { customerId, cardId }, { idempotencyKey }) -> { paymentId, providerOrderId, status, declineReason }
+//     (the payment carries order.orderNumber as its reference)
+// The active provider is chosen with PAYMENT_PROVIDER (defaults to square).
+// Providers are loaded on first use: the fake one refuses to load in
+// production or without FAKE_PAYMENTS_SECRET.
+// ===========================
+
+const providers = {
+    square: () => require('./square'),
+    fake: () => require('./fake')
+};
+
+// Allowed paymentStatus moves. Anything else (including replays and
+// out-of-order deliveries) is recorded but leaves the order untouched.
+const PAYMENT_TRANSITIONS = {
+    pending: ['authorized', 'paid', 'failed'],
+    authorized: ['paid', 'failed'],
+    failed: ['authorized', 'paid'],
+    paid: ['partially_refunded', 'refunded'],
+    partially_refunded: ['partially_refunded', 'refunded'],
+    refunded: []
+};
+
+const PAYMENT_STATUSES = Object.keys(PAYMENT_TRANSITIONS);
+
+function getProvider(name = process.env.PAYMENT_PROVIDER || 'square') {
+    const loadProvider = providers[name];
+    if (!loadProvider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return loadProvider();
+}
+
+// Load the configured provider now so a misconfiguration stops startup
+// instead of the first checkout
+getProvider();
+
+/**
+ * Find the order a provider event belongs to, via the provider order id
+ * stored when the checkout session was created. Saved-card charges whose
+ * response never arrived are found through the payment's reference.
+ */
+async function findOrderForEvent(provider, event) {
+    const lookups = [
+        ['payment.providerOrderId', event.providerOrderId],
+        ['payment.referenceId', event.referenceId]
+    ].filter(([, value]) => value);
+
+    for (const [field, value] of lookups) {
+        const snapshot = await db.collection('orders')
+            .where('payment.provider', '==', provider)
+            .where(field, '==', value)
+            .limit(1)
+            .get();
+
+        if (!snapshot.empty) return snapshot.docs[0].ref;
+    }
+
+    return null;
+}
+
+/**
+ * Apply a parsed webhook event to its order exactly once.
+ * Processed events are kept in `paymentEvents`, keyed by provider and event id.
+ */
+async function applyPaymentEvent(provider, event) {
+    if (!event.eventId) {
+        return { applied: false, reason: 'missing_event_id' };
+    }
+
+    if (!event.status) {
+        return { applied: false, reason: 'unhandled_event_type' };
+    }
+
+    const orderRef = await findOrderForEvent(provider, event);
+    if (!orderRef) {
+        return { applied: false, reason: 'order_not_found' };
+    }
+
+    const eventRef = db.collection('paymentEvents').doc(`${provider}_${event.eventId}`);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const eventDoc = await transaction.get(eventRef);
+        if (eventDoc.exists) {
+            return { applied: false, reason: 'duplicate', orderId: orderRef.id };
+        }
+
+        const orderDoc = await transaction.get(orderRef);
+        const order = orderDoc.data();
+        const current = order.paymentStatus || 'pending';
+        let status = event.status;
+        let reason = null;
+
+        if (status === 'refunded') {
+            // Refunds issued through POST /orders/:id/refunds are already on the order
+            const refunds = order.refunds || [];
+            const recorded = refunds.some(r =>
+                (event.refundId && r.providerRefundId === event.refundId) ||
+                (r.status === 'pending' && event.amount !== null &&
+                    Math.abs((r.providerAmount !== undefined ? r.providerAmount : r.amount) - event.amount) < 0.01)
+            );
+
+            if (recorded) {
+                reason = 'refund_already_recorded';
+            } else if (event.amount !== null && roundCurrency((order.refundedAmount || 0) + event.amount) < order.total) {
+                status = 'partially_refunded';
+            }
+        }
+
+        const applied = !reason && (PAYMENT_TRANSITIONS[current] || []).includes(status);
+        if (!applied && !reason) {
+            reason = `ignored_${current}_to_${status}`;
+        }
+
+        transaction.set(eventRef, {
+            provider,
+            eventId: event.eventId,
+            type: event.type || null,
+            status,
+            orderId: orderRef.id,
+            paymentId: event.paymentId || null,
+            amount: event.amount !== undefined ? event.amount : null,
+            previousStatus: current,
+            applied,
+            receivedAt: new Date()
+        });
+
+        if (applied) {
+            const updates = {
+                paymentStatus: status,
+                'payment.status': status,
+                paymentHistory: admin.firestore.FieldValue.arrayUnion({
+                    status,
+                    eventId: event.eventId,
+                    amount: event.amount !== undefined ? event.amount : null,
+                    at: new Date()
+                }),
+                updatedAt: new Date()
+            };
+
+            if (event.paymentId) {
+                updates['payment.paymentId'] = event.paymentId;
+            }
+            if (status === 'paid') {
+                updates.paidAt = new Date();
+            }
+            // Refund made outside the store (e.g. the provider dashboard)
+            if (['partially_refunded', 'refunded'].includes(status) && event.amount !== null) {
+                updates.refundedAmount = admin.firestore.FieldValue.increment(event.amount);
+            }
+
+            transaction.update(orderRef, updates);
+        }
+
+        return {
+            applied,
+            reason,
+            orderId: orderRef.id,
+            reservationId: applied && ['authorized', 'paid'].includes(status) ? order.reservationId : null,
+            paid: applied && status === 'paid'
+        };
+    });
+
+    // A successful payment turns the checkout hold into a real stock decrement
+    if (result.reservationId) {
+        await convertReservation(result.reservationId, { actor: provider });
+    }
+
+    // Captured payments unlock any downloads on the order
+    if (result.paid) {
+        await issueDownloads(result.orderId, { actor: provider });
+    }
+
+    return result;
+}
+
+/**
+ * Charge a pending order to a saved card (subscription renewals). The result
+ * is applied like a webhook event, so a paid order has its stock converted
+ * and its downloads issued exactly as after checkout.
+ * `paymentMethod` is { provider, customerId, cardId, last4, ... } as saved.
+ * Returns { paid, status, declineReason }. Throws when the provider couldn't
+ * be reached; the charge may still have gone through, so retry with the
+ * same key.
+ */
+async function chargeOrder(orderId, paymentMethod, { idempotencyKey }) {
+    const orderRef = db.collection('orders').doc(orderId);
+    const order = (await orderRef.get()).data();
+    const provider = getProvider(paymentMethod.provider);
+
+    // Saved before charging so a webhook can find the order even when the
+    // provider's response is lost
+    await orderRef.update({
+        payment: {
+            provider: provider.name,
+            providerOrderId: (order.payment && order.payment.providerOrderId) || null,
+            referenceId: order.orderNumber,
+            idempotencyKey,
+            paymentId: (order.payment && order.payment.paymentId) || null,
+            method: 'saved_card',
+            card: { brand: paymentMethod.brand || null, last4: paymentMethod.last4 || null },
+            status: order.paymentStatus || 'pending',
+            createdAt: new Date()
+        },
+        updatedAt: new Date()
+    });
+
+    const charge = await provider.chargeCard(order, paymentMethod, { idempotencyKey });
+
+    // Later webhooks for the same payment find the order through this id
+    const providerOrderId = charge.providerOrderId || idempotencyKey;
+
+    await orderRef.update({
+        'payment.providerOrderId': providerOrderId,
+        'payment.paymentId': charge.paymentId || null,
+        updatedAt: new Date()
+    });
+
+    if (charge.status) {
+        await applyPaymentEvent(provider.name, {
+            eventId: `charge_${idempotencyKey}`,
+            type: 'saved_card.charge',
+            status: charge.status,
+            providerOrderId,
+            paymentId: charge.paymentId || null,
+            amount: order.amountDue !== undefined ? order.amountDue : order.total
+        });
+    }
+
+    return {
+        paid: charge.status === 'paid',
+        status: charge.status || 'pending',
+        declineReason: charge.declineReason || null
+    };
+}
+
+module.exports = {
+    PAYMENT_TRANSITIONS,
+    PAYMENT_STATUSES,
+    getProvider,
+    applyPaymentEvent,
+    chargeOrder
+};
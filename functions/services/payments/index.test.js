@@ -0,0 +1,96 @@
+const fake = require('../../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeProvider = require('./fake');
+const { applyPaymentEvent, chargeOrder } = require('./index');
+
+const card = { provider: 'fake', customerId: 'cus1', cardId: 'card1', brand: 'VISA', last4: '4242' };
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({
+        'products/candle': { name: 'Candle', stockQuantity: 5, reservedQuantity: 1 },
+        'reservations/r1': { orderId: 'o1', status: 'active', items: [{ productId: 'candle', quantity: 1 }] },
+        'orders/o1': {
+            orderNumber: 'ORD-1',
+            status: 'pending',
+            paymentStatus: 'pending',
+            total: 12,
+            amountDue: 12,
+            reservationId: 'r1',
+            items: [{ productId: 'candle', quantity: 1 }],
+            payment: { provider: 'fake', providerOrderId: 'session1', status: 'pending' }
+        }
+    });
+});
+
+const paidEvent = (overrides = {}) => ({ eventId: 'evt1', type: 'payment.paid', status: 'paid', providerOrderId: 'session1', amount: 12, ...overrides });
+
+test('a payment event marks the order paid and takes its stock', async () => {
+    const result = await applyPaymentEvent('fake', paidEvent({ paymentId: 'pay1' }));
+
+    assert.deepEqual({ applied: result.applied, paid: result.paid }, { applied: true, paid: true });
+    const order = fake.read('orders/o1');
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.payment.paymentId, 'pay1');
+    assert.equal(order.reservationStatus, 'converted');
+    assert.equal(fake.read('products/candle').stockQuantity, 4);
+});
+
+test('a repeated event is recorded once and changes nothing', async () => {
+    await applyPaymentEvent('fake', paidEvent());
+    const again = await applyPaymentEvent('fake', paidEvent());
+
+    assert.deepEqual(again, { applied: false, reason: 'duplicate', orderId: 'o1' });
+    assert.equal(fake.read('orders/o1').paymentHistory.length, 1);
+    assert.equal(fake.read('products/candle').stockQuantity, 4);
+});
+
+test('an out-of-order event is recorded but ignored', async () => {
+    await applyPaymentEvent('fake', paidEvent());
+    const late = await applyPaymentEvent('fake', paidEvent({ eventId: 'evt0', type: 'payment.authorized', status: 'authorized' }));
+
+    assert.equal(late.reason, 'ignored_paid_to_authorized');
+    assert.equal(fake.read('paymentEvents/fake_evt0').applied, false);
+    assert.equal(fake.read('orders/o1').paymentStatus, 'paid');
+});
+
+test('events for unknown orders or of unknown types are skipped', async () => {
+    assert.equal((await applyPaymentEvent('fake', paidEvent({ providerOrderId: 'nope' }))).reason, 'order_not_found');
+    assert.equal((await applyPaymentEvent('fake', paidEvent({ status: null }))).reason, 'unhandled_event_type');
+    assert.equal((await applyPaymentEvent('square', paidEvent())).reason, 'order_not_found');
+});
+
+test('a refund made in the provider dashboard is added to the order', async () => {
+    await applyPaymentEvent('fake', paidEvent());
+    await applyPaymentEvent('fake', paidEvent({ eventId: 'evt2', type: 'payment.refunded', status: 'refunded', amount: 5 }));
+
+    const order = fake.read('orders/o1');
+    assert.equal(order.paymentStatus, 'partially_refunded');
+    assert.equal(order.refundedAmount, 5);
+});
+
+test('a saved-card charge pays the order', async () => {
+    const result = await chargeOrder('o1', card, { idempotencyKey: 'o1' });
+
+    assert.deepEqual(result, { paid: true, status: 'paid', declineReason: null });
+    const order = fake.read('orders/o1');
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.payment.referenceId, 'ORD-1');
+    assert.equal(order.payment.idempotencyKey, 'o1');
+    assert.deepEqual(order.payment.card, { brand: 'VISA', last4: '4242' });
+});
+
+test('a charge whose response was lost is matched by its reference', async (t) => {
+    t.mock.method(fakeProvider, 'chargeCard', async () => {
+        throw new Error('socket hang up');
+    });
+
+    await assert.rejects(chargeOrder('o1', card, { idempotencyKey: 'o1' }), { message: 'socket hang up' });
+
+    // The provider took the money; its webhook only knows the payment's reference
+    const result = await applyPaymentEvent('fake', paidEvent({ providerOrderId: 'fake_payment_9', referenceId: 'ORD-1' }));
+
+    assert.equal(result.applied, true);
+    assert.equal(fake.read('orders/o1').paymentStatus, 'paid');
+});
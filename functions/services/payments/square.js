@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// ===========================
+// SQUARE PAYMENT PROVIDER
+// Hosted checkout via payment links, webhooks signed with the subscription signature key
+// ===========================
+
+const SQUARE_VERSION = '2024-01-18';
+
+const apiBase = () => process.env.SQUARE_ENVIRONMENT === 'sandbox'
+    ? 'https://connect.squareupsandbox.com/v2'
+    : 'https://connect.squareup.com/v2';
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Store credit may already cover part of the total
+const amountDue = (order) => (order.amountDue !== undefined ? order.amountDue : order.total);
+
+async function squareRequest(path, body) {
+    const response = await fetch(`${apiBase()}${path}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.SQUARE_ACCESS_TOKEN}`,
+            'Square-Version': SQUARE_VERSION,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const first = data.errors && data.errors[0];
+        const error = new Error(`Square request failed: ${first ? first.detail : response.statusText}`);
+        error.code = first ? first.code : null;
+        error.category = first ? first.category : null;
+        throw error;
+    }
+
+    return data;
+}
+
+// Square payment and refund statuses mapped onto order paymentStatus values
+const PAYMENT_STATUS_MAP = {
+    APPROVED: 'authorized',
+    COMPLETED: 'paid',
+    FAILED: 'failed',
+    CANCELED: 'failed'
+};
+
+module.exports = {
+    name: 'square',
+
+    async createCheckoutSession(order, { successUrl }) {
+        const data = await squareRequest('/online-checkout/payment-links', {
+            idempotency_key: uuidv4(),
+            quick_pay: {
+                name: `Order ${order.orderNumber}`,
+                price_money: {
+                    amount: toCents(amountDue(order)),
+                    currency: process.env.SQUARE_CURRENCY || 'USD'
+                },
+                location_id: process.env.SQUARE_LOCATION_ID
+            },
+            checkout_options: {
+                redirect_url: successUrl
+            },
+            pre_populated_data: {
+                buyer_email: order.customerEmail
+            },
+            payment_note: order.orderNumber
+        });
+
+        return {
+            sessionId: data.payment_link.id,
+            checkoutUrl: data.payment_link.url,
+            providerOrderId: data.payment_link.order_id
+        };
+    },
+
+    // Cards on file belong to a Square customer; one is created on first use
+    async saveCard({ token, customer, customerId }) {
+        let squareCustomerId = customerId;
+
+        if (!squareCustomerId) {
+            const data = await squareRequest('/customers', {
+                idempotency_key: uuidv4(),
+                email_address: customer.email,
+                given_name: customer.name || undefined,
+                reference_id: customer.id
+            });
+            squareCustomerId = data.customer.id;
+        }
+
+        const { card } = await squareRequest('/cards', {
+            idempotency_key: uuidv4(),
+            source_id: token,
+            card: {
+                customer_id: squareCustomerId
+            }
+        });
+
+        return {
+            customerId: squareCustomerId,
+            cardId: card.id,
+            brand: card.card_brand,
+            last4: card.last_4,
+            expMonth: card.exp_month,
+            expYear: card.exp_year
+        };
+    },
+
+    async chargeCard(order, { customerId, cardId }, { idempotencyKey }) {
+        try {
+            const { payment } = await squareRequest('/payments', {
+                idempotency_key: idempotencyKey,
+                source_id: cardId,
+                customer_id: customerId,
+                amount_money: {
+                    amount: toCents(amountDue(order)),
+                    currency: process.env.SQUARE_CURRENCY || 'USD'
+                },
+                autocomplete: true,
+                location_id: process.env.SQUARE_LOCATION_ID,
+                reference_id: order.orderNumber,
+                buyer_email_address: order.customerEmail,
+                note: `Order ${order.orderNumber}`
+            });
+
+            return {
+                paymentId: payment.id,
+                providerOrderId: payment.order_id,
+                status: PAYMENT_STATUS_MAP[payment.status] || null
+            };
+        } catch (error) {
+            // Declines come back as errors; anything else may not have reached the card
+            if (error.category === 'PAYMENT_METHOD_ERROR') {
+                return {
+                    paymentId: null,
+                    providerOrderId: null,
+                    status: 'failed',
+                    declineReason: error.code
+                };
+            }
+            throw error;
+        }
+    },
+
+    async refund(order, { amount, reason, idempotencyKey }) {
+        const data = await squareRequest('/refunds', {
+            idempotency_key: idempotencyKey,
+            payment_id: order.payment.paymentId,
+            amount_money: {
+                amount: toCents(amount),
+                currency: process.env.SQUARE_CURRENCY || 'USD'
+            },
+            reason: reason || undefined
+        });
+
+        return {
+            refundId: data.refund.id,
+            status: data.refund.status
+        };
+    },
+
+    // Square signs notificationUrl + raw body with HMAC-SHA256
+    verifyWebhook(req) {
+        const signature = req.headers['x-square-hmacsha256-signature'];
+        const key = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+
+        if (!signature || !key || !req.rawBody) return false;
+
+        const expected = crypto
+            .createHmac('sha256', key)
+            .update(process.env.SQUARE_WEBHOOK_URL + req.rawBody.toString('utf8'))
+            .digest('base64');
+
+        const a = Buffer.from(signature);
+        const b = Buffer.from(expected);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    },
+
+    parseWebhookEvent(body) {
+        const object = (body.data && body.data.object) || {};
+
+        if (object.payment) {
+            const payment = object.payment;
+            return {
+                eventId: body.event_id,
+                type: body.type,
+                status: PAYMENT_STATUS_MAP[payment.status] || null,
+                providerOrderId: payment.order_id,
+                referenceId: payment.reference_id || null,
+                paymentId: payment.id,
+                amount: payment.amount_money ? payment.amount_money.amount / 100 : null
+            };
+        }
+
+        if (object.refund) {
+            const refund = object.refund;
+            return {
+                eventId: body.event_id,
+                type: body.type,
+                status: refund.status === 'COMPLETED' ? 'refunded' : null,
+                providerOrderId: refund.order_id,
+                paymentId: refund.payment_id,
+                refundId: refund.id,
+                amount: refund.amount_money ? refund.amount_money.amount / 100 : null
+            };
+        }
+
+        return {
+            eventId: body.event_id,
+            type: body.type,
+            status: null
+        };
+    }
+};
@@ -0,0 +1,366 @@
+const { admin, db } = require('../config/firebase');
+const { getVariants } = require('./variants');
+const { availableQuantity } = require('./inventory');
+const { stripHtml } = require('./search/text');
+const { activePrice } = require('./productSchedule');
+
+// ===========================
+// CATALOG EXPORT
+// Products are read a page at a time and written to the response as they
+// arrive, so memory stays flat however large the catalog is.
+//   csv           one row per variant (or per product without variants), in the
+//                 column layout the bulk import reads back
+//   json          { exportedAt, products: [{ ...product, categorySlug, variants }] }
+//   merchant-xml  Google Merchant Center RSS 2.0 feed
+//   merchant-tsv  Google Merchant Center tab-separated feed
+// Merchant feeds only include active products, one item per active variant.
+// ===========================
+
+const EXPORT_FORMATS = ['csv', 'json', 'merchant-xml', 'merchant-tsv'];
+
+const PAGE_SIZE = 200;
+
+// Merchant Center accepts up to 10 additional images per item
+const MAX_ADDITIONAL_IMAGES = 10;
+
+// Variant attributes Merchant Center understands, by lowercased attribute name
+const MERCHANT_ATTRIBUTES = ['color', 'size', 'material', 'pattern', 'gender', 'age_group'];
+
+const CSV_PRODUCT_COLUMNS = [
+    'name', 'slug', 'sku', 'description', 'price', 'compareAtPrice', 'stockQuantity',
+    'category', 'imageUrl', 'images', 'tags', 'isFeatured', 'isActive', 'taxExempt',
+    'weight', 'lowStockThreshold'
+];
+
+const CSV_VARIANT_COLUMNS = {
+    variantSku: 'sku',
+    variantName: 'name',
+    variantPrice: 'price',
+    variantStock: 'stock',
+    variantWeight: 'weight',
+    variantImages: 'images',
+    variantActive: 'isActive'
+};
+
+const MERCHANT_COLUMNS = [
+    'id', 'title', 'description', 'link', 'image_link', 'additional_image_link',
+    'availability', 'price', 'sale_price', 'sale_price_effective_date', 'product_type', 'brand', 'gtin',
+    'identifier_exists', 'item_group_id', ...MERCHANT_ATTRIBUTES
+];
+
+/**
+ * Products (with `variants` loaded) one page at a time, in document id order.
+ */
+async function* productPages({ activeOnly = false } = {}) {
+    let query = db.collection('products');
+    if (activeOnly) {
+        query = query.where('isActive', '==', true);
+    }
+    query = query.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+
+    let last = null;
+    while (true) {
+        const snapshot = await (last ? query.startAfter(last) : query).get();
+        if (snapshot.empty) return;
+
+        yield await Promise.all(snapshot.docs.map(async (doc) => ({
+            id: doc.id,
+            ...doc.data(),
+            variants: doc.data().hasVariants ? await getVariants(doc.id) : []
+        })));
+
+        if (snapshot.size < PAGE_SIZE) return;
+        last = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+async function loadCategories() {
+    const snapshot = await db.collection('categories').get();
+    return new Map(snapshot.docs.map(doc => [doc.id, { name: doc.data().name, slug: doc.data().slug }]));
+}
+
+// Attribute and metadata names become CSV columns, so they are collected up front
+// with streamed, field-masked reads before any rows are written
+async function extraCsvColumns() {
+    const attributes = new Set();
+    const metadata = new Set();
+
+    for await (const doc of db.collectionGroup('variants').select('attributes').stream()) {
+        Object.keys(doc.get('attributes') || {}).forEach(name => attributes.add(name));
+    }
+    for await (const doc of db.collection('products').select('metadata').stream()) {
+        Object.keys(doc.get('metadata') || {}).forEach(key => metadata.add(key));
+    }
+
+    return {
+        attributes: [...attributes].sort(),
+        metadata: [...metadata].sort()
+    };
+}
+
+// ===========================
+// CELL FORMATTING
+// ===========================
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (Array.isArray(value)) text = value.join('|');
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tsvCell(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+function xmlText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value);
+
+// Feeds want plain text descriptions
+const plainText = (html) => stripHtml(html)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// ===========================
+// CSV
+// ===========================
+
+function csvFormat({ categories, columns }) {
+    const header = [
+        ...CSV_PRODUCT_COLUMNS,
+        ...Object.keys(CSV_VARIANT_COLUMNS),
+        ...columns.attributes.map(name => `attribute:${name}`),
+        ...columns.metadata.map(key => `meta:${key}`)
+    ];
+
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => `${header.map(csvCell).join(',')}\n`,
+        product: (product) => {
+            const category = categories.get(product.categoryId);
+            const metadata = product.metadata || {};
+
+            const productCells = CSV_PRODUCT_COLUMNS.map(column => {
+                if (column === 'category') return category ? category.slug : '';
+                // Stock lives on the variants when there are any
+                if (column === 'stockQuantity' && product.variants.length > 0) return '';
+                return product[column];
+            });
+            const metadataCells = columns.metadata.map(key => metadata[key]);
+            const variants = product.variants.length > 0 ? product.variants : [null];
+
+            return variants.map(variant => [
+                ...productCells,
+                ...Object.values(CSV_VARIANT_COLUMNS).map(field => (variant ? variant[field] : '')),
+                ...columns.attributes.map(name => (variant ? (variant.attributes || {})[name] : '')),
+                ...metadataCells
+            ].map(csvCell).join(',') + '\n').join('');
+        },
+        end: () => ''
+    };
+}
+
+// ===========================
+// JSON
+// ===========================
+
+function jsonFormat({ categories }) {
+    let first = true;
+
+    return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        start: () => `{"exportedAt":${JSON.stringify(new Date())},"products":[\n`,
+        product: (product) => {
+            const category = categories.get(product.categoryId);
+            const item = JSON.stringify({
+                ...product,
+                categorySlug: category ? category.slug : null,
+                createdAt: toDate(product.createdAt),
+                updatedAt: toDate(product.updatedAt)
+            });
+            const separator = first ? '' : ',\n';
+            first = false;
+            return separator + item;
+        },
+        end: () => '\n]}\n'
+    };
+}
+
+// ===========================
+// GOOGLE MERCHANT CENTER
+// ===========================
+
+/**
+ * Feed items for one product: one per active variant, or one for the product.
+ * Prices follow Merchant Center's convention: `price` is the regular price and
+ * `sale_price` the current one when the product is marked down, with the
+ * scheduled sale's dates when it has them.
+ */
+function merchantItems(product, { categories, storeUrl, currency }) {
+    const category = categories.get(product.categoryId);
+    const metadata = product.metadata || {};
+    const variants = product.variants.filter(variant => variant.isActive !== false);
+    const money = (amount) => `${Number(amount).toFixed(2)} ${currency}`;
+    const saleStartsAt = toDate(product.saleStartsAt);
+    const saleEndsAt = toDate(product.saleEndsAt);
+
+    const item = (variant) => {
+        const images = [
+            ...((variant && variant.images) || []),
+            ...(product.images || [])
+        ].filter(Boolean);
+        const imageLink = images[0] || product.imageUrl || '';
+        const pricing = activePrice(product, variant);
+        const current = pricing.price;
+        const onSale = pricing.compareAtPrice && pricing.compareAtPrice > current;
+        const attributes = {};
+
+        if (variant) {
+            Object.entries(variant.attributes || {}).forEach(([name, value]) => {
+                const key = name.toLowerCase().replace(/[\s-]+/g, '_');
+                if (MERCHANT_ATTRIBUTES.includes(key)) attributes[key] = value;
+            });
+        }
+
+        return {
+            id: variant ? variant.sku || `${product.id}-${variant.id}` : product.sku || product.id,
+            title: variant && variant.name ? `${product.name} - ${variant.name}` : product.name,
+            description: plainText(product.description) || product.name,
+            link: `${storeUrl}/product.html?slug=${encodeURIComponent(product.slug)}`,
+            image_link: imageLink,
+            additional_image_link: images.filter(image => image !== imageLink).slice(0, MAX_ADDITIONAL_IMAGES),
+            availability: availableQuantity(product, variant) > 0 ? 'in_stock' : 'out_of_stock',
+            price: money(onSale ? pricing.compareAtPrice : current),
+            sale_price: onSale ? money(current) : '',
+            sale_price_effective_date: pricing.onSale && saleStartsAt && saleEndsAt
+                ? `${saleStartsAt.toISOString()}/${saleEndsAt.toISOString()}`
+                : '',
+            product_type: category ? category.name : '',
+            brand: metadata.brand || '',
+            gtin: (variant && variant.gtin) || metadata.gtin || '',
+            identifier_exists: metadata.brand || metadata.gtin ? '' : 'no',
+            item_group_id: variant ? product.id : '',
+            ...attributes
+        };
+    };
+
+    return variants.length > 0 ? variants.map(item) : [item(null)];
+}
+
+function merchantXmlFormat(context) {
+    const element = (name, value) => (value === '' || value === undefined ? '' : `<g:${name}>${xmlText(value)}</g:${name}>`);
+
+    return {
+        contentType: 'application/xml; charset=utf-8',
+        extension: 'xml',
+        start: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n<channel>\n' +
+            `<title>${xmlText(context.title)}</title>\n<link>${xmlText(context.storeUrl)}</link>\n` +
+            '<description>Product feed</description>\n',
+        product: (product) => merchantItems(product, context).map(item => '<item>' + MERCHANT_COLUMNS.map(column => (
+            Array.isArray(item[column])
+                ? item[column].map(value => element(column, value)).join('')
+                : element(column, item[column])
+        )).join('') + '</item>\n').join(''),
+        end: () => '</channel>\n</rss>\n'
+    };
+}
+
+function merchantTsvFormat(context) {
+    return {
+        contentType: 'text/tab-separated-values; charset=utf-8',
+        extension: 'tsv',
+        start: () => `${MERCHANT_COLUMNS.join('\t')}\n`,
+        product: (product) => merchantItems(product, context).map(item => MERCHANT_COLUMNS.map(column => (
+            tsvCell(Array.isArray(item[column]) ? item[column].join(',') : item[column])
+        )).join('\t') + '\n').join(''),
+        end: () => ''
+    };
+}
+
+const FORMATTERS = {
+    csv: csvFormat,
+    json: jsonFormat,
+    'merchant-xml': merchantXmlFormat,
+    'merchant-tsv': merchantTsvFormat
+};
+
+// ===========================
+// STREAMING
+// ===========================
+
+/**
+ * Build the writer for `format` (one of EXPORT_FORMATS). The writer's
+ * contentType and extension are available before anything is read.
+ */
+async function createExport(format, { storeUrl, currency, title }) {
+    const isFeed = format.startsWith('merchant-');
+    const [categories, columns] = await Promise.all([
+        loadCategories(),
+        format === 'csv' ? extraCsvColumns() : null
+    ]);
+
+    return {
+        activeOnly: isFeed,
+        ...FORMATTERS[format]({ categories, columns, storeUrl, currency, title })
+    };
+}
+
+/**
+ * Write a whole export to `stream`, waiting for it to drain whenever its buffer
+ * fills. Stops early if the stream is closed. Resolves to the product count.
+ */
+async function streamExport(exporter, stream, { activeOnly = false } = {}) {
+    const write = (chunk) => new Promise((resolve, reject) => {
+        if (!chunk || stream.destroyed) return resolve();
+        if (stream.write(chunk)) return resolve();
+
+        const onDrain = () => { cleanup(); resolve(); };
+        const onClose = () => { cleanup(); resolve(); };
+        const onError = (error) => { cleanup(); reject(error); };
+        const cleanup = () => {
+            stream.off('drain', onDrain);
+            stream.off('close', onClose);
+            stream.off('error', onError);
+        };
+        stream.on('drain', onDrain);
+        stream.on('close', onClose);
+        stream.on('error', onError);
+    });
+
+    let count = 0;
+    await write(exporter.start());
+
+    for await (const products of productPages({ activeOnly: exporter.activeOnly || activeOnly })) {
+        if (stream.destroyed) return count;
+        await write(products.map(exporter.product).join(''));
+        count += products.length;
+    }
+
+    await write(exporter.end());
+    stream.end();
+    return count;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    createExport,
+    streamExport
+};
@@ -0,0 +1,664 @@
+const { admin, db } = require('../config/firebase');
+const { variantsCollection, getVariants, variantFields } = require('./variants');
+const { recordMovement } = require('./inventory');
+const { recordRevision } = require('./revisions');
+
+// ===========================
+// BULK PRODUCT IMPORT
+// Rows are JSON objects shaped like the POST /api/products body, plus
+// `category` (a category slug), `tags` and, for products without variants, `sku`.
+//
+// CSV files use the same field names as columns. Lists (images, tags) are
+// separated with `|`, `meta:<key>` columns fill `metadata`, and rows that share
+// a slug are one product with a variant per row, described by the variantSku,
+// variantName, variantPrice, variantStock, variantWeight, variantImages,
+// variantActive and `attribute:<name>` columns.
+//
+// Products are matched on slug, then product sku, then variant sku. Matches
+// are updated with the fields the row provides; anything unmatched is created.
+// Stock changes are applied as increments and recorded in the inventory ledger
+// with type `import`, and every product written gets a revision.
+// ===========================
+
+// Rows resolved against Firestore at a time
+const IMPORT_CHUNK_SIZE = 100;
+
+// Firestore allows 500 writes per batch; a product's writes never span two
+const MAX_BATCH_WRITES = 450;
+
+// Product document, ledger entry and up to two revisions, plus one write per variant
+const MAX_VARIANTS_PER_ROW = MAX_BATCH_WRITES - 4;
+
+// Largest `in` filter Firestore accepts
+const IN_QUERY_LIMIT = 30;
+
+const BOOLEAN_FIELDS = ['isFeatured', 'isActive', 'taxExempt'];
+const LIST_FIELDS = ['images', 'tags'];
+
+const PRODUCT_COLUMNS = [
+    'name', 'slug', 'sku', 'description', 'price', 'compareAtPrice', 'stockQuantity',
+    'category', 'categoryId', 'imageUrl', 'images', 'tags',
+    'isFeatured', 'isActive', 'taxExempt', 'weight', 'lowStockThreshold'
+];
+
+const VARIANT_COLUMNS = {
+    variantSku: 'sku',
+    variantName: 'name',
+    variantPrice: 'price',
+    variantStock: 'stock',
+    variantWeight: 'weight',
+    variantImages: 'images',
+    variantActive: 'isActive'
+};
+
+function importError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+const chunk = (list, size) => Array.from(
+    { length: Math.ceil(list.length / size) },
+    (_, index) => list.slice(index * size, (index + 1) * size)
+);
+
+// ===========================
+// PARSING
+// ===========================
+
+/**
+ * Split CSV text into records of cell strings (RFC 4180: quoted cells may
+ * contain commas, newlines and doubled quotes).
+ */
+function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw importError(`Unterminated quoted cell in CSV record ${records.length + 1}`);
+    }
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    return records;
+}
+
+const splitList = (value) => String(value).split('|').map(item => item.trim()).filter(Boolean);
+
+// 'yes'/'no', '1'/'0' and 'true'/'false' become booleans; anything else is left for validation
+function parseBoolean(value) {
+    if (typeof value !== 'string') return value;
+    const normalized = value.trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(normalized)) return true;
+    if (['false', 'no', '0'].includes(normalized)) return false;
+    return value;
+}
+
+/**
+ * Turn CSV text into import entries: { row, input }, where `row` is the
+ * spreadsheet row number of the product's first line (the header is row 1).
+ */
+function csvEntries(text) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('slug')) {
+        throw importError('CSV needs a slug column');
+    }
+
+    const entries = [];
+    const bySlug = new Map();
+
+    records.forEach((record, index) => {
+        // Skip blank lines
+        if (record.every(cell => cell.trim() === '')) return;
+
+        const product = {};
+        const variant = {};
+        const attributes = {};
+        const metadata = {};
+
+        columns.forEach((column, position) => {
+            const value = (record[position] || '').trim();
+            if (value === '') return;
+
+            if (PRODUCT_COLUMNS.includes(column)) {
+                product[column] = LIST_FIELDS.includes(column) ? splitList(value) : value;
+            } else if (VARIANT_COLUMNS[column]) {
+                variant[VARIANT_COLUMNS[column]] = column === 'variantImages' ? splitList(value) : value;
+            } else if (column.startsWith('attribute:')) {
+                attributes[column.slice('attribute:'.length).trim()] = value;
+            } else if (column.startsWith('meta:')) {
+                metadata[column.slice('meta:'.length).trim()] = value;
+            }
+        });
+
+        BOOLEAN_FIELDS.forEach(field => {
+            if (product[field] !== undefined) product[field] = parseBoolean(product[field]);
+        });
+        if (variant.isActive !== undefined) variant.isActive = parseBoolean(variant.isActive);
+        if (Object.keys(attributes).length > 0) variant.attributes = attributes;
+        if (Object.keys(metadata).length > 0) product.metadata = metadata;
+
+        const existing = product.slug && bySlug.get(product.slug);
+        if (existing) {
+            // Later rows for the same slug only add variants and fill gaps
+            Object.entries(product).forEach(([field, value]) => {
+                if (existing.input[field] === undefined) existing.input[field] = value;
+            });
+            if (Object.keys(variant).length > 0) existing.input.variants.push(variant);
+            return;
+        }
+
+        const entry = {
+            row: index + 2,
+            input: { ...product, variants: Object.keys(variant).length > 0 ? [variant] : [] }
+        };
+        entries.push(entry);
+        if (product.slug) bySlug.set(product.slug, entry);
+    });
+
+    return entries;
+}
+
+/**
+ * Turn JSON rows into import entries; `row` is the 1-based position in the array.
+ */
+function jsonEntries(rows) {
+    return rows.map((input, index) => ({
+        row: index + 1,
+        input: input && typeof input === 'object' && !Array.isArray(input) ? { ...input } : {}
+    }));
+}
+
+// ===========================
+// MATCHING
+// ===========================
+
+const entrySkus = (input) => [
+    ...(input.sku ? [String(input.sku).trim()] : []),
+    ...(Array.isArray(input.variants) ? input.variants.map(variant => String((variant && variant.sku) || '').trim()) : [])
+].filter(Boolean);
+
+/**
+ * Slugs and SKUs may only appear once across a whole import, otherwise later
+ * rows would silently overwrite earlier ones.
+ */
+function findDuplicates(entries, report) {
+    const slugs = new Map();
+    const skus = new Map();
+
+    entries.forEach((entry, index) => {
+        const { slug } = entry.input;
+        if (slug) {
+            if (slugs.has(slug)) {
+                report[index].errors.push({ field: 'slug', message: `Slug ${slug} is also used by row ${slugs.get(slug)}` });
+            } else {
+                slugs.set(slug, entry.row);
+            }
+        }
+
+        entrySkus(entry.input).forEach(sku => {
+            if (skus.has(sku)) {
+                report[index].errors.push({ field: 'sku', message: `SKU ${sku} is also used by row ${skus.get(sku)}` });
+            } else {
+                skus.set(sku, entry.row);
+            }
+        });
+    });
+}
+
+async function categoryIdsBySlug() {
+    const snapshot = await db.collection('categories').get();
+    return new Map(snapshot.docs.map(doc => [doc.data().slug, doc.id]));
+}
+
+/**
+ * Look up the existing products a chunk of entries refers to, by slug,
+ * product sku and variant sku, along with their variants.
+ */
+async function findMatches(entries) {
+    const slugs = [...new Set(entries.map(entry => entry.input.slug).filter(Boolean))];
+    const skus = [...new Set(entries.flatMap(entry => entrySkus(entry.input)))];
+
+    const [slugSnapshots, skuSnapshots, variantSnapshots] = await Promise.all([
+        Promise.all(chunk(slugs, IN_QUERY_LIMIT).map(values =>
+            db.collection('products').where('slug', 'in', values).get()
+        )),
+        Promise.all(chunk(skus, IN_QUERY_LIMIT).map(values =>
+            db.collection('products').where('sku', 'in', values).get()
+        )),
+        Promise.all(chunk(skus, IN_QUERY_LIMIT).map(values =>
+            db.collectionGroup('variants').where('sku', 'in', values).get()
+        ))
+    ]);
+
+    const products = new Map();
+    const bySlug = new Map();
+    const skuOwners = new Map();
+
+    slugSnapshots.flatMap(snapshot => snapshot.docs).forEach(doc => {
+        products.set(doc.id, { id: doc.id, ...doc.data() });
+        bySlug.set(doc.data().slug, doc.id);
+    });
+    skuSnapshots.flatMap(snapshot => snapshot.docs).forEach(doc => {
+        products.set(doc.id, { id: doc.id, ...doc.data() });
+        skuOwners.set(doc.data().sku, doc.id);
+    });
+    variantSnapshots.flatMap(snapshot => snapshot.docs).forEach(doc => {
+        skuOwners.set(doc.data().sku, doc.ref.parent.parent.id);
+    });
+
+    // Products only reached through a variant SKU
+    const missing = [...new Set(skuOwners.values())].filter(id => !products.has(id));
+    if (missing.length > 0) {
+        const docs = await db.getAll(...missing.map(id => db.collection('products').doc(id)));
+        docs.filter(doc => doc.exists).forEach(doc => products.set(doc.id, { id: doc.id, ...doc.data() }));
+    }
+
+    const variants = new Map();
+    await Promise.all([...products.keys()].map(async (id) => {
+        variants.set(id, await getVariants(id));
+    }));
+
+    return { products, variants, bySlug, skuOwners };
+}
+
+/**
+ * The existing product an entry updates, or null to create one. Errors when
+ * its slug and SKUs point at different products.
+ */
+function resolveMatch(input, matches, errors) {
+    const owners = new Set();
+    entrySkus(input).forEach(sku => {
+        if (matches.skuOwners.has(sku)) owners.add(matches.skuOwners.get(sku));
+    });
+
+    const slugOwner = input.slug ? matches.bySlug.get(input.slug) : undefined;
+    const productId = slugOwner || [...owners][0];
+
+    entrySkus(input).forEach(sku => {
+        const owner = matches.skuOwners.get(sku);
+        if (owner && owner !== productId) {
+            errors.push({ field: 'sku', message: `SKU ${sku} belongs to another product` });
+        }
+    });
+
+    return productId && matches.products.has(productId) ? matches.products.get(productId) : null;
+}
+
+// ===========================
+// PLANNING
+// Each entry becomes a list of writes that run together in one batch
+// ===========================
+
+function checkVariants(variants, errors) {
+    if (variants.length > MAX_VARIANTS_PER_ROW) {
+        errors.push({ field: 'variants', message: `A product can import at most ${MAX_VARIANTS_PER_ROW} variants` });
+    }
+
+    variants.forEach((variant, index) => {
+        const field = `variants[${index}]`;
+        if (!variant || typeof variant !== 'object') {
+            errors.push({ field, message: 'Variant must be an object' });
+            return;
+        }
+        if (!String(variant.sku || '').trim()) {
+            errors.push({ field: `${field}.sku`, message: 'Every variant needs a unique sku' });
+        }
+        if (variant.price !== undefined && !(parseFloat(variant.price) >= 0)) {
+            errors.push({ field: `${field}.price`, message: 'Price must be a number of at least 0' });
+        }
+        if (variant.stock !== undefined && !/^\d+$/.test(String(variant.stock).trim())) {
+            errors.push({ field: `${field}.stock`, message: 'Stock must be a whole number of at least 0' });
+        }
+    });
+}
+
+// Product fields from a validated row, normalized the way POST /api/products stores them
+function productFields(input, categoryId) {
+    const fields = {};
+
+    ['name', 'slug', 'description', 'imageUrl', 'images', 'tags'].forEach(field => {
+        if (input[field] !== undefined) fields[field] = input[field];
+    });
+    BOOLEAN_FIELDS.forEach(field => {
+        if (input[field] !== undefined) fields[field] = Boolean(parseBoolean(input[field]));
+    });
+
+    if (input.sku !== undefined) fields.sku = String(input.sku).trim();
+    if (input.price !== undefined) fields.price = parseFloat(input.price);
+    if (input.compareAtPrice !== undefined) fields.compareAtPrice = input.compareAtPrice ? parseFloat(input.compareAtPrice) : null;
+    if (input.weight !== undefined) fields.weight = input.weight !== null ? parseFloat(input.weight) : null;
+    if (input.lowStockThreshold !== undefined) {
+        fields.lowStockThreshold = input.lowStockThreshold !== null ? parseInt(input.lowStockThreshold) : null;
+    }
+    if (categoryId !== undefined) fields.categoryId = categoryId;
+
+    // The first image doubles as the main image unless one is given
+    if (fields.imageUrl === undefined && Array.isArray(fields.images) && fields.images.length > 0) {
+        fields.imageUrl = fields.images[0];
+    }
+
+    return fields;
+}
+
+function newVariantData(variant) {
+    return {
+        name: '',
+        attributes: {},
+        images: [],
+        weight: null,
+        isActive: true,
+        ...variantFields({ ...variant, isActive: parseBoolean(variant.isActive) }),
+        stock: parseInt(variant.stock) || 0,
+        reserved: 0,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+}
+
+function planCreate(input, categoryId) {
+    const productRef = db.collection('products').doc();
+    const variants = input.variants || [];
+    const writes = [];
+
+    const createdVariants = variants.map(variant => {
+        const ref = variantsCollection(productRef.id).doc();
+        const data = newVariantData(variant);
+        writes.push({ ref, data });
+        return { id: ref.id, ...data };
+    });
+
+    const productData = {
+        description: '',
+        compareAtPrice: null,
+        categoryId: null,
+        imageUrl: null,
+        images: [],
+        isFeatured: false,
+        isActive: true,
+        taxExempt: false,
+        weight: null,
+        lowStockThreshold: null,
+        metadata: input.metadata || {},
+        ...productFields(input, categoryId),
+        // With variants, product stock is the total across them
+        stockQuantity: variants.length > 0
+            ? createdVariants.reduce((sum, variant) => sum + variant.stock, 0)
+            : parseInt(input.stockQuantity) || 0,
+        hasVariants: variants.length > 0,
+        variantCount: variants.length,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+    writes.unshift({ ref: productRef, data: productData });
+
+    const lines = variants.length > 0
+        ? createdVariants.filter(variant => variant.stock).map(variant => ({ variantId: variant.id, quantity: variant.stock }))
+        : [{ quantity: productData.stockQuantity }].filter(line => line.quantity);
+
+    return {
+        action: 'create',
+        productId: productRef.id,
+        revision: { before: null, after: productData },
+        writes,
+        movement: lines.length > 0 && {
+            productId: productRef.id,
+            product: {},
+            lines,
+            variants: createdVariants.map(variant => ({ id: variant.id, stock: 0 }))
+        }
+    };
+}
+
+function planUpdate(input, categoryId, product, existingVariants, errors) {
+    const { increment } = admin.firestore.FieldValue;
+    const productRef = db.collection('products').doc(product.id);
+    const hasVariants = existingVariants.length > 0 || (input.variants || []).length > 0;
+    const writes = [];
+    const lines = [];
+
+    const updates = {
+        ...productFields(input, categoryId),
+        updatedAt: new Date()
+    };
+    if (input.metadata !== undefined) {
+        updates.metadata = { ...(product.metadata || {}), ...input.metadata };
+    }
+
+    if (input.stockQuantity !== undefined) {
+        if (hasVariants) {
+            errors.push({ field: 'stockQuantity', message: 'Stock is set per variant for products with variants' });
+        } else {
+            const quantity = parseInt(input.stockQuantity) - (product.stockQuantity || 0);
+            if (quantity) {
+                updates.stockQuantity = increment(quantity);
+                lines.push({ quantity });
+            }
+        }
+    }
+
+    const bySku = new Map(existingVariants.map(variant => [variant.sku, variant]));
+    const newVariants = [];
+
+    (input.variants || []).forEach(variant => {
+        const existing = bySku.get(String(variant.sku).trim());
+
+        if (!existing) {
+            const ref = variantsCollection(product.id).doc();
+            const data = newVariantData(variant);
+            writes.push({ ref, data });
+            newVariants.push({ id: ref.id, stock: 0 });
+            if (data.stock) lines.push({ variantId: ref.id, quantity: data.stock });
+            return;
+        }
+
+        const { sku, ...fields } = variantFields({ ...variant, isActive: parseBoolean(variant.isActive) });
+        const variantUpdates = { ...fields, updatedAt: new Date() };
+
+        if (variant.stock !== undefined) {
+            const quantity = parseInt(variant.stock) - (existing.stock || 0);
+            if (quantity) {
+                variantUpdates.stock = increment(quantity);
+                lines.push({ variantId: existing.id, quantity });
+            }
+        }
+
+        writes.push({ ref: variantsCollection(product.id).doc(existing.id), data: variantUpdates, update: true });
+    });
+
+    if (newVariants.length > 0) {
+        updates.hasVariants = true;
+        updates.variantCount = increment(newVariants.length);
+    }
+
+    // Variant stock changes move the product total too
+    const variantQuantity = lines.filter(line => line.variantId).reduce((sum, line) => sum + line.quantity, 0);
+    if (variantQuantity) {
+        updates.stockQuantity = increment(variantQuantity);
+    }
+
+    writes.unshift({ ref: productRef, data: updates, update: true });
+
+    const after = {
+        ...product,
+        ...updates,
+        stockQuantity: (product.stockQuantity || 0) + lines.reduce((sum, line) => sum + line.quantity, 0)
+    };
+
+    return {
+        action: 'update',
+        productId: product.id,
+        revision: { before: product, after },
+        writes,
+        movement: lines.length > 0 && {
+            productId: product.id,
+            product,
+            lines,
+            variants: [...existingVariants, ...newVariants]
+        }
+    };
+}
+
+// ===========================
+// IMPORT
+// ===========================
+
+async function commitPlans(plans, { user, source }) {
+    let batch = db.batch();
+    let pending = 0;
+
+    for (const plan of plans) {
+        // Room for the revision and a baseline revision
+        const count = plan.writes.length + (plan.movement ? 1 : 0) + 2;
+        if (pending > 0 && pending + count > MAX_BATCH_WRITES) {
+            await batch.commit();
+            batch = db.batch();
+            pending = 0;
+        }
+
+        const { before, after } = plan.revision;
+        Object.assign(plan.writes[0].data, recordRevision(batch, plan.productId, before, after, { user, source }));
+
+        plan.writes.forEach(({ ref, data, update }) => {
+            if (update) {
+                batch.update(ref, data);
+            } else {
+                batch.set(ref, data);
+            }
+        });
+
+        if (plan.movement) {
+            const { productId, product, lines, variants } = plan.movement;
+            recordMovement(batch, productId, product, lines, {
+                type: 'import',
+                actor: user.email || user.id,
+                reason: 'Bulk import'
+            }, variants);
+        }
+
+        pending += count;
+    }
+
+    if (pending > 0) {
+        await batch.commit();
+    }
+}
+
+/**
+ * Validate and apply import entries in chunks. `validate(input)` runs the
+ * product create rules against a row and resolves to [{ field, message }];
+ * `user` and `source` are recorded on ledger entries and revisions.
+ * With `dryRun` every row is checked and matched but nothing is written.
+ * Rows with errors are skipped; the rest are written.
+ * Returns { summary, rows: [{ row, slug, action, productId, errors }] }.
+ */
+async function importProducts(entries, { dryRun = false, user, source, validate }) {
+    const report = entries.map(entry => ({
+        row: entry.row,
+        slug: entry.input.slug || null,
+        action: 'skip',
+        productId: null,
+        errors: []
+    }));
+
+    findDuplicates(entries, report);
+    const categories = await categoryIdsBySlug();
+
+    for (const [chunkIndex, chunkEntries] of chunk(entries, IMPORT_CHUNK_SIZE).entries()) {
+        const matches = await findMatches(chunkEntries);
+        const plans = [];
+
+        for (const [position, entry] of chunkEntries.entries()) {
+            const result = report[chunkIndex * IMPORT_CHUNK_SIZE + position];
+            const errors = result.errors;
+            const product = resolveMatch(entry.input, matches, errors);
+
+            // Updates only need the fields they change; required fields come from the product
+            const input = product
+                ? { name: product.name, slug: product.slug, price: product.price, ...entry.input }
+                : entry.input;
+
+            errors.push(...await validate(input));
+            checkVariants(Array.isArray(input.variants) ? input.variants : [], errors);
+
+            let categoryId;
+            if (input.category !== undefined) {
+                categoryId = categories.get(String(input.category).trim());
+                if (!categoryId) {
+                    errors.push({ field: 'category', message: `Category ${input.category} not found` });
+                }
+            } else if (input.categoryId !== undefined) {
+                categoryId = input.categoryId || null;
+            }
+
+            if (errors.length > 0) continue;
+
+            const plan = product
+                ? planUpdate(input, categoryId, product, matches.variants.get(product.id) || [], errors)
+                : planCreate(input, categoryId);
+
+            if (errors.length > 0) continue;
+
+            result.action = plan.action;
+            result.productId = product ? product.id : (dryRun ? null : plan.productId);
+            plans.push(plan);
+        }
+
+        if (!dryRun) {
+            await commitPlans(plans, { user, source });
+        }
+    }
+
+    return {
+        summary: {
+            total: report.length,
+            created: report.filter(result => result.action === 'create').length,
+            updated: report.filter(result => result.action === 'update').length,
+            failed: report.filter(result => result.errors.length > 0).length
+        },
+        rows: report
+    };
+}
+
+module.exports = {
+    parseCsv,
+    csvEntries,
+    jsonEntries,
+    importProducts
+};
@@ -0,0 +1,207 @@
+const { db } = require('../config/firebase');
+const { recordRevision } = require('./revisions');
+
+// ===========================
+// PRODUCT SCHEDULES
+// Products can carry a publishing window and a sale window:
+// { publishAt, unpublishAt, salePrice, saleStartsAt, saleEndsAt }
+// Sale prices are worked out whenever a product is read, so a sale starts and
+// ends on time. Visibility lives in `isActive`, which listings query on. A
+// scheduled job flips it as `publishAt`/`unpublishAt` pass and clears sales
+// that have ended; single-product reads and orders check the window
+// themselves so they are exact in between runs.
+// ===========================
+
+const DATE_FIELDS = ['publishAt', 'unpublishAt', 'saleStartsAt', 'saleEndsAt'];
+
+// Products written per batch by the scheduled job (update plus up to two revisions each)
+const SCHEDULE_BATCH_SIZE = 100;
+
+function scheduleError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whether shoppers can see and buy a product right now. A passed `publishAt`
+ * counts as live even before the scheduled job has switched `isActive` on.
+ */
+function isPublished(product, now = new Date()) {
+    const publishAt = toDate(product.publishAt);
+    const unpublishAt = toDate(product.unpublishAt);
+
+    if (unpublishAt && unpublishAt <= now) return false;
+    if (publishAt) return publishAt <= now;
+    return Boolean(product.isActive);
+}
+
+function saleRunning(product, now) {
+    const startsAt = toDate(product.saleStartsAt);
+    const endsAt = toDate(product.saleEndsAt);
+    return (!startsAt || startsAt <= now) && (!endsAt || endsAt > now);
+}
+
+/**
+ * What a product, or one of its variants, sells for right now:
+ * { price, regularPrice, compareAtPrice, onSale }.
+ * Variants with their own price use their own `salePrice`; the rest follow
+ * the product's. The sale window is always the product's.
+ */
+function activePrice(product, variant = null, now = new Date()) {
+    const ownPrice = Boolean(variant && variant.price);
+    const regularPrice = ownPrice ? variant.price : product.price;
+    const salePrice = ownPrice ? variant.salePrice : product.salePrice;
+    const onSale = salePrice !== undefined && salePrice !== null &&
+        salePrice < regularPrice && saleRunning(product, now);
+
+    return {
+        price: onSale ? salePrice : regularPrice,
+        regularPrice,
+        // During a sale the regular price (or a higher list price) is shown struck through
+        compareAtPrice: onSale
+            ? Math.max(regularPrice, product.compareAtPrice || 0)
+            : product.compareAtPrice || null,
+        onSale
+    };
+}
+
+/**
+ * A product (and its loaded variants) with `price` set to what it sells for
+ * now, for API responses. Adds `regularPrice`, `onSale` and `saleEndsAt`.
+ */
+function withActivePrice(product, now = new Date()) {
+    const pricing = activePrice(product, null, now);
+
+    return {
+        ...product,
+        ...pricing,
+        saleEndsAt: pricing.onSale ? toDate(product.saleEndsAt) : null,
+        ...(Array.isArray(product.variants) && {
+            variants: product.variants.map(variant => {
+                const variantPricing = activePrice(product, variant, now);
+                return {
+                    ...variant,
+                    price: variantPricing.price,
+                    regularPrice: variantPricing.regularPrice,
+                    onSale: variantPricing.onSale
+                };
+            })
+        })
+    };
+}
+
+/**
+ * Pick and normalize the schedule fields from a request body. Dates may be
+ * anything `Date` parses, or null to clear them. `product` is the product
+ * as it will be once the rest of the request is applied, for checking the
+ * windows and the sale price against it. A product scheduled to go live
+ * later is switched off until then.
+ * Throws a 400 error for invalid values.
+ */
+function scheduleFields(input, product = {}) {
+    const fields = {};
+
+    DATE_FIELDS.forEach(field => {
+        if (input[field] === undefined) return;
+        if (input[field] === null || input[field] === '') {
+            fields[field] = null;
+            return;
+        }
+
+        const date = toDate(input[field]);
+        if (!date) throw scheduleError(`${field} must be a date`);
+        fields[field] = date;
+    });
+
+    if (input.salePrice !== undefined) {
+        const salePrice = input.salePrice === null || input.salePrice === '' ? null : parseFloat(input.salePrice);
+        if (salePrice !== null && !(salePrice >= 0)) {
+            throw scheduleError('salePrice must be a non-negative number');
+        }
+        fields.salePrice = salePrice;
+    }
+
+    const result = { ...product, ...fields };
+    const [publishAt, unpublishAt, saleStartsAt, saleEndsAt] = DATE_FIELDS.map(field => toDate(result[field]));
+
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+        throw scheduleError('unpublishAt must be after publishAt');
+    }
+    if (saleStartsAt && saleEndsAt && saleEndsAt <= saleStartsAt) {
+        throw scheduleError('saleEndsAt must be after saleStartsAt');
+    }
+    if (result.salePrice !== undefined && result.salePrice !== null && result.salePrice >= parseFloat(result.price)) {
+        throw scheduleError('salePrice must be below price');
+    }
+
+    if (fields.publishAt && fields.publishAt > new Date()) {
+        fields.isActive = false;
+    }
+
+    return fields;
+}
+
+/**
+ * Publish and retire products whose times have passed, and clear sales that
+ * have ended. Each change is recorded as a revision by `system`.
+ */
+async function applyProductSchedules(now = new Date()) {
+    const products = db.collection('products');
+    const [publishing, retiring, salesEnded] = await Promise.all([
+        products.where('publishAt', '<=', now).get(),
+        products.where('unpublishAt', '<=', now).get(),
+        products.where('saleEndsAt', '<=', now).get()
+    ]);
+
+    // A product due for more than one change gets them in a single write;
+    // retiring wins over publishing when both times have passed
+    const pending = new Map();
+    const queue = (doc, fields) => {
+        const entry = pending.get(doc.id) || { doc, updates: {} };
+        Object.assign(entry.updates, fields);
+        pending.set(doc.id, entry);
+    };
+
+    publishing.docs.forEach(doc => queue(doc, { isActive: true, publishAt: null }));
+    retiring.docs.forEach(doc => queue(doc, { isActive: false, unpublishAt: null }));
+    salesEnded.docs.forEach(doc => queue(doc, { salePrice: null, saleStartsAt: null, saleEndsAt: null }));
+
+    const entries = [...pending.values()];
+    for (let i = 0; i < entries.length; i += SCHEDULE_BATCH_SIZE) {
+        const batch = db.batch();
+
+        entries.slice(i, i + SCHEDULE_BATCH_SIZE).forEach(({ doc, updates }) => {
+            const revisionFields = recordRevision(batch, doc.id, doc.data(), { ...doc.data(), ...updates }, {
+                user: null,
+                source: 'schedule'
+            });
+            batch.update(doc.ref, { ...updates, ...revisionFields, updatedAt: new Date() });
+        });
+
+        await batch.commit();
+    }
+
+    return {
+        published: publishing.size,
+        unpublished: retiring.size,
+        salesEnded: salesEnded.size
+    };
+}
+
+module.exports = {
+    toDate,
+    isPublished,
+    activePrice,
+    withActivePrice,
+    scheduleFields,
+    applyProductSchedules
+};
@@ -0,0 +1,300 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { roundCurrency } = require('./tax');
+const { getProvider } = require('./payments');
+const { restockLines } = require('./inventory');
+const { stockLines } = require('./bundles');
+const { restockableLines } = require('./orderStatus');
+const { adjustStoreCredit } = require('./storeCredit');
+
+// ===========================
+// REFUNDS
+// Refunds are kept on the order in `refunds`, with per-line `refundedQuantity`,
+// order-level `refundedShipping` and `refundedAmount` tracking what is left.
+// Per-line `restockedQuantity` tracks units already back in stock so refunds,
+// returns and cancellations never restock the same unit twice.
+// Each refund splits its `amount` into `providerAmount` (back to the payment)
+// and `creditAmount` (back as store credit). Orders partly paid with store
+// credit refund the payment first, up to what it paid, and the rest as credit.
+// ===========================
+
+// Error surfaced to the client with its status
+const refundError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// What the order can refund in all. Store credit already given back when an
+// unpaid order was cancelled is not refunded again if a payment arrives late.
+function refundableTotal(order) {
+    return order.storeCreditReturned
+        ? roundCurrency(order.total - (order.storeCreditApplied || 0))
+        : order.total;
+}
+
+/**
+ * Price a refund request against what is still refundable on the order.
+ * Line amounts include their share of tax unless prices already include it.
+ */
+function buildRefund(order, { items = [], shipping = 0, full = false }) {
+    const orderItems = order.items || [];
+    const remaining = orderItems.map(item => item.quantity - (item.refundedQuantity || 0));
+    const requested = full
+        ? orderItems.map((item, index) => ({ ...item, quantity: remaining[index] }))
+        : items;
+
+    const lines = [];
+
+    for (const request of requested) {
+        let quantity = request.quantity;
+        if (!quantity) continue;
+
+        // Spread the quantity over matching lines that still have refundable units
+        orderItems.forEach((item, index) => {
+            if (quantity === 0) return;
+            if (item.productId !== request.productId) return;
+            if ((item.variantId || null) !== (request.variantId || null)) return;
+
+            const take = Math.min(quantity, remaining[index]);
+            if (take <= 0) return;
+
+            const unitPrice = item.subtotal / item.quantity;
+            const unitTax = order.pricesIncludeTax ? 0 : (item.taxAmount || 0) / item.quantity;
+
+            lines.push({
+                lineIndex: index,
+                productId: item.productId,
+                productName: item.productName || null,
+                variantId: item.variantId || null,
+                ...(item.components && { components: item.components }),
+                // Downloads have no stock to put back
+                ...(item.digital && { digital: true }),
+                quantity: take,
+                amount: roundCurrency((unitPrice + unitTax) * take)
+            });
+
+            remaining[index] -= take;
+            quantity -= take;
+        });
+
+        if (quantity > 0) {
+            throw refundError(`Cannot refund ${request.quantity} of ${request.productId}: exceeds refundable quantity`);
+        }
+    }
+
+    const shippingRemaining = roundCurrency((order.shipping || 0) - (order.refundedShipping || 0));
+    const shippingAmount = full ? shippingRemaining : roundCurrency(Number(shipping) || 0);
+
+    if (shippingAmount > shippingRemaining) {
+        throw refundError(`Shipping refund exceeds refundable shipping of ${shippingRemaining.toFixed(2)}`);
+    }
+
+    const shippingTax = !order.pricesIncludeTax && order.shipping > 0
+        ? roundCurrency((order.shippingTax || 0) * shippingAmount / order.shipping)
+        : 0;
+
+    const pending = (order.refunds || [])
+        .filter(refund => refund.status === 'pending')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+    const refundable = roundCurrency(refundableTotal(order) - (order.refundedAmount || 0) - pending);
+    let amount = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0) + shippingAmount + shippingTax);
+
+    // Refunding everything that is left settles any rounding remainder
+    const settlesOrder = remaining.every(quantity => quantity === 0) && shippingAmount === shippingRemaining;
+    if (settlesOrder || amount > refundable) {
+        amount = refundable;
+    }
+
+    return {
+        items: lines,
+        shipping: shippingAmount,
+        shippingTax,
+        amount
+    };
+}
+
+// What is still refundable to the order's payment, as opposed to store credit
+function providerRefundable(order) {
+    const paid = order.amountDue !== undefined ? order.amountDue : order.total;
+    const refunded = (order.refunds || [])
+        .filter(refund => refund.status !== 'failed')
+        .reduce((sum, refund) => sum + (refund.providerAmount !== undefined
+            ? refund.providerAmount
+            : refund.method === 'store_credit' ? 0 : refund.amount), 0);
+
+    return Math.max(roundCurrency(paid - refunded), 0);
+}
+
+/**
+ * Record a refund, send it to the payment provider and optionally restock.
+ * Quantities are reserved first so concurrent refunds cannot exceed the order;
+ * a provider failure releases them again.
+ * `method: 'store_credit'` credits the customer's account instead of the payment.
+ */
+async function createRefund(orderId, { items, shipping, full, restock = false, reason = '', actor, method = 'original' }) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    // Reserve the refund on the order
+    const { order, refund } = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+            throw refundError('Order not found', 404);
+        }
+
+        const order = orderDoc.data();
+
+        if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+            throw refundError(`Only paid orders can be refunded (payment ${order.paymentStatus})`);
+        }
+
+        const built = buildRefund(order, { items, shipping, full });
+        const providerAmount = method === 'store_credit'
+            ? 0
+            : roundCurrency(Math.min(built.amount, providerRefundable(order)));
+        const creditAmount = roundCurrency(built.amount - providerAmount);
+
+        if (creditAmount > 0 && !order.userId) {
+            throw refundError('Store credit requires an order placed with an account');
+        }
+
+        const refund = {
+            id: uuidv4(),
+            ...built,
+            providerAmount,
+            creditAmount,
+            reason,
+            method,
+            restock: Boolean(restock),
+            status: 'pending',
+            provider: order.payment ? order.payment.provider : null,
+            providerRefundId: null,
+            createdBy: actor,
+            createdAt: new Date()
+        };
+
+        if (refund.amount <= 0) {
+            throw refundError('Nothing to refund');
+        }
+
+        transaction.update(orderRef, {
+            ...applyRefundQuantities(order, refund, 1),
+            refunds: [...(order.refunds || []), refund],
+            updatedAt: new Date()
+        });
+
+        return { order, refund };
+    });
+
+    // Send the money back. Orders paid offline are refunded offline.
+    let providerRefund = null;
+    let failure = null;
+
+    if (refund.providerAmount > 0 && order.payment && order.payment.paymentId) {
+        try {
+            providerRefund = await getProvider(order.payment.provider).refund(order, {
+                amount: refund.providerAmount,
+                reason,
+                idempotencyKey: refund.id
+            });
+        } catch (error) {
+            console.error('Provider refund error:', error);
+            failure = error;
+        }
+    }
+
+    // Settle: complete and restock, or release the reserved quantities
+    const settled = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        const current = orderDoc.data();
+
+        if (failure) {
+            const failed = { ...refund, status: 'failed', error: failure.message };
+            transaction.update(orderRef, {
+                ...applyRefundQuantities(current, refund, -1),
+                refunds: current.refunds.map(r => r.id === refund.id ? failed : r),
+                updatedAt: new Date()
+            });
+            return failed;
+        }
+
+        // Cancelled orders and units restocked earlier are skipped
+        const restock = refund.restock ? restockableLines(current, refund.items) : null;
+
+        if (restock && restock.lines.length > 0) {
+            await restockLines(transaction, stockLines(restock.lines), {
+                type: 'return',
+                actor,
+                reason: reason || 'Refund restock',
+                referenceId: orderId
+            });
+        }
+
+        if (refund.creditAmount > 0) {
+            adjustStoreCredit(transaction, current.userId, refund.creditAmount, {
+                type: 'refund',
+                orderId,
+                refundId: refund.id,
+                reason,
+                actor
+            });
+        }
+
+        const completed = {
+            ...refund,
+            ...(restock && {
+                items: refund.items.map(line => {
+                    const restocked = restock.lines.find(r => r.lineIndex === line.lineIndex);
+                    return { ...line, restockedQuantity: restocked ? restocked.quantity : 0 };
+                })
+            }),
+            status: 'completed',
+            providerRefundId: providerRefund ? providerRefund.refundId : null,
+            completedAt: new Date()
+        };
+        const refundedAmount = roundCurrency((current.refundedAmount || 0) + refund.amount);
+        const paymentStatus = refundedAmount >= refundableTotal(current) ? 'refunded' : 'partially_refunded';
+
+        transaction.update(orderRef, {
+            ...(restock && { items: restock.items }),
+            refunds: current.refunds.map(r => r.id === refund.id ? completed : r),
+            refundedAmount,
+            paymentStatus,
+            ...(current.payment && { 'payment.status': paymentStatus }),
+            // A payment that arrived for a cancelled order has now been returned
+            ...(current.refundRequired && paymentStatus === 'refunded' && { refundRequired: false }),
+            updatedAt: new Date()
+        });
+
+        return completed;
+    });
+
+    if (failure) {
+        throw refundError(`Payment provider refund failed: ${failure.message}`, 502);
+    }
+
+    return settled;
+}
+
+// Add (direction 1) or release (direction -1) a refund's quantities on an order
+function applyRefundQuantities(order, refund, direction) {
+    const items = (order.items || []).map((item, index) => {
+        const quantity = refund.items
+            .filter(line => line.lineIndex === index)
+            .reduce((sum, line) => sum + line.quantity, 0);
+
+        return quantity
+            ? { ...item, refundedQuantity: (item.refundedQuantity || 0) + direction * quantity }
+            : item;
+    });
+
+    return {
+        items,
+        refundedShipping: roundCurrency((order.refundedShipping || 0) + direction * refund.shipping)
+    };
+}
+
+module.exports = {
+    buildRefund,
+    createRefund
+};
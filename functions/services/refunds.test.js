@@ -0,0 +1,126 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeProvider = require('./payments/fake');
+const { buildRefund, createRefund } = require('./refunds');
+
+// Two candles at $10 and a $5 soap, 10% tax, $4 shipping taxed at $0.40
+const paidOrder = (overrides = {}) => ({
+    userId: 'u1',
+    status: 'delivered',
+    paymentStatus: 'paid',
+    payment: { provider: 'fake', paymentId: 'pay1', status: 'paid' },
+    items: [
+        { productId: 'candle', productName: 'Candle', quantity: 2, subtotal: 20, taxAmount: 2 },
+        { productId: 'soap', productName: 'Soap', quantity: 1, subtotal: 5, taxAmount: 0.5 }
+    ],
+    shipping: 4,
+    shippingTax: 0.4,
+    tax: 2.9,
+    total: 31.9,
+    ...overrides
+});
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({ 'products/candle': { name: 'Candle', stockQuantity: 5 } });
+});
+
+test('buildRefund prices lines with their share of tax', () => {
+    const refund = buildRefund(paidOrder(), { items: [{ productId: 'candle', quantity: 1 }], shipping: 2 });
+
+    assert.deepEqual(refund.items.map(line => [line.lineIndex, line.quantity, line.amount]), [[0, 1, 11]]);
+    assert.equal(refund.shippingTax, 0.2);
+    assert.equal(refund.amount, 13.2);
+});
+
+test('buildRefund refuses more than is left to refund', () => {
+    const order = paidOrder();
+    order.items[0].refundedQuantity = 2;
+
+    assert.throws(() => buildRefund(order, { items: [{ productId: 'candle', quantity: 1 }] }), { status: 400 });
+    assert.throws(() => buildRefund(order, { shipping: 5 }), { message: 'Shipping refund exceeds refundable shipping of 4.00' });
+});
+
+test('buildRefund for everything settles the rest of the order', () => {
+    const order = paidOrder({ refundedAmount: 11, refunds: [] });
+    order.items[0].refundedQuantity = 1;
+
+    assert.equal(buildRefund(order, { full: true }).amount, 20.9);
+});
+
+test('a refund with restock returns the units and the money', async () => {
+    fake.seed({ 'orders/o1': paidOrder() });
+
+    const refund = await createRefund('o1', { items: [{ productId: 'candle', quantity: 1 }], restock: true, actor: 'admin' });
+
+    assert.equal(refund.status, 'completed');
+    assert.equal(refund.providerAmount, 11);
+    assert.match(refund.providerRefundId, /^fake_refund_/);
+
+    const order = fake.read('orders/o1');
+    assert.equal(order.paymentStatus, 'partially_refunded');
+    assert.equal(order.refundedAmount, 11);
+    assert.equal(order.items[0].refundedQuantity, 1);
+    assert.equal(order.items[0].restockedQuantity, 1);
+    assert.equal(fake.read('products/candle').stockQuantity, 6);
+    assert.equal(fake.list('inventoryMovements')[0].type, 'return');
+});
+
+test('units restocked once are not restocked again', async () => {
+    const order = paidOrder();
+    order.items[0].restockedQuantity = 2;
+    fake.seed({ 'orders/o1': order });
+
+    const refund = await createRefund('o1', { items: [{ productId: 'candle', quantity: 2 }], restock: true, actor: 'admin' });
+
+    assert.equal(refund.items[0].restockedQuantity, 0);
+    assert.equal(fake.read('products/candle').stockQuantity, 5);
+});
+
+test('refunding a cancelled order does not restock it', async () => {
+    fake.seed({ 'orders/o1': paidOrder({ status: 'cancelled', refundRequired: true }) });
+
+    await createRefund('o1', { full: true, restock: true, actor: 'admin' });
+
+    const order = fake.read('orders/o1');
+    assert.equal(order.paymentStatus, 'refunded');
+    assert.equal(order.refundRequired, false);
+    assert.equal(fake.read('products/candle').stockQuantity, 5);
+    assert.equal(fake.list('inventoryMovements').length, 0);
+});
+
+test('an order partly paid with credit refunds the payment first, then credit', async () => {
+    fake.seed({ 'orders/o1': paidOrder({ storeCreditApplied: 21.9, amountDue: 10 }) });
+
+    const refund = await createRefund('o1', { full: true, actor: 'admin' });
+
+    assert.equal(refund.providerAmount, 10);
+    assert.equal(refund.creditAmount, 21.9);
+    assert.equal(fake.read('storeCredit/u1').balance, 21.9);
+    assert.equal(fake.read('orders/o1').paymentStatus, 'refunded');
+});
+
+test('a provider failure releases the refunded quantities', async (t) => {
+    t.mock.method(fakeProvider, 'refund', async () => {
+        throw new Error('card network down');
+    });
+    t.mock.method(console, 'error', () => {});
+    fake.seed({ 'orders/o1': paidOrder() });
+
+    await assert.rejects(
+        createRefund('o1', { items: [{ productId: 'soap', quantity: 1 }], actor: 'admin' }),
+        { status: 502, message: 'Payment provider refund failed: card network down' }
+    );
+
+    const order = fake.read('orders/o1');
+    assert.equal(order.items[1].refundedQuantity, 0);
+    assert.equal(order.refunds[0].status, 'failed');
+    assert.equal(order.paymentStatus, 'paid');
+});
+
+test('only paid orders can be refunded', async () => {
+    fake.seed({ 'orders/o1': paidOrder({ paymentStatus: 'pending' }) });
+
+    await assert.rejects(createRefund('o1', { full: true }), { status: 400, message: 'Only paid orders can be refunded (payment pending)' });
+});
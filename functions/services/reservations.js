@@ -0,0 +1,180 @@
+const { admin, db } = require('../config/firebase');
+const { groupByProduct, readLineStock, applyStockDeltas } = require('./inventory');
+const { variantRef } = require('./variants');
+
+// ===========================
+// INVENTORY RESERVATIONS
+// Checkout holds stock in `reservations`:
+// { orderId, items: [{ productId, variantId, quantity }], status, expiresAt }
+// status: active → converted (payment succeeded) | released (cancelled) | expired
+// Active holds are mirrored as `reservedQuantity` on products and `reserved` on variants.
+// ===========================
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+
+/**
+ * Hold stock for a new order. Writes only: the caller has already read and
+ * validated the products and variants in the same transaction.
+ */
+function reserveLines(transaction, lines, { orderId }) {
+    const { increment } = admin.firestore.FieldValue;
+    const byProduct = groupByProduct(lines);
+    const reservationRef = db.collection('reservations').doc();
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+    Object.keys(byProduct).forEach(productId => {
+        const productLines = byProduct[productId];
+        const quantity = productLines.reduce((sum, line) => sum + line.quantity, 0);
+
+        transaction.update(db.collection('products').doc(productId), {
+            reservedQuantity: increment(quantity),
+            updatedAt: new Date()
+        });
+
+        const byVariant = {};
+        productLines.filter(line => line.variantId).forEach(line => {
+            byVariant[line.variantId] = (byVariant[line.variantId] || 0) + line.quantity;
+        });
+
+        Object.keys(byVariant).forEach(variantId => {
+            transaction.update(variantRef(productId, variantId), {
+                reserved: increment(byVariant[variantId]),
+                updatedAt: new Date()
+            });
+        });
+    });
+
+    transaction.set(reservationRef, {
+        orderId,
+        items: lines.map(line => ({
+            productId: line.productId,
+            variantId: line.variantId || null,
+            quantity: line.quantity
+        })),
+        status: 'active',
+        expiresAt,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    });
+
+    return {
+        id: reservationRef.id,
+        expiresAt
+    };
+}
+
+/**
+ * Release an active hold inside a transaction. Reads before writing, so call it
+ * after the caller's reads and before the caller's writes.
+ * Returns the reservation's status before the call ('converted' means the stock
+ * was already decremented and must be restocked instead).
+ */
+async function releaseReservation(transaction, reservationId, status = 'released') {
+    const reservationRef = db.collection('reservations').doc(reservationId);
+    const reservationDoc = await transaction.get(reservationRef);
+
+    if (!reservationDoc.exists) return null;
+
+    const reservation = reservationDoc.data();
+    if (reservation.status !== 'active') return reservation.status;
+
+    const byProduct = groupByProduct(reservation.items);
+    const stock = await readLineStock(transaction, byProduct);
+
+    applyStockDeltas(transaction, stock, byProduct, { reserved: -1 });
+    transaction.update(reservationRef, {
+        status,
+        [`${status}At`]: new Date(),
+        updatedAt: new Date()
+    });
+
+    return 'active';
+}
+
+/**
+ * Turn a hold into a real stock decrement once payment succeeds. Idempotent.
+ * Only an active hold on an order that is still open is converted. A payment
+ * for a cancelled order, or one arriving after its hold was released or
+ * expired, takes no stock: those units may already be sold to someone else.
+ * The order is flagged `refundRequired` instead, for an admin to refund.
+ * The decrement is recorded in the ledger as a `sale` by `actor`.
+ * Returns the reservation's status afterwards.
+ */
+async function convertReservation(reservationId, { actor } = {}) {
+    const reservationRef = db.collection('reservations').doc(reservationId);
+
+    return db.runTransaction(async (transaction) => {
+        const reservationDoc = await transaction.get(reservationRef);
+        if (!reservationDoc.exists) return null;
+
+        const reservation = reservationDoc.data();
+        if (reservation.status === 'converted') return reservation.status;
+
+        const orderRef = db.collection('orders').doc(reservation.orderId);
+        const orderDoc = await transaction.get(orderRef);
+        const order = orderDoc.exists ? orderDoc.data() : null;
+
+        if (reservation.status !== 'active' || (order && order.status === 'cancelled')) {
+            if (order && !order.refundRequired) {
+                transaction.update(orderRef, {
+                    refundRequired: true,
+                    refundRequiredReason: order.status === 'cancelled'
+                        ? 'Payment received for a cancelled order'
+                        : `Payment received after the stock hold was ${reservation.status}`,
+                    refundRequiredAt: new Date(),
+                    updatedAt: new Date()
+                });
+            }
+            return reservation.status;
+        }
+
+        const byProduct = groupByProduct(reservation.items);
+        const stock = await readLineStock(transaction, byProduct);
+
+        applyStockDeltas(transaction, stock, byProduct, {
+            stock: -1,
+            reserved: -1
+        }, {
+            type: 'sale',
+            actor,
+            reason: 'Payment received',
+            referenceId: reservation.orderId
+        });
+
+        transaction.update(reservationRef, {
+            status: 'converted',
+            convertedAt: new Date(),
+            updatedAt: new Date()
+        });
+        transaction.update(orderRef, {
+            reservationStatus: 'converted',
+            updatedAt: new Date()
+        });
+
+        return 'converted';
+    });
+}
+
+/**
+ * Active reservations past their expiry time
+ */
+async function findExpiredReservations(limit = 100) {
+    const snapshot = await db.collection('reservations')
+        .where('status', '==', 'active')
+        .where('expiresAt', '<=', new Date())
+        .limit(limit)
+        .get();
+
+    return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+    }));
+}
+
+module.exports = {
+    RESERVATION_TTL_MINUTES,
+    reserveLines,
+    releaseReservation,
+    convertReservation,
+    findExpiredReservations
+};
@@ -0,0 +1,90 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db } = fake;
+const { reserveLines, releaseReservation, convertReservation, findExpiredReservations } = require('./reservations');
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({
+        'products/tee': { name: 'Tee', stockQuantity: 10, reservedQuantity: 0 },
+        'products/tee/variants/m': { name: 'M', stock: 6, reserved: 0 }
+    });
+});
+
+async function reserve(lines) {
+    const hold = await db.runTransaction(async (transaction) => reserveLines(transaction, lines, { orderId: 'o1' }));
+    fake.seed({ 'orders/o1': { status: 'pending', reservationId: hold.id } });
+    return hold;
+}
+
+test('a hold reserves product and variant units', async () => {
+    const hold = await reserve([{ productId: 'tee', variantId: 'm', quantity: 2 }, { productId: 'tee', quantity: 1 }]);
+
+    assert.equal(fake.read('products/tee').reservedQuantity, 3);
+    assert.equal(fake.read('products/tee/variants/m').reserved, 2);
+    assert.equal(fake.read(`reservations/${hold.id}`).status, 'active');
+    assert.ok(hold.expiresAt > new Date());
+});
+
+test('converting a hold takes the stock and logs a sale, once', async () => {
+    const hold = await reserve([{ productId: 'tee', variantId: 'm', quantity: 2 }]);
+
+    assert.equal(await convertReservation(hold.id, { actor: 'fake' }), 'converted');
+    assert.equal(await convertReservation(hold.id, { actor: 'fake' }), 'converted');
+
+    assert.equal(fake.read('products/tee').stockQuantity, 8);
+    assert.equal(fake.read('products/tee').reservedQuantity, 0);
+    assert.equal(fake.read('products/tee/variants/m').stock, 4);
+    assert.equal(fake.read('products/tee/variants/m').reserved, 0);
+    assert.equal(fake.read('orders/o1').reservationStatus, 'converted');
+
+    const movements = fake.list('inventoryMovements');
+    assert.equal(movements.length, 1);
+    assert.equal(movements[0].type, 'sale');
+    assert.deepEqual(movements[0].variants, [{ id: 'm', quantity: -2, before: 6, after: 4 }]);
+});
+
+test('releasing a hold returns the reserved units', async () => {
+    const hold = await reserve([{ productId: 'tee', variantId: 'm', quantity: 2 }]);
+
+    const previous = await db.runTransaction(transaction => releaseReservation(transaction, hold.id, 'expired'));
+
+    assert.equal(previous, 'active');
+    assert.equal(fake.read(`reservations/${hold.id}`).status, 'expired');
+    assert.equal(fake.read('products/tee').reservedQuantity, 0);
+    assert.equal(fake.read('products/tee/variants/m').reserved, 0);
+});
+
+test('a payment after the hold expired takes no stock and flags a refund', async () => {
+    const hold = await reserve([{ productId: 'tee', quantity: 2 }]);
+    await db.runTransaction(transaction => releaseReservation(transaction, hold.id, 'expired'));
+
+    assert.equal(await convertReservation(hold.id), 'expired');
+
+    const order = fake.read('orders/o1');
+    assert.equal(order.refundRequired, true);
+    assert.equal(order.refundRequiredReason, 'Payment received after the stock hold was expired');
+    assert.equal(fake.read('products/tee').stockQuantity, 10);
+});
+
+test('a payment for a cancelled order takes no stock and flags a refund', async () => {
+    const hold = await reserve([{ productId: 'tee', quantity: 2 }]);
+    fake.seed({ 'orders/o1': { status: 'cancelled', reservationId: hold.id } });
+
+    await convertReservation(hold.id);
+
+    assert.equal(fake.read('orders/o1').refundRequiredReason, 'Payment received for a cancelled order');
+    assert.equal(fake.read('products/tee').stockQuantity, 10);
+    assert.equal(fake.list('inventoryMovements').length, 0);
+});
+
+test('findExpiredReservations lists only active holds past their expiry', async () => {
+    fake.seed({
+        'reservations/old': { status: 'active', expiresAt: new Date(Date.now() - 1000) },
+        'reservations/done': { status: 'converted', expiresAt: new Date(Date.now() - 1000) },
+        'reservations/new': { status: 'active', expiresAt: new Date(Date.now() + 60000) }
+    });
+
+    assert.deepEqual((await findExpiredReservations()).map(r => r.id), ['old']);
+});
@@ -0,0 +1,249 @@
+const { admin, db } = require('../config/firebase');
+const { paginateQuery } = require('./pagination');
+
+// ===========================
+// PRODUCT REVISIONS
+// Every admin change to a product appends a revision to
+// `products/{productId}/revisions/{revisionId}`:
+// { action: create|update|rollback|baseline, source, actor, actorEmail,
+//   changes: [{ field, from, to }], snapshot, rolledBackTo, createdAt }
+// `snapshot` is the product as it stood after the change. `actor` is the user
+// id, or `apikey_<keyId>` for API key clients.
+//
+// Products edited before revisions existed get a `baseline` revision holding
+// their previous state the first time they change, so that edit can be undone.
+// ===========================
+
+// Kept up to date by stock, reviews, wishlists, analytics and triggers rather
+// than by admins, so they are neither tracked nor rolled back
+const SYSTEM_FIELDS = [
+    'reservedQuantity', 'averageRating', 'reviewCount', 'wishlistCount', 'views',
+    'addToCartCount', 'purchases', 'revenue', 'hasVariants', 'variantCount',
+    'variantOptions', 'stockStatus', 'autoHidden', 'revisionCount', 'createdAt', 'updatedAt'
+];
+
+// Tracked, but owned by the inventory ledger, so rollbacks leave it alone
+const ROLLBACK_EXCLUDED_FIELDS = ['stockQuantity'];
+
+function revisionsCollection(productId) {
+    return db.collection('products').doc(productId).collection('revisions');
+}
+
+const toComparable = (value) => JSON.stringify(value, (key, item) => (
+    item && typeof item.toMillis === 'function' ? item.toMillis() : item
+));
+
+/**
+ * The tracked fields of a product (id and system fields left out).
+ */
+function snapshotOf(product) {
+    const snapshot = {};
+
+    Object.entries(product || {}).forEach(([field, value]) => {
+        if (field === 'id' || SYSTEM_FIELDS.includes(field) || value === undefined) return;
+        snapshot[field] = value;
+    });
+
+    return snapshot;
+}
+
+/**
+ * Tracked fields that differ between two product states, in field order.
+ * Missing fields show as null.
+ */
+function diffSnapshots(before, after) {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    return fields
+        .filter(field => toComparable(before[field]) !== toComparable(after[field]))
+        .map(field => ({
+            field,
+            from: before[field] === undefined ? null : before[field],
+            to: after[field] === undefined ? null : after[field]
+        }));
+}
+
+/**
+ * Queue a revision for a product change on `writer` (the batch or transaction
+ * making the change). `before` is the product data before the change (null
+ * for a new product) and `after` its data once the change is applied.
+ * Returns fields to merge into the product write: empty when nothing tracked
+ * changed, otherwise the revision counter increment.
+ */
+function recordRevision(writer, productId, before, after, { user, source, action, rolledBackTo = null }) {
+    const previous = before ? snapshotOf(before) : {};
+    const snapshot = snapshotOf(after);
+    const changes = diffSnapshots(previous, snapshot);
+
+    if (before && changes.length === 0) return {};
+
+    const createdAt = new Date();
+    let written = 0;
+
+    if (before && before.revisionCount === undefined) {
+        writer.set(revisionsCollection(productId).doc(), {
+            action: 'baseline',
+            source: null,
+            actor: 'system',
+            actorEmail: null,
+            changes: [],
+            snapshot: previous,
+            rolledBackTo: null,
+            // Sorts ahead of the change it precedes
+            createdAt: new Date(createdAt.getTime() - 1)
+        });
+        written++;
+    }
+
+    writer.set(revisionsCollection(productId).doc(), {
+        action: action || (before ? 'update' : 'create'),
+        source: source || null,
+        actor: user ? user.id : 'system',
+        actorEmail: (user && user.email) || null,
+        changes,
+        snapshot,
+        rolledBackTo,
+        createdAt
+    });
+    written++;
+
+    return { revisionCount: admin.firestore.FieldValue.increment(written) };
+}
+
+/**
+ * A product's revisions, newest first, without their snapshots.
+ */
+async function getRevisions(productId, { pagination }) {
+    const query = revisionsCollection(productId);
+
+    const [page, countSnapshot] = await Promise.all([
+        paginateQuery(query, [['createdAt', 'desc']], pagination),
+        query.count().get()
+    ]);
+
+    return {
+        revisions: page.docs.map(doc => {
+            const { snapshot, ...revision } = doc.data();
+            return { id: doc.id, ...revision };
+        }),
+        total: countSnapshot.data().count,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+    };
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+async function getRevision(productId, revisionId) {
+    const doc = await revisionsCollection(productId).doc(revisionId).get();
+    if (!doc.exists) throw notFound('Revision not found');
+
+    return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * Field changes from revision `fromId` to revision `toId`, or to the current
+ * product when `toId` is left out.
+ */
+async function diffRevisions(productId, fromId, toId = null) {
+    const [from, to] = await Promise.all([
+        getRevision(productId, fromId),
+        toId
+            ? getRevision(productId, toId)
+            : db.collection('products').doc(productId).get().then(doc => {
+                if (!doc.exists) throw notFound('Product not found');
+                return { id: 'current', snapshot: snapshotOf(doc.data()) };
+            })
+    ]);
+
+    return {
+        from: from.id,
+        to: to.id,
+        changes: diffSnapshots(from.snapshot, to.snapshot)
+    };
+}
+
+/**
+ * Restore a product's tracked fields to a revision's snapshot. Fields added
+ * since are removed; stock is left as it is. The rollback is itself recorded
+ * as a revision. Errors with 409 when the old slug now belongs to another product.
+ */
+async function rollbackToRevision(productId, revisionId, { user, source }) {
+    const productRef = db.collection('products').doc(productId);
+    const revisionRef = revisionsCollection(productId).doc(revisionId);
+
+    return db.runTransaction(async (transaction) => {
+        const [productDoc, revisionDoc] = await Promise.all([
+            transaction.get(productRef),
+            transaction.get(revisionRef)
+        ]);
+
+        if (!productDoc.exists) throw notFound('Product not found');
+        if (!revisionDoc.exists) throw notFound('Revision not found');
+
+        const product = productDoc.data();
+        const target = revisionDoc.data().snapshot;
+        const current = snapshotOf(product);
+
+        if (target.slug && target.slug !== product.slug) {
+            const existing = await transaction.get(db.collection('products')
+                .where('slug', '==', target.slug)
+                .limit(1));
+
+            if (!existing.empty && existing.docs[0].id !== productId) {
+                const error = new Error(`Slug ${target.slug} is now used by another product`);
+                error.status = 409;
+                throw error;
+            }
+        }
+
+        const updates = {};
+        const restored = { ...product };
+
+        diffSnapshots(current, target)
+            .filter(change => !ROLLBACK_EXCLUDED_FIELDS.includes(change.field))
+            .forEach(({ field }) => {
+                if (target[field] === undefined) {
+                    updates[field] = admin.firestore.FieldValue.delete();
+                    delete restored[field];
+                } else {
+                    updates[field] = target[field];
+                    restored[field] = target[field];
+                }
+            });
+
+        if (Object.keys(updates).length === 0) {
+            return { changes: [] };
+        }
+
+        const revisionFields = recordRevision(transaction, productId, product, restored, {
+            user,
+            source,
+            action: 'rollback',
+            rolledBackTo: revisionId
+        });
+
+        transaction.update(productRef, {
+            ...updates,
+            ...revisionFields,
+            updatedAt: new Date()
+        });
+
+        return { changes: diffSnapshots(current, snapshotOf(restored)) };
+    });
+}
+
+module.exports = {
+    SYSTEM_FIELDS,
+    snapshotOf,
+    diffSnapshots,
+    recordRevision,
+    getRevisions,
+    getRevision,
+    diffRevisions,
+    rollbackToRevision
+};
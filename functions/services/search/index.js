@@ -0,0 +1,269 @@
+const { db } = require('../../config/firebase');
+const { stripHtml, tokenize, stem, termCounts, levenshtein, allowedTypos, highlight } = require('./text');
+const { getSearchRules, expandSynonyms, findRedirect } = require('./rules');
+
+// ===========================
+// PRODUCT SEARCH
+// Each product has a `searchIndex/{productId}` entry holding its searchable
+// text and per-field term counts:
+// { name, tags, description, categoryId, isActive, terms: { name: { stem: n }, tags, description } }
+// Entries are kept current by the product write trigger. Queries load them
+// into an in-memory inverted index that each instance caches briefly.
+// ===========================
+
+const FIELD_BOOSTS = { name: 3, tags: 2, description: 1 };
+
+// How much a query word counts when it matches a term exactly, as a prefix or with typos
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+
+const INDEX_TTL_MS = 60 * 1000;
+
+let cachedIndex = null;
+
+// Fields that affect search results; other product writes (stock, prices) skip reindexing
+function searchableFields(product) {
+    return {
+        name: product.name || '',
+        tags: Array.isArray(product.tags) ? product.tags : [],
+        description: stripHtml(product.description).replace(/\s+/g, ' ').trim(),
+        categoryId: product.categoryId || null,
+        isActive: product.isActive !== false
+    };
+}
+
+function buildEntry(product) {
+    const fields = searchableFields(product);
+
+    return {
+        ...fields,
+        terms: {
+            name: termCounts(fields.name),
+            tags: termCounts(fields.tags.join(' ')),
+            description: termCounts(fields.description)
+        },
+        updatedAt: new Date()
+    };
+}
+
+function needsReindex(before, after) {
+    if (!before || !after) return true;
+    return JSON.stringify(searchableFields(before)) !== JSON.stringify(searchableFields(after));
+}
+
+/**
+ * Write (or remove, when `product` is null) a product's index entry.
+ */
+async function indexProduct(productId, product) {
+    const entryRef = db.collection('searchIndex').doc(productId);
+
+    if (product) {
+        await entryRef.set(buildEntry(product));
+    } else {
+        await entryRef.delete();
+    }
+
+    cachedIndex = null;
+}
+
+/**
+ * Rebuild every entry from the products collection, e.g. after first deploy.
+ */
+async function reindexAll() {
+    const [products, entries] = await Promise.all([
+        db.collection('products').get(),
+        db.collection('searchIndex').get()
+    ]);
+    const productIds = new Set(products.docs.map(doc => doc.id));
+    const writes = [];
+
+    products.docs.forEach(doc => writes.push(batch => batch.set(
+        db.collection('searchIndex').doc(doc.id),
+        buildEntry(doc.data())
+    )));
+    entries.docs
+        .filter(doc => !productIds.has(doc.id))
+        .forEach(doc => writes.push(batch => batch.delete(doc.ref)));
+
+    // Firestore batches are capped at 500 writes
+    for (let i = 0; i < writes.length; i += 400) {
+        const batch = db.batch();
+        writes.slice(i, i + 400).forEach(write => write(batch));
+        await batch.commit();
+    }
+
+    cachedIndex = null;
+
+    return { indexed: products.size, removed: writes.length - products.size };
+}
+
+async function loadIndex() {
+    if (cachedIndex && Date.now() - cachedIndex.loadedAt < INDEX_TTL_MS) {
+        return cachedIndex;
+    }
+
+    const snapshot = await db.collection('searchIndex').where('isActive', '==', true).get();
+    const postings = new Map();
+    const entries = new Map();
+
+    snapshot.docs.forEach(doc => {
+        const entry = doc.data();
+        entries.set(doc.id, entry);
+
+        Object.keys(FIELD_BOOSTS).forEach(field => {
+            Object.entries((entry.terms || {})[field] || {}).forEach(([term, count]) => {
+                if (!postings.has(term)) postings.set(term, []);
+                postings.get(term).push({ id: doc.id, field, count });
+            });
+        });
+    });
+
+    cachedIndex = {
+        postings,
+        entries,
+        vocabulary: [...postings.keys()],
+        loadedAt: Date.now()
+    };
+
+    return cachedIndex;
+}
+
+// Index terms a query word can match, with how strongly each counts
+function expandWord(word, index, allowPrefix) {
+    const stemmed = stem(word);
+    const matches = new Map();
+
+    if (index.postings.has(stemmed)) {
+        matches.set(stemmed, MATCH_WEIGHTS.exact);
+    }
+
+    index.vocabulary.forEach(term => {
+        if (matches.has(term)) return;
+
+        if (allowPrefix && word.length >= 2 && term.startsWith(word)) {
+            matches.set(term, MATCH_WEIGHTS.prefix);
+            return;
+        }
+
+        const typos = allowedTypos(stemmed);
+        if (typos > 0 && term[0] === stemmed[0] && levenshtein(stemmed, term, typos) <= typos) {
+            matches.set(term, MATCH_WEIGHTS.fuzzy);
+        }
+    });
+
+    return matches;
+}
+
+// Score every product matching any of `words`, tracking which words and terms hit
+function scoreWords(words, index, categoryId) {
+    const totalDocs = index.entries.size || 1;
+    const scores = new Map();
+
+    words.forEach((word, position) => {
+        // Prefix matching is for the word still being typed and for longer words
+        const allowPrefix = position === words.length - 1 || word.length >= 4;
+
+        expandWord(word, index, allowPrefix).forEach((weight, term) => {
+            const postings = index.postings.get(term);
+            const idf = Math.log(1 + totalDocs / postings.length);
+
+            postings.forEach(({ id, field, count }) => {
+                const entry = index.entries.get(id);
+                if (categoryId && entry.categoryId !== categoryId) return;
+
+                if (!scores.has(id)) {
+                    scores.set(id, { score: 0, words: new Set(), terms: new Set() });
+                }
+
+                const result = scores.get(id);
+                result.score += FIELD_BOOSTS[field] * weight * (1 + Math.log(count)) * idf;
+                result.words.add(word);
+                result.terms.add(term);
+            });
+        });
+    });
+
+    return scores;
+}
+
+/**
+ * Relevance-ranked search over active products.
+ * Every query word must match (exactly, by prefix or within the typo budget);
+ * if no product matches them all, products matching the most words are returned.
+ * Synonym rules search alternative phrasings alongside the query, and a
+ * matching redirect rule is returned as `redirect`.
+ * Each result carries `highlights` for the fields that matched.
+ */
+async function searchProducts(queryText, { categoryId, limit = 20, offset = 0 } = {}) {
+    const words = [...new Set(tokenize(queryText))];
+    const [index, rules] = await Promise.all([loadIndex(), getSearchRules()]);
+    const redirect = findRedirect(queryText, rules.redirects);
+
+    if (words.length === 0) {
+        return { results: [], total: 0, words, expandedQueries: [], redirect };
+    }
+
+    // Keep each product's best match across the query and its synonym variants
+    const variants = expandSynonyms(words, rules.synonyms);
+    const best = new Map();
+
+    variants.forEach(variantWords => {
+        const uniqueWords = [...new Set(variantWords)];
+
+        scoreWords(uniqueWords, index, categoryId).forEach((result, id) => {
+            const candidate = {
+                score: result.score,
+                coverage: result.words.size / uniqueWords.length,
+                terms: result.terms
+            };
+            const current = best.get(id);
+
+            if (!current || candidate.coverage > current.coverage ||
+                (candidate.coverage === current.coverage && candidate.score > current.score)) {
+                best.set(id, candidate);
+            }
+        });
+    });
+
+    let matches = [...best.entries()];
+    const complete = matches.filter(([, result]) => result.coverage === 1);
+    if (complete.length > 0) {
+        matches = complete;
+    }
+
+    matches.sort(([, a], [, b]) => (b.coverage - a.coverage) || (b.score - a.score));
+
+    const results = matches.slice(offset, offset + limit).map(([id, result]) => {
+        const entry = index.entries.get(id);
+        const highlights = {};
+
+        ['name', 'description'].forEach(field => {
+            const marked = highlight(entry[field], result.terms);
+            if (marked) highlights[field] = marked;
+        });
+
+        const tags = (entry.tags || []).map(tag => highlight(tag, result.terms)).filter(Boolean);
+        if (tags.length > 0) highlights.tags = tags;
+
+        return {
+            id,
+            score: Math.round(result.score * 1000) / 1000,
+            highlights
+        };
+    });
+
+    return {
+        results,
+        total: matches.length,
+        words,
+        expandedQueries: variants.slice(1).map(variant => variant.join(' ')),
+        redirect
+    };
+}
+
+module.exports = {
+    FIELD_BOOSTS,
+    needsReindex,
+    indexProduct,
+    reindexAll,
+    searchProducts
+};
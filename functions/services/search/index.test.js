@@ -0,0 +1,63 @@
+const fake = require('../../testing/fakeFirebase');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { reindexAll, searchProducts, needsReindex } = require('./index');
+
+// The index and the rules are cached per instance, so every test shares one catalogue
+before(async () => {
+    fake.reset();
+    fake.seed({
+        'products/candle': { name: 'Lavender Candle', tags: ['relax'], description: '<p>Hand-poured soy wax</p>', isActive: true },
+        'products/soap': { name: 'Lavender Soap', tags: ['bath'], description: 'Cold process soap bar', isActive: true },
+        'products/sage': { name: 'Sage Bundle', tags: [], description: 'For smudging', isActive: true },
+        'products/hidden': { name: 'Lavender Oil', isActive: false },
+        'searchSynonyms/s1': { phrase: 'smudge stick', synonyms: ['sage bundle'] }
+    });
+    await reindexAll();
+});
+
+const ids = async (query) => (await searchProducts(query)).results.map(result => result.id);
+
+test('plurals and other word forms match the same products', async () => {
+    assert.deepEqual(await ids('candles'), ['candle']);
+    assert.deepEqual(await ids('bundled'), ['sage']);
+});
+
+test('small typos still match', async () => {
+    assert.deepEqual((await ids('lavendar')).sort(), ['candle', 'soap']);
+    assert.deepEqual(await ids('sopa'), []);
+});
+
+test('the last word matches as a prefix while it is being typed', async () => {
+    assert.deepEqual((await ids('lav')).sort(), ['candle', 'soap']);
+});
+
+test('products matching every word come before partial matches', async () => {
+    const { results, total } = await searchProducts('lavender soap');
+
+    assert.equal(total, 1);
+    assert.equal(results[0].id, 'soap');
+    assert.deepEqual(results[0].highlights, {
+        name: '<mark>Lavender</mark> <mark>Soap</mark>',
+        description: 'Cold process <mark>soap</mark> bar'
+    });
+});
+
+test('synonyms search their alternatives too', async () => {
+    const { results, expandedQueries } = await searchProducts('smudge stick');
+
+    assert.deepEqual(results.map(result => result.id), ['sage']);
+    assert.deepEqual(expandedQueries, ['sage bundle']);
+});
+
+test('inactive products are not searched', async () => {
+    assert.deepEqual(await ids('oil'), []);
+});
+
+test('only changes to searchable fields need reindexing', () => {
+    const product = { name: 'Candle', tags: ['a'], description: 'x', isActive: true, stockQuantity: 3 };
+
+    assert.equal(needsReindex(product, { ...product, stockQuantity: 2 }), false);
+    assert.equal(needsReindex(product, { ...product, name: 'Big candle' }), true);
+    assert.equal(needsReindex(null, product), true);
+});
@@ -0,0 +1,139 @@
+const { admin, db } = require('../../config/firebase');
+const { normalize } = require('./text');
+
+// ===========================
+// SEARCH QUERY STATS
+// Raw searches are logged to `productSearchAnalytics`; this keeps one running
+// total per normalized query in `searchQueries/{key}`:
+// { query, prefixes, count, zeroResultCount, lastResultsCount, clicks, conversions, lastSearchedAt }
+// `prefixes` holds every leading part of the query (up to MAX_PREFIX_LENGTH
+// characters) so suggestions can look up a typed prefix by equality.
+// A click is a search result being opened; a conversion is an add to cart or
+// purchase that started from a search.
+// ===========================
+
+const MAX_QUERY_LENGTH = 100;
+
+// Searches a query needs before it is suggested to other shoppers, so
+// one-off (or planted) searches never show up in the public search box
+const MIN_SUGGESTION_COUNT = parseInt(process.env.SEARCH_SUGGESTION_MIN_COUNT) || 3;
+
+// Most-searched matches to rank by engagement
+const SUGGESTION_CANDIDATES = 50;
+
+// Longer typed prefixes are looked up by their first MAX_PREFIX_LENGTH characters
+const MAX_PREFIX_LENGTH = 20;
+
+function normalizeQuery(query) {
+    return normalize(query).replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+}
+
+// 'lav' → ['l', 'la', 'lav']
+function queryPrefixes(query) {
+    const prefixes = [];
+    for (let length = 1; length <= Math.min(query.length, MAX_PREFIX_LENGTH); length++) {
+        prefixes.push(query.slice(0, length));
+    }
+    return prefixes;
+}
+
+// Queries can hold "/" and other characters Firestore ids can't
+const queryRef = (query) => db.collection('searchQueries').doc(encodeURIComponent(query));
+
+async function recordSearch(query, resultsCount) {
+    const normalized = normalizeQuery(query);
+    if (!normalized) return;
+
+    const { increment } = admin.firestore.FieldValue;
+
+    await queryRef(normalized).set({
+        query: normalized,
+        prefixes: queryPrefixes(normalized),
+        count: increment(1),
+        zeroResultCount: increment(resultsCount > 0 ? 0 : 1),
+        lastResultsCount: resultsCount,
+        lastSearchedAt: new Date()
+    }, { merge: true });
+}
+
+async function recordSearchEvent(query, eventType) {
+    const normalized = normalizeQuery(query);
+    if (!normalized) return;
+
+    const field = eventType === 'view' ? 'clicks' : 'conversions';
+
+    await queryRef(normalized).set({
+        query: normalized,
+        [field]: admin.firestore.FieldValue.increment(1)
+    }, { merge: true });
+}
+
+/**
+ * How strongly to suggest a past query: more searches rank higher, and
+ * queries that lead shoppers to products rank higher still.
+ */
+function queryScore(stats) {
+    const count = stats.count || 0;
+    if (count === 0) return 0;
+
+    const engagement = Math.min(1, ((stats.clicks || 0) + 3 * (stats.conversions || 0)) / count);
+    return Math.log(1 + count) * (1 + engagement);
+}
+
+/**
+ * Past queries starting with `prefix`, best first. Only the most-searched
+ * matches with at least MIN_SUGGESTION_COUNT searches are considered, and
+ * queries whose latest search found nothing are left out.
+ */
+async function popularQueries(prefix, { limit = 5 } = {}) {
+    const normalized = normalizeQuery(prefix);
+    if (!normalized) return [];
+
+    const snapshot = await db.collection('searchQueries')
+        .where('prefixes', 'array-contains', normalized.slice(0, MAX_PREFIX_LENGTH))
+        .where('count', '>=', MIN_SUGGESTION_COUNT)
+        .orderBy('count', 'desc')
+        .limit(SUGGESTION_CANDIDATES)
+        .get();
+
+    return snapshot.docs
+        .map(doc => doc.data())
+        .filter(stats => stats.query.startsWith(normalized) && stats.lastResultsCount > 0)
+        .map(stats => ({
+            query: stats.query,
+            count: stats.count,
+            score: queryScore(stats)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Add `prefixes` to query stats recorded before suggestions looked them up
+ * that way. Returns how many were updated.
+ */
+async function backfillQueryPrefixes() {
+    const snapshot = await db.collection('searchQueries').get();
+    const missing = snapshot.docs.filter(doc => !Array.isArray(doc.data().prefixes) && doc.data().query);
+
+    // Firestore batches are capped at 500 writes
+    for (let i = 0; i < missing.length; i += 400) {
+        const batch = db.batch();
+        missing.slice(i, i + 400).forEach(doc => batch.update(doc.ref, {
+            prefixes: queryPrefixes(doc.data().query)
+        }));
+        await batch.commit();
+    }
+
+    return missing.length;
+}
+
+module.exports = {
+    normalizeQuery,
+    queryPrefixes,
+    recordSearch,
+    recordSearchEvent,
+    queryScore,
+    popularQueries,
+    backfillQueryPrefixes
+};
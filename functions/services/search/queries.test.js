@@ -0,0 +1,68 @@
+const fake = require('../../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { queryPrefixes, recordSearch, recordSearchEvent, popularQueries, backfillQueryPrefixes } = require('./queries');
+
+beforeEach(() => fake.reset());
+
+async function search(query, times, resultsCount = 4) {
+    for (let i = 0; i < times; i++) {
+        await recordSearch(query, resultsCount);
+    }
+}
+
+test('a recorded search keeps its normalized query and every prefix', async () => {
+    await search('  Crème   Brûlée ', 2);
+
+    const stats = fake.read('searchQueries/creme%20brulee');
+    assert.equal(stats.query, 'creme brulee');
+    assert.equal(stats.count, 2);
+    assert.deepEqual(stats.prefixes.slice(0, 3), ['c', 'cr', 'cre']);
+    assert.equal(stats.prefixes.length, 12);
+    assert.equal(queryPrefixes('x'.repeat(30)).length, 20);
+});
+
+test('suggestions are past queries starting with the prefix, best first', async () => {
+    await search('lavender candle', 5);
+    await search('lavender soap', 8);
+    await search('lamp', 9);
+    await search('candle', 9);
+
+    const suggestions = await popularQueries('Lav');
+    assert.deepEqual(suggestions.map(s => s.query), ['lavender soap', 'lavender candle']);
+});
+
+test('engagement lifts a less-searched query', async () => {
+    await search('lavender candle', 5);
+    await search('lavender soap', 8);
+    for (let i = 0; i < 5; i++) {
+        await recordSearchEvent('lavender candle', 'add_to_cart');
+    }
+
+    assert.deepEqual((await popularQueries('lavender')).map(s => s.query), ['lavender candle', 'lavender soap']);
+});
+
+test('rare and fruitless queries are never suggested', async () => {
+    await search('lavender candle', 2);
+    await search('lavender gin', 5, 0);
+
+    assert.deepEqual(await popularQueries('lav'), []);
+});
+
+test('prefixes longer than the stored ones are checked in full', async () => {
+    await search('aromatherapy diffuser oil', 3);
+    await search('aromatherapy diffuser kit', 3);
+
+    assert.deepEqual((await popularQueries('aromatherapy diffuser o')).map(s => s.query), ['aromatherapy diffuser oil']);
+});
+
+test('older stats get their prefixes backfilled', async () => {
+    fake.seed({
+        'searchQueries/wax': { query: 'wax', count: 4, lastResultsCount: 2 },
+        'searchQueries/soap': { query: 'soap', prefixes: ['s', 'so', 'soa', 'soap'], count: 4, lastResultsCount: 2 }
+    });
+
+    assert.equal(await backfillQueryPrefixes(), 1);
+    assert.deepEqual(fake.read('searchQueries/wax').prefixes, ['w', 'wa', 'wax']);
+    assert.deepEqual((await popularQueries('wa')).map(s => s.query), ['wax']);
+});
@@ -0,0 +1,132 @@
+const { db } = require('../../config/firebase');
+const { normalize, tokenize, stem } = require('./text');
+
+// ===========================
+// SEARCH RULES
+// Admin-managed adjustments applied at query time.
+// `searchSynonyms`: { phrase, synonyms: [..], twoWay, createdBy, createdAt }
+//   "smudge stick" → ["sage bundle"] also searches "sage bundle" whenever a
+//   query contains "smudge stick"; twoWay makes the synonyms map back too.
+// `searchRedirects`: { query, targetType: category|product|url, target, createdBy, createdAt }
+//   A query that exactly matches `query` sends the shopper straight to `target`
+//   (a category or product slug, or a URL) instead of a results page.
+// ===========================
+
+const REDIRECT_TARGETS = ['category', 'product', 'url'];
+
+// Most alternative phrasings searched for one query
+const MAX_QUERY_VARIANTS = 6;
+
+const RULES_TTL_MS = 60 * 1000;
+
+let cachedRules = null;
+
+function normalizePhrase(text) {
+    return normalize(text).replace(/\s+/g, ' ').trim();
+}
+
+async function getSearchRules() {
+    if (cachedRules && Date.now() - cachedRules.loadedAt < RULES_TTL_MS) {
+        return cachedRules;
+    }
+
+    const [synonymsSnapshot, redirectsSnapshot] = await Promise.all([
+        db.collection('searchSynonyms').get(),
+        db.collection('searchRedirects').get()
+    ]);
+
+    // Expand two-way entries into one rule per direction
+    const synonyms = [];
+    synonymsSnapshot.docs.forEach(doc => {
+        const { phrase, synonyms: alternatives = [], twoWay } = doc.data();
+        synonyms.push({ phrase, alternatives });
+
+        if (twoWay) {
+            alternatives.forEach(alternative => synonyms.push({
+                phrase: alternative,
+                alternatives: [phrase, ...alternatives.filter(other => other !== alternative)]
+            }));
+        }
+    });
+
+    const redirects = new Map();
+    redirectsSnapshot.docs.forEach(doc => {
+        redirects.set(normalizePhrase(doc.data().query), { id: doc.id, ...doc.data() });
+    });
+
+    cachedRules = {
+        synonyms: synonyms.map(rule => ({
+            phrase: tokenize(rule.phrase).map(stem),
+            alternatives: rule.alternatives.map(tokenize)
+        })).filter(rule => rule.phrase.length > 0),
+        redirects,
+        loadedAt: Date.now()
+    };
+
+    return cachedRules;
+}
+
+// Called after admins edit rules so this instance picks them up at once
+function clearSearchRulesCache() {
+    cachedRules = null;
+}
+
+function findPhrase(words, phrase) {
+    const stems = words.map(stem);
+    for (let i = 0; i + phrase.length <= stems.length; i++) {
+        if (phrase.every((term, offset) => stems[i + offset] === term)) return i;
+    }
+    return -1;
+}
+
+/**
+ * The query's words plus the word lists produced by swapping in synonyms,
+ * original first: "smudge stick large" → [[smudge, stick, large], [sage, bundle, large]]
+ */
+function expandSynonyms(words, synonyms) {
+    const variants = [words];
+
+    for (let i = 0; i < variants.length && variants.length < MAX_QUERY_VARIANTS; i++) {
+        synonyms.forEach(rule => {
+            const position = findPhrase(variants[i], rule.phrase);
+            if (position === -1) return;
+
+            rule.alternatives.forEach(alternative => {
+                const variant = [
+                    ...variants[i].slice(0, position),
+                    ...alternative,
+                    ...variants[i].slice(position + rule.phrase.length)
+                ];
+
+                const key = variant.join(' ');
+                if (variants.length < MAX_QUERY_VARIANTS && !variants.some(existing => existing.join(' ') === key)) {
+                    variants.push(variant);
+                }
+            });
+        });
+    }
+
+    return variants;
+}
+
+/**
+ * Where a query should send the shopper instead of a results page, or null.
+ */
+function findRedirect(queryText, redirects) {
+    const redirect = redirects.get(normalizePhrase(queryText));
+    if (!redirect) return null;
+
+    return {
+        type: redirect.targetType,
+        target: redirect.target
+    };
+}
+
+module.exports = {
+    REDIRECT_TARGETS,
+    normalizePhrase,
+    getSearchRules,
+    clearSearchRulesCache,
+    expandSynonyms,
+    findRedirect
+};
@@ -0,0 +1,67 @@
+const { db } = require('../../config/firebase');
+const { tokenize } = require('./text');
+const { searchProducts } = require('./index');
+const { popularQueries } = require('./queries');
+const { isPublished, activePrice } = require('../productSchedule');
+
+// ===========================
+// SEARCH SUGGESTIONS
+// What the storefront search box offers while the shopper types: matching
+// products, matching categories and popular past queries.
+// ===========================
+
+// Category names whose words start with every typed word
+async function matchingCategories(text, limit) {
+    const words = tokenize(text);
+    if (words.length === 0) return [];
+
+    const snapshot = await db.collection('categories')
+        .where('isActive', '==', true)
+        .get();
+
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, name: doc.data().name, slug: doc.data().slug }))
+        .filter(category => {
+            const nameWords = tokenize(category.name);
+            return words.every(word => nameWords.some(nameWord => nameWord.startsWith(word)));
+        })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
+async function matchingProducts(text, limit) {
+    const { results } = await searchProducts(text, { limit });
+    if (results.length === 0) return [];
+
+    const productDocs = await db.getAll(...results.map(result => db.collection('products').doc(result.id)));
+
+    return productDocs
+        .map((doc, position) => ({ doc, result: results[position] }))
+        .filter(({ doc }) => doc.exists && isPublished(doc.data()))
+        .map(({ doc, result }) => ({
+            id: doc.id,
+            name: doc.data().name,
+            slug: doc.data().slug,
+            price: activePrice(doc.data()).price,
+            image: (doc.data().images || [])[0] || doc.data().imageUrl || null,
+            highlight: result.highlights.name || null
+        }));
+}
+
+async function getSuggestions(text, { limit = 5 } = {}) {
+    const [queries, products, categories] = await Promise.all([
+        popularQueries(text, { limit }),
+        matchingProducts(text, limit),
+        matchingCategories(text, Math.min(limit, 3))
+    ]);
+
+    return {
+        queries: queries.map(({ query, count }) => ({ query, count })),
+        products,
+        categories
+    };
+}
+
+module.exports = {
+    getSuggestions
+};
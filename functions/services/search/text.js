@@ -0,0 +1,167 @@
+// ===========================
+// TEXT ANALYSIS
+// Tokenizing, stemming and fuzzy matching shared by indexing and querying,
+// so both sides always agree on what a term is.
+// ===========================
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+    'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip accents so "Café" matches "cafe"
+function normalize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+function stripHtml(text) {
+    return String(text || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+}
+
+function tokenize(text) {
+    return (normalize(text).match(WORD_PATTERN) || [])
+        .filter(word => !STOPWORDS.has(word));
+}
+
+const hasVowel = (word) => /[aeiouy]/.test(word);
+
+/**
+ * Light English suffix stripper. Not a full Porter stemmer, but enough to fold
+ * plurals and common verb forms together ("candles", "candle" → "candl").
+ */
+function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let w = word;
+
+    if (w.endsWith('ies') && w.length > 4) {
+        w = w.slice(0, -3) + 'y';
+    } else if (/(ss|x|z|ch|sh)es$/.test(w)) {
+        w = w.slice(0, -2);
+    } else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) {
+        w = w.slice(0, -1);
+    }
+
+    for (const suffix of ['ingly', 'edly', 'ing', 'ed', 'ly']) {
+        const base = w.slice(0, -suffix.length);
+        if (w.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+            w = base;
+            // "running" → "run", but keep "sell", "buzz", "miss"
+            if (/([^aeiouylsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            }
+            break;
+        }
+    }
+
+    if (w.endsWith('e') && w.length > 3) {
+        w = w.slice(0, -1);
+    }
+
+    return w;
+}
+
+/**
+ * Term frequencies for a piece of text: { stem: count }
+ */
+function termCounts(text) {
+    const counts = {};
+    tokenize(text).forEach(word => {
+        const term = stem(word);
+        counts[term] = (counts[term] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Edit distance, giving up once it exceeds `max`.
+ */
+function levenshtein(a, b, max = 2) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Longer words tolerate more typos
+function allowedTypos(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap the words of `text` whose stems are in `terms` in <mark>. Long text is
+ * cut to a window around the first match. Returns null if nothing matched.
+ */
+function highlight(text, terms, maxLength = 160) {
+    const source = stripHtml(text).replace(/\s+/g, ' ').trim();
+    const matches = [];
+
+    for (const match of source.matchAll(WORD_PATTERN)) {
+        if (terms.has(stem(normalize(match[0])))) {
+            matches.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+
+    if (matches.length === 0) return null;
+
+    let start = 0;
+    let end = source.length;
+    if (source.length > maxLength) {
+        start = Math.max(0, matches[0].start - Math.floor(maxLength / 3));
+        end = Math.min(source.length, start + maxLength);
+    }
+
+    let result = '';
+    let cursor = start;
+    matches
+        .filter(match => match.start >= start && match.end <= end)
+        .forEach(match => {
+            result += escapeHtml(source.slice(cursor, match.start));
+            result += `<mark>${escapeHtml(source.slice(match.start, match.end))}</mark>`;
+            cursor = match.end;
+        });
+    result += escapeHtml(source.slice(cursor, end));
+
+    return (start > 0 ? '…' : '') + result + (end < source.length ? '…' : '');
+}
+
+module.exports = {
+    normalize,
+    stripHtml,
+    tokenize,
+    stem,
+    termCounts,
+    levenshtein,
+    allowedTypos,
+    highlight
+};
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalize, tokenize, stem, termCounts, levenshtein, allowedTypos, highlight } = require('./text');
+
+test('normalize lowercases and strips accents', () => {
+    assert.equal(normalize('Café CRÈME'), 'cafe creme');
+});
+
+test('tokenize drops stopwords and punctuation', () => {
+    assert.deepEqual(tokenize('The Lavender & the Rose, for you!'), ['lavender', 'rose', 'you']);
+});
+
+test('stem folds plurals and verb forms together', () => {
+    assert.equal(stem('candles'), stem('candle'));
+    assert.equal(stem('berries'), stem('berry'));
+    assert.equal(stem('boxes'), 'box');
+    assert.equal(stem('running'), 'run');
+    assert.equal(stem('scented'), 'scent');
+});
+
+test('stem leaves short words, numbers and double-s endings alone', () => {
+    assert.equal(stem('gas'), 'gas');
+    assert.equal(stem('8oz'), '8oz');
+    assert.equal(stem('glass'), 'glass');
+    assert.equal(stem('selling'), 'sell');
+});
+
+test('termCounts counts stems', () => {
+    assert.deepEqual(termCounts('Candle candles CANDLE wax'), { candl: 3, wax: 1 });
+});
+
+test('levenshtein counts edits and gives up past the limit', () => {
+    assert.equal(levenshtein('candl', 'candl'), 0);
+    assert.equal(levenshtein('candl', 'cnadl'), 2);
+    assert.equal(levenshtein('lavender', 'lavendar'), 1);
+    assert.equal(levenshtein('soap', 'lavender'), 3);
+    assert.equal(levenshtein('abcdef', 'uvwxyz', 2), 3);
+});
+
+test('allowedTypos grows with word length', () => {
+    assert.equal(allowedTypos('wax'), 0);
+    assert.equal(allowedTypos('soap'), 1);
+    assert.equal(allowedTypos('lavender'), 2);
+});
+
+test('highlight marks matching words and escapes the rest', () => {
+    assert.equal(
+        highlight('<b>Lavender</b> candles & soap', new Set(['candl'])),
+        'Lavender <mark>candles</mark> &amp; soap'
+    );
+    assert.equal(highlight('Rose soap', new Set(['candl'])), null);
+});
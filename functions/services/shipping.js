@@ -0,0 +1,174 @@
+const { db } = require('../config/firebase');
+const { roundCurrency } = require('./tax');
+
+// ===========================
+// SHIPPING RATE ENGINE
+// Zones live in the `shippingZones` collection:
+// { name, countries, regions, postalPrefixes, methods: [...], isActive }
+// Each method: { id, name, type, rateType, rate, tiers, freeAbove, estimatedDays, isActive }
+// ===========================
+
+const METHOD_TYPES = ['standard', 'express', 'pickup'];
+const RATE_TYPES = ['flat', 'weight', 'price'];
+
+// Used when no zones have been configured yet: flat $9.99, free over $50
+const DEFAULT_METHOD = {
+    id: 'standard',
+    name: 'Standard Shipping',
+    type: 'standard',
+    rateType: 'flat',
+    rate: 9.99,
+    freeAbove: 50,
+    estimatedDays: null,
+    isActive: true
+};
+
+const normalize = (value) => (value || '').toString().trim().toUpperCase();
+
+/**
+ * Load all active shipping zones
+ */
+async function getShippingZones() {
+    const snapshot = await db.collection('shippingZones')
+        .where('isActive', '==', true)
+        .get();
+
+    return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+    }));
+}
+
+/**
+ * Find the most specific zone covering an address.
+ * Country must match; regions and postal prefixes narrow the match further.
+ */
+function findZone(zones, address) {
+    if (!address) return null;
+
+    const country = normalize(address.country);
+    const region = normalize(address.state || address.region);
+    const postalCode = normalize(address.zip || address.postalCode).replace(/\s/g, '');
+
+    let best = null;
+    let bestScore = -1;
+
+    for (const zone of zones) {
+        const countries = (zone.countries || []).map(normalize);
+        if (!countries.includes(country)) continue;
+
+        let score = 0;
+
+        if (zone.regions && zone.regions.length > 0) {
+            if (!zone.regions.map(normalize).includes(region)) continue;
+            score += 1;
+        }
+
+        if (zone.postalPrefixes && zone.postalPrefixes.length > 0) {
+            const prefix = zone.postalPrefixes
+                .map(p => normalize(p).replace(/\s/g, ''))
+                .filter(p => postalCode.startsWith(p))
+                .sort((a, b) => b.length - a.length)[0];
+            if (!prefix) continue;
+            score += 1 + prefix.length;
+        }
+
+        if (score > bestScore) {
+            best = zone;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Price a single method for a cart. Returns null when no tier covers the cart.
+ */
+function calculateMethodRate(method, { subtotal, weight }) {
+    if (method.freeAbove !== undefined && method.freeAbove !== null && subtotal > method.freeAbove) {
+        return 0;
+    }
+
+    if (method.rateType === 'weight' || method.rateType === 'price') {
+        const value = method.rateType === 'weight' ? weight : subtotal;
+        const tier = (method.tiers || []).find(t =>
+            value >= (t.min || 0) && (t.max === undefined || t.max === null || value < t.max)
+        );
+        return tier ? roundCurrency(Number(tier.rate) || 0) : null;
+    }
+
+    return roundCurrency(Number(method.rate) || 0);
+}
+
+/**
+ * List the methods available for an address and cart, cheapest first.
+ * Lines need `subtotal`, `quantity` and a per-unit `weight`.
+ */
+function getAvailableMethods({ zones, address, lines }) {
+    const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+    const weight = lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0);
+
+    let zone = null;
+    let methods = [DEFAULT_METHOD];
+
+    if (zones.length > 0) {
+        zone = findZone(zones, address);
+        methods = zone ? (zone.methods || []).filter(m => m.isActive !== false) : [];
+    }
+
+    return methods
+        .map(method => ({
+            id: method.id,
+            name: method.name,
+            type: method.type || 'standard',
+            estimatedDays: method.estimatedDays || null,
+            zoneId: zone ? zone.id : null,
+            zoneName: zone ? zone.name : null,
+            rate: calculateMethodRate(method, { subtotal, weight })
+        }))
+        .filter(method => method.rate !== null)
+        .sort((a, b) => a.rate - b.rate);
+}
+
+/**
+ * Validate a list of methods from an admin request. Returns an error message or null.
+ */
+function validateMethods(methods) {
+    if (!Array.isArray(methods)) return 'methods must be an array';
+
+    for (const [index, method] of methods.entries()) {
+        const label = `Method ${index + 1}`;
+
+        if (!method.name) return `${label}: name is required`;
+        if (method.type && !METHOD_TYPES.includes(method.type)) {
+            return `${label}: type must be one of ${METHOD_TYPES.join(', ')}`;
+        }
+        if (!RATE_TYPES.includes(method.rateType || 'flat')) {
+            return `${label}: rateType must be one of ${RATE_TYPES.join(', ')}`;
+        }
+        if ((method.rateType || 'flat') === 'flat' && (isNaN(parseFloat(method.rate)) || method.rate < 0)) {
+            return `${label}: flat rate must be a non-negative number`;
+        }
+        if (['weight', 'price'].includes(method.rateType)) {
+            if (!Array.isArray(method.tiers) || method.tiers.length === 0) {
+                return `${label}: tiers are required for ${method.rateType} rates`;
+            }
+            if (method.tiers.some(t => isNaN(parseFloat(t.rate)) || t.rate < 0)) {
+                return `${label}: each tier needs a non-negative rate`;
+            }
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    METHOD_TYPES,
+    RATE_TYPES,
+    getShippingZones,
+    findZone,
+    calculateMethodRate,
+    getAvailableMethods,
+    validateMethods
+};
@@ -0,0 +1,76 @@
+const { db } = require('../config/firebase');
+
+// ===========================
+// SLUG HISTORY
+// When a product or category slug changes, the old slug is kept in
+// `slugHistory/{type}:{slug}`: { type, slug, targetId, createdAt }
+// so lookups by an old slug can redirect to the current one. Entries point at
+// the document rather than a slug, so renaming twice never chains redirects.
+// A slug that is taken again stops redirecting.
+// ===========================
+
+const SLUG_COLLECTIONS = {
+    product: 'products',
+    category: 'categories'
+};
+
+function historyRef(type, slug) {
+    return db.collection('slugHistory').doc(`${type}:${slug}`);
+}
+
+/**
+ * Keep the history in step with a product or category write. `before` and
+ * `after` are the document data, null when it was created or deleted.
+ * Deleted documents keep their entries; lookups just stop finding them.
+ */
+async function recordSlugChange(type, id, before, after) {
+    const previousSlug = before && before.slug;
+    const slug = after && after.slug;
+
+    if (!slug || previousSlug === slug) return null;
+
+    const batch = db.batch();
+    batch.delete(historyRef(type, slug));
+
+    if (previousSlug) {
+        batch.set(historyRef(type, previousSlug), {
+            type,
+            slug: previousSlug,
+            targetId: id,
+            createdAt: new Date()
+        });
+    }
+
+    return batch.commit();
+}
+
+/**
+ * Where an old slug points now: { id, slug, data } for the document that
+ * used it, or null when the slug was never renamed or the document is gone.
+ */
+async function resolveSlug(type, slug) {
+    const historyDoc = await historyRef(type, slug).get();
+    if (!historyDoc.exists) return null;
+
+    const targetDoc = await db.collection(SLUG_COLLECTIONS[type]).doc(historyDoc.data().targetId).get();
+    if (!targetDoc.exists || !targetDoc.data().slug || targetDoc.data().slug === slug) return null;
+
+    return { id: targetDoc.id, slug: targetDoc.data().slug, data: targetDoc.data() };
+}
+
+/**
+ * The URL of the same route with `slug` swapped for the current one, keeping
+ * the query string.
+ */
+function slugLocation(req, slug) {
+    const queryStart = req.originalUrl.indexOf('?');
+    const query = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+
+    return `${req.baseUrl}/${encodeURIComponent(slug)}${query}`;
+}
+
+module.exports = {
+    recordSlugChange,
+    resolveSlug,
+    slugLocation
+};
@@ -0,0 +1,200 @@
+const { db } = require('../config/firebase');
+
+// ===========================
+// STOCK ALERTS
+// Every inventory movement is checked against the product's low-stock threshold
+// (`lowStockThreshold` on the product, else the global setting). Crossing into
+// low or out of stock opens an `adminAlerts` entry:
+// { type, productId, productName, stockQuantity, threshold, movementId, status, createdAt }
+// status: open → acknowledged → resolved (restocking resolves automatically)
+// ===========================
+
+const STOCK_LEVELS = ['in_stock', 'low_stock', 'out_of_stock'];
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const OUT_OF_STOCK_ACTIONS = ['none', 'hide'];
+
+const DEFAULT_SETTINGS = {
+    lowStockThreshold: 5,
+    outOfStockAction: 'none',
+    alertEmail: null,
+    alertWebhookUrl: null
+};
+
+const settingsRef = () => db.collection('siteSettings').doc('inventory');
+
+async function getAlertSettings() {
+    const doc = await settingsRef().get();
+    return {
+        ...DEFAULT_SETTINGS,
+        ...(doc.exists ? doc.data() : {})
+    };
+}
+
+function stockThreshold(product, settings) {
+    return product.lowStockThreshold !== undefined && product.lowStockThreshold !== null
+        ? product.lowStockThreshold
+        : settings.lowStockThreshold;
+}
+
+function stockLevel(stock, threshold) {
+    if (stock <= 0) return 'out_of_stock';
+    if (stock <= threshold) return 'low_stock';
+    return 'in_stock';
+}
+
+/**
+ * React to a ledger entry: open an alert when stock crosses into low or out of
+ * stock, resolve alerts and unhide the product when it recovers.
+ * Alerts are keyed by movement id, so retried triggers don't duplicate them.
+ * The alert and the product update are written in one transaction: a retry
+ * finds both done or does both.
+ */
+async function handleStockMovement(movementId, movement) {
+    if (movement.before === movement.after) return null;
+
+    const productRef = db.collection('products').doc(movement.productId);
+    const alertRef = db.collection('adminAlerts').doc(movementId);
+    const settings = await getAlertSettings();
+
+    const result = await db.runTransaction(async (transaction) => {
+        const productDoc = await transaction.get(productRef);
+        const alertDoc = await transaction.get(alertRef);
+
+        // Already handled by an earlier delivery of this trigger
+        if (!productDoc.exists || alertDoc.exists) return null;
+
+        const product = productDoc.data();
+        const threshold = stockThreshold(product, settings);
+        const previous = stockLevel(movement.before, threshold);
+        const level = stockLevel(movement.after, threshold);
+
+        const updates = {};
+        if (product.stockStatus !== level) {
+            updates.stockStatus = level;
+        }
+
+        let alert = null;
+        const recovered = STOCK_LEVELS.indexOf(level) < STOCK_LEVELS.indexOf(previous);
+
+        if (STOCK_LEVELS.indexOf(level) > STOCK_LEVELS.indexOf(previous)) {
+            alert = {
+                type: level,
+                productId: movement.productId,
+                productName: product.name,
+                stockQuantity: movement.after,
+                threshold,
+                movementId,
+                status: 'open',
+                createdAt: new Date()
+            };
+            transaction.create(alertRef, alert);
+
+            if (level === 'out_of_stock' && settings.outOfStockAction === 'hide' && product.isActive) {
+                updates.isActive = false;
+                updates.autoHidden = true;
+            }
+        } else if (recovered && level !== 'out_of_stock' && product.autoHidden) {
+            // Only bring back products this job hid, never ones an admin deactivated
+            updates.isActive = true;
+            updates.autoHidden = false;
+        }
+
+        if (Object.keys(updates).length > 0) {
+            transaction.update(productRef, { ...updates, updatedAt: new Date() });
+        }
+
+        return { alert, level, recovered };
+    });
+
+    if (!result) return null;
+
+    if (result.alert) {
+        await notifyAlert({ id: movementId, ...result.alert }, settings);
+    } else if (result.recovered) {
+        await resolveAlerts(movement.productId, result.level);
+    }
+
+    return result.alert;
+}
+
+// Close open alerts that are worse than the product's current level
+async function resolveAlerts(productId, level) {
+    const snapshot = await db.collection('adminAlerts')
+        .where('productId', '==', productId)
+        .where('status', 'in', ['open', 'acknowledged'])
+        .get();
+
+    const batch = db.batch();
+    let resolved = 0;
+
+    snapshot.docs.forEach(doc => {
+        if (STOCK_LEVELS.indexOf(doc.data().type) > STOCK_LEVELS.indexOf(level)) {
+            batch.update(doc.ref, {
+                status: 'resolved',
+                resolvedBy: 'system',
+                resolvedAt: new Date()
+            });
+            resolved += 1;
+        }
+    });
+
+    if (resolved > 0) {
+        await batch.commit();
+    }
+}
+
+/**
+ * Send an alert to the configured email and/or webhook target. Email is queued
+ * in the `mail` collection for the Firebase Trigger Email extension.
+ * Delivery failures are logged; the dashboard alert is the source of truth.
+ */
+async function notifyAlert(alert, settings) {
+    const label = alert.type === 'out_of_stock' ? 'Out of stock' : 'Low stock';
+    const summary = `${label}: ${alert.productName} (${alert.stockQuantity} left, threshold ${alert.threshold})`;
+
+    if (settings.alertEmail) {
+        try {
+            await db.collection('mail').add({
+                to: settings.alertEmail,
+                message: {
+                    subject: `[Stock alert] ${summary}`,
+                    text: `${summary}\n\nProduct ID: ${alert.productId}`
+                },
+                createdAt: new Date()
+            });
+        } catch (error) {
+            console.error('Queue stock alert email error:', error);
+        }
+    }
+
+    if (settings.alertWebhookUrl) {
+        try {
+            const response = await fetch(settings.alertWebhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    event: `inventory.${alert.type}`,
+                    text: summary,
+                    alert
+                })
+            });
+            if (!response.ok) {
+                console.error(`Stock alert webhook responded ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Stock alert webhook error:', error);
+        }
+    }
+}
+
+module.exports = {
+    STOCK_LEVELS,
+    ALERT_STATUSES,
+    OUT_OF_STOCK_ACTIONS,
+    DEFAULT_SETTINGS,
+    settingsRef,
+    getAlertSettings,
+    stockThreshold,
+    stockLevel,
+    handleStockMovement
+};
@@ -0,0 +1,78 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db } = fake;
+const { stockLevel, handleStockMovement } = require('./stockAlerts');
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({
+        'siteSettings/inventory': { lowStockThreshold: 5, outOfStockAction: 'hide', alertEmail: 'ops@example.com' },
+        'products/candle': { name: 'Candle', stockQuantity: 0, isActive: true, stockStatus: 'in_stock' }
+    });
+});
+
+const movement = (before, after) => ({ productId: 'candle', before, after, quantity: after - before });
+
+test('stock levels follow the threshold', () => {
+    assert.equal(stockLevel(0, 5), 'out_of_stock');
+    assert.equal(stockLevel(5, 5), 'low_stock');
+    assert.equal(stockLevel(6, 5), 'in_stock');
+});
+
+test('selling out opens an alert, emails it and hides the product', async () => {
+    const alert = await handleStockMovement('m1', movement(2, 0));
+
+    assert.equal(alert.type, 'out_of_stock');
+    assert.equal(fake.read('adminAlerts/m1').status, 'open');
+    assert.equal(fake.list('mail')[0].message.subject, '[Stock alert] Out of stock: Candle (0 left, threshold 5)');
+
+    const product = fake.read('products/candle');
+    assert.equal(product.stockStatus, 'out_of_stock');
+    assert.equal(product.isActive, false);
+    assert.equal(product.autoHidden, true);
+});
+
+test('a retried trigger neither duplicates the alert nor skips the product update', async (t) => {
+    // The first delivery fails after its transaction has read both documents
+    const runTransaction = db.runTransaction;
+    t.mock.method(db, 'runTransaction', async (fn) => {
+        db.runTransaction.mock.restore();
+        return runTransaction(async (transaction) => {
+            await fn(transaction);
+            throw new Error('deadline exceeded');
+        });
+    });
+
+    await assert.rejects(handleStockMovement('m1', movement(2, 0)), { message: 'deadline exceeded' });
+    assert.equal(fake.read('adminAlerts/m1'), undefined);
+    assert.equal(fake.read('products/candle').isActive, true);
+
+    await handleStockMovement('m1', movement(2, 0));
+    assert.equal(await handleStockMovement('m1', movement(2, 0)), null);
+
+    assert.equal(fake.list('adminAlerts').length, 1);
+    assert.equal(fake.list('mail').length, 1);
+    assert.equal(fake.read('products/candle').isActive, false);
+});
+
+test('restocking resolves worse alerts and brings back an auto-hidden product', async () => {
+    await handleStockMovement('m1', movement(2, 0));
+    fake.seed({ 'products/candle': { ...fake.read('products/candle'), stockQuantity: 20 } });
+
+    assert.equal(await handleStockMovement('m2', movement(0, 20)), null);
+
+    assert.equal(fake.read('adminAlerts/m1').status, 'resolved');
+    const product = fake.read('products/candle');
+    assert.equal(product.isActive, true);
+    assert.equal(product.autoHidden, false);
+    assert.equal(product.stockStatus, 'in_stock');
+});
+
+test('a product an admin switched off stays off when restocked', async () => {
+    fake.seed({ 'products/candle': { name: 'Candle', isActive: false, stockStatus: 'out_of_stock' } });
+
+    await handleStockMovement('m1', movement(0, 20));
+
+    assert.equal(fake.read('products/candle').isActive, false);
+});
@@ -0,0 +1,74 @@
+const { admin, db } = require('../config/firebase');
+const { roundCurrency } = require('./tax');
+
+// ===========================
+// STORE CREDIT
+// Balances live in `storeCredit`, keyed by user id: { userId, balance, updatedAt }.
+// Every change is logged in `storeCreditTransactions`:
+// { userId, amount, type, orderId, refundId, reason, createdBy, createdAt }
+// type: refund (credit issued) | redemption (spent at checkout, negative)
+// | reversal (credit given back when an unpaid order is cancelled)
+// Both collections are written only by the backend; user profiles are
+// customer-writable, so balances are never kept there.
+// ===========================
+
+const balanceRef = (userId) => db.collection('storeCredit').doc(userId);
+
+/**
+ * A customer's current balance. `getDoc` lets order creation read through
+ * its transaction.
+ */
+async function getStoreCreditBalance(userId, getDoc = (ref) => ref.get()) {
+    if (!userId) return 0;
+
+    const balanceDoc = await getDoc(balanceRef(userId));
+    return balanceDoc.exists ? roundCurrency(balanceDoc.data().balance || 0) : 0;
+}
+
+// Add (positive) or spend (negative) credit and log it (writes only)
+function adjustStoreCredit(transaction, userId, amount, { type, orderId = null, refundId = null, reason = null, actor }) {
+    transaction.set(balanceRef(userId), {
+        userId,
+        balance: admin.firestore.FieldValue.increment(amount),
+        updatedAt: new Date()
+    }, { merge: true });
+
+    transaction.set(db.collection('storeCreditTransactions').doc(), {
+        userId,
+        amount,
+        type,
+        orderId,
+        refundId,
+        reason,
+        createdBy: actor || 'system',
+        createdAt: new Date()
+    });
+}
+
+/**
+ * List a customer's balance and most recent credit transactions.
+ */
+async function getStoreCredit(userId, { limit = 20 } = {}) {
+    const [balance, snapshot] = await Promise.all([
+        getStoreCreditBalance(userId),
+        db.collection('storeCreditTransactions')
+            .where('userId', '==', userId)
+            .orderBy('createdAt', 'desc')
+            .limit(limit)
+            .get()
+    ]);
+
+    return {
+        balance,
+        transactions: snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }))
+    };
+}
+
+module.exports = {
+    getStoreCreditBalance,
+    adjustStoreCredit,
+    getStoreCredit
+};
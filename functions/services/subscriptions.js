@@ -0,0 +1,749 @@
+const { admin, db } = require('../config/firebase');
+const { variantRef } = require('./variants');
+const { isPublished } = require('./productSchedule');
+const { transitionOrder } = require('./orderStatus');
+const { placeOrder } = require('./orders');
+const { getProvider, chargeOrder } = require('./payments');
+
+// ===========================
+// SUBSCRIPTIONS (subscribe & save)
+// A product offers a subscription with
+// subscription: { interval, intervalCount, discountPercent, billingDay }
+// `interval` is 'week' or 'month'; monthly renewals fall on `billingDay`
+// (1-28, or the day the customer signed up when the product sets none).
+// Customers' subscriptions live in `subscriptions`:
+// { userId, customerEmail, customerName, productId, variantId, quantity,
+//   interval, intervalCount, billingDay, discountPercent, shippingAddress,
+//   shippingMethodId, billingAddress, paymentMethod, status, nextRenewalAt,
+//   nextChargeAt, pausedUntil, failedAttempts, lastFailure, lastOrderId,
+//   pendingOrderId, renewals, history: [{ action, actor, note, at }] }
+// status: active | paused | past_due (a renewal failed and will be retried)
+// | cancelled
+// Every renewal places a normal order at the subscription discount and
+// charges the saved card. Failed renewals are retried RETRY_DAYS apart and
+// the subscription is cancelled when the retries run out. `nextChargeAt` is
+// when the scheduler next picks it up (null while nothing is due).
+// ===========================
+
+const SUBSCRIPTION_INTERVALS = ['week', 'month'];
+const SUBSCRIPTION_STATUSES = ['active', 'paused', 'past_due', 'cancelled'];
+
+// Days to wait after each failed renewal before trying again
+const RETRY_DAYS = (process.env.SUBSCRIPTION_RETRY_DAYS || '1,3,7')
+    .split(',')
+    .map(days => parseInt(days))
+    .filter(days => days > 0);
+
+const MAX_QUANTITY = 20;
+
+// A renewal that started this long ago is assumed to have died
+const RENEWAL_LOCK_MINUTES = 10;
+
+const RENEWAL_BATCH_SIZE = 100;
+
+function subscriptionError(message, status = 400, code = 'VALIDATION_ERROR') {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value ? new Date(value) : null);
+
+const isSubscribable = (product) => Boolean(product && product.subscription);
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// True while a renewal holds the subscription (see claimRenewal)
+function renewalInProgress(subscription, now = new Date()) {
+    const startedAt = toDate(subscription.renewalStartedAt);
+    return Boolean(startedAt && now - startedAt < RENEWAL_LOCK_MINUTES * 60 * 1000);
+}
+
+function historyEntry(action, actor, note) {
+    return {
+        action,
+        actor: actor || 'system',
+        note: note || null,
+        at: new Date()
+    };
+}
+
+/**
+ * Pick and check a product's subscription offer from a request body.
+ * `subscription: null` stops offering one; existing subscriptions carry on.
+ * Throws a 400 error for invalid values.
+ */
+function subscriptionFields(input) {
+    if (input.subscription === undefined) return {};
+    if (input.subscription === null) return { subscription: null };
+
+    const { interval, intervalCount = 1, discountPercent = 0, billingDay = null } = input.subscription;
+    const count = parseInt(intervalCount);
+    const discount = Number(discountPercent) || 0;
+    const day = billingDay === null || billingDay === '' ? null : parseInt(billingDay);
+
+    if (!SUBSCRIPTION_INTERVALS.includes(interval)) {
+        throw subscriptionError(`subscription.interval must be one of: ${SUBSCRIPTION_INTERVALS.join(', ')}`);
+    }
+    if (!(count >= 1 && count <= 12)) {
+        throw subscriptionError('subscription.intervalCount must be from 1 to 12');
+    }
+    if (discount < 0 || discount >= 100) {
+        throw subscriptionError('subscription.discountPercent must be from 0 to below 100');
+    }
+    if (day !== null && !(day >= 1 && day <= 28)) {
+        throw subscriptionError('subscription.billingDay must be from 1 to 28');
+    }
+
+    return {
+        subscription: {
+            interval,
+            intervalCount: count,
+            discountPercent: discount,
+            // Weekly renewals simply follow the interval
+            billingDay: interval === 'month' ? day : null
+        }
+    };
+}
+
+/**
+ * The renewal one interval after `from`. Monthly renewals land on the
+ * subscription's billing day.
+ */
+function nextRenewal(from, { interval, intervalCount = 1, billingDay = null }) {
+    const next = new Date(from);
+
+    if (interval === 'week') {
+        next.setUTCDate(next.getUTCDate() + 7 * intervalCount);
+        return next;
+    }
+
+    // Day 1 first so adding months never spills into the month after
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + intervalCount);
+    next.setUTCDate(billingDay || 1);
+    return next;
+}
+
+// The first scheduled renewal after `after`, counting on from `from`
+function renewalAfter(from, schedule, after) {
+    let next = new Date(from);
+    while (next <= after) {
+        next = nextRenewal(next, schedule);
+    }
+    return next;
+}
+
+/**
+ * A subscription for API responses: the saved card shows only what the
+ * customer needs to recognise it.
+ */
+function publicSubscription(id, subscription) {
+    const { paymentMethod, ...rest } = subscription;
+
+    return {
+        id,
+        ...rest,
+        paymentMethod: paymentMethod
+            ? {
+                brand: paymentMethod.brand || null,
+                last4: paymentMethod.last4 || null,
+                expMonth: paymentMethod.expMonth || null,
+                expYear: paymentMethod.expYear || null
+            }
+            : null
+    };
+}
+
+/**
+ * Load and check the product (and variant) a subscription is for.
+ * Returns the product. Throws a 400 error when it can't be subscribed to.
+ */
+async function loadSubscribable(productId, variantId, quantity) {
+    if (!(quantity >= 1 && quantity <= MAX_QUANTITY)) {
+        throw subscriptionError(`quantity must be from 1 to ${MAX_QUANTITY}`);
+    }
+
+    const productDoc = await db.collection('products').doc(productId).get();
+    const product = productDoc.exists ? productDoc.data() : null;
+
+    if (!product || !isPublished(product)) {
+        throw subscriptionError(`Product ${productId} is not available`);
+    }
+    if (!isSubscribable(product)) {
+        throw subscriptionError(`${product.name} is not available as a subscription`);
+    }
+
+    if (variantId) {
+        const variantDoc = await variantRef(productId, variantId).get();
+        if (!variantDoc.exists || variantDoc.data().isActive === false) {
+            throw subscriptionError(`Variant ${variantId} of ${product.name} is not available`);
+        }
+    } else if (product.hasVariants) {
+        throw subscriptionError(`${product.name} has variants; choose one`);
+    }
+
+    return product;
+}
+
+/**
+ * Queue an email to the subscriber in the `mail` collection (Firebase Trigger
+ * Email extension). Failures are logged; `lastFailure` on the subscription
+ * says the same.
+ */
+async function emailSubscriber(subscription, subject, text) {
+    try {
+        await db.collection('mail').add({
+            to: subscription.customerEmail,
+            message: { subject, text },
+            createdAt: new Date()
+        });
+    } catch (error) {
+        console.error('Queue subscription email error:', error);
+    }
+}
+
+// The renewal order was not paid: give back its stock hold
+async function cancelRenewalOrder(orderId, reason) {
+    try {
+        await transitionOrder(orderId, {
+            status: 'cancelled',
+            actor: 'system',
+            note: reason,
+            updates: {
+                cancellationReason: reason
+            }
+        });
+    } catch (error) {
+        console.error(`Cancel renewal order ${orderId} error:`, error);
+    }
+}
+
+function orderInput(subscription, customer) {
+    return {
+        items: [{
+            productId: subscription.productId,
+            quantity: subscription.quantity,
+            ...(subscription.variantId && { variantId: subscription.variantId })
+        }],
+        customerEmail: subscription.customerEmail,
+        customerName: subscription.customerName,
+        shippingAddress: subscription.shippingAddress || undefined,
+        shippingMethodId: subscription.shippingMethodId || undefined,
+        billingAddress: subscription.billingAddress || undefined,
+        customer
+    };
+}
+
+/**
+ * Start a subscription: place the first order, save the customer's card,
+ * charge it, and schedule the renewals after it. Nothing is kept when the
+ * card is refused (402 PAYMENT_DECLINED); the order is cancelled.
+ * Returns { subscription, order }.
+ */
+async function createSubscription({
+    user,
+    productId,
+    variantId = null,
+    quantity = 1,
+    customerName,
+    shippingAddress = null,
+    shippingMethodId = null,
+    billingAddress = null,
+    paymentToken
+}) {
+    const product = await loadSubscribable(productId, variantId, quantity);
+    const offer = product.subscription;
+    const now = new Date();
+
+    const subscriptionRef = db.collection('subscriptions').doc();
+    const subscription = {
+        userId: user.id,
+        customerEmail: user.email,
+        customerName,
+        productId,
+        productName: product.name,
+        variantId: variantId || null,
+        quantity,
+        interval: offer.interval,
+        intervalCount: offer.intervalCount,
+        billingDay: offer.interval === 'month' ? offer.billingDay || Math.min(now.getUTCDate(), 28) : null,
+        discountPercent: offer.discountPercent,
+        shippingAddress,
+        shippingMethodId,
+        billingAddress
+    };
+
+    // Placing the order first checks the stock, address and shipping method
+    const order = await placeOrder({
+        ...orderInput(subscription, user),
+        subscription: { id: subscriptionRef.id, discountPercent: subscription.discountPercent },
+        note: 'Subscription started'
+    });
+
+    const provider = getProvider();
+    try {
+        const card = await provider.saveCard({
+            token: paymentToken,
+            customer: { id: user.id, email: user.email, name: customerName }
+        });
+        subscription.paymentMethod = { provider: provider.name, ...card };
+    } catch (error) {
+        console.error('Save subscription card error:', error);
+        await cancelRenewalOrder(order.id, 'Subscription card could not be saved');
+        throw subscriptionError('The card could not be saved', 402, 'PAYMENT_DECLINED');
+    }
+
+    // A free first order was paid when it was placed
+    const paid = order.paymentStatus === 'paid' ||
+        (await chargeOrder(order.id, subscription.paymentMethod, { idempotencyKey: order.id })).paid;
+    if (!paid) {
+        await cancelRenewalOrder(order.id, 'Subscription payment declined');
+        throw subscriptionError('The card was declined', 402, 'PAYMENT_DECLINED');
+    }
+
+    const nextRenewalAt = nextRenewal(now, subscription);
+    const data = {
+        ...subscription,
+        status: 'active',
+        nextRenewalAt,
+        nextChargeAt: nextRenewalAt,
+        pausedUntil: null,
+        failedAttempts: 0,
+        lastFailure: null,
+        lastOrderId: order.id,
+        pendingOrderId: null,
+        renewals: 0,
+        history: [historyEntry('created', user.email || user.id, `Order ${order.orderNumber}`)],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await subscriptionRef.set(data);
+
+    return {
+        subscription: publicSubscription(subscriptionRef.id, data),
+        order
+    };
+}
+
+/**
+ * Apply a customer or admin change inside a transaction. `allowed` lists the
+ * statuses the change is possible from; `changes(subscription)` returns the
+ * fields to write. Returns the updated subscription.
+ */
+async function changeSubscription(id, { allowed, action, actor, note }, changes) {
+    const subscriptionRef = db.collection('subscriptions').doc(id);
+
+    await db.runTransaction(async (transaction) => {
+        const subscriptionDoc = await transaction.get(subscriptionRef);
+        if (!subscriptionDoc.exists) {
+            throw subscriptionError('Subscription not found', 404, 'NOT_FOUND');
+        }
+
+        const subscription = subscriptionDoc.data();
+        if (!allowed.includes(subscription.status)) {
+            throw subscriptionError(`Cannot ${action} a ${subscription.status} subscription`, 400, 'INVALID_STATUS');
+        }
+
+        // The renewal would overwrite the change when it finishes
+        if (renewalInProgress(subscription)) {
+            throw subscriptionError('A renewal is in progress, please try again in a few minutes', 409, 'RENEWAL_IN_PROGRESS');
+        }
+
+        // `note` describes the change for the history when only the change knows it
+        const { note: changeNote, ...updates } = changes(subscription);
+
+        transaction.update(subscriptionRef, {
+            ...updates,
+            history: admin.firestore.FieldValue.arrayUnion(historyEntry(action, actor, note || changeNote)),
+            updatedAt: new Date()
+        });
+    });
+
+    const updated = await subscriptionRef.get();
+    return publicSubscription(updated.id, updated.data());
+}
+
+/**
+ * Pause renewals, until `until` or (without it) until resumed.
+ */
+function pauseSubscription(id, { until = null, actor }) {
+    if (until && !(until > new Date())) {
+        throw subscriptionError('until must be in the future');
+    }
+
+    return changeSubscription(id, {
+        allowed: ['active'],
+        action: 'pause',
+        actor,
+        note: until ? `Paused until ${until.toDateString()}` : 'Paused'
+    }, (subscription) => {
+        const resumeAt = until ? renewalAfter(toDate(subscription.nextRenewalAt), subscription, until) : null;
+
+        return {
+            status: 'paused',
+            pausedUntil: until,
+            // Resuming at the first renewal on or after the pause ends
+            nextRenewalAt: resumeAt || subscription.nextRenewalAt,
+            nextChargeAt: resumeAt
+        };
+    });
+}
+
+function resumeSubscription(id, { actor }) {
+    return changeSubscription(id, { allowed: ['paused'], action: 'resume', actor }, (subscription) => {
+        const next = renewalAfter(toDate(subscription.nextRenewalAt), subscription, new Date());
+
+        return {
+            status: 'active',
+            pausedUntil: null,
+            nextRenewalAt: next,
+            nextChargeAt: next
+        };
+    });
+}
+
+// Skip the next renewal; call again to skip the one after
+function skipRenewal(id, { actor }) {
+    return changeSubscription(id, { allowed: ['active'], action: 'skip', actor }, (subscription) => {
+        const skipped = toDate(subscription.nextRenewalAt);
+        const next = nextRenewal(skipped, subscription);
+
+        return {
+            nextRenewalAt: next,
+            nextChargeAt: next,
+            note: `Skipped the renewal on ${skipped.toDateString()}`
+        };
+    });
+}
+
+/**
+ * Swap to another product (or variant) from the next renewal on. The
+ * schedule stays; the new product's discount applies.
+ */
+async function swapProduct(id, { productId, variantId = null, quantity, actor }) {
+    const current = await db.collection('subscriptions').doc(id).get();
+    const nextQuantity = quantity || (current.exists ? current.data().quantity : 1);
+    const product = await loadSubscribable(productId, variantId, nextQuantity);
+
+    return changeSubscription(id, {
+        allowed: ['active', 'paused', 'past_due'],
+        action: 'swap',
+        actor,
+        note: `Swapped to ${product.name}`
+    }, () => ({
+        productId,
+        productName: product.name,
+        variantId: variantId || null,
+        quantity: nextQuantity,
+        discountPercent: product.subscription.discountPercent
+    }));
+}
+
+function changeAddress(id, { shippingAddress, shippingMethodId = null, billingAddress, actor }) {
+    return changeSubscription(id, {
+        allowed: ['active', 'paused', 'past_due'],
+        action: 'change_address',
+        actor
+    }, (subscription) => ({
+        shippingAddress: shippingAddress === undefined ? subscription.shippingAddress : shippingAddress,
+        shippingMethodId,
+        billingAddress: billingAddress === undefined ? subscription.billingAddress : billingAddress
+    }));
+}
+
+/**
+ * Save a new card. A subscription waiting on a failed payment is retried at
+ * the next scheduler run.
+ */
+async function updatePaymentMethod(id, { paymentToken, user, actor }) {
+    const current = await db.collection('subscriptions').doc(id).get();
+    if (!current.exists) {
+        throw subscriptionError('Subscription not found', 404, 'NOT_FOUND');
+    }
+
+    const saved = current.data().paymentMethod || {};
+    const provider = getProvider();
+    const card = await provider.saveCard({
+        token: paymentToken,
+        customer: { id: user.id, email: user.email, name: current.data().customerName },
+        customerId: saved.provider === provider.name ? saved.customerId : null
+    });
+
+    return changeSubscription(id, {
+        allowed: ['active', 'paused', 'past_due'],
+        action: 'update_payment_method',
+        actor,
+        note: `${card.brand} ending ${card.last4}`
+    }, (subscription) => ({
+        paymentMethod: { provider: provider.name, ...card },
+        ...(subscription.status === 'past_due' && { nextChargeAt: new Date() })
+    }));
+}
+
+function cancelSubscription(id, { reason, actor }) {
+    return changeSubscription(id, {
+        allowed: ['active', 'paused', 'past_due'],
+        action: 'cancel',
+        actor,
+        note: reason || 'Cancelled by customer'
+    }, () => ({
+        status: 'cancelled',
+        nextChargeAt: null,
+        cancelledAt: new Date(),
+        cancellationReason: reason || 'Cancelled by customer',
+        cancelledBy: actor
+    }));
+}
+
+/**
+ * Subscriptions the scheduler should act on now: renewals and retries that
+ * are due, and pauses that have ended.
+ */
+async function findDueSubscriptions(now = new Date()) {
+    const snapshot = await db.collection('subscriptions')
+        .where('nextChargeAt', '<=', now)
+        .orderBy('nextChargeAt')
+        .limit(RENEWAL_BATCH_SIZE)
+        .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// Claim the subscription so overlapping runs can't charge it twice
+async function claimRenewal(subscriptionRef, now) {
+    return db.runTransaction(async (transaction) => {
+        const subscriptionDoc = await transaction.get(subscriptionRef);
+        if (!subscriptionDoc.exists) {
+            throw subscriptionError('Subscription not found', 404, 'NOT_FOUND');
+        }
+
+        const subscription = subscriptionDoc.data();
+        if (subscription.status === 'cancelled') {
+            throw subscriptionError('Cancelled subscriptions cannot renew', 400, 'INVALID_STATUS');
+        }
+
+        if (renewalInProgress(subscription, now)) {
+            throw subscriptionError('A renewal is already in progress', 409, 'RENEWAL_IN_PROGRESS');
+        }
+
+        transaction.update(subscriptionRef, { renewalStartedAt: now });
+        return subscription;
+    });
+}
+
+// The order from an earlier attempt, if it can still be paid (or already was)
+async function pendingRenewalOrder(subscription) {
+    if (!subscription.pendingOrderId) return null;
+
+    const orderDoc = await db.collection('orders').doc(subscription.pendingOrderId).get();
+    if (!orderDoc.exists) return null;
+
+    const order = { id: orderDoc.id, ...orderDoc.data() };
+    const paid = ['authorized', 'paid'].includes(order.paymentStatus);
+    const open = order.status === 'pending' && order.reservationStatus === 'active';
+
+    return paid || open ? order : null;
+}
+
+/**
+ * Read the subscription again before the renewal's final write. Returns the
+ * current data and whether it was cancelled or paused after claimRenewal read
+ * it (a renewal lock that went stale lets such changes through); the
+ * renewal then leaves the status and schedule as they are now.
+ */
+async function readAfterRenewal(transaction, subscriptionRef, subscription) {
+    const currentDoc = await transaction.get(subscriptionRef);
+    const current = currentDoc.data();
+    const stopped = current.status !== subscription.status && ['cancelled', 'paused'].includes(current.status);
+
+    return { current, stopped };
+}
+
+async function completeRenewal(subscriptionRef, subscription, order, actor, now) {
+    // Renewing ahead of time (an admin's "renew now") uses up that renewal
+    const due = toDate(subscription.nextRenewalAt);
+    const next = renewalAfter(due, subscription, due > now ? due : now);
+
+    await db.runTransaction(async (transaction) => {
+        const { stopped } = await readAfterRenewal(transaction, subscriptionRef, subscription);
+
+        transaction.update(subscriptionRef, {
+            ...(!stopped && {
+                status: 'active',
+                nextRenewalAt: next,
+                nextChargeAt: next,
+                pausedUntil: null
+            }),
+            failedAttempts: 0,
+            lastFailure: null,
+            lastOrderId: order.id,
+            lastRenewedAt: now,
+            pendingOrderId: null,
+            renewalStartedAt: null,
+            renewals: admin.firestore.FieldValue.increment(1),
+            history: admin.firestore.FieldValue.arrayUnion(historyEntry('renew', actor, `Order ${order.orderNumber}`)),
+            updatedAt: now
+        });
+    });
+
+    return { outcome: 'renewed', orderId: order.id };
+}
+
+/**
+ * Count a failed renewal: retry after the next RETRY_DAYS gap, or cancel once
+ * they are used up. `orderId` stays pending when the payment outcome is
+ * unknown so the next attempt charges the same order.
+ */
+async function recordFailure(subscriptionRef, subscription, { reason, message, orderId = null, keepOrder = false }, actor, now) {
+    const attempts = (subscription.failedAttempts || 0) + 1;
+    const retryDays = RETRY_DAYS[attempts - 1];
+    const lastFailure = { reason, message, orderId, at: now };
+    const retryAt = retryDays ? addDays(now, retryDays) : null;
+
+    const { current, stopped } = await db.runTransaction(async (transaction) => {
+        const result = await readAfterRenewal(transaction, subscriptionRef, subscription);
+
+        const failure = {
+            failedAttempts: attempts,
+            lastFailure,
+            pendingOrderId: keepOrder ? orderId : null,
+            renewalStartedAt: null,
+            updatedAt: now
+        };
+
+        if (result.stopped) {
+            // Cancelled or paused meanwhile: note the failure, keep the status and schedule
+            transaction.update(subscriptionRef, {
+                ...failure,
+                history: admin.firestore.FieldValue.arrayUnion(historyEntry('renewal_failed', actor, message))
+            });
+        } else if (!retryDays) {
+            transaction.update(subscriptionRef, {
+                ...failure,
+                status: 'cancelled',
+                nextChargeAt: null,
+                cancelledAt: now,
+                cancellationReason: 'Renewal failed',
+                cancelledBy: 'system',
+                history: admin.firestore.FieldValue.arrayUnion(historyEntry('cancel', actor, `Renewal failed ${attempts} times: ${message}`))
+            });
+        } else {
+            transaction.update(subscriptionRef, {
+                ...failure,
+                status: 'past_due',
+                nextChargeAt: retryAt,
+                history: admin.firestore.FieldValue.arrayUnion(historyEntry('renewal_failed', actor, message))
+            });
+        }
+
+        return result;
+    });
+
+    if (stopped) {
+        return { outcome: current.status, orderId };
+    }
+
+    if (!retryDays) {
+        await emailSubscriber(subscription, `Your ${subscription.productName} subscription has been cancelled`,
+            `We couldn't renew your subscription after ${attempts} attempts (${message}), so it has been cancelled.`);
+
+        return { outcome: 'cancelled', orderId };
+    }
+
+    await emailSubscriber(subscription, `We couldn't renew your ${subscription.productName} subscription`,
+        `Your renewal didn't go through: ${message}.\n` +
+        `We'll try again on ${retryAt.toDateString()}. If your card has changed, please update it before then.`);
+
+    return { outcome: 'retrying', orderId, retryAt };
+}
+
+/**
+ * Renew a subscription now: place the renewal order through the normal
+ * order flow and charge the saved card. A paused subscription whose pause
+ * has ended is resumed. Returns { outcome: 'renewed' | 'retrying' |
+ * 'cancelled' | 'paused', orderId }; 'paused' when the customer paused
+ * while a failed renewal was running.
+ */
+async function renewSubscription(id, { actor = 'system', now = new Date() } = {}) {
+    const subscriptionRef = db.collection('subscriptions').doc(id);
+    const subscription = await claimRenewal(subscriptionRef, now);
+
+    let order = await pendingRenewalOrder(subscription);
+
+    if (!order) {
+        try {
+            const userDoc = await db.collection('users').doc(subscription.userId).get();
+            order = await placeOrder({
+                ...orderInput(subscription, { id: subscription.userId, ...(userDoc.exists ? userDoc.data() : {}) }),
+                subscription: { id, discountPercent: subscription.discountPercent },
+                note: 'Subscription renewal'
+            });
+        } catch (error) {
+            if (!error.status) {
+                await subscriptionRef.update({ renewalStartedAt: null });
+                throw error;
+            }
+            // Out of stock, no longer sold, no shipping to the address...
+            return recordFailure(subscriptionRef, subscription, { reason: 'order_failed', message: error.message }, actor, now);
+        }
+    }
+
+    // The last attempt went through after all, or there was nothing to charge
+    if (['authorized', 'paid'].includes(order.paymentStatus)) {
+        return completeRenewal(subscriptionRef, subscription, order, actor, now);
+    }
+
+    let charge;
+    try {
+        // Keyed by the order alone: a retry of an order whose payment outcome
+        // is unknown must not become a second charge. A declined order is
+        // cancelled, so the next attempt has a new order and a new key.
+        charge = await chargeOrder(order.id, subscription.paymentMethod, { idempotencyKey: order.id });
+    } catch (error) {
+        console.error(`Charge renewal order ${order.id} error:`, error);
+        charge = { paid: false, status: 'pending', declineReason: null };
+    }
+
+    if (charge.paid) {
+        return completeRenewal(subscriptionRef, subscription, order, actor, now);
+    }
+
+    if (charge.status === 'failed') {
+        await cancelRenewalOrder(order.id, 'Subscription payment declined');
+        return recordFailure(subscriptionRef, subscription, {
+            reason: 'payment_declined',
+            message: `the card was declined${charge.declineReason ? ` (${charge.declineReason})` : ''}`,
+            orderId: order.id
+        }, actor, now);
+    }
+
+    // No answer from the provider; check the same order again next time
+    return recordFailure(subscriptionRef, subscription, {
+        reason: 'payment_error',
+        message: 'the payment could not be completed',
+        orderId: order.id,
+        keepOrder: true
+    }, actor, now);
+}
+
+module.exports = {
+    SUBSCRIPTION_INTERVALS,
+    SUBSCRIPTION_STATUSES,
+    isSubscribable,
+    subscriptionFields,
+    nextRenewal,
+    publicSubscription,
+    createSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    skipRenewal,
+    swapProduct,
+    changeAddress,
+    updatePaymentMethod,
+    cancelSubscription,
+    findDueSubscriptions,
+    renewSubscription
+};
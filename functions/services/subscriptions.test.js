@@ -0,0 +1,201 @@
+const fake = require('../testing/fakeFirebase');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeProvider = require('./payments/fake');
+const {
+    nextRenewal,
+    createSubscription,
+    cancelSubscription,
+    renewSubscription
+} = require('./subscriptions');
+
+const address = { line1: '1 Main St', city: 'Springfield', state: 'IL', zip: '62701', country: 'US' };
+const DAY = 24 * 60 * 60 * 1000;
+
+function seedSubscription(overrides = {}) {
+    fake.seed({
+        'subscriptions/s1': {
+            userId: 'u1',
+            customerEmail: 'ada@example.com',
+            customerName: 'Ada',
+            productId: 'beans',
+            productName: 'Coffee beans',
+            variantId: null,
+            quantity: 1,
+            interval: 'month',
+            intervalCount: 1,
+            billingDay: 5,
+            discountPercent: 10,
+            shippingAddress: address,
+            paymentMethod: { provider: 'fake', customerId: 'cus1', cardId: 'card1', brand: 'VISA', last4: '4242' },
+            status: 'active',
+            nextRenewalAt: new Date('2026-03-05T00:00:00Z'),
+            nextChargeAt: new Date('2026-03-05T00:00:00Z'),
+            failedAttempts: 0,
+            pendingOrderId: null,
+            renewals: 0,
+            history: [],
+            ...overrides
+        }
+    });
+}
+
+beforeEach(() => {
+    fake.reset();
+    fake.seed({
+        'products/beans': {
+            name: 'Coffee beans',
+            price: 60,
+            stockQuantity: 20,
+            reservedQuantity: 0,
+            isActive: true,
+            subscription: { interval: 'month', intervalCount: 1, discountPercent: 10, billingDay: 5 }
+        }
+    });
+});
+
+test('monthly renewals land on the billing day, weekly ones follow the interval', () => {
+    const from = new Date('2026-01-31T12:00:00Z');
+
+    assert.equal(nextRenewal(from, { interval: 'month', billingDay: 5 }).toISOString(), '2026-02-05T12:00:00.000Z');
+    assert.equal(nextRenewal(from, { interval: 'month', intervalCount: 2 }).toISOString(), '2026-03-01T12:00:00.000Z');
+    assert.equal(nextRenewal(from, { interval: 'week', intervalCount: 2 }).toISOString(), '2026-02-14T12:00:00.000Z');
+});
+
+test('subscribing pays the first order at the subscription discount', async () => {
+    const { subscription, order } = await createSubscription({
+        user: { id: 'u1', email: 'ada@example.com' },
+        productId: 'beans',
+        customerName: 'Ada',
+        shippingAddress: address,
+        paymentToken: 'tok_ok'
+    });
+
+    assert.equal(subscription.status, 'active');
+    assert.deepEqual(Object.keys(subscription.paymentMethod).sort(), ['brand', 'expMonth', 'expYear', 'last4']);
+    assert.equal(order.subtotal, 54);
+    assert.equal(fake.read(`orders/${order.id}`).paymentStatus, 'paid');
+    assert.equal(fake.read(`orders/${order.id}`).payment.idempotencyKey, order.id);
+});
+
+test('a declined first payment keeps nothing', async () => {
+    await assert.rejects(createSubscription({
+        user: { id: 'u1', email: 'ada@example.com' },
+        productId: 'beans',
+        customerName: 'Ada',
+        shippingAddress: address,
+        paymentToken: 'tok_decline'
+    }), { status: 402, code: 'PAYMENT_DECLINED' });
+
+    assert.equal(fake.list('subscriptions').length, 0);
+    assert.equal(fake.list('orders')[0].status, 'cancelled');
+    assert.equal(fake.read('products/beans').reservedQuantity, 0);
+});
+
+test('a renewal places a paid order and schedules the next one', async () => {
+    seedSubscription();
+
+    const result = await renewSubscription('s1', { now: new Date('2026-03-05T01:00:00Z') });
+
+    assert.equal(result.outcome, 'renewed');
+    assert.equal(fake.read(`orders/${result.orderId}`).paymentStatus, 'paid');
+    const subscription = fake.read('subscriptions/s1');
+    assert.equal(subscription.nextChargeAt.toISOString(), '2026-04-05T00:00:00.000Z');
+    assert.equal(subscription.renewals, 1);
+    assert.equal(subscription.renewalStartedAt, null);
+});
+
+test('declined renewals are retried RETRY_DAYS apart, then the subscription is cancelled', async () => {
+    seedSubscription({ paymentMethod: { provider: 'fake', customerId: 'cus1', cardId: 'card_declined_1' } });
+
+    let now = new Date('2026-03-05T01:00:00Z');
+    const outcomes = [];
+    const gaps = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+        const result = await renewSubscription('s1', { now });
+        outcomes.push(result.outcome);
+        assert.equal(fake.read(`orders/${result.orderId}`).status, 'cancelled');
+
+        const { nextChargeAt } = fake.read('subscriptions/s1');
+        if (nextChargeAt) {
+            gaps.push((nextChargeAt - now) / DAY);
+            now = nextChargeAt;
+        }
+    }
+
+    assert.deepEqual(outcomes, ['retrying', 'retrying', 'retrying', 'cancelled']);
+    assert.deepEqual(gaps, [1, 3, 7]);
+
+    const subscription = fake.read('subscriptions/s1');
+    assert.equal(subscription.status, 'cancelled');
+    assert.equal(subscription.failedAttempts, 4);
+    assert.equal(subscription.cancellationReason, 'Renewal failed');
+    assert.equal(fake.list('mail').length, 4);
+    // Every cancelled renewal order gave back its hold
+    assert.equal(fake.read('products/beans').reservedQuantity, 0);
+});
+
+test('a renewal whose payment outcome was lost retries the same order with the same key', async (t) => {
+    seedSubscription();
+    t.mock.method(console, 'error', () => {});
+
+    const keys = [];
+    const chargeCard = fakeProvider.chargeCard;
+    t.mock.method(fakeProvider, 'chargeCard', async (order, card, options) => {
+        keys.push(options.idempotencyKey);
+        if (keys.length === 1) throw new Error('socket hang up');
+        return chargeCard(order, card, options);
+    });
+
+    const first = await renewSubscription('s1', { now: new Date('2026-03-05T01:00:00Z') });
+    assert.equal(first.outcome, 'retrying');
+    assert.equal(fake.read('subscriptions/s1').pendingOrderId, first.orderId);
+
+    const second = await renewSubscription('s1', { now: new Date('2026-03-06T01:00:00Z') });
+
+    assert.equal(second.outcome, 'renewed');
+    assert.equal(second.orderId, first.orderId);
+    assert.deepEqual(keys, [first.orderId, first.orderId]);
+    assert.equal(fake.list('orders').length, 1);
+});
+
+test('a renewal that was paid after all is not charged again', async (t) => {
+    seedSubscription();
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(fakeProvider, 'chargeCard', async () => {
+        throw new Error('socket hang up');
+    });
+
+    const first = await renewSubscription('s1', { now: new Date('2026-03-05T01:00:00Z') });
+    fake.seed({ [`orders/${first.orderId}`]: { ...fake.read(`orders/${first.orderId}`), paymentStatus: 'paid' } });
+
+    const second = await renewSubscription('s1', { now: new Date('2026-03-06T01:00:00Z') });
+
+    assert.equal(second.outcome, 'renewed');
+    assert.equal(fakeProvider.chargeCard.mock.callCount(), 1);
+});
+
+test('changes are refused while a renewal is running', async () => {
+    seedSubscription({ renewalStartedAt: new Date() });
+
+    await assert.rejects(cancelSubscription('s1', { actor: 'ada@example.com' }), { status: 409, code: 'RENEWAL_IN_PROGRESS' });
+    await assert.rejects(renewSubscription('s1'), { status: 409, code: 'RENEWAL_IN_PROGRESS' });
+});
+
+test('a cancellation made during a renewal is kept', async (t) => {
+    seedSubscription();
+    const chargeCard = fakeProvider.chargeCard;
+    t.mock.method(fakeProvider, 'chargeCard', async (...args) => {
+        // The customer cancels while the card is being charged
+        fake.seed({ 'subscriptions/s1': { ...fake.read('subscriptions/s1'), status: 'cancelled', nextChargeAt: null } });
+        return chargeCard(...args);
+    });
+
+    const result = await renewSubscription('s1', { now: new Date('2026-03-05T01:00:00Z') });
+
+    assert.equal(result.outcome, 'renewed');
+    const subscription = fake.read('subscriptions/s1');
+    assert.equal(subscription.status, 'cancelled');
+    assert.equal(subscription.nextChargeAt, null);
+    assert.equal(subscription.lastOrderId, result.orderId);
+});
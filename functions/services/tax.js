@@ -0,0 +1,134 @@
+const { db } = require('../config/firebase');
+
+// ===========================
+// TAX ENGINE
+// Jurisdiction rate tables live in the `taxRates` collection:
+// { name, country, region, postalPrefix, rate, taxShipping, pricesIncludeTax, isActive }
+// Exempt customers are listed in `taxExemptions`, keyed by user id:
+// { userId, email, reason, certificateNumber, grantedBy, createdAt }
+// Only admins grant them; user profiles are customer-writable.
+// ===========================
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const normalize = (value) => (value || '').toString().trim().toUpperCase();
+
+/**
+ * Load all active jurisdiction rates
+ */
+async function getTaxRates() {
+    const snapshot = await db.collection('taxRates')
+        .where('isActive', '==', true)
+        .get();
+
+    return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+    }));
+}
+
+/**
+ * Whether a signed-in customer has been granted a tax exemption.
+ * Guests are never exempt.
+ */
+async function isTaxExempt(customer) {
+    if (!customer || !customer.id) return false;
+
+    const exemptionDoc = await db.collection('taxExemptions').doc(customer.id).get();
+    return exemptionDoc.exists;
+}
+
+/**
+ * Find the most specific jurisdiction matching an address.
+ * Country must match; a region and postal prefix narrow the match further.
+ */
+function findJurisdiction(rates, address) {
+    if (!address) return null;
+
+    const country = normalize(address.country);
+    const region = normalize(address.state || address.region);
+    const postalCode = normalize(address.zip || address.postalCode).replace(/\s/g, '');
+
+    let best = null;
+    let bestScore = -1;
+
+    for (const rate of rates) {
+        if (normalize(rate.country) !== country) continue;
+
+        let score = 0;
+
+        if (rate.region) {
+            if (normalize(rate.region) !== region) continue;
+            score += 1;
+        }
+
+        if (rate.postalPrefix) {
+            const prefix = normalize(rate.postalPrefix).replace(/\s/g, '');
+            if (!postalCode.startsWith(prefix)) continue;
+            score += 1 + prefix.length;
+        }
+
+        if (score > bestScore) {
+            best = rate;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Calculate tax for a set of order lines.
+ * Each line needs `subtotal` and may set `taxExempt`; `customerExempt` (from
+ * isTaxExempt) exempts the whole order. Returns the lines with
+ * `taxRate`/`taxAmount` added plus order-level totals.
+ */
+function calculateTax({ lines, shipping = 0, shippingAddress, customerExempt = false, rates }) {
+    const jurisdiction = findJurisdiction(rates, shippingAddress);
+    const rate = jurisdiction ? Number(jurisdiction.rate) || 0 : 0;
+    const inclusive = Boolean(jurisdiction && jurisdiction.pricesIncludeTax);
+
+    // Inclusive prices already contain the tax, so extract it instead of adding it
+    const taxOn = (amount) => inclusive
+        ? roundCurrency(amount - (amount / (1 + rate)))
+        : roundCurrency(amount * rate);
+
+    let itemsTax = 0;
+    const taxedLines = lines.map(line => {
+        const exempt = customerExempt || Boolean(line.taxExempt);
+        const taxAmount = exempt || rate === 0 ? 0 : taxOn(line.subtotal);
+        itemsTax += taxAmount;
+
+        return {
+            ...line,
+            taxExempt: exempt,
+            taxRate: exempt ? 0 : rate,
+            taxAmount
+        };
+    });
+
+    const shippingTax = !customerExempt && jurisdiction && jurisdiction.taxShipping && shipping > 0
+        ? taxOn(shipping)
+        : 0;
+
+    return {
+        lines: taxedLines,
+        tax: roundCurrency(itemsTax + shippingTax),
+        shippingTax,
+        pricesIncludeTax: inclusive,
+        taxExempt: customerExempt,
+        jurisdiction: jurisdiction ? {
+            id: jurisdiction.id,
+            name: jurisdiction.name || null,
+            rate
+        } : null
+    };
+}
+
+module.exports = {
+    roundCurrency,
+    getTaxRates,
+    isTaxExempt,
+    findJurisdiction,
+    calculateTax
+};
@@ -0,0 +1,125 @@
+const { db } = require('../config/firebase');
+
+// ===========================
+// PRODUCT VARIANTS
+// Variants live in `products/{productId}/variants/{variantId}`:
+// { sku, name, price, salePrice, stock, reserved, attributes, images, weight, isActive, createdAt, updatedAt }
+// `salePrice` applies during the product's sale window (see productSchedule.js).
+// `stock` and `reserved` only change through increments so concurrent orders
+// for different variants of the same product never overwrite each other.
+// ===========================
+
+const VARIANT_FIELDS = ['sku', 'name', 'price', 'salePrice', 'attributes', 'images', 'weight', 'isActive'];
+
+function variantsCollection(productId) {
+    return db.collection('products').doc(productId).collection('variants');
+}
+
+function variantRef(productId, variantId) {
+    return variantsCollection(productId).doc(variantId);
+}
+
+/**
+ * A product's variants, oldest first.
+ */
+async function getVariants(productId, { activeOnly = false } = {}) {
+    const snapshot = await variantsCollection(productId).orderBy('createdAt', 'asc').get();
+
+    const variants = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+    }));
+
+    return activeOnly ? variants.filter(variant => variant.isActive !== false) : variants;
+}
+
+/**
+ * SKUs are unique across every variant and product in the store.
+ * Returns true when `sku` is already used by anything other than `variantId`.
+ */
+async function isSkuTaken(sku, { variantId = null } = {}) {
+    const [variants, products] = await Promise.all([
+        db.collectionGroup('variants').where('sku', '==', sku).limit(2).get(),
+        db.collection('products').where('sku', '==', sku).limit(1).get()
+    ]);
+
+    return !products.empty || variants.docs.some(doc => doc.id !== variantId);
+}
+
+/**
+ * Pick the writable fields from a request body and normalize their types.
+ */
+function variantFields(input) {
+    const fields = {};
+
+    VARIANT_FIELDS.forEach(key => {
+        if (input[key] !== undefined) {
+            fields[key] = input[key];
+        }
+    });
+
+    if (fields.sku !== undefined) fields.sku = String(fields.sku).trim();
+    if (fields.price !== undefined) fields.price = parseFloat(fields.price);
+    if (fields.salePrice !== undefined) fields.salePrice = fields.salePrice === null ? null : parseFloat(fields.salePrice);
+    if (fields.weight !== undefined) fields.weight = fields.weight === null ? null : parseFloat(fields.weight);
+    if (fields.isActive !== undefined) fields.isActive = Boolean(fields.isActive);
+
+    return fields;
+}
+
+/**
+ * Distinct attribute values across active variants, e.g.
+ * { size: ['S', 'M'], color: ['Red'] }. Stored on the product as
+ * `variantOptions` so listings can filter on them without reading variants.
+ */
+function collectVariantOptions(variants) {
+    const options = {};
+
+    variants
+        .filter(variant => variant.isActive !== false)
+        .forEach(variant => {
+            Object.entries(variant.attributes || {}).forEach(([name, value]) => {
+                if (value === undefined || value === null || value === '') return;
+
+                const key = String(name).toLowerCase();
+                if (!options[key]) options[key] = [];
+                if (!options[key].includes(String(value))) {
+                    options[key].push(String(value));
+                }
+            });
+        });
+
+    return options;
+}
+
+// Stock changes write to variants constantly; only attribute or status edits matter here
+function optionsChanged(before, after) {
+    if (!before || !after) return true;
+    return JSON.stringify(before.attributes || {}) !== JSON.stringify(after.attributes || {}) ||
+        (before.isActive !== false) !== (after.isActive !== false);
+}
+
+async function refreshVariantOptions(productId) {
+    const productRef = db.collection('products').doc(productId);
+    const [productDoc, variants] = await Promise.all([productRef.get(), getVariants(productId)]);
+    if (!productDoc.exists) return null;
+
+    const variantOptions = collectVariantOptions(variants);
+    if (JSON.stringify(productDoc.data().variantOptions || {}) === JSON.stringify(variantOptions)) {
+        return variantOptions;
+    }
+
+    await productRef.update({ variantOptions });
+    return variantOptions;
+}
+
+module.exports = {
+    variantsCollection,
+    variantRef,
+    getVariants,
+    isSkuTaken,
+    variantFields,
+    collectVariantOptions,
+    optionsChanged,
+    refreshVariantOptions
+};
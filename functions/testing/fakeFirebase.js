@@ -0,0 +1,376 @@
+const path = require('path');
+
+// ===========================
+// IN-MEMORY FIRESTORE FOR TESTS
+// Stands in for config/firebase.js so services run without the emulator.
+// Require this before any service: it installs itself in the require cache.
+// Covers what the services use: documents, queries (where, orderBy, limit,
+// offset, cursors, count), collection groups, batches and transactions
+// (which, like Firestore, refuse reads after writes), FieldValue sentinels
+// and a Storage bucket that only records saved files.
+// ===========================
+
+// Services load the configured payment provider when they are required
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_PAYMENTS_SECRET = 'test-secret';
+
+const store = new Map();
+let nextId = 0;
+
+const sentinel = (op, value) => ({ __op: op, value });
+
+const FieldValue = {
+    increment: (n) => sentinel('increment', n),
+    arrayUnion: (...items) => sentinel('arrayUnion', items),
+    arrayRemove: (...items) => sentinel('arrayRemove', items),
+    delete: () => sentinel('delete'),
+    serverTimestamp: () => sentinel('serverTimestamp')
+};
+
+const DOCUMENT_ID = '__name__';
+
+const isSentinel = (value) => Boolean(value && typeof value === 'object' && value.__op);
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function clone(value) {
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+function resolveValue(current, value) {
+    if (!isSentinel(value)) return clone(value);
+
+    switch (value.__op) {
+        case 'increment': return (current || 0) + value.value;
+        case 'arrayUnion': return [...(current || []), ...value.value.filter(item => !(current || []).some(x => sameValue(x, item)))];
+        case 'arrayRemove': return (current || []).filter(x => !value.value.some(item => sameValue(x, item)));
+        case 'serverTimestamp': return new Date();
+        default: throw new Error(`Unsupported FieldValue ${value.__op}`);
+    }
+}
+
+// Write one (possibly dotted) field
+function setField(target, fieldPath, value) {
+    const parts = fieldPath.split('.');
+    let node = target;
+    parts.slice(0, -1).forEach(part => {
+        if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+        node = node[part];
+    });
+
+    const last = parts[parts.length - 1];
+    if (isSentinel(value) && value.__op === 'delete') {
+        delete node[last];
+    } else {
+        node[last] = resolveValue(node[last], value);
+    }
+}
+
+function getField(data, fieldPath) {
+    return fieldPath.split('.').reduce((node, part) => (node === null || node === undefined ? undefined : node[part]), data);
+}
+
+function merge(target, data) {
+    Object.entries(data).forEach(([key, value]) => {
+        const plainObject = value && typeof value === 'object' && !Array.isArray(value) &&
+            !(value instanceof Date) && !isSentinel(value);
+        if (plainObject) {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            merge(target[key], value);
+        } else {
+            setField(target, key, value);
+        }
+    });
+}
+
+function firestoreError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Raw writes, shared by refs, batches and transactions
+const writes = {
+    set(ref, data, options = {}) {
+        const target = options.merge ? clone(store.get(ref.path) || {}) : {};
+        if (options.merge) {
+            merge(target, data);
+        } else {
+            Object.entries(data).forEach(([key, value]) => {
+                target[key] = resolveValue(undefined, value);
+            });
+        }
+        store.set(ref.path, target);
+    },
+    create(ref, data) {
+        if (store.has(ref.path)) throw firestoreError(6, `Document already exists: ${ref.path}`);
+        writes.set(ref, data);
+    },
+    update(ref, data) {
+        if (!store.has(ref.path)) throw firestoreError(5, `No document to update: ${ref.path}`);
+        const target = clone(store.get(ref.path));
+        Object.entries(data).forEach(([key, value]) => setField(target, key, value));
+        store.set(ref.path, target);
+    },
+    delete(ref) {
+        store.delete(ref.path);
+    }
+};
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return this._data === undefined ? undefined : clone(this._data);
+    }
+
+    get(fieldPath) {
+        return fieldPath === DOCUMENT_ID ? this.id : clone(getField(this._data, fieldPath));
+    }
+}
+
+class DocumentReference {
+    constructor(docPath) {
+        this.path = docPath;
+        this.id = docPath.split('/').pop();
+    }
+
+    collection(name) {
+        return new Query(`${this.path}/${name}`);
+    }
+
+    async get() {
+        return new DocumentSnapshot(this, clone(store.get(this.path)));
+    }
+
+    async set(data, options) { writes.set(this, data, options); }
+    async create(data) { writes.create(this, data); }
+    async update(data) { writes.update(this, data); }
+    async delete() { writes.delete(this); }
+}
+
+function compare(a, b) {
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+    if (left === right) return 0;
+    if (left === null || left === undefined) return -1;
+    if (right === null || right === undefined) return 1;
+    return left < right ? -1 : 1;
+}
+
+function matches(value, op, expected) {
+    const present = value !== undefined && value !== null;
+
+    switch (op) {
+        case '==': return value !== undefined && compare(value, expected) === 0;
+        case '!=': return present && compare(value, expected) !== 0;
+        case '<': return present && compare(value, expected) < 0;
+        case '<=': return present && compare(value, expected) <= 0;
+        case '>': return present && compare(value, expected) > 0;
+        case '>=': return present && compare(value, expected) >= 0;
+        case 'in': return expected.some(item => compare(value, item) === 0);
+        case 'not-in': return present && !expected.some(item => compare(value, item) === 0);
+        case 'array-contains': return Array.isArray(value) && value.some(item => sameValue(item, expected));
+        case 'array-contains-any': return Array.isArray(value) && value.some(item => expected.some(e => sameValue(item, e)));
+        default: throw new Error(`Unsupported operator ${op}`);
+    }
+}
+
+class Query {
+    constructor(collectionPath, options = {}) {
+        this.collectionPath = collectionPath;
+        this.id = collectionPath.split('/').pop();
+        this.options = { filters: [], orders: [], group: false, ...options };
+    }
+
+    _with(changes) {
+        return new Query(this.collectionPath, { ...this.options, ...changes });
+    }
+
+    doc(id) {
+        return new DocumentReference(`${this.collectionPath}/${id || `doc${++nextId}`}`);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        writes.set(ref, data);
+        return ref;
+    }
+
+    where(fieldPath, op, value) { return this._with({ filters: [...this.options.filters, [fieldPath, op, value]] }); }
+    orderBy(fieldPath, direction = 'asc') { return this._with({ orders: [...this.options.orders, [fieldPath, direction]] }); }
+    limit(limit) { return this._with({ limit }); }
+    offset(offset) { return this._with({ offset }); }
+    startAfter(...values) { return this._with({ startAfter: values }); }
+    select() { return this; }
+
+    count() {
+        return {
+            get: async () => {
+                const snapshot = await this._with({ limit: undefined, offset: undefined }).get();
+                return { data: () => ({ count: snapshot.size }) };
+            }
+        };
+    }
+
+    async get() {
+        const { filters, orders, group, limit, offset, startAfter } = this.options;
+        const valueOf = (doc, fieldPath) => (fieldPath === DOCUMENT_ID ? doc.id : getField(doc._data, fieldPath));
+
+        let docs = [...store.entries()]
+            .filter(([docPath]) => {
+                const parts = docPath.split('/');
+                return group
+                    ? parts.length % 2 === 0 && parts[parts.length - 2] === this.collectionPath
+                    : parts.slice(0, -1).join('/') === this.collectionPath;
+            })
+            .map(([docPath, data]) => new DocumentSnapshot(new DocumentReference(docPath), clone(data)))
+            .filter(doc => filters.every(([fieldPath, op, value]) => matches(valueOf(doc, fieldPath), op, value)))
+            // Firestore leaves out documents missing an ordered field
+            .filter(doc => orders.every(([fieldPath]) => valueOf(doc, fieldPath) !== undefined));
+
+        const compareDocs = (values, doc) => {
+            for (let i = 0; i < orders.length && i < values.length; i++) {
+                const [fieldPath, direction] = orders[i];
+                const result = compare(values[i], valueOf(doc, fieldPath));
+                if (result !== 0) return direction === 'desc' ? -result : result;
+            }
+            return 0;
+        };
+
+        docs.sort((a, b) => compareDocs(orders.map(([fieldPath]) => valueOf(a, fieldPath)), b) ||
+            compare(a.id, b.id));
+
+        if (startAfter) {
+            docs = docs.filter(doc => compareDocs(startAfter, doc) < 0);
+        }
+        if (offset) {
+            docs = docs.slice(offset);
+        }
+        if (limit !== undefined) {
+            docs = docs.slice(0, limit);
+        }
+
+        return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+    }
+}
+
+function writer(onWrite = () => {}) {
+    const self = {};
+    ['set', 'create', 'update', 'delete'].forEach(method => {
+        self[method] = (ref, ...args) => {
+            onWrite(() => writes[method](ref, ...args));
+            return self;
+        };
+    });
+    return self;
+}
+
+const db = {
+    collection: (name) => new Query(name),
+    collectionGroup: (name) => new Query(name, { group: true }),
+    doc: (docPath) => new DocumentReference(docPath),
+    getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+
+    batch() {
+        const pending = [];
+        const batch = writer(write => pending.push(write));
+        batch.commit = async () => pending.forEach(write => write());
+        return batch;
+    },
+
+    // Writes are applied when the function resolves, so a failed transaction writes nothing
+    async runTransaction(fn) {
+        const pending = [];
+        const transaction = writer(write => pending.push(write));
+        transaction.get = async (target) => {
+            if (pending.length > 0) {
+                throw new Error('Firestore transactions require all reads to be executed before all writes.');
+            }
+            return target.get();
+        };
+        transaction.getAll = (...refs) => Promise.all(refs.map(ref => transaction.get(ref)));
+
+        const result = await fn(transaction);
+        pending.forEach(write => write());
+        return result;
+    }
+};
+
+const savedFiles = new Map();
+
+const bucket = {
+    name: 'test-bucket',
+    file: (name) => ({
+        name,
+        save: async (data, options) => { savedFiles.set(name, { data, options }); },
+        exists: async () => [savedFiles.has(name)],
+        getMetadata: async () => [{ size: savedFiles.has(name) ? savedFiles.get(name).data.length : 0 }],
+        getSignedUrl: async () => [`https://storage.test/${name}?signed`],
+        delete: async () => { savedFiles.delete(name); }
+    }),
+    getFiles: async ({ prefix = '' } = {}) => [[...savedFiles.keys()]
+        .filter(name => name.startsWith(prefix))
+        .map(name => bucket.file(name))],
+    deleteFiles: async ({ prefix = '' } = {}) => {
+        [...savedFiles.keys()].filter(name => name.startsWith(prefix)).forEach(name => savedFiles.delete(name));
+    }
+};
+
+const admin = {
+    firestore: Object.assign(() => db, {
+        FieldValue,
+        FieldPath: { documentId: () => DOCUMENT_ID },
+        Timestamp: { fromDate: (date) => date }
+    })
+};
+
+require.cache[require.resolve(path.join(__dirname, '..', 'config', 'firebase'))] = {
+    id: 'fakeFirebase',
+    loaded: true,
+    exports: { admin, db, auth: {}, bucket }
+};
+
+/**
+ * Empty the database and storage; call before each test.
+ */
+function reset() {
+    store.clear();
+    savedFiles.clear();
+}
+
+// Put documents in place: seed({ 'products/p1': { ... } })
+function seed(docs) {
+    Object.entries(docs).forEach(([docPath, data]) => store.set(docPath, clone(data)));
+}
+
+// A stored document's data, or undefined
+function read(docPath) {
+    return clone(store.get(docPath));
+}
+
+// Every document in a collection as [{ id, ...data }]
+function list(collectionPath) {
+    return [...store.entries()]
+        .filter(([docPath]) => docPath.split('/').slice(0, -1).join('/') === collectionPath)
+        .map(([docPath, data]) => ({ id: docPath.split('/').pop(), ...clone(data) }));
+}
+
+module.exports = {
+    db,
+    admin,
+    bucket,
+    reset,
+    seed,
+    read,
+    list
+};
@@ -0,0 +1,108 @@
+/**
+ * Migrate Store Credit Balances
+ * Store credit used to be kept as `storeCredit` on `users/{uid}`, which
+ * customers can edit. Balances now live in `storeCredit/{uid}`, written only
+ * by the backend. This rebuilds each balance from the
+ * `storeCreditTransactions` ledger (also backend-only) and removes the old
+ * profile field, whatever value it was set to.
+ *
+ * Run with: node scripts/migrate-store-credit.js [--dry-run]
+ *
+ * Prerequisites:
+ * - serviceAccountKey.json in project root
+ * - Firebase project configured
+ */
+
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ID = process.env.PROJECT_ID || 'your-project-id';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Initialize Firebase Admin
+let serviceAccountPath = path.join(__dirname, '..', 'serviceAccountKey.json');
+if (!fs.existsSync(serviceAccountPath)) {
+    serviceAccountPath = path.join(__dirname, '..', 'functions', 'config', 'serviceAccountKey.json');
+}
+
+if (!fs.existsSync(serviceAccountPath)) {
+    console.error('❌ serviceAccountKey.json not found!');
+    console.error('   Place it in project root or functions/config/');
+    process.exit(1);
+}
+
+const serviceAccount = require(serviceAccountPath);
+const projectId = serviceAccount.project_id || PROJECT_ID;
+
+admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    projectId: projectId
+});
+
+const db = admin.firestore();
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+async function migrateStoreCredit() {
+    try {
+        console.log(`💳 Migrating store credit balances${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+        // Rebuild every balance from the ledger
+        const balances = {};
+        const ledger = await db.collection('storeCreditTransactions').get();
+        ledger.docs.forEach(doc => {
+            const { userId, amount } = doc.data();
+            balances[userId] = roundCurrency((balances[userId] || 0) + (Number(amount) || 0));
+        });
+
+        for (const [userId, balance] of Object.entries(balances)) {
+            console.log(`  ${userId}: $${balance.toFixed(2)}`);
+
+            if (!DRY_RUN) {
+                await db.collection('storeCredit').doc(userId).set({
+                    userId,
+                    balance,
+                    updatedAt: new Date()
+                });
+            }
+        }
+
+        // Drop the old, customer-writable field
+        const users = await db.collection('users').where('storeCredit', '!=', null).get();
+        let cleared = 0;
+
+        for (const userDoc of users.docs) {
+            const stored = Number(userDoc.data().storeCredit) || 0;
+            if (stored !== (balances[userDoc.id] || 0)) {
+                console.log(`  ⚠ ${userDoc.id}: profile said $${stored.toFixed(2)}, ledger says $${(balances[userDoc.id] || 0).toFixed(2)}`);
+            }
+
+            if (!DRY_RUN) {
+                await userDoc.ref.update({
+                    storeCredit: admin.firestore.FieldValue.delete()
+                });
+            }
+            cleared += 1;
+        }
+
+        console.log(`\n✓ ${Object.keys(balances).length} balances ${DRY_RUN ? 'would be rebuilt' : 'rebuilt'}, ${cleared} profile fields ${DRY_RUN ? 'would be removed' : 'removed'}\n`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating store credit:', error);
+        process.exit(1);
+    }
+}
+
+// Show usage if --help
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(`
+Usage: node scripts/migrate-store-credit.js [--dry-run]
+
+Run once after deploying server-side store credit balances. Safe to re-run:
+balances are rebuilt from the ledger each time.
+`);
+    process.exit(0);
+}
+
+migrateStoreCredit();
@@ -0,0 +1,190 @@
+/**
+ * Migrate Product Variants to Subcollections
+ * Moves each product's embedded `variants` array into
+ * `products/{productId}/variants/{variantId}` documents, keeping the
+ * variant ids so existing orders and reservations still match.
+ * Variants without a SKU, or whose SKU is already in use, get a generated
+ * one, and the product's stock is set to the sum of its variants.
+ *
+ * Run with: node scripts/migrate-variants.js [--dry-run]
+ *
+ * Prerequisites:
+ * - serviceAccountKey.json in project root
+ * - Firebase project configured
+ */
+
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ID = process.env.PROJECT_ID || 'your-project-id';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Initialize Firebase Admin
+let serviceAccountPath = path.join(__dirname, '..', 'serviceAccountKey.json');
+if (!fs.existsSync(serviceAccountPath)) {
+    serviceAccountPath = path.join(__dirname, '..', 'functions', 'config', 'serviceAccountKey.json');
+}
+
+if (!fs.existsSync(serviceAccountPath)) {
+    console.error('❌ serviceAccountKey.json not found!');
+    console.error('   Place it in project root or functions/config/');
+    process.exit(1);
+}
+
+const serviceAccount = require(serviceAccountPath);
+const projectId = serviceAccount.project_id || PROJECT_ID;
+
+admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    projectId: projectId
+});
+
+const db = admin.firestore();
+
+// SKUs are unique across every variant and product (see isSkuTaken in
+// functions/services/variants.js), so collect the ones already in use.
+// Maps each SKU to the document path that owns it.
+async function loadTakenSkus(products) {
+    const taken = new Map();
+    const variants = await db.collectionGroup('variants').get();
+
+    variants.docs.forEach(doc => {
+        if (doc.data().sku) taken.set(doc.data().sku, doc.ref.path);
+    });
+    products.docs.forEach(doc => {
+        if (doc.data().sku) taken.set(doc.data().sku, doc.ref.path);
+    });
+
+    return taken;
+}
+
+// Keep a variant's own SKU when it is free; otherwise (missing or a
+// duplicate) number one off the product's SKU, slug or id.
+function assignSku(variant, variantPath, productDoc, taken) {
+    const sku = String(variant.sku || '').trim();
+    if (sku && (!taken.has(sku) || taken.get(sku) === variantPath)) {
+        taken.set(sku, variantPath);
+        return sku;
+    }
+
+    const product = productDoc.data();
+    const base = String(product.sku || product.slug || productDoc.id).toUpperCase();
+    let n = 1;
+    while (taken.has(`${base}-${n}`)) n += 1;
+
+    const generated = `${base}-${n}`;
+    taken.set(generated, variantPath);
+    console.log(`    ${sku ? `SKU ${sku} is already used` : 'No SKU'}: using ${generated}`);
+    return generated;
+}
+
+async function migrateVariants() {
+    try {
+        console.log(`🔀 Migrating product variants${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+        const snapshot = await db.collection('products').get();
+        const taken = await loadTakenSkus(snapshot);
+        let migratedProducts = 0;
+        let migratedVariants = 0;
+
+        for (const productDoc of snapshot.docs) {
+            const product = productDoc.data();
+            const variants = product.variants;
+            if (!Array.isArray(variants)) continue;
+
+            console.log(`  ${product.name || productDoc.id}: ${variants.length} variant(s)`);
+
+            const batch = db.batch();
+            const variantsRef = productDoc.ref.collection('variants');
+            const migrated = [];
+
+            variants.forEach(variant => {
+                const variantRef = variant.id ? variantsRef.doc(variant.id) : variantsRef.doc();
+                const stock = parseInt(variant.stock) || 0;
+
+                batch.set(variantRef, {
+                    sku: assignSku(variant, variantRef.path, productDoc, taken),
+                    name: variant.name || '',
+                    price: Number(variant.price) || product.price || 0,
+                    stock,
+                    reserved: parseInt(variant.reserved) || 0,
+                    attributes: variant.attributes || {},
+                    images: variant.images || [],
+                    weight: variant.weight !== undefined ? variant.weight : null,
+                    isActive: variant.isActive !== false,
+                    createdAt: new Date(),
+                    updatedAt: new Date()
+                }, { merge: true });
+
+                migrated.push({ id: variantRef.id, stock });
+            });
+
+            // A variant product's stock is the sum of its variants' stock;
+            // an empty array leaves a plain product's stock alone
+            const before = product.stockQuantity || 0;
+            const stockQuantity = migrated.length > 0
+                ? migrated.reduce((sum, variant) => sum + variant.stock, 0)
+                : before;
+
+            batch.update(productDoc.ref, {
+                variants: admin.firestore.FieldValue.delete(),
+                hasVariants: variants.length > 0,
+                variantCount: variants.length,
+                stockQuantity,
+                updatedAt: new Date()
+            });
+
+            // Start each variant's ledger history and record any change to the product total
+            if (migrated.length > 0) {
+                batch.set(db.collection('inventoryMovements').doc(), {
+                    productId: productDoc.id,
+                    type: 'adjustment',
+                    quantity: stockQuantity - before,
+                    before,
+                    after: stockQuantity,
+                    variants: migrated.map(variant => ({
+                        id: variant.id,
+                        quantity: variant.stock,
+                        before: 0,
+                        after: variant.stock
+                    })),
+                    actor: 'system',
+                    reason: 'Variant migration',
+                    referenceId: null,
+                    createdAt: new Date()
+                });
+            }
+
+            if (before !== stockQuantity) {
+                console.log(`    Stock ${before} → ${stockQuantity} (sum of variants)`);
+            }
+
+            if (!DRY_RUN) {
+                await batch.commit();
+            }
+
+            migratedProducts += 1;
+            migratedVariants += variants.length;
+        }
+
+        console.log(`\n✓ ${migratedVariants} variants from ${migratedProducts} products ${DRY_RUN ? 'would be migrated' : 'migrated'}\n`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error migrating variants:', error);
+        process.exit(1);
+    }
+}
+
+// Show usage if --help
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(`
+Usage: node scripts/migrate-variants.js [--dry-run]
+
+Run once after deploying variant subcollections. Safe to re-run:
+products without an embedded variants array are skipped.
+`);
+    process.exit(0);
+}
+
+migrateVariants();